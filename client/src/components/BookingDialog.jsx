@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Modal from './ui/Modal';
 import Button from './ui/Button';
-import { Sparkles, Layers, Maximize, Clock, AlertTriangle, ChevronLeft, ChevronRight, Upload, X, Image as ImageIcon, Video as VideoIcon, Info } from 'lucide-react';
+import { Sparkles, Layers, Maximize, Clock, AlertTriangle, ChevronLeft, ChevronRight, Upload, X, Image as ImageIcon, Video as VideoIcon, Info, Grid3x3, Workflow, ArrowDown } from 'lucide-react';
 import { useSocket } from '../context/SocketContext';
 import { SERVER_URL, getInputUrl } from '../utils/api';
 import DynamicParamFields, { isSeedParam, randomSeed } from './DynamicParamFields';
+import SweepFields from './SweepFields';
+import { SWEEPABLE_TYPES, SWEEP_MAX_CELLS, SWEEP_MAX_VALUES, parseSweepNumbers } from '../utils/sweep';
+import { formatDuration } from '../utils/jobDisplay';
 
 // Param types whose value is an uploaded file (handled via mediaFiles + /upload
 // + recall), as opposed to a plain form value. 'mask' is an image the user
@@ -20,13 +23,18 @@ const MEDIA_TYPES = ['image', 'video', 'audio', 'mask'];
  * - Dynamic form generation based on workflow configuration
  * - Drag-and-drop media uploads (images, videos)
  * - Time slot selection with collision detection
- * - Client-side validation
+ * - Parameter sweeps: one or two number/choice params × a list of values,
+ *   queued as one job per combination with a contact sheet at the end
+ * - Pipelines: chained workflows booked as one item, with a form per step
+ *   (step 1 takes the uploads, each later step is fed the previous output)
+ * - Client-side validation, plus the server's per-field errors shown inline
  * 
  * @param {Object} props
  * @param {boolean} props.isOpen - Visibility state
  * @param {Function} props.onClose - Close handler
  * @param {number} props.initialTime - Default start time for the job
- * @param {Function} props.onConfirm - Submit handler ({ prompt, params, time })
+ * @param {Function} props.onConfirm - Submit handler ({ prompt, params, time, sweep?, pipeline? });
+ *   may return (a promise of) the booking ack to keep the dialog open on field errors
  */
 // Pick the user-visible "headline" prompt out of the submitted form values.
 // Workflows expose their text inputs under different keys (`prompt`,
@@ -59,6 +67,39 @@ function pickHeadlinePrompt(finalParams, parameterMap = {}) {
     return '';
 }
 
+// Sweep draft → { axes: [{ param, values }], count, error }. `error` is the
+// first reason the sweep can't be booked yet (null when it can).
+function resolveSweep(draft, parameterMap = {}) {
+    const axes = draft.map(a => ({
+        param: a.param,
+        values: parameterMap[a.param]?.type === 'number' ? parseSweepNumbers(a.text).values : a.picked
+    }));
+    const count = axes.reduce((n, a) => n * a.values.length, 1);
+    let error = null;
+    if (draft.some(a => parameterMap[a.param]?.type === 'number' && parseSweepNumbers(a.text).invalid.length)) {
+        error = 'Fix the values that aren\'t numbers.';
+    } else if (axes.some(a => a.values.length < 2)) {
+        error = 'Give each swept parameter at least two values.';
+    } else if (axes.some(a => a.values.length > SWEEP_MAX_VALUES)) {
+        error = `At most ${SWEEP_MAX_VALUES} values per parameter.`;
+    } else if (count > SWEEP_MAX_CELLS) {
+        error = `${count} combinations — the limit is ${SWEEP_MAX_CELLS}.`;
+    }
+    return { axes, count, error };
+}
+
+// Fresh value for a non-media field: a new random seed, else the default.
+const initialValue = (key, config) => {
+    if (isSeedParam(key, config)) return randomSeed();
+    return config.default !== undefined ? config.default : '';
+};
+
+const defaultValues = (paramMap = {}) => Object.fromEntries(
+    Object.entries(paramMap)
+        .filter(([, config]) => !MEDIA_TYPES.includes(config.type))
+        .map(([key, config]) => [key, initialValue(key, config)])
+);
+
 // isSeedParam / randomSeed / prettyInputName now live in DynamicParamFields.jsx
 // (the shared field renderer). isSeedParam + randomSeed are imported above for
 // the form-init effect; the field rendering itself uses the shared component.
@@ -73,6 +114,12 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
     const [recalledMedia, setRecalledMedia] = useState({}); // { paramKey: comfyFilename } reused from a prior job
     const [isUploading, setIsUploading] = useState(false);
     const [uploadError, setUploadError] = useState(''); // server-side upload rejection (too big / HEIC)
+    const [sweepDraft, setSweepDraft] = useState(null); // null = single job, else [{ param, text, picked }]
+    const [pipelines, setPipelines] = useState([]); // bookable pipelines (GET /pipelines)
+    const [pipelineId, setPipelineId] = useState(null); // null = the active workflow
+    const [stepValues, setStepValues] = useState({}); // { stepIndex: { key: value } } for pipeline steps 2+
+    const [fieldErrors, setFieldErrors] = useState({}); // server-side validation: { key: reason }
+    const [stepErrors, setStepErrors] = useState({}); // same for pipeline steps 2+: { stepIndex: { key: reason } }
 
     // Initialize form params once per dialog-open session. We deliberately do
     // NOT depend on state.workflow — the server rebroadcasts state_update on a
@@ -98,10 +145,8 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
                 if (typeof recalled === 'string' && recalled) recalledM[key] = recalled;
             } else if (recalled !== undefined) {
                 next[key] = recalled;
-            } else if (isSeedParam(key, config)) {
-                next[key] = randomSeed();
             } else {
-                next[key] = config.default !== undefined ? config.default : '';
+                next[key] = initialValue(key, config);
             }
         });
         // Show the reused asset right away: its file is still served from
@@ -114,8 +159,56 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
         setMediaFiles({});
         setMediaPreviews(recalledPreviews);
         setUploadError('');
+        setSweepDraft(null);
+        setPipelineId(null);
+        setStepValues({});
+        setFieldErrors({});
+        setStepErrors({});
     }, [isOpen, initialParams]);
 
+    useEffect(() => {
+        if (!isOpen) return;
+        let cancelled = false;
+        fetch(`${SERVER_URL}/pipelines`)
+            .then(res => (res.ok ? res.json() : { pipelines: [] }))
+            .then(data => { if (!cancelled) setPipelines(data.pipelines || []); })
+            .catch(() => { if (!cancelled) setPipelines([]); });
+        return () => { cancelled = true; };
+    }, [isOpen]);
+
+    const pipeline = pipelines.find(p => p.id === pipelineId) || null;
+    // Step 1 of a pipeline uses the same form (and upload machinery) as a
+    // single job; later steps get their own fields below it.
+    const parameterMap = pipeline ? pipeline.steps[0].parameter_map : state.workflow?.parameter_map;
+
+    // Switching between the active workflow and a pipeline starts the form
+    // over — the fields belong to a different workflow.
+    const selectTarget = (id) => {
+        const next = pipelines.find(p => p.id === id) || null;
+        setPipelineId(next?.id || null);
+        setFormParams(defaultValues(next ? next.steps[0].parameter_map : state.workflow?.parameter_map));
+        setStepValues(next ? Object.fromEntries(next.steps.slice(1).map(st => [st.index, defaultValues(st.parameter_map)])) : {});
+        setRecalledMedia({});
+        setMediaFiles({});
+        setMediaPreviews({});
+        setSweepDraft(null);
+        setFieldErrors({});
+        setStepErrors({});
+    };
+
+    // Editing a field clears the server's complaint about it.
+    const clearFieldError = (setErrors, key) => setErrors(prev => {
+        if (!prev[key]) return prev;
+        const next = { ...prev };
+        delete next[key];
+        return next;
+    });
+    const sweep = sweepDraft ? resolveSweep(sweepDraft, parameterMap) : null;
+    const jobCount = sweep ? Math.max(1, sweep.count) : 1;
+    const firstSweepable = !pipeline && Object.entries(parameterMap || {})
+        .filter(([, p]) => SWEEPABLE_TYPES.includes(p.type) && (p.type !== 'select' || p.options?.length > 1))
+        .sort(([, a], [, b]) => (a.order || 0) - (b.order || 0))[0]?.[0];
+
     useEffect(() => {
         setScheduledTime(initialTime);
     }, [initialTime]);
@@ -123,25 +216,31 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
     /**
      * Collision Detection Effect
      * 
-     * Checks if the selected time slot overlaps with any existing jobs.
-     * Uses the global job state and benchmark duration to calculate start/end times.
+     * Checks if the selected time slot overlaps with any active job.
+     * The new booking spans the active workflow's benchmark duration (times
+     * the job count for a sweep, which runs back to back; a pipeline only
+     * holds the slot for its first step); existing jobs span their own stored
+     * estimate (they may belong to other workflows).
      */
     useEffect(() => {
         // ASAP mode (no slot picked) can't collide — the server queues it next.
         if (!scheduledTime) { setIsCollision(false); return; }
 
         const duration = state.benchmark_ms || 30000;
-        const endTime = scheduledTime + duration;
+        const firstStepSec = pipeline?.steps[0].estimatedDurationSec;
+        const endTime = scheduledTime + (firstStepSec ? firstStepSec * 1000 : duration * jobCount);
 
         const collision = state.jobs.some(job => {
+            // Finished jobs no longer hold their slot (same rule as the server).
+            if (job.status !== 'scheduled' && job.status !== 'processing') return false;
             const jobStart = job.time_slot;
-            const jobEnd = jobStart + duration;
+            const jobEnd = jobStart + (job.expected_duration_ms || duration);
             // Check for overlap: (StartA < EndB) and (EndA > StartB)
             return (scheduledTime < jobEnd) && (endTime > jobStart);
         });
 
         setIsCollision(collision);
-    }, [scheduledTime, state.jobs, state.benchmark_ms]);
+    }, [scheduledTime, state.jobs, state.benchmark_ms, jobCount, pipeline]);
 
     const resolutions = [
         { label: 'Square (1024x1024)', value: '1024x1024' },
@@ -155,11 +254,11 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
         e.preventDefault();
 
         // Check for required media uploads (image, video, or audio)
-        const mediaParams = Object.entries(state.workflow?.parameter_map || {})
+        const mediaParams = Object.entries(parameterMap || {})
             .filter(([, v]) => MEDIA_TYPES.includes(v.type));
         const missingMedia = mediaParams.filter(([key]) => !mediaFiles[key] && !recalledMedia[key]);
 
-        if (isCollision || isUploading || missingMedia.length > 0) return;
+        if (isCollision || isUploading || missingMedia.length > 0 || sweep?.error) return;
 
         setIsUploading(true);
         setUploadError('');
@@ -169,7 +268,7 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
         for (const [key, file] of Object.entries(mediaFiles)) {
             const formData = new FormData();
             formData.append('file', file); // Use 'file' as per updated server route
-            const fieldLabel = state.workflow?.parameter_map?.[key]?.label || key;
+            const fieldLabel = parameterMap?.[key]?.label || key;
 
             try {
                 const response = await fetch(`${SERVER_URL}/upload`, {
@@ -204,14 +303,34 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
         // for LTX i2v, `text` for some primitive-fallback parses. The server
         // stores ONE field for the cards / lightbox / search, so surface the
         // value the user actually typed regardless of its key.
-        const headlinePrompt = pickHeadlinePrompt(finalParams, state.workflow?.parameter_map);
+        const headlinePrompt = pickHeadlinePrompt(finalParams, parameterMap);
 
-        onConfirm({
+        const ack = await onConfirm({
             prompt: headlinePrompt,
             params: finalParams,
-            time: scheduledTime
+            time: scheduledTime,
+            sweep: sweep ? { axes: sweep.axes } : undefined,
+            pipeline: pipeline ? {
+                id: pipeline.id,
+                steps: pipeline.steps.map((st, i) => (i === 0
+                    ? { prompt: headlinePrompt, params: finalParams }
+                    : { prompt: pickHeadlinePrompt(stepValues[i] || {}, st.parameter_map), params: stepValues[i] || {} }))
+            } : undefined
         });
         setIsUploading(false);
+        if (ack && !ack.ok && (ack.fieldErrors || ack.stepErrors)) {
+            // Stay open with the reasons next to the fields. Files that did
+            // upload are kept as reused assets so fixing a field doesn't
+            // upload them again.
+            setRecalledMedia(prev => ({ ...prev, ...uploadedFilenames }));
+            setMediaFiles({});
+            setFieldErrors(ack.fieldErrors || {});
+            setStepErrors(ack.stepErrors || {});
+            // Errors on keys the form doesn't show have nowhere inline to go.
+            const unshown = Object.keys(ack.fieldErrors || {}).filter(k => !parameterMap?.[k]);
+            if (unshown.length) setUploadError(unshown.map(k => `${k} ${ack.fieldErrors[k]}`).join('; '));
+            return;
+        }
         onClose();
         setMediaFiles({});
         setMediaPreviews({});
@@ -241,6 +360,7 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
     // preview reflects what'll actually be uploaded, not the raw camera shot.
     const handleMediaChange = (paramKey) => (file) => {
         if (!file) return;
+        clearFieldError(setFieldErrors, paramKey);
         setMediaFiles(prev => ({ ...prev, [paramKey]: file }));
         // A fresh upload supersedes any recalled (reused) asset for this key.
         setRecalledMedia(prev => {
@@ -266,9 +386,13 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
      */
     const renderDynamicFields = () => (
         <DynamicParamFields
-            paramMap={state.workflow?.parameter_map}
+            paramMap={parameterMap}
             values={formParams}
-            onValueChange={(key, value) => setFormParams(prev => ({ ...prev, [key]: value }))}
+            onValueChange={(key, value) => {
+                setFormParams(prev => ({ ...prev, [key]: value }));
+                clearFieldError(setFieldErrors, key);
+            }}
+            errors={fieldErrors}
             mediaPreviews={mediaPreviews}
             recalledMedia={recalledMedia}
             mediaChangeHandler={handleMediaChange}
@@ -293,7 +417,42 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
     return (
         <Modal isOpen={isOpen} onClose={onClose} title="Book Generation Slot" maxWidth="max-w-lg">
             <form onSubmit={handleSubmit} className="space-y-6">
-                {state.workflow_info?.id && (state.workflow_info.description || state.workflow_info.name) && (
+                {pipelines.length > 0 && (
+                    <div className="flex flex-col space-y-2">
+                        <label className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                            <Workflow size={14} className="text-primary" />
+                            What to run
+                        </label>
+                        <select
+                            value={pipelineId || ''}
+                            onChange={(e) => selectTarget(e.target.value || null)}
+                            className="w-full bg-background border border-border rounded-lg p-2.5 text-white appearance-none cursor-pointer focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all"
+                        >
+                            <option value="">{state.workflow_info?.id ? `Active workflow — ${state.workflow_info.name}` : 'Active workflow'}</option>
+                            {pipelines.map(p => (
+                                <option key={p.id} value={p.id}>Pipeline — {p.name} ({p.steps.length} steps)</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                {pipeline && (
+                    <div className="rounded-lg border border-primary/20 bg-primary/5 p-3 space-y-2">
+                        <div className="flex items-center gap-2">
+                            <Workflow size={14} className="text-primary shrink-0" />
+                            <span className="text-[10px] uppercase tracking-widest font-bold text-muted">Pipeline</span>
+                            <span className="text-sm font-semibold text-foreground">{pipeline.name}</span>
+                        </div>
+                        {pipeline.description && (
+                            <p className="text-xs text-slate-300 leading-relaxed whitespace-pre-wrap">{pipeline.description}</p>
+                        )}
+                        <p className="text-[11px] text-muted">
+                            {pipeline.steps.map(st => st.label).join(' → ')}
+                            {pipeline.estimatedDurationSec ? ` · ~${formatDuration(pipeline.estimatedDurationSec * 1000)} in total` : ''}
+                            . Each step is queued when the one before it finishes; if a step fails the chain stops there.
+                        </p>
+                    </div>
+                )}
+                {!pipeline && state.workflow_info?.id && (state.workflow_info.description || state.workflow_info.name) && (
                     <div className="rounded-lg border border-primary/20 bg-primary/5 p-3 space-y-2">
                         <div className="flex items-center gap-2">
                             <Info size={14} className="text-primary shrink-0" />
@@ -382,9 +541,71 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
                 </div>
 
                 {/* Dynamic Fields Rendering */}
-                {/* Dynamic Fields Rendering */}
+                {pipeline && (
+                    <p className="text-[10px] uppercase tracking-widest font-bold text-muted">
+                        Step 1 · {pipeline.steps[0].label}
+                    </p>
+                )}
                 {renderDynamicFields()}
 
+                {pipeline?.steps.slice(1).map(st => (
+                    <div key={st.index} className="space-y-3 border-t border-border pt-4">
+                        <div className="flex items-center gap-2 text-[10px] uppercase tracking-widest font-bold text-muted">
+                            <ArrowDown size={12} className="text-primary" />
+                            Step {st.index + 1} · {st.label}
+                        </div>
+                        <p className="text-[11px] text-muted">
+                            Input: the {st.input.fromKind} from step {st.index}.
+                        </p>
+                        <DynamicParamFields
+                            paramMap={st.parameter_map}
+                            values={stepValues[st.index] || {}}
+                            onValueChange={(key, value) => {
+                                setStepValues(prev => ({
+                                    ...prev,
+                                    [st.index]: { ...(prev[st.index] || {}), [key]: value }
+                                }));
+                                setStepErrors(prev => {
+                                    if (!prev[st.index]?.[key]) return prev;
+                                    const next = { ...prev, [st.index]: { ...prev[st.index] } };
+                                    delete next[st.index][key];
+                                    return next;
+                                });
+                            }}
+                            errors={stepErrors[st.index] || {}}
+                        />
+                    </div>
+                ))}
+
+                {firstSweepable && (
+                    <div className="rounded-lg border border-border p-3 space-y-3">
+                        <button
+                            type="button"
+                            onClick={() => setSweepDraft(sweepDraft ? null : [{ param: firstSweepable, text: '', picked: [] }])}
+                            className="w-full flex items-center justify-between text-sm font-medium text-slate-300"
+                        >
+                            <span className="flex items-center gap-2">
+                                <Grid3x3 size={14} className="text-primary" />
+                                Parameter sweep
+                            </span>
+                            <span className={`text-[10px] uppercase tracking-wider font-bold ${sweepDraft ? 'text-primary' : 'text-muted'}`}>
+                                {sweepDraft ? 'On' : 'Off'}
+                            </span>
+                        </button>
+                        {sweepDraft && (
+                            <>
+                                <p className="text-[11px] text-muted">
+                                    One job per combination, run back to back with the settings above. When they all finish you get a labelled contact sheet.
+                                </p>
+                                <SweepFields paramMap={parameterMap} axes={sweepDraft} onChange={setSweepDraft} />
+                                <p className={`text-xs ${sweep.error ? 'text-warning' : 'text-muted'}`}>
+                                    {sweep.error || `${sweep.count} jobs · ~${formatDuration((state.benchmark_ms || 30000) * sweep.count)} of GPU time`}
+                                </p>
+                            </>
+                        )}
+                    </div>
+                )}
+
                 {uploadError && (
                     <div className="flex items-start gap-2 text-danger text-xs font-medium bg-danger/10 p-2.5 rounded-lg border border-danger/20">
                         <AlertTriangle size={14} className="shrink-0 mt-0.5" />
@@ -400,9 +621,9 @@ const BookingDialog = ({ isOpen, onClose, initialTime, onConfirm, initialParams
                         variant="primary"
                         type="submit"
                         icon={Sparkles}
-                        disabled={isCollision || isUploading}
+                        disabled={isCollision || isUploading || !!sweep?.error}
                     >
-                        {isUploading ? 'Uploading...' : scheduledTime ? 'Book Slot' : 'Start ASAP'}
+                        {isUploading ? 'Uploading...' : sweep ? `Queue ${sweep.count} jobs` : pipeline ? `Queue ${pipeline.steps.length}-step pipeline` : scheduledTime ? 'Book Slot' : 'Start ASAP'}
                     </Button>
                 </div>
             </form>
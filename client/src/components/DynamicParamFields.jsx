@@ -18,6 +18,8 @@ export const randomSeed = () => Math.floor(Math.random() * 4294967295);
 // original name (comfyq_session__<ts>_<rand>__photo.png → photo.png).
 export const prettyInputName = (fn) => String(fn || '')
     .replace(/^comfyq_session__\d+_\d+__/, '')
+    .replace(/^comfyq_batch__[a-f0-9]+__\d+__/i, '')
+    .replace(/^comfyq_pipe__[a-f0-9]+__\d+__/i, '')
     .replace(/^comfyq__[a-f0-9]+__/i, '');
 
 // DynamicParamFields — the student-facing parameter form, rendered from a
@@ -35,6 +37,7 @@ export const prettyInputName = (fn) => String(fn || '')
 //   recalledMedia       { [key]: comfyFilename }      (reused-from-a-prior-job badge)
 //   mediaChangeHandler  (key) => (file: File) => void
 //   mediaRemoveHandler  (key) => () => void
+//   errors              { [key]: reason }  (server-side validation, shown under each field)
 const DynamicParamFields = ({
     paramMap,
     values = {},
@@ -43,6 +46,7 @@ const DynamicParamFields = ({
     recalledMedia = {},
     mediaChangeHandler,
     mediaRemoveHandler,
+    errors = {},
 }) => {
     if (!paramMap) return null;
     const setVal = (key, value) => onValueChange && onValueChange(key, value);
@@ -53,159 +57,168 @@ const DynamicParamFields = ({
     const sortedParams = Object.entries(paramMap)
         .sort(([, a], [, b]) => (a.order || 0) - (b.order || 0));
 
-    return (
-        <div className="space-y-4">
-            {sortedParams.map(([key, config]) => {
-                const label = config.label || key.charAt(0).toUpperCase() + key.slice(1);
-                const type = config.type || 'text';
+    const renderField = (key, config) => {
+        const label = config.label || key.charAt(0).toUpperCase() + key.slice(1);
+        const type = config.type || 'text';
 
-                // Conditional gray-out: a field can declare `disabledWhen`
-                // ({ param, equals }) to render disabled while another param
-                // (a toggle) holds a given value — e.g. either/or prompt
-                // boxes gated by an "Enhance" checkbox.
-                const dw = config.disabledWhen;
-                const disabled = !!dw && values[dw.param] === dw.equals;
-                const ctrlLabel = dw && (paramMap[dw.param]?.label || 'the toggle above');
+        // Conditional gray-out: a field can declare `disabledWhen`
+        // ({ param, equals }) to render disabled while another param
+        // (a toggle) holds a given value — e.g. either/or prompt
+        // boxes gated by an "Enhance" checkbox.
+        const dw = config.disabledWhen;
+        const disabled = !!dw && values[dw.param] === dw.equals;
+        const ctrlLabel = dw && (paramMap[dw.param]?.label || 'the toggle above');
 
-                // Mask input — the user paints a region on an uploaded image;
-                // MaskDrawField composites it into an RGBA PNG and hands that
-                // File up the SAME path as a normal upload.
-                if (type === 'mask') {
-                    return (
-                        <MaskDrawField
-                            key={key}
-                            paramKey={key}
-                            label={label}
-                            maxInputEdge={config.maxInputEdge}
-                            preview={mediaPreviews[key]}
-                            recalledName={recalledMedia[key] ? prettyInputName(recalledMedia[key]) : null}
-                            onChange={onMedia(key)}
-                            onRemove={onMediaRemove(key)}
-                        />
-                    );
-                }
-
-                // Image / video / audio input — delegated to MediaCaptureField,
-                // which renders the file-upload widget (click + drag-and-drop),
-                // then applies maxInputEdge resizing for images.
-                if (type === 'image' || type === 'video' || type === 'audio') {
-                    return (
-                        <MediaCaptureField
-                            key={key}
-                            paramKey={key}
-                            label={label}
-                            type={type}
-                            maxInputEdge={config.maxInputEdge}
-                            preview={mediaPreviews[key]}
-                            recalledName={recalledMedia[key] ? prettyInputName(recalledMedia[key]) : null}
-                            onChange={onMedia(key)}
-                            onRemove={onMediaRemove(key)}
-                        />
-                    );
-                }
+        // Mask input — the user paints a region on an uploaded image;
+        // MaskDrawField composites it into an RGBA PNG and hands that
+        // File up the SAME path as a normal upload.
+        if (type === 'mask') {
+            return (
+                <MaskDrawField
+                    key={key}
+                    paramKey={key}
+                    label={label}
+                    maxInputEdge={config.maxInputEdge}
+                    preview={mediaPreviews[key]}
+                    recalledName={recalledMedia[key] ? prettyInputName(recalledMedia[key]) : null}
+                    onChange={onMedia(key)}
+                    onRemove={onMediaRemove(key)}
+                />
+            );
+        }
 
-                // Select Input
-                if (type === 'select' && config.options) {
-                    return (
-                        <div key={key} className="space-y-1.5">
-                            <label className="text-sm font-medium text-slate-300">{label}</label>
-                            <select
-                                className="w-full bg-background border border-border rounded-lg p-2.5 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all appearance-none cursor-pointer"
-                                value={values[key] || ''}
-                                onChange={(e) => setVal(key, e.target.value)}
-                            >
-                                {config.options.map(opt => (
-                                    <option key={opt} value={opt}>{opt}</option>
-                                ))}
-                            </select>
-                        </div>
-                    );
-                }
+        // Image / video / audio input — delegated to MediaCaptureField,
+        // which renders the file-upload widget (click + drag-and-drop),
+        // then applies maxInputEdge resizing for images.
+        if (type === 'image' || type === 'video' || type === 'audio') {
+            return (
+                <MediaCaptureField
+                    key={key}
+                    paramKey={key}
+                    label={label}
+                    type={type}
+                    maxInputEdge={config.maxInputEdge}
+                    preview={mediaPreviews[key]}
+                    recalledName={recalledMedia[key] ? prettyInputName(recalledMedia[key]) : null}
+                    onChange={onMedia(key)}
+                    onRemove={onMediaRemove(key)}
+                />
+            );
+        }
 
-                // Checkbox / toggle Input
-                if (type === 'checkbox') {
-                    const checked = !!values[key];
-                    return (
-                        <label key={key} className="flex items-center gap-3 cursor-pointer select-none py-1">
-                            <button
-                                type="button"
-                                role="switch"
-                                aria-checked={checked}
-                                onClick={() => setVal(key, !checked)}
-                                className={`relative w-10 h-6 rounded-full transition-colors shrink-0 ${checked ? 'bg-primary' : 'bg-surface border border-border'}`}
-                            >
-                                <span className={`absolute top-0.5 left-0.5 w-5 h-5 rounded-full bg-on-primary shadow transition-transform ${checked ? 'translate-x-4' : ''}`} />
-                            </button>
-                            <span className="text-sm font-medium text-slate-300">{label}</span>
-                        </label>
-                    );
-                }
+        // Select Input
+        if (type === 'select' && config.options) {
+            return (
+                <div key={key} className="space-y-1.5">
+                    <label className="text-sm font-medium text-slate-300">{label}</label>
+                    <select
+                        className="w-full bg-background border border-border rounded-lg p-2.5 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all appearance-none cursor-pointer"
+                        value={values[key] || ''}
+                        onChange={(e) => setVal(key, e.target.value)}
+                    >
+                        {config.options.map(opt => (
+                            <option key={opt} value={opt}>{opt}</option>
+                        ))}
+                    </select>
+                </div>
+            );
+        }
 
-                // Textarea Input
-                if (type === 'textarea' || key === 'prompt') {
-                    return (
-                        <div key={key} className={`space-y-1.5 ${disabled ? 'opacity-50' : ''}`}>
-                            <label className="text-sm font-medium text-slate-300 flex items-center gap-2 flex-wrap">
-                                {label}
-                                {disabled && (
-                                    <span className="text-[10px] font-normal text-muted normal-case">
-                                        — disabled; change “{ctrlLabel}” to edit
-                                    </span>
-                                )}
-                            </label>
-                            <textarea
-                                disabled={disabled}
-                                className={`w-full bg-background border border-border rounded-lg p-3 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all placeholder:text-muted/50 min-h-[100px] resize-none ${disabled ? 'cursor-not-allowed' : ''}`}
-                                value={values[key] || ''}
-                                onChange={(e) => setVal(key, e.target.value)}
-                                placeholder={`Enter ${label}...`}
-                            />
-                        </div>
-                    );
-                }
+        // Checkbox / toggle Input
+        if (type === 'checkbox') {
+            const checked = !!values[key];
+            return (
+                <label key={key} className="flex items-center gap-3 cursor-pointer select-none py-1">
+                    <button
+                        type="button"
+                        role="switch"
+                        aria-checked={checked}
+                        onClick={() => setVal(key, !checked)}
+                        className={`relative w-10 h-6 rounded-full transition-colors shrink-0 ${checked ? 'bg-primary' : 'bg-surface border border-border'}`}
+                    >
+                        <span className={`absolute top-0.5 left-0.5 w-5 h-5 rounded-full bg-on-primary shadow transition-transform ${checked ? 'translate-x-4' : ''}`} />
+                    </button>
+                    <span className="text-sm font-medium text-slate-300">{label}</span>
+                </label>
+            );
+        }
 
-                // Seed Input — auto-randomized; re-roll button; user can type a specific value
-                if (isSeedParam(key, config)) {
-                    return (
-                        <div key={key} className="space-y-1.5">
-                            <label className="text-sm font-medium text-slate-300">{label}</label>
-                            <div className="flex items-center gap-2">
-                                <input
-                                    type="number"
-                                    className="flex-1 bg-background border border-border rounded-lg p-2.5 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all"
-                                    value={values[key] ?? ''}
-                                    onChange={(e) => {
-                                        const v = e.target.value;
-                                        setVal(key, v === '' ? '' : parseInt(v, 10) || 0);
-                                    }}
-                                />
-                                <button
-                                    type="button"
-                                    onClick={() => setVal(key, randomSeed())}
-                                    className="p-2.5 rounded-lg bg-surface border border-border hover:bg-white/5 text-muted hover:text-primary transition-colors"
-                                    title="Randomize seed"
-                                >
-                                    <Dices size={18} />
-                                </button>
-                            </div>
-                            <p className="text-[10px] text-muted ml-1">Auto-randomized each time. Click the dice to re-roll, or type a specific value.</p>
-                        </div>
-                    );
-                }
+        // Textarea Input
+        if (type === 'textarea' || key === 'prompt') {
+            return (
+                <div key={key} className={`space-y-1.5 ${disabled ? 'opacity-50' : ''}`}>
+                    <label className="text-sm font-medium text-slate-300 flex items-center gap-2 flex-wrap">
+                        {label}
+                        {disabled && (
+                            <span className="text-[10px] font-normal text-muted normal-case">
+                                — disabled; change “{ctrlLabel}” to edit
+                            </span>
+                        )}
+                    </label>
+                    <textarea
+                        disabled={disabled}
+                        className={`w-full bg-background border border-border rounded-lg p-3 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all placeholder:text-muted/50 min-h-[100px] resize-none ${disabled ? 'cursor-not-allowed' : ''}`}
+                        value={values[key] || ''}
+                        onChange={(e) => setVal(key, e.target.value)}
+                        placeholder={`Enter ${label}...`}
+                    />
+                </div>
+            );
+        }
 
-                // Default Input (Text/Number)
-                return (
-                    <div key={key} className="space-y-1.5">
-                        <label className="text-sm font-medium text-slate-300">{label}</label>
+        // Seed Input — auto-randomized; re-roll button; user can type a specific value
+        if (isSeedParam(key, config)) {
+            return (
+                <div key={key} className="space-y-1.5">
+                    <label className="text-sm font-medium text-slate-300">{label}</label>
+                    <div className="flex items-center gap-2">
                         <input
-                            type={type === 'number' ? 'number' : 'text'}
-                            className="w-full bg-background border border-border rounded-lg p-2.5 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all"
+                            type="number"
+                            className="flex-1 bg-background border border-border rounded-lg p-2.5 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all"
                             value={values[key] ?? ''}
-                            onChange={(e) => setVal(key, type === 'number' ? parseFloat(e.target.value) : e.target.value)}
+                            onChange={(e) => {
+                                const v = e.target.value;
+                                setVal(key, v === '' ? '' : parseInt(v, 10) || 0);
+                            }}
                         />
+                        <button
+                            type="button"
+                            onClick={() => setVal(key, randomSeed())}
+                            className="p-2.5 rounded-lg bg-surface border border-border hover:bg-white/5 text-muted hover:text-primary transition-colors"
+                            title="Randomize seed"
+                        >
+                            <Dices size={18} />
+                        </button>
                     </div>
-                );
-            })}
+                    <p className="text-[10px] text-muted ml-1">Auto-randomized each time. Click the dice to re-roll, or type a specific value.</p>
+                </div>
+            );
+        }
+
+        // Default Input (Text/Number)
+        return (
+            <div key={key} className="space-y-1.5">
+                <label className="text-sm font-medium text-slate-300">{label}</label>
+                <input
+                    type={type === 'number' ? 'number' : 'text'}
+                    className="w-full bg-background border border-border rounded-lg p-2.5 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all"
+                    value={values[key] ?? ''}
+                    onChange={(e) => setVal(key, type === 'number' ? parseFloat(e.target.value) : e.target.value)}
+                />
+            </div>
+        );
+    };
+
+    return (
+        <div className="space-y-4">
+            {sortedParams.map(([key, config]) => (
+                <div key={key}>
+                    {renderField(key, config)}
+                    {errors[key] && (
+                        <p className="mt-1.5 ml-1 text-xs text-danger">{errors[key]}</p>
+                    )}
+                </div>
+            ))}
         </div>
     );
 };
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Download, User, Clock, Sparkles, RotateCw, Wand2, Box, Copy, Check, Package } from 'lucide-react';
+import { Download, User, Clock, Sparkles, RotateCw, Wand2, Box, Copy, Check, Package, Grid3x3, Image as ImageIcon, Workflow, Star, Archive } from 'lucide-react';
 import Modal from './ui/Modal';
 import Button from './ui/Button';
 import { copyToClipboard } from '../utils/clipboard';
@@ -7,9 +7,12 @@ import ModelViewer from './ui/ModelViewer';
 import SplatViewer from './ui/SplatViewer';
 import AudioPlayer from './ui/AudioPlayer';
 import ImageGallery from './ui/ImageGallery';
+import SweepContactSheet from './SweepContactSheet';
 import { useSocket } from '../context/SocketContext';
 import { getImageUrl, getDownloadUrl, getIngredientsUrl, isVideo, isModel3d, isSplat, isAudio, isImage } from '../utils/api';
 import { getDisplayPrompt, getPrimaryDownloadFilename, getGenerationMs, formatDuration, getJobText } from '../utils/jobDisplay';
+import { getSweepCellValues } from '../utils/sweep';
+import { findPipelineRun } from '../utils/pipeline';
 
 const downloadFile = (filename) => {
     if (!filename) return;
@@ -35,15 +38,37 @@ const deriveViewLabel = (filename) => {
     return p;
 };
 
-const ImageLightbox = ({ isOpen, onClose, job, onReuse, activeWorkflowId }) => {
-    const { workflowsById } = useSocket();
+// `onOpenJob(jobId)` switches the lightbox to another job — used by the sweep
+// contact sheet's click-through and the pipeline step list.
+const ImageLightbox = ({ isOpen, onClose, job, onReuse, activeWorkflowId, onOpenJob }) => {
+    const { state, workflowsById, username, setJobPin } = useSocket();
     // Gallery tab for 3D jobs that ship both a splat and a mesh (TripoSplat).
     const [view, setView] = useState('splat'); // 'splat' | 'mesh'
     const [copied, setCopied] = useState(false); // transient "Copied!" feedback for text jobs
+    const [showSheet, setShowSheet] = useState(false); // sweep jobs: contact sheet instead of this cell
     if (!job) return null;
     const wf = workflowsById?.[job.workflow_id];
     const displayPrompt = getDisplayPrompt(job);
 
+    // Parameter-sweep cell: the sweep's axes, this cell's values, its siblings.
+    const sweep = job.sweep_id ? (state.sweeps || []).find(s => s.id === job.sweep_id) : null;
+    const sweepJobs = sweep ? state.jobs.filter(j => j.sweep_id === sweep.id) : [];
+    const sweepValues = getSweepCellValues(job, sweep);
+    const sheetVisible = !!sweep && showSheet;
+    // Pipeline step: the run and the jobs of its other steps (later steps only
+    // exist once the chain has reached them).
+    const pipelineRun = findPipelineRun(state, job);
+    const pipelineJobs = pipelineRun ? state.jobs.filter(j => j.pipeline_run_id === pipelineRun.id) : [];
+    // Output retention: a job's files go once it is older than the window
+    // unless someone pinned it; swept jobs keep their record (and settings).
+    const swept = !!job.outputs_swept_at;
+    const pinned = (job.pinned_by || []).includes(username);
+    const canPin = job.user_id === username && !swept;
+    const openCell = (jobId) => {
+        setShowSheet(false);
+        if (jobId !== job.id && onOpenJob) onOpenJob(jobId);
+    };
+
     // Everything needed to relaunch the job: imported media, all params, seed.
     const params = job.params || {};
     const importedMedia = job.input_files || [];
@@ -146,8 +171,33 @@ const ImageLightbox = ({ isOpen, onClose, job, onReuse, activeWorkflowId }) => {
                             </button>
                         </div>
                     )}
+                    {/* Sweep toggle — this cell's result vs the whole contact sheet. */}
+                    {sweep && (
+                        <div className="absolute top-3 left-3 z-10 flex rounded-lg overflow-hidden border border-white/10 bg-black/60 backdrop-blur-md text-xs">
+                            <button
+                                onClick={() => setShowSheet(false)}
+                                className={`flex items-center gap-1.5 px-3 py-1.5 transition-colors ${!sheetVisible ? 'bg-primary text-on-primary' : 'text-white/70 hover:text-white'}`}
+                            >
+                                <ImageIcon size={12} /> This cell
+                            </button>
+                            <button
+                                onClick={() => setShowSheet(true)}
+                                className={`flex items-center gap-1.5 px-3 py-1.5 transition-colors ${sheetVisible ? 'bg-primary text-on-primary' : 'text-white/70 hover:text-white'}`}
+                            >
+                                <Grid3x3 size={12} /> Contact sheet
+                            </button>
+                        </div>
+                    )}
                     <div className="aspect-square bg-black rounded-xl overflow-hidden border border-white/10 shadow-2xl flex items-center justify-center">
-                        {is3D ? (
+                        {sheetVisible ? (
+                            <SweepContactSheet sweep={sweep} jobs={sweepJobs} currentJobId={job.id} onOpenJob={openCell} />
+                        ) : swept ? (
+                            <div className="flex flex-col items-center text-muted px-8 text-center">
+                                <Archive size={40} className="opacity-40" />
+                                <p className="text-sm mt-3">The outputs of this job were removed by output retention on {new Date(job.outputs_swept_at).toLocaleDateString()}.</p>
+                                <p className="text-xs mt-1 opacity-70">Its settings are still here — download the ingredients to run it again.</p>
+                            </div>
+                        ) : is3D ? (
                             activeView === 'splat' && splatOutput ? (
                                 <SplatViewer url={getImageUrl(splatOutput.filename)} />
                             ) : (
@@ -222,6 +272,51 @@ const ImageLightbox = ({ isOpen, onClose, job, onReuse, activeWorkflowId }) => {
                                 })()}
                             </div>
 
+                            {sweepValues.length > 0 && (
+                                <div className="space-y-1 pt-3 border-t border-white/10">
+                                    <label className="text-[10px] text-muted uppercase font-bold tracking-wider">
+                                        Sweep cell {job.sweep_cell + 1}/{sweep.cell_count}
+                                    </label>
+                                    {sweepValues.map(v => (
+                                        <div key={v.label} className="flex justify-between gap-2 text-xs">
+                                            <span className="text-muted truncate">{v.label}</span>
+                                            <span className="font-mono text-white truncate">{String(v.value)}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {pipelineRun && (
+                                <div className="space-y-1 pt-3 border-t border-white/10">
+                                    <label className="text-[10px] text-muted uppercase font-bold tracking-wider">
+                                        Pipeline step {job.pipeline_step + 1}/{pipelineRun.steps.length}
+                                    </label>
+                                    <p className="text-sm font-medium text-foreground flex items-center gap-2">
+                                        <Workflow size={14} className="text-primary shrink-0" />
+                                        <span className="truncate">{pipelineRun.name}</span>
+                                    </p>
+                                    {pipelineRun.steps.map((st, i) => {
+                                        const stepJob = pipelineJobs.find(j => j.pipeline_step === i);
+                                        const current = i === job.pipeline_step;
+                                        return (
+                                            <button
+                                                key={i}
+                                                type="button"
+                                                disabled={!stepJob || current}
+                                                onClick={() => openCell(stepJob.id)}
+                                                className={`w-full flex justify-between gap-2 text-xs text-left ${current ? 'text-primary' : stepJob ? 'text-muted hover:text-white' : 'text-muted/50'}`}
+                                            >
+                                                <span className="truncate">{i + 1}. {st.label}</span>
+                                                <span className="shrink-0">{stepJob ? stepJob.status : pipelineRun.status === 'running' ? 'waiting' : '—'}</span>
+                                            </button>
+                                        );
+                                    })}
+                                    {pipelineRun.error && (
+                                        <p className="text-[11px] text-danger leading-snug">{pipelineRun.error}</p>
+                                    )}
+                                </div>
+                            )}
+
                             {job.workflow_id && (
                                 <div className="space-y-1 pt-3 border-t border-white/10">
                                     <label className="text-[10px] text-muted uppercase font-bold tracking-wider">Workflow</label>
@@ -325,6 +420,17 @@ const ImageLightbox = ({ isOpen, onClose, job, onReuse, activeWorkflowId }) => {
                                 Use these settings
                             </Button>
                         )}
+                        {canPin && (
+                            <Button
+                                variant="secondary"
+                                className="w-full"
+                                icon={Star}
+                                onClick={() => setJobPin(job.id, !pinned)}
+                                title={pinned ? 'Pinned results are never removed by output retention' : 'Pin this result so output retention keeps it'}
+                            >
+                                {pinned ? 'Kept — unpin' : 'Keep this result'}
+                            </Button>
+                        )}
                         <Button
                             variant="secondary"
                             className="w-full"
@@ -334,7 +440,7 @@ const ImageLightbox = ({ isOpen, onClose, job, onReuse, activeWorkflowId }) => {
                         >
                             Download ingredients (.zip)
                         </Button>
-                        {is3D ? (
+                        {swept ? null : is3D ? (
                             <div className="space-y-2">
                                 <label className="text-[10px] text-muted uppercase font-bold tracking-wider">Export</label>
                                 {spzFile && (
@@ -2,13 +2,13 @@ import React, { useState } from 'react';
 import { useSocket } from '../context/SocketContext';
 import Card from './ui/Card';
 import Badge from './ui/Badge';
-import { Sparkles, Clock, CheckCircle2, AlertCircle, Image as ImageIcon, Search, X, Download } from 'lucide-react';
+import { Sparkles, Clock, CheckCircle2, AlertCircle, Image as ImageIcon, Search, X, Download, MoveRight, RotateCw } from 'lucide-react';
 import MediaPreview from './ui/MediaPreview';
 import WorkflowChip from './ui/WorkflowChip';
 import ProgressViz from './ui/ProgressViz';
 import { getImageUrl, getDownloadUrl } from '../utils/api';
 import { getUserColor } from '../utils/userColor';
-import { getDisplayPrompt, getPrimaryDownloadFilename, getGenerationMs, formatDuration } from '../utils/jobDisplay';
+import { getDisplayPrompt, getPrimaryDownloadFilename, getGenerationMs, formatDuration, getAttemptLabel } from '../utils/jobDisplay';
 import { computeEtaSeconds } from '../utils/jobEta';
 
 /**
@@ -27,7 +27,7 @@ import { computeEtaSeconds } from '../utils/jobEta';
  * @param {Function} [props.onClose] - Handler to close panel (client-mobile only)
  */
 const MyJobsPanel = ({ onClose }) => {
-    const { state, username, workflowsById } = useSocket();
+    const { state, username, workflowsById, previews } = useSocket();
     const userColor = getUserColor(username);
     const [searchQuery, setSearchQuery] = useState('');
 
@@ -199,12 +199,43 @@ const MyJobsPanel = ({ onClose }) => {
                                 })()}
                             </div>
 
-                            {job.status === 'processing' && (
+                            {job.status === 'scheduled' && job.last_shift?.reason === 'priority' && (
+                                <p className="mt-2 flex items-center gap-1 text-[10px] text-warning" title={`Was ${new Date(job.last_shift.from).toLocaleTimeString()}`}>
+                                    <MoveRight size={10} className="shrink-0" />
+                                    {job.last_shift.to > job.last_shift.from
+                                        ? `Moved back ${formatDuration(job.last_shift.to - job.last_shift.from)} — a priority job runs first`
+                                        : `Moved up ${formatDuration(job.last_shift.from - job.last_shift.to)} — priority raised`}
+                                </p>
+                            )}
+
+                            {job.status === 'scheduled' && job.projected_start && (
+                                <p className="mt-2 flex items-center gap-1 text-[10px] text-warning" title={`Booked for ${new Date(job.time_slot).toLocaleTimeString()}`}>
+                                    <Clock size={10} className="shrink-0" />
+                                    Starts ~{new Date(job.projected_start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} — someone is using ComfyUI directly
+                                </p>
+                            )}
+
+                            {getAttemptLabel(job) && (
+                                <p className="mt-2 flex items-center gap-1 text-[10px] text-warning" title={job.error_reason || undefined}>
+                                    <RotateCw size={10} className={`shrink-0 ${job.phase === 'retrying' ? 'animate-spin' : ''}`} />
+                                    {getAttemptLabel(job)}
+                                </p>
+                            )}
+
+                            {job.status === 'failed' && job.error_message && (
+                                <p className="mt-2 flex items-start gap-1 text-[10px] text-danger" title={job.error_reason || undefined}>
+                                    <AlertCircle size={10} className="shrink-0 mt-0.5" />
+                                    {job.error_message}
+                                </p>
+                            )}
+
+                            {job.status === 'processing' && job.phase !== 'retrying' && (
                                 <div className="mt-3">
                                     <ProgressViz
                                         progress={job.progress}
-                                        currentNode={job.current_node}
+                                        currentNode={job.current_node_title || job.current_node}
                                         etaSeconds={computeEtaSeconds(job, workflowsById, state.workflow_info)}
+                                        previewUrl={previews[job.id]}
                                         size="md"
                                     />
                                 </div>
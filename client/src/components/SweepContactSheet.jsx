@@ -0,0 +1,55 @@
+import { Grid3x3, Loader2 } from 'lucide-react';
+import { getImageUrl } from '../utils/api';
+
+// SweepContactSheet — the server-composed grid for a parameter sweep, with a
+// transparent hit box over every cell (positions from `grid_layout`, in grid
+// pixels, scaled as percentages) that opens that cell's job. The cell being
+// viewed is outlined. Until every cell has finished it shows progress instead.
+//
+// Props:
+//   sweep          wire sweep { axes, cell_count, status, grid_filename, grid_layout, error }
+//   jobs           the sweep's wire jobs (for progress + which cells can open)
+//   currentJobId   the job the lightbox is showing
+//   onOpenJob      (jobId) => void
+const SweepContactSheet = ({ sweep, jobs, currentJobId, onOpenJob }) => {
+    const layout = sweep.grid_layout;
+    if (sweep.status !== 'done' || !sweep.grid_filename || !layout) {
+        const finished = jobs.filter(j => ['completed', 'failed', 'cancelled'].includes(j.status)).length;
+        return (
+            <div className="flex flex-col items-center gap-2 text-muted text-sm p-6 text-center">
+                {sweep.status === 'failed' ? <Grid3x3 size={28} /> : <Loader2 size={28} className="animate-spin" />}
+                {sweep.status === 'failed'
+                    ? <span>No contact sheet: {sweep.error || 'composition failed'}</span>
+                    : <span>The contact sheet appears once every cell has finished ({finished}/{sweep.cell_count}).</span>}
+            </div>
+        );
+    }
+    const pct = (v, of) => `${(v / of) * 100}%`;
+    const openable = new Set(jobs.filter(j => j.status === 'completed').map(j => j.id));
+    return (
+        <div className="relative inline-block">
+            <img src={getImageUrl(sweep.grid_filename)} alt="Sweep contact sheet" className="block max-w-full max-h-[70vh]" />
+            {layout.cells.map(c => {
+                const canOpen = c.jobId && openable.has(c.jobId);
+                return (
+                    <button
+                        key={c.cell}
+                        type="button"
+                        disabled={!canOpen}
+                        onClick={() => onOpenJob(c.jobId)}
+                        title={canOpen ? 'Open this cell' : undefined}
+                        className={`absolute rounded-sm transition-colors ${c.jobId === currentJobId ? 'ring-2 ring-primary' : ''} ${canOpen ? 'hover:bg-white/10 hover:ring-2 hover:ring-white/60 cursor-pointer' : 'cursor-default'}`}
+                        style={{
+                            left: pct(c.left, layout.width),
+                            top: pct(c.top, layout.height),
+                            width: pct(c.width, layout.width),
+                            height: pct(c.height, layout.height)
+                        }}
+                    />
+                );
+            })}
+        </div>
+    );
+};
+
+export default SweepContactSheet;
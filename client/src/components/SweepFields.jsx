@@ -0,0 +1,99 @@
+import { Plus, X } from 'lucide-react';
+import { SWEEPABLE_TYPES, parseSweepNumbers } from '../utils/sweep';
+
+const AXIS_NAMES = ['Across (x)', 'Down (y)'];
+
+// SweepFields — the booking dialog's sweep editor. One or two axes, each a
+// number/choice parameter plus the values to try: a comma-separated list for
+// numbers, toggled chips for choices. The other form fields stay shared by
+// every combination.
+//
+// Props:
+//   paramMap   the active workflow's parameter_map
+//   axes       [{ param, text, picked }] draft (text: number list, picked: chosen options)
+//   onChange   (axes) => void
+const SweepFields = ({ paramMap, axes, onChange }) => {
+    const sweepable = Object.entries(paramMap || {})
+        .filter(([, p]) => SWEEPABLE_TYPES.includes(p.type) && (p.type !== 'select' || p.options?.length > 1))
+        .sort(([, a], [, b]) => (a.order || 0) - (b.order || 0));
+    if (sweepable.length === 0) {
+        return <p className="text-xs text-muted">This workflow has no number or choice parameters to sweep.</p>;
+    }
+
+    const setAxis = (i, patch) => onChange(axes.map((a, j) => (j === i ? { ...a, ...patch } : a)));
+    const unused = sweepable.filter(([k]) => !axes.some(a => a.param === k));
+    const inputClass = 'w-full bg-background border border-border rounded-lg p-2.5 text-white focus:ring-2 focus:ring-primary focus:border-transparent outline-none transition-all';
+
+    return (
+        <div className="space-y-4">
+            {axes.map((axis, i) => {
+                const cfg = paramMap[axis.param] || {};
+                const { invalid } = cfg.type === 'number' ? parseSweepNumbers(axis.text) : { invalid: [] };
+                return (
+                    <div key={i} className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <span className="text-[10px] uppercase tracking-widest font-bold text-muted">{AXIS_NAMES[i]}</span>
+                            {i > 0 && (
+                                <button type="button" onClick={() => onChange(axes.slice(0, i))} className="text-muted hover:text-danger" title="Remove this axis">
+                                    <X size={14} />
+                                </button>
+                            )}
+                        </div>
+                        <select
+                            className={`${inputClass} appearance-none cursor-pointer`}
+                            value={axis.param}
+                            onChange={(e) => setAxis(i, { param: e.target.value, text: '', picked: [] })}
+                        >
+                            {sweepable
+                                .filter(([k]) => k === axis.param || !axes.some(a => a.param === k))
+                                .map(([k, p]) => <option key={k} value={k}>{p.label || k}</option>)}
+                        </select>
+                        {cfg.type === 'number' ? (
+                            <>
+                                <input
+                                    type="text"
+                                    value={axis.text}
+                                    onChange={(e) => setAxis(i, { text: e.target.value })}
+                                    placeholder="e.g. 4, 6, 8"
+                                    className={`${inputClass} font-mono`}
+                                />
+                                <p className={`text-[10px] ml-1 ${invalid.length ? 'text-danger' : 'text-muted'}`}>
+                                    {invalid.length
+                                        ? `Not a number: ${invalid.join(', ')}`
+                                        : `Comma-separated values${cfg.min != null || cfg.max != null ? ` between ${cfg.min ?? '−∞'} and ${cfg.max ?? '∞'}` : ''}.`}
+                                </p>
+                            </>
+                        ) : (
+                            <div className="flex flex-wrap gap-1.5">
+                                {(cfg.options || []).map(opt => {
+                                    const on = axis.picked.includes(opt);
+                                    return (
+                                        <button
+                                            key={opt}
+                                            type="button"
+                                            onClick={() => setAxis(i, { picked: on ? axis.picked.filter(o => o !== opt) : [...axis.picked, opt] })}
+                                            className={`px-2.5 py-1 rounded-md text-xs border transition-colors ${on ? 'bg-primary/20 border-primary/50 text-primary' : 'border-border text-muted hover:text-white'}`}
+                                        >
+                                            {opt}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+            {axes.length < 2 && unused.length > 0 && (
+                <button
+                    type="button"
+                    onClick={() => onChange([...axes, { param: unused[0][0], text: '', picked: [] }])}
+                    className="flex items-center gap-1.5 text-xs text-primary hover:underline"
+                >
+                    <Plus size={12} /> Vary a second parameter
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default SweepFields;
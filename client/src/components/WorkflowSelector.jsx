@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import {
     Image, Video, Wand2, Music, Box, LayoutGrid, List,
     RefreshCw, ChevronRight, Sparkles, Clock, Tag,
-    Pencil, Trash2, Gauge, Cpu, FileText, Wrench, Search, X
+    Pencil, Trash2, Gauge, Cpu, FileText, Wrench, Search, X,
+    CheckCircle2, AlertTriangle, HelpCircle
 } from 'lucide-react';
 import Card from './ui/Card';
 import Badge from './ui/Badge';
@@ -33,6 +34,36 @@ const CATEGORY_GROUP = {
 };
 const groupOf = (cat) => CATEGORY_GROUP[cat] || 'other';
 
+// Readiness badge from the pre-flight check (GET /workflows/preflight):
+// custom nodes loaded in ComfyUI and required model files on disk.
+const PreflightBadge = ({ check }) => {
+    if (!check || check.simulated) return null;
+    if (!check.ready) {
+        const lines = [
+            ...check.missingNodes.map(t => `Missing node: ${t}`),
+            ...check.missingModels.map(m => `Missing model (${m.type}): ${m.file}`)
+        ];
+        const count = check.missingNodes.length + check.missingModels.length;
+        return (
+            <span title={lines.join('\n')}>
+                <Badge variant="danger" className="gap-1"><AlertTriangle size={10} />{count} missing</Badge>
+            </span>
+        );
+    }
+    if (!check.nodesChecked) {
+        return (
+            <span title={`Model files present. ${check.note || ''}`}>
+                <Badge variant="default" className="gap-1"><HelpCircle size={10} />Models OK</Badge>
+            </span>
+        );
+    }
+    return (
+        <span title="All node types are loaded in ComfyUI and every required model file is present">
+            <Badge variant="success" className="gap-1"><CheckCircle2 size={10} />Ready</Badge>
+        </span>
+    );
+};
+
 /**
  * WorkflowSelector
  * Lists workflows from /workflows and lets the admin pick one.
@@ -47,6 +78,7 @@ const WorkflowSelector = ({ selectedWorkflowId, activeWorkflowId, onSelect, onPr
     const [selectedGroup, setSelectedGroup] = useState('all');
     const [query, setQuery] = useState('');
     const [selectedWorkflow, setSelectedWorkflow] = useState(null);
+    const [preflight, setPreflight] = useState({});
 
     const categoryIcons = {
         't2i': Wand2, 'image-edit': Image, 'i2v': Video, 'i2i': Image,
@@ -66,6 +98,12 @@ const WorkflowSelector = ({ selectedWorkflowId, activeWorkflowId, onSelect, onPr
         } finally {
             setLoading(false);
         }
+        // Readiness is slower (queries ComfyUI + scans the model folders), so
+        // the badges fill in after the list.
+        fetch(`${SERVER_URL}/workflows/preflight`)
+            .then(r => r.ok ? r.json() : null)
+            .then(data => setPreflight(data?.results || {}))
+            .catch(() => { /* badges are optional */ });
     };
 
     useEffect(() => { fetchWorkflows(); }, []);
@@ -315,6 +353,7 @@ const WorkflowSelector = ({ selectedWorkflowId, activeWorkflowId, onSelect, onPr
                                             <Cpu size={12} />{w.calibration.gpu}
                                         </span>
                                     )}
+                                    <PreflightBadge check={preflight[w.id]} />
                                     {w.presets?.length > 0 && (
                                         <span className="flex items-center gap-1">
                                             <Tag size={12} />{w.presets.length} presets
@@ -0,0 +1,250 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Layers, Eye, Play, FolderOpen, Upload, AlertCircle } from 'lucide-react';
+import Card from '../ui/Card';
+import Badge from '../ui/Badge';
+import Button from '../ui/Button';
+import DynamicParamFields from '../DynamicParamFields';
+import { useSocket } from '../../context/SocketContext';
+import { SERVER_URL } from '../../utils/api';
+import { formatDuration } from '../../utils/jobDisplay';
+
+const REFRESH_MS = 5000;
+const PREVIEW_ROWS = 50;
+
+/**
+ * BatchPanel
+ *
+ * Admin batch import on the Dashboard (Phase G): point ComfyQ at a folder on
+ * this machine — or upload one — holding `batch.json`/`batch.csv` plus the
+ * input files, pick a workflow, preview the resolved jobs, then enqueue them
+ * back to back. Below, one progress row per batch. Nothing is enqueued while
+ * the manifest has errors; each is listed with its row number.
+ *
+ * @param {Object} props
+ * @param {string} [props.adminPassword] - Sent as X-Admin-Password
+ */
+const BatchPanel = ({ adminPassword }) => {
+    const { workflowsById } = useSocket();
+    const [source, setSource] = useState('folder'); // 'folder' | 'upload'
+    const [folder, setFolder] = useState('');
+    const [files, setFiles] = useState([]);
+    const [workflowId, setWorkflowId] = useState('');
+    const [label, setLabel] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(null); // 'preview' | 'enqueue'
+    const [batches, setBatches] = useState([]);
+
+    const reload = useCallback(async () => {
+        try {
+            const res = await fetch(`${SERVER_URL}/admin/batches`);
+            if (!res.ok) return;
+            const body = await res.json();
+            setBatches(body.batches || []);
+        } catch { /* non-critical */ }
+    }, []);
+
+    useEffect(() => {
+        reload();
+        const t = setInterval(reload, REFRESH_MS);
+        return () => clearInterval(t);
+    }, [reload]);
+
+    // Any change to the inputs invalidates the preview, so "Enqueue" always
+    // commits exactly what was last previewed.
+    useEffect(() => { setPreview(null); }, [source, folder, files, workflowId, label]);
+
+    const submit = async (dryRun) => {
+        setBusy(dryRun ? 'preview' : 'enqueue');
+        setError(null);
+        try {
+            const headers = {};
+            if (adminPassword) headers['X-Admin-Password'] = adminPassword;
+            let body;
+            if (source === 'upload') {
+                body = new FormData();
+                for (const f of files) body.append('files', f);
+                if (workflowId) body.append('workflowId', workflowId);
+                if (label) body.append('label', label);
+                body.append('dryRun', String(dryRun));
+            } else {
+                headers['Content-Type'] = 'application/json';
+                body = JSON.stringify({ folder, workflowId: workflowId || undefined, label: label || undefined, dryRun });
+            }
+            const res = await fetch(`${SERVER_URL}/admin/batch`, { method: 'POST', headers, body });
+            const out = await res.json().catch(() => ({}));
+            // Validation failures still carry the resolved preview + row errors.
+            if (out.items || out.errors) setPreview(out);
+            if (!res.ok) throw new Error(out.error || 'Batch import failed');
+            if (!dryRun) {
+                setPreview(null);
+                setFiles([]);
+                await reload();
+            }
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const ready = source === 'folder' ? folder.trim() !== '' : files.length > 0;
+    const canEnqueue = preview?.dryRun && preview.errors?.length === 0 && preview.count > 0;
+    const inputClass = 'bg-background/50 border border-border rounded-md px-2 py-1.5 text-xs text-slate-200 focus:outline-none focus:border-primary/50';
+    const workflows = Object.values(workflowsById || {}).filter(w => !w.unavailable);
+
+    return (
+        <Card className="border-slate-700/50" noPadding>
+            <div className="px-6 py-4 border-b border-border bg-surface/50 flex items-center justify-between flex-wrap gap-3">
+                <h3 className="font-semibold flex items-center space-x-2">
+                    <Layers size={18} className="text-primary" />
+                    <span>Batch Import</span>
+                </h3>
+                <div className="flex rounded-md border border-border overflow-hidden text-xs">
+                    {[['folder', FolderOpen, 'Folder on this machine'], ['upload', Upload, 'Upload folder']].map(([key, Icon, text]) => (
+                        <button
+                            key={key}
+                            onClick={() => setSource(key)}
+                            className={`px-3 py-1.5 flex items-center gap-1.5 ${source === key ? 'bg-primary/20 text-primary' : 'text-muted hover:text-white'}`}
+                        >
+                            <Icon size={12} />{text}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="p-6 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    {source === 'folder' ? (
+                        <input
+                            type="text"
+                            value={folder}
+                            onChange={(e) => setFolder(e.target.value)}
+                            placeholder="D:\batches\studio_portraits (contains batch.json or batch.csv)"
+                            className={`${inputClass} font-mono`}
+                        />
+                    ) : (
+                        <input
+                            type="file"
+                            multiple
+                            webkitdirectory=""
+                            onChange={(e) => setFiles(Array.from(e.target.files || []))}
+                            className="text-xs text-muted file:mr-3 file:rounded-md file:border-0 file:bg-surface file:px-3 file:py-1.5 file:text-slate-200"
+                            title="Pick the batch folder (batch.json/batch.csv + input files)"
+                        />
+                    )}
+                    <select value={workflowId} onChange={(e) => setWorkflowId(e.target.value)} className={inputClass}>
+                        <option value="">Workflow from manifest / active</option>
+                        {workflows.map(w => <option key={w.id} value={w.id}>{w.name || w.id}</option>)}
+                    </select>
+                    <input
+                        type="text"
+                        value={label}
+                        onChange={(e) => setLabel(e.target.value)}
+                        placeholder="Label (default: manifest / folder name)"
+                        className={inputClass}
+                    />
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <Button size="sm" variant="secondary" icon={Eye} disabled={!ready || !!busy}
+                        isLoading={busy === 'preview'} onClick={() => submit(true)}>Preview</Button>
+                    <Button size="sm" icon={Play} disabled={!canEnqueue || !!busy}
+                        isLoading={busy === 'enqueue'} onClick={() => submit(false)}>
+                        Enqueue batch{canEnqueue ? ` (${preview.count})` : ''}
+                    </Button>
+                    {source === 'upload' && files.length > 0 && (
+                        <span className="text-[11px] text-muted">{files.length} file(s) selected</span>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="flex items-start gap-2 text-xs text-danger bg-danger/10 border border-danger/20 rounded-md px-3 py-2">
+                        <AlertCircle size={14} className="shrink-0 mt-0.5" />{error}
+                    </div>
+                )}
+
+                {preview?.errors?.length > 0 && (
+                    <ul className="text-xs text-danger space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+                        {preview.errors.map((e, i) => (
+                            <li key={i}><span className="font-mono text-muted">row {e.row}</span> — {e.message}</li>
+                        ))}
+                    </ul>
+                )}
+
+                {preview?.items?.length > 0 && (
+                    <div className="space-y-3">
+                        <div className="text-xs text-muted">
+                            <span className="text-slate-200 font-medium">{preview.count}</span> job(s) for{' '}
+                            <span className="text-slate-200">{workflowsById?.[preview.workflow_id]?.name || preview.workflow_id}</span>
+                            {' '}as <span className="font-mono text-slate-300">{preview.label}</span>
+                            {preview.estimated_duration_ms ? <> · ~{formatDuration(preview.estimated_duration_ms)} of GPU time</> : null}
+                        </div>
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            <div className="overflow-x-auto max-h-72 overflow-y-auto custom-scrollbar border border-border/50 rounded-md">
+                                <table className="w-full text-left text-xs">
+                                    <thead className="bg-surface/50 text-muted uppercase text-[10px] tracking-widest font-bold sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2">#</th>
+                                            <th className="px-3 py-2">Files</th>
+                                            <th className="px-3 py-2">Prompt</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-border/50">
+                                        {preview.items.slice(0, PREVIEW_ROWS).map(it => (
+                                            <tr key={it.row}>
+                                                <td className="px-3 py-1.5 font-mono text-muted">{it.row}</td>
+                                                <td className="px-3 py-1.5 font-mono text-slate-300">{it.files.map(f => f.name).join(', ') || '—'}</td>
+                                                <td className="px-3 py-1.5 text-slate-400 italic truncate max-w-[16rem]" title={it.prompt}>{it.prompt || '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {preview.items.length > PREVIEW_ROWS && (
+                                    <div className="px-3 py-2 text-[11px] text-muted italic">…and {preview.items.length - PREVIEW_ROWS} more</div>
+                                )}
+                            </div>
+                            <div className="border border-border/50 rounded-md p-3">
+                                <div className="text-[10px] uppercase tracking-widest text-muted font-bold mb-2">Item 1 as students would see it</div>
+                                <div className="pointer-events-none opacity-80">
+                                    <DynamicParamFields paramMap={preview.parameter_map} values={preview.items[0].params} />
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {batches.length > 0 && (
+                <div className="border-t border-border divide-y divide-border/50">
+                    {batches.map(b => {
+                        const done = b.completed + b.failed + b.cancelled;
+                        const pct = b.total ? Math.round((done / b.total) * 100) : 0;
+                        return (
+                            <div key={b.id} className="px-6 py-3 flex items-center gap-4 text-xs">
+                                <div className="w-48 min-w-0">
+                                    <div className="font-medium text-slate-200 truncate" title={b.source || ''}>{b.label}</div>
+                                    <div className="text-[10px] text-muted truncate">
+                                        {workflowsById?.[b.workflow_id]?.name || b.workflow_id} · {new Date(b.created_at).toLocaleString()}
+                                    </div>
+                                </div>
+                                <div className="flex-1 h-1.5 bg-white/5 rounded-full overflow-hidden">
+                                    <div className={`h-full ${b.failed ? 'bg-warning' : 'bg-primary'} transition-all`} style={{ width: `${pct}%` }} />
+                                </div>
+                                <div className="flex items-center gap-1.5 whitespace-nowrap">
+                                    <span className="text-muted">{done}/{b.total}</span>
+                                    {b.queued > 0 && <Badge variant="primary" className="text-[10px]">{b.queued} queued</Badge>}
+                                    {b.running > 0 && <Badge variant="warning" className="text-[10px]">{b.running} running</Badge>}
+                                    {b.completed > 0 && <Badge variant="success" className="text-[10px]">{b.completed} done</Badge>}
+                                    {b.failed > 0 && <Badge variant="danger" className="text-[10px]">{b.failed} failed</Badge>}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default BatchPanel;
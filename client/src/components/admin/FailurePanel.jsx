@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { OctagonAlert, AlertTriangle } from 'lucide-react';
+import Card from '../ui/Card';
+import Badge from '../ui/Badge';
+import { SERVER_URL } from '../../utils/api';
+
+const REFRESH_MS = 30000;
+const WINDOWS = [{ hours: 1, label: 'Last hour' }, { hours: 24, label: 'Last 24 h' }, { hours: 24 * 7, label: 'Last 7 days' }];
+// A workflow with at least this many failures, most of its runs, is flagged.
+const BROKEN_MIN_FAILURES = 3;
+
+const fmtWhen = (ts) => (ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+/**
+ * FailurePanel
+ *
+ * Admin view of failed jobs on the Dashboard, grouped by workflow and error
+ * code (the server's failure catalogue), biggest group first. Each group
+ * shows how many users it hit, when it last happened and the catalogue's hint
+ * for fixing it; a workflow that fails most of its runs is flagged so a broken
+ * one stands out.
+ */
+const FailurePanel = () => {
+    const [hours, setHours] = useState(24);
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    const reload = useCallback(async () => {
+        try {
+            const res = await fetch(`${SERVER_URL}/admin/failures?hours=${hours}`);
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || 'Failed to load failures');
+            setData(body);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    }, [hours]);
+
+    useEffect(() => {
+        reload();
+        const t = setInterval(reload, REFRESH_MS);
+        return () => clearInterval(t);
+    }, [reload]);
+
+    // Workflow id → { failed, finished } and whether it looks broken.
+    const workflows = useMemo(() => {
+        const out = {};
+        for (const w of data?.workflows || []) {
+            out[w.workflowId] = { ...w, broken: w.failed >= BROKEN_MIN_FAILURES && w.failed * 2 > w.finished };
+        }
+        return out;
+    }, [data]);
+
+    const windowLabel = WINDOWS.find(w => w.hours === hours)?.label.toLowerCase() || `last ${hours} h`;
+
+    return (
+        <Card className="border-slate-700/50" noPadding>
+            <div className="px-6 py-4 border-b border-border bg-surface/50 flex items-center justify-between flex-wrap gap-3">
+                <h3 className="font-semibold flex items-center space-x-2">
+                    <OctagonAlert size={18} className="text-danger" />
+                    <span>Failures</span>
+                    {data?.total > 0 && <Badge variant="danger">{data.total}</Badge>}
+                </h3>
+                <select
+                    value={hours}
+                    onChange={(e) => setHours(Number(e.target.value))}
+                    className="bg-background/50 border border-border rounded-md px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-primary/50"
+                >
+                    {WINDOWS.map(w => <option key={w.hours} value={w.hours}>{w.label}</option>)}
+                </select>
+            </div>
+
+            {error && <div className="px-6 py-2 text-xs text-danger bg-danger/10 border-b border-danger/20">{error}</div>}
+
+            {!data ? (
+                <div className="p-6 text-center text-muted text-sm italic">Loading failures…</div>
+            ) : data.groups.length === 0 ? (
+                <div className="p-6 text-center text-muted text-sm italic">No failed jobs in the {windowLabel}.</div>
+            ) : (
+                <div className="overflow-x-auto max-h-80 custom-scrollbar">
+                    <table className="w-full text-left text-xs">
+                        <thead className="bg-surface/50 text-muted uppercase text-[10px] tracking-widest font-bold sticky top-0">
+                            <tr>
+                                <th className="px-4 py-2">Workflow</th>
+                                <th className="px-4 py-2">Error</th>
+                                <th className="px-4 py-2 text-right">Jobs</th>
+                                <th className="px-4 py-2 text-right">Users</th>
+                                <th className="px-4 py-2">Last</th>
+                                <th className="px-4 py-2">What to check</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-border/50">
+                            {data.groups.map(g => {
+                                const w = workflows[g.workflowId];
+                                return (
+                                    <tr key={`${g.workflowId}-${g.errorCode}`} className="hover:bg-white/5 transition-colors align-top">
+                                        <td className="px-4 py-2 text-slate-200 max-w-[12rem]">
+                                            <div className="truncate" title={g.workflowId}>{g.workflowId}</div>
+                                            {w?.broken && (
+                                                <span className="mt-1 inline-flex items-center gap-1 text-[10px] text-danger" title={`${w.failed} of ${w.finished} finished jobs failed`}>
+                                                    <AlertTriangle size={10} /> failing most runs
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="px-4 py-2">
+                                            <Badge variant={g.errorCode === 'interrupted' ? 'default' : 'danger'} className="font-mono">{g.errorCode}</Badge>
+                                        </td>
+                                        <td className="px-4 py-2 text-right font-mono" title={w ? `${w.failed} of ${w.finished} finished jobs of this workflow failed` : undefined}>
+                                            {g.count}
+                                        </td>
+                                        <td className="px-4 py-2 text-right font-mono">{g.userCount}</td>
+                                        <td className="px-4 py-2 font-mono text-muted whitespace-nowrap" title={`job ${g.lastJobId}`}>{fmtWhen(g.lastAt)}</td>
+                                        <td className="px-4 py-2 text-muted max-w-[28rem]">
+                                            <div>{g.hint}</div>
+                                            {g.lastReason && (
+                                                <div className="mt-1 font-mono text-[10px] text-slate-400 truncate" title={g.lastReason}>{g.lastReason}</div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default FailurePanel;
@@ -0,0 +1,82 @@
+import { Plus, Trash2, Cpu } from 'lucide-react';
+
+const inputClass = 'w-full bg-background border border-border rounded-md px-2 py-1.5 text-white font-mono text-xs';
+
+/**
+ * GpuWorkersEditor
+ *
+ * Rows of the student-mode GPU worker pool (config.comfy_ui.workers): each
+ * worker is its own ComfyUI on its own port, pinned to GPUs with
+ * CUDA_VISIBLE_DEVICES, with a VRAM budget the executor matches against a
+ * workflow's minimum VRAM. A row with a host is a ComfyUI already running on
+ * another machine, driven over its API. An empty list runs the single
+ * ComfyUI configured above. Takes effect on the next student-mode start.
+ *
+ * @param {Object} props
+ * @param {Array} props.workers - [{ id, label, host, api_port, cuda_visible_devices, vramBudgetGb? }]
+ * @param {Function} props.onChange - Called with the new array
+ * @param {number} [props.basePort] - API port of the single ComfyUI; new rows count up from it
+ */
+const GpuWorkersEditor = ({ workers, onChange, basePort = 8188 }) => {
+    const update = (i, patch) => onChange(workers.map((w, j) => (j === i ? { ...w, ...patch } : w)));
+    const remove = (i) => onChange(workers.filter((_, j) => j !== i));
+    const add = () => {
+        const n = workers.length;
+        const port = Math.max(basePort - 1, ...workers.map(w => w.api_port || 0)) + 1;
+        onChange([...workers, { id: `gpu${n}`, label: `GPU ${n}`, host: '', api_port: port, cuda_visible_devices: String(n) }]);
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center justify-between">
+                <label className="text-xs uppercase tracking-wider text-muted font-semibold flex items-center gap-1.5">
+                    <Cpu size={12} /> GPU workers
+                </label>
+                <button type="button" onClick={add}
+                    className="text-[11px] px-2 py-0.5 bg-surface border border-border rounded hover:border-primary/50 text-muted flex items-center gap-1">
+                    <Plus size={11} /> Add worker
+                </button>
+            </div>
+            {workers.length === 0 ? (
+                <p className="text-[11px] text-muted">
+                    None — jobs run on the single ComfyUI above. Add one row per GPU to run jobs side by side;
+                    each worker starts its own ComfyUI on its own port.
+                </p>
+            ) : (
+                <div className="space-y-1.5">
+                    <div className="grid grid-cols-[1fr_1.5fr_1.5fr_0.8fr_0.8fr_0.8fr_auto] gap-2 text-[10px] uppercase tracking-widest text-muted font-bold px-0.5">
+                        <span>Id</span><span>Label</span><span>Host</span><span>Port</span><span>CUDA devices</span><span>VRAM (GB)</span><span />
+                    </div>
+                    {workers.map((w, i) => (
+                        <div key={i} className="grid grid-cols-[1fr_1.5fr_1.5fr_0.8fr_0.8fr_0.8fr_auto] gap-2 items-center">
+                            <input className={inputClass} value={w.id || ''}
+                                onChange={(e) => update(i, { id: e.target.value.replace(/[^a-zA-Z0-9_-]/g, '') })} />
+                            <input className={inputClass} value={w.label || ''}
+                                onChange={(e) => update(i, { label: e.target.value })} />
+                            <input className={inputClass} value={w.host || ''} placeholder="this machine"
+                                title="Leave blank to launch ComfyUI here; set to another machine's address to use the ComfyUI running there"
+                                onChange={(e) => update(i, { host: e.target.value.trim() })} />
+                            <input className={inputClass} type="number" value={w.api_port ?? ''}
+                                onChange={(e) => update(i, { api_port: parseInt(e.target.value, 10) || 0 })} />
+                            <input className={inputClass} value={w.cuda_visible_devices || ''} placeholder="all"
+                                disabled={!!w.host}
+                                onChange={(e) => update(i, { cuda_visible_devices: e.target.value })} />
+                            <input className={inputClass} type="number" value={w.vramBudgetGb ?? ''} placeholder="default"
+                                onChange={(e) => update(i, { vramBudgetGb: e.target.value === '' ? undefined : parseFloat(e.target.value) })} />
+                            <button type="button" onClick={() => remove(i)} title="Remove worker"
+                                className="p-1.5 text-muted hover:text-danger transition-colors">
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    ))}
+                    <p className="text-[11px] text-muted">
+                        A job runs on an idle worker whose VRAM covers the workflow&apos;s minimum. Remote workers receive inputs and
+                        return outputs over ComfyUI&apos;s API; their GPU selection is up to that machine. Restart required after changing.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GpuWorkersEditor;
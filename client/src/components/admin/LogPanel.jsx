@@ -0,0 +1,193 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { io } from 'socket.io-client';
+import { ScrollText, Trash2 } from 'lucide-react';
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import { SERVER_URL } from '../../utils/api';
+
+// Polling interval when there is no live channel (admin mode).
+const POLL_MS = 3000;
+const MAX_ENTRIES = 2000;
+const LEVEL_RANK = { info: 0, warn: 1, error: 2 };
+const LEVEL_CLASS = { info: 'text-slate-300', warn: 'text-warning', error: 'text-danger' };
+
+const fmtTime = (ts) => new Date(ts).toLocaleTimeString([], { hour12: false });
+
+// Same rule as the server: a full job id matches its 8-char short form.
+const matchesJob = (entry, jobId) => !!entry.job_id && (entry.job_id.startsWith(jobId) || jobId.startsWith(entry.job_id));
+
+/**
+ * LogPanel
+ *
+ * Admin log viewer: the server's rolling log of ComfyUI output and ComfyQ's
+ * own tagged lines ([Executor], [Worker], …). Live over the /admin-logs
+ * socket namespace in student mode, polled otherwise. Filters by job id and
+ * minimum severity; for a full job id it also shows the excerpts stored with
+ * the job's failed attempts, which outlive the rolling log.
+ *
+ * @param {Object} props
+ * @param {string} [props.adminPassword] - Sent as X-Admin-Password / socket auth
+ */
+const LogPanel = ({ adminPassword }) => {
+    const [entries, setEntries] = useState([]);
+    const [live, setLive] = useState(false);
+    const [error, setError] = useState(null);
+    const [jobFilter, setJobFilter] = useState('');
+    const [minLevel, setMinLevel] = useState('info');
+    const [source, setSource] = useState('');
+    const [follow, setFollow] = useState(true);
+    const [failures, setFailures] = useState(null);
+    const lastSeqRef = useRef(0);
+    const scrollRef = useRef(null);
+
+    const headers = useMemo(() => (adminPassword ? { 'X-Admin-Password': adminPassword } : {}), [adminPassword]);
+
+    // Append new entries; a progress-bar redraw replaces the line it updates.
+    const merge = useCallback((incoming) => {
+        const fresh = incoming.filter(e => e.seq > lastSeqRef.current);
+        if (fresh.length === 0) return;
+        lastSeqRef.current = fresh[fresh.length - 1].seq;
+        const replaced = new Set(fresh.map(e => e.replaces).filter(Boolean));
+        setEntries(prev => [...prev, ...fresh].filter(e => !replaced.has(e.seq)).slice(-MAX_ENTRIES));
+    }, []);
+
+    const fetchSince = useCallback(async () => {
+        try {
+            const res = await fetch(`${SERVER_URL}/admin/logs?since=${lastSeqRef.current}&limit=${MAX_ENTRIES}`, { headers });
+            const body = await res.json().catch(() => ({}));
+            if (res.status === 401) throw new Error('Enter the admin password above to view the logs.');
+            if (!res.ok) throw new Error(body.error || 'Failed to load logs');
+            // The server restarted — its sequence started over.
+            if (body.lastSeq < lastSeqRef.current) {
+                lastSeqRef.current = 0;
+                setEntries([]);
+            }
+            merge(body.entries);
+            setLive(!!body.live);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    }, [headers, merge]);
+
+    useEffect(() => {
+        fetchSince();
+        if (live) return undefined;
+        const t = setInterval(fetchSince, POLL_MS);
+        return () => clearInterval(t);
+    }, [fetchSince, live]);
+
+    // Student mode: new lines arrive over the socket; a (re)connect catches
+    // up on whatever was logged while it was away.
+    useEffect(() => {
+        if (!live) return undefined;
+        const opts = { auth: { admin_password: adminPassword || '' } };
+        const socket = SERVER_URL ? io(`${SERVER_URL}/admin-logs`, opts) : io('/admin-logs', opts);
+        socket.on('connect', fetchSince);
+        socket.on('log_entries', merge);
+        socket.on('connect_error', (e) => setError(`Live log unavailable: ${e.message}`));
+        return () => socket.close();
+    }, [live, adminPassword, fetchSince, merge]);
+
+    // Stored failure excerpts for a full job id.
+    useEffect(() => {
+        const jobId = jobFilter.trim();
+        if (jobId.length <= 8) {
+            setFailures(null);
+            return undefined;
+        }
+        const t = setTimeout(async () => {
+            try {
+                const res = await fetch(`${SERVER_URL}/admin/logs?jobId=${encodeURIComponent(jobId)}&limit=1`, { headers });
+                const body = await res.json();
+                setFailures(res.ok ? body.failures || [] : null);
+            } catch {
+                setFailures(null);
+            }
+        }, 400);
+        return () => clearTimeout(t);
+    }, [jobFilter, headers]);
+
+    const visible = useMemo(() => {
+        const jobId = jobFilter.trim();
+        const min = LEVEL_RANK[minLevel];
+        return entries.filter(e => LEVEL_RANK[e.level] >= min
+            && (!source || e.source === source)
+            && (!jobId || matchesJob(e, jobId)));
+    }, [entries, jobFilter, minLevel, source]);
+
+    useEffect(() => {
+        if (follow && scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }, [visible, follow]);
+
+    const selectClass = 'bg-background/50 border border-border rounded-md px-2 py-1 text-xs text-slate-200 focus:outline-none focus:border-primary/50';
+
+    return (
+        <Card className="border-slate-700/50" noPadding>
+            <div className="px-6 py-4 border-b border-border bg-surface/50 flex items-center justify-between flex-wrap gap-3">
+                <h3 className="font-semibold flex items-center space-x-2">
+                    <ScrollText size={18} className="text-primary" />
+                    <span>Logs</span>
+                    <span className="text-[10px] uppercase tracking-widest text-muted font-bold">{live ? 'live' : `every ${POLL_MS / 1000}s`}</span>
+                </h3>
+                <div className="flex items-center gap-2 flex-wrap text-xs text-slate-300">
+                    <input
+                        value={jobFilter}
+                        onChange={(e) => setJobFilter(e.target.value)}
+                        placeholder="Job id"
+                        className={`${selectClass} w-40 font-mono`}
+                    />
+                    <select value={minLevel} onChange={(e) => setMinLevel(e.target.value)} className={selectClass}>
+                        <option value="info">All levels</option>
+                        <option value="warn">Warnings + errors</option>
+                        <option value="error">Errors only</option>
+                    </select>
+                    <select value={source} onChange={(e) => setSource(e.target.value)} className={selectClass}>
+                        <option value="">ComfyUI + ComfyQ</option>
+                        <option value="comfyui">ComfyUI only</option>
+                        <option value="comfyq">ComfyQ only</option>
+                    </select>
+                    <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={follow} onChange={(e) => setFollow(e.target.checked)} className="accent-primary" />
+                        Follow
+                    </label>
+                    <Button size="sm" variant="ghost" icon={Trash2} onClick={() => setEntries([])} title="Clear this view (the server keeps its log)">Clear</Button>
+                </div>
+            </div>
+
+            {error && <div className="px-6 py-2 text-xs text-danger bg-danger/10 border-b border-danger/20">{error}</div>}
+
+            {failures?.length > 0 && (
+                <div className="px-6 py-3 border-b border-border space-y-3">
+                    {failures.map(f => (
+                        <div key={f.ts}>
+                            <div className="text-xs text-danger mb-1">
+                                {f.status === 'retrying' ? 'Attempt failed' : 'Failed'} {new Date(f.ts).toLocaleString()} — {f.errorPhase}: {String(f.errorReason).split('\n')[0]}
+                            </div>
+                            <pre className="text-[11px] font-mono text-slate-300 bg-background/50 border border-border/50 rounded-lg p-2 max-h-48 overflow-auto custom-scrollbar whitespace-pre-wrap">{f.lines.join('\n')}</pre>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div ref={scrollRef} className="h-80 overflow-auto custom-scrollbar px-4 py-2 font-mono text-[11px] leading-relaxed">
+                {visible.length === 0 ? (
+                    <div className="p-6 text-center text-muted text-sm italic font-sans">No log lines{jobFilter || minLevel !== 'info' || source ? ' match these filters' : ' yet'}.</div>
+                ) : visible.map(e => (
+                    <div key={e.seq} className={`whitespace-pre-wrap break-all ${LEVEL_CLASS[e.level]}`}>
+                        <span className="text-muted">{fmtTime(e.ts)} </span>
+                        <span className="text-primary/80">[{e.tag || (e.worker_id ? `ComfyUI ${e.worker_id}` : 'ComfyUI')}]</span>{' '}
+                        {e.job_id && e.source === 'comfyui' && (
+                            <button type="button" onClick={() => setJobFilter(e.job_id)} className="text-muted hover:text-primary" title="Show only this job">
+                                {e.job_id.slice(0, 8)}{' '}
+                            </button>
+                        )}
+                        {e.text}
+                    </div>
+                ))}
+            </div>
+        </Card>
+    );
+};
+
+export default LogPanel;
@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Gauge, Save, RotateCcw } from 'lucide-react';
+import Card from '../ui/Card';
+import Badge from '../ui/Badge';
+import Button from '../ui/Button';
+import { SERVER_URL } from '../../utils/api';
+
+const REFRESH_MS = 10000;
+
+// Column definitions shared by the defaults row and each user's override row.
+// `remainingKey` points into the server's `remaining` object.
+const LIMITS = [
+    { key: 'maxPendingJobs',          label: 'Pending jobs',      remainingKey: 'pendingJobs',  step: 1 },
+    { key: 'maxJobsPerHour',          label: 'Jobs / hour',       remainingKey: 'jobsThisHour', step: 1 },
+    { key: 'maxGpuMinutesPerSession', label: 'GPU min / session', remainingKey: 'gpuMinutes',   step: 0.5 }
+];
+
+const fmtRemaining = (v, step) => {
+    if (v == null) return '∞';
+    return step < 1 ? v.toFixed(1) : String(v);
+};
+
+/**
+ * QuotaPanel
+ *
+ * Admin view of per-user booking quotas on the Dashboard: global defaults,
+ * the fair-share toggle, and one row per known user with remaining headroom
+ * and an editable override. A limit of 0 means unlimited. Reading and
+ * writing need the admin password when one is set.
+ *
+ * @param {Object} props
+ * @param {string} [props.adminPassword] - Sent as X-Admin-Password
+ */
+const QuotaPanel = ({ adminPassword }) => {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [defaultsDraft, setDefaultsDraft] = useState(null);
+    const [drafts, setDrafts] = useState({}); // userId → { limitKey: string }
+    const [saving, setSaving] = useState(null);
+
+    const headers = useMemo(() => {
+        const h = { 'Content-Type': 'application/json' };
+        if (adminPassword) h['X-Admin-Password'] = adminPassword;
+        return h;
+    }, [adminPassword]);
+
+    const reload = useCallback(async () => {
+        try {
+            const res = await fetch(`${SERVER_URL}/admin/quotas`, { headers });
+            const body = await res.json().catch(() => ({}));
+            if (res.status === 401) throw new Error('Enter the admin password above to view quotas.');
+            if (!res.ok) throw new Error(body.error || 'Failed to load quotas');
+            setData(body);
+            setDefaultsDraft(prev => prev || Object.fromEntries(LIMITS.map(l => [l.key, String(body.quotas[l.key] ?? 0)])));
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    }, [headers]);
+
+    useEffect(() => {
+        reload();
+        const t = setInterval(reload, REFRESH_MS);
+        return () => clearInterval(t);
+    }, [reload]);
+
+    const put = async (url, body, tag) => {
+        setSaving(tag);
+        try {
+            const res = await fetch(`${SERVER_URL}${url}`, { method: 'PUT', headers, body: JSON.stringify(body) });
+            const out = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(out.error || 'Save failed');
+            setError(null);
+            await reload();
+            return true;
+        } catch (e) {
+            setError(e.message);
+            return false;
+        } finally {
+            setSaving(null);
+        }
+    };
+
+    const toNumbers = (draft) => Object.fromEntries(
+        LIMITS.filter(l => draft?.[l.key] !== '' && draft?.[l.key] != null)
+            .map(l => [l.key, Number(draft[l.key])])
+    );
+
+    const saveDefaults = () => put('/admin/quotas', toNumbers(defaultsDraft), 'defaults');
+    const toggleFairShare = (fairShare) => put('/admin/quotas', { fairShare }, 'fairShare');
+
+    const saveOverride = async (userId) => {
+        const ok = await put(`/admin/quotas/users/${encodeURIComponent(userId)}`, toNumbers(drafts[userId]), userId);
+        if (ok) setDrafts(d => { const next = { ...d }; delete next[userId]; return next; });
+    };
+    const clearOverride = async (userId) => {
+        const ok = await put(`/admin/quotas/users/${encodeURIComponent(userId)}`, { clear: true }, userId);
+        if (ok) setDrafts(d => { const next = { ...d }; delete next[userId]; return next; });
+    };
+
+    const draftValue = (user, key) => {
+        const d = drafts[user.userId];
+        if (d && d[key] !== undefined) return d[key];
+        return String(data.quotas.overrides?.[user.userId]?.[key] ?? '');
+    };
+    const setDraftValue = (userId, key, value) => {
+        setDrafts(d => ({ ...d, [userId]: { ...(d[userId] || {}), [key]: value } }));
+    };
+
+    const inputClass = 'w-20 bg-background/50 border border-border rounded-md px-2 py-1 text-xs text-slate-200 font-mono focus:outline-none focus:border-primary/50';
+
+    return (
+        <Card className="border-slate-700/50" noPadding>
+            <div className="px-6 py-4 border-b border-border bg-surface/50 flex items-center justify-between flex-wrap gap-3">
+                <h3 className="font-semibold flex items-center space-x-2">
+                    <Gauge size={18} className="text-primary" />
+                    <span>Booking Quotas</span>
+                </h3>
+                <label className="flex items-center gap-2 cursor-pointer text-xs text-slate-300" title="Interleave ASAP bookings round-robin across users instead of first-come-first-served">
+                    <input
+                        type="checkbox"
+                        checked={!!data?.quotas?.fairShare}
+                        disabled={!data || saving === 'fairShare'}
+                        onChange={(e) => toggleFairShare(e.target.checked)}
+                        className="h-4 w-4 accent-primary"
+                    />
+                    Fair-share scheduling
+                </label>
+            </div>
+
+            {error && <div className="px-6 py-2 text-xs text-danger bg-danger/10 border-b border-danger/20">{error}</div>}
+
+            {!data ? (
+                <div className="p-6 text-center text-muted text-sm italic">Loading quotas…</div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                        <thead className="bg-surface/50 text-muted uppercase text-[10px] tracking-widest font-bold">
+                            <tr>
+                                <th className="px-6 py-3">User</th>
+                                {LIMITS.map(l => <th key={l.key} className="px-3 py-3">{l.label}</th>)}
+                                <th className="px-6 py-3 text-right">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-border/50">
+                            <tr className="bg-primary/5">
+                                <td className="px-6 py-3 font-medium text-slate-200">
+                                    Defaults <span className="text-[10px] text-muted font-normal">(0 = unlimited)</span>
+                                </td>
+                                {LIMITS.map(l => (
+                                    <td key={l.key} className="px-3 py-3">
+                                        <input
+                                            type="number" min={0} step={l.step}
+                                            value={defaultsDraft?.[l.key] ?? ''}
+                                            onChange={(e) => setDefaultsDraft(d => ({ ...d, [l.key]: e.target.value }))}
+                                            className={inputClass}
+                                        />
+                                    </td>
+                                ))}
+                                <td className="px-6 py-3 text-right">
+                                    <Button size="sm" variant="secondary" icon={Save} onClick={saveDefaults}
+                                        isLoading={saving === 'defaults'}>Save</Button>
+                                </td>
+                            </tr>
+                            {data.users.map(user => (
+                                <tr key={user.userId} className="hover:bg-white/5 transition-colors">
+                                    <td className="px-6 py-3">
+                                        <div className="flex items-center gap-2">
+                                            <span className="font-medium text-slate-200 truncate max-w-[10rem]" title={user.userId}>{user.userId}</span>
+                                            {user.overridden && <Badge variant="warning" className="text-[10px]">override</Badge>}
+                                        </div>
+                                    </td>
+                                    {LIMITS.map(l => (
+                                        <td key={l.key} className="px-3 py-3">
+                                            <div className="flex items-center gap-2">
+                                                <input
+                                                    type="number" min={0} step={l.step}
+                                                    value={draftValue(user, l.key)}
+                                                    onChange={(e) => setDraftValue(user.userId, l.key, e.target.value)}
+                                                    placeholder={String(data.quotas[l.key] ?? 0)}
+                                                    className={inputClass}
+                                                    title="Leave blank to use the default"
+                                                />
+                                                <span className="text-[11px] text-muted whitespace-nowrap" title="Remaining">
+                                                    {fmtRemaining(user.remaining[l.remainingKey], l.step)} left
+                                                </span>
+                                            </div>
+                                        </td>
+                                    ))}
+                                    <td className="px-6 py-3">
+                                        <div className="flex items-center justify-end gap-1">
+                                            <Button size="sm" variant="ghost" icon={Save}
+                                                disabled={!drafts[user.userId]}
+                                                isLoading={saving === user.userId}
+                                                onClick={() => saveOverride(user.userId)}>Override</Button>
+                                            {user.overridden && (
+                                                <Button size="sm" variant="ghost" icon={RotateCcw}
+                                                    onClick={() => clearOverride(user.userId)}>Reset</Button>
+                                            )}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                            {data.users.length === 0 && (
+                                <tr>
+                                    <td colSpan={LIMITS.length + 2} className="px-6 py-6 text-center text-muted italic">
+                                        {data.sessionStartedAt ? 'No users yet.' : 'Quotas apply once a workflow is active (student mode).'}
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default QuotaPanel;
@@ -0,0 +1,190 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Archive, Save, Trash2, Star } from 'lucide-react';
+import Card from '../ui/Card';
+import Button from '../ui/Button';
+import { SERVER_URL } from '../../utils/api';
+
+const REFRESH_MS = 30000;
+
+const fmtBytes = (n) => {
+    if (!n) return '0 MB';
+    if (n >= 1024 ** 3) return `${(n / 1024 ** 3).toFixed(2)} GB`;
+    return `${(n / 1024 ** 2).toFixed(1)} MB`;
+};
+
+const fmtWhen = (ts) => (ts ? new Date(ts).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+/**
+ * RetentionPanel
+ *
+ * Admin view of output retention on the Dashboard: the retention window, a
+ * preview of what the next sweep removes (jobs, files, disk freed, pinned
+ * jobs it keeps) and a "Sweep now" button. 0 days keeps outputs forever.
+ * Writes need the admin password when one is set.
+ *
+ * @param {Object} props
+ * @param {string} [props.adminPassword] - Sent as X-Admin-Password on writes
+ */
+const RetentionPanel = ({ adminPassword }) => {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [daysDraft, setDaysDraft] = useState(null);
+    const [busy, setBusy] = useState(null);
+    const [lastResult, setLastResult] = useState(null);
+
+    const headers = useMemo(() => {
+        const h = { 'Content-Type': 'application/json' };
+        if (adminPassword) h['X-Admin-Password'] = adminPassword;
+        return h;
+    }, [adminPassword]);
+
+    const reload = useCallback(async () => {
+        try {
+            const res = await fetch(`${SERVER_URL}/admin/retention`);
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || 'Failed to load retention preview');
+            setData(body);
+            setDaysDraft(prev => prev ?? String(body.retentionDays));
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        reload();
+        const t = setInterval(reload, REFRESH_MS);
+        return () => clearInterval(t);
+    }, [reload]);
+
+    const send = async (method, url, body, tag) => {
+        setBusy(tag);
+        try {
+            const res = await fetch(`${SERVER_URL}${url}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+            const out = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(out.error || 'Request failed');
+            setError(null);
+            await reload();
+            return out;
+        } catch (e) {
+            setError(e.message);
+            return null;
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const saveDays = async () => {
+        const out = await send('PUT', '/admin/retention', { outputRetentionDays: Number(daysDraft) }, 'days');
+        if (out) setDaysDraft(String(out.outputRetentionDays));
+    };
+
+    const sweepNow = async () => {
+        if (!window.confirm(`Delete the outputs of ${data.jobCount} job(s) (${fmtBytes(data.totalBytes)})? Pinned jobs are kept. This cannot be undone.`)) return;
+        const out = await send('POST', '/admin/retention/run', null, 'run');
+        if (out) setLastResult(out);
+    };
+
+    const enabled = !!data?.retentionDays;
+    const inputClass = 'w-20 bg-background/50 border border-border rounded-md px-2 py-1 text-xs text-slate-200 font-mono focus:outline-none focus:border-primary/50';
+
+    return (
+        <Card className="border-slate-700/50" noPadding>
+            <div className="px-6 py-4 border-b border-border bg-surface/50 flex items-center justify-between flex-wrap gap-3">
+                <h3 className="font-semibold flex items-center space-x-2">
+                    <Archive size={18} className="text-primary" />
+                    <span>Output Retention</span>
+                </h3>
+                <div className="flex items-center gap-2 text-xs text-slate-300">
+                    <span>Keep outputs for</span>
+                    <input
+                        type="number" min={0} step={1}
+                        value={daysDraft ?? ''}
+                        onChange={(e) => setDaysDraft(e.target.value)}
+                        className={inputClass}
+                        title="0 keeps outputs forever"
+                    />
+                    <span>days</span>
+                    <Button size="sm" variant="secondary" icon={Save} onClick={saveDays}
+                        disabled={!data || daysDraft === String(data.retentionDays)}
+                        isLoading={busy === 'days'}>Save</Button>
+                </div>
+            </div>
+
+            {error && <div className="px-6 py-2 text-xs text-danger bg-danger/10 border-b border-danger/20">{error}</div>}
+
+            {!data ? (
+                <div className="p-6 text-center text-muted text-sm italic">Loading retention…</div>
+            ) : !enabled ? (
+                <div className="p-6 text-center text-muted text-sm italic">Retention is off — outputs are kept until deleted by hand.</div>
+            ) : (
+                <div className="p-6 space-y-4">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        {[
+                            { label: 'Jobs to sweep', value: data.jobCount },
+                            { label: 'Files', value: data.fileCount },
+                            { label: 'Disk freed', value: fmtBytes(data.totalBytes) },
+                            { label: 'Pinned, kept', value: data.pinnedKept, icon: Star }
+                        ].map(s => (
+                            <div key={s.label} className="p-3 rounded-lg bg-background/50 border border-border/50">
+                                <div className="text-[10px] uppercase tracking-widest text-muted font-bold flex items-center gap-1">
+                                    {s.icon && <s.icon size={10} />}{s.label}
+                                </div>
+                                <div className="text-lg font-semibold text-slate-200 font-mono mt-1">{s.value}</div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="flex items-center justify-between flex-wrap gap-3 text-xs text-muted">
+                        <span>
+                            Removes results finished before {fmtWhen(data.cutoff)}.{' '}
+                            {data.scheduled ? `Next sweep ${fmtWhen(data.nextRunAt)}.` : 'Sweeps run hourly in student mode.'}
+                            {data.lastRun && ` Last sweep ${fmtWhen(data.lastRun.at)}: ${data.lastRun.jobsSwept} job(s), ${fmtBytes(data.lastRun.bytesFreed)}.`}
+                        </span>
+                        <Button size="sm" variant="danger" icon={Trash2} onClick={sweepNow}
+                            disabled={data.jobCount === 0} isLoading={busy === 'run'}>Sweep now</Button>
+                    </div>
+
+                    {lastResult && (
+                        <div className="text-xs text-slate-300">
+                            Swept {lastResult.jobsSwept} job(s): {lastResult.filesDeleted} file(s), {fmtBytes(lastResult.bytesFreed)} freed
+                            {lastResult.errors?.length > 0 && <span className="text-danger"> — {lastResult.errors.length} error(s): {lastResult.errors.slice(0, 3).join('; ')}</span>}
+                        </div>
+                    )}
+
+                    {data.jobs.length > 0 && (
+                        <div className="overflow-x-auto max-h-64 custom-scrollbar border border-border/50 rounded-lg">
+                            <table className="w-full text-left text-xs">
+                                <thead className="bg-surface/50 text-muted uppercase text-[10px] tracking-widest font-bold sticky top-0">
+                                    <tr>
+                                        <th className="px-4 py-2">Finished</th>
+                                        <th className="px-4 py-2">User</th>
+                                        <th className="px-4 py-2">Workflow</th>
+                                        <th className="px-4 py-2 text-right">Files</th>
+                                        <th className="px-4 py-2 text-right">Size</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-border/50">
+                                    {data.jobs.map(j => (
+                                        <tr key={j.id} className="hover:bg-white/5 transition-colors">
+                                            <td className="px-4 py-2 font-mono text-muted">{fmtWhen(j.finishedAt)}</td>
+                                            <td className="px-4 py-2 text-slate-200 truncate max-w-[10rem]" title={j.userId}>{j.userId}</td>
+                                            <td className="px-4 py-2 text-muted truncate max-w-[12rem]" title={j.workflowId}>{j.workflowId}</td>
+                                            <td className="px-4 py-2 text-right font-mono">{j.files}{j.hasIngredients ? ' +ingr.' : ''}</td>
+                                            <td className="px-4 py-2 text-right font-mono">{fmtBytes(j.bytes)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {data.jobCount > data.jobs.length && (
+                                <div className="px-4 py-2 text-[11px] text-muted italic">…and {data.jobCount - data.jobs.length} more</div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </Card>
+    );
+};
+
+export default RetentionPanel;
@@ -40,6 +40,7 @@ const WorkflowMetaEditor = ({ workflowId, adminPassword, onClose, onSaved }) =>
     const [comfyMsg, setComfyMsg] = useState('');
     const [comfyBusy, setComfyBusy] = useState(false);
     const [showPreview, setShowPreview] = useState(false);
+    const [comfyReachable, setComfyReachable] = useState(true);
 
     const headers = useMemo(() => {
         const h = { 'Content-Type': 'application/json' };
@@ -60,6 +61,7 @@ const WorkflowMetaEditor = ({ workflowId, adminPassword, onClose, onSaved }) =>
                 setMeta(data.meta);
                 setParams(data.detectedParameters);
                 setApiWorkflow(data.apiWorkflow || null);
+                setComfyReachable(data.comfyReachable !== false);
             } catch (e) {
                 if (!cancelled) setError(e.message);
             } finally {
@@ -196,6 +198,7 @@ const WorkflowMetaEditor = ({ workflowId, adminPassword, onClose, onSaved }) =>
                     label: p.label,
                     default: coerceDefault(p),
                     options: p.options && p.options.length > 0 ? p.options : undefined,
+                    liveOptions: p.type === 'select' && p.liveOptions ? true : undefined,
                     min: p.min,
                     max: p.max,
                     step: p.step,
@@ -356,6 +359,12 @@ const WorkflowMetaEditor = ({ workflowId, adminPassword, onClose, onSaved }) =>
                             )}
                         </div>
 
+                        {!comfyReachable && (
+                            <p className="text-[11px] text-amber-400 leading-snug">
+                                ComfyUI isn&apos;t reachable, so dropdown choices can&apos;t be read from its installed nodes right now. Live lists keep their saved options until it is.
+                            </p>
+                        )}
+
                         <p className="text-[10px] text-muted">
                             Drag-equivalent: use the ▲/▼ buttons to reorder. The order set here is exactly the order students see in the booking dialog.
                         </p>
@@ -448,13 +457,39 @@ const WorkflowMetaEditor = ({ workflowId, adminPassword, onClose, onSaved }) =>
                                                     </div>
                                                     {p.type === 'select' && p.enabled && (
                                                         <div className="md:col-span-12 space-y-1">
-                                                            <label className="text-[10px] uppercase tracking-wider text-muted font-semibold">Options (comma-separated)</label>
+                                                            <div className="flex items-center justify-between gap-2">
+                                                                <label className="text-[10px] uppercase tracking-wider text-muted font-semibold">
+                                                                    {p.liveOptions ? 'Options (live from ComfyUI — saved list is the fallback)' : 'Options (comma-separated)'}
+                                                                </label>
+                                                                {/* Live options follow ComfyUI's installed models / node choices. */}
+                                                                {(p.comboOptions || p.liveOptions) && (
+                                                                    <label className="flex items-center gap-1.5 text-[11px] text-muted cursor-pointer"
+                                                                        title="Refresh this list from ComfyUI's /object_info, so newly installed models appear in the booking form">
+                                                                        <input type="checkbox" checked={!!p.liveOptions}
+                                                                            onChange={e => updateParam(idx, e.target.checked
+                                                                                ? { liveOptions: true, options: p.comboOptions || p.options }
+                                                                                : { liveOptions: false })} />
+                                                                        Live from ComfyUI
+                                                                    </label>
+                                                                )}
+                                                            </div>
                                                             <input type="text"
                                                                 value={(p.options || []).join(', ')}
+                                                                readOnly={!!p.liveOptions}
                                                                 onChange={e => updateParam(idx, {
                                                                     options: e.target.value.split(',').map(s => s.trim()).filter(Boolean)
                                                                 })}
-                                                                className="w-full bg-background border border-border rounded px-2 py-1.5 text-sm text-white" />
+                                                                className="w-full bg-background border border-border rounded px-2 py-1.5 text-sm text-white read-only:opacity-60" />
+                                                        </div>
+                                                    )}
+                                                    {p.type !== 'select' && p.comboOptions && p.enabled && (
+                                                        <div className="md:col-span-12">
+                                                            <button type="button"
+                                                                onClick={() => updateParam(idx, { type: 'select', options: p.comboOptions, liveOptions: true })}
+                                                                className="text-[11px] text-primary hover:underline"
+                                                                title={p.comboOptions.slice(0, 12).join('\n')}>
+                                                                ComfyUI offers {p.comboOptions.length} choice{p.comboOptions.length === 1 ? '' : 's'} here — make it a live dropdown
+                                                            </button>
                                                         </div>
                                                     )}
                                                     {p.type === 'number' && p.enabled && (
@@ -9,14 +9,26 @@ import ETABadge from './ETABadge';
 //
 // When `progress` is null, falls through to the indeterminate striped bar
 // so callers can use one component for both phases of a processing job.
-const ProgressViz = ({ progress, currentNode, etaSeconds, size = 'md' }) => {
+// `previewUrl` (md only) is the job's latest live latent preview, shown above
+// the bar while sampling; the grid cell shows its own, full-size.
+//
+// The bar follows `progress.overall` (graph-weighted over every node) when
+// the server sends it, else the sampler steps. The label reads "Step x of y"
+// while a sampler runs and "Node n of N" between samplers. `currentNode` is
+// the executing node's title (or id).
+const ProgressViz = ({ progress, currentNode, etaSeconds, previewUrl, size = 'md' }) => {
     const isSm = size === 'sm';
     const textSize = isSm ? 'text-[8px] text-primary/70' : 'text-[9px] text-primary/80';
     const nodeText = isSm ? 'text-[8px] text-primary/50' : 'text-[9px] text-primary/60';
+    const preview = previewUrl && !isSm ? (
+        <img src={previewUrl} alt="Live preview"
+            className="w-full max-h-40 object-contain rounded-md bg-background/50 border border-border/50" />
+    ) : null;
 
     if (!progress) {
         return (
             <div className="space-y-1.5">
+                {preview}
                 {currentNode && !isSm && (
                     <p className={`${nodeText} font-medium`}>Node: {currentNode}</p>
                 )}
@@ -30,14 +42,20 @@ const ProgressViz = ({ progress, currentNode, etaSeconds, size = 'md' }) => {
         );
     }
 
-    const pct = progress.max > 0 ? (progress.value / progress.max) * 100 : 0;
+    const stepPct = progress.max > 0 ? (progress.value / progress.max) * 100 : 0;
+    const pct = progress.overall != null ? progress.overall * 100 : stepPct;
+    const showSteps = progress.max > 0 && (progress.sampling !== false || !progress.nodes_total);
+    const label = showSteps
+        ? `Step ${progress.value} of ${progress.max}`
+        : `Node ${Math.min(progress.nodes_done + 1, progress.nodes_total)} of ${progress.nodes_total}`;
     return (
         <div className="space-y-1.5">
+            {preview}
             {currentNode && !isSm && (
                 <p className={`${nodeText} font-medium`}>Node: {currentNode}</p>
             )}
             <div className={`flex justify-between font-mono ${textSize}`}>
-                <span>Step {progress.value} of {progress.max}</span>
+                <span>{label}</span>
                 <ETABadge etaSeconds={etaSeconds} className="text-primary/60" />
                 <span>{Math.round(pct)}%</span>
             </div>
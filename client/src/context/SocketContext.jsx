@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import { io } from 'socket.io-client';
 import Toast from '../components/ui/Toast';
 import { SERVER_URL } from '../utils/api';
@@ -28,6 +28,15 @@ export const SocketProvider = ({ children }) => {
 
     const [toasts, setToasts] = useState([]);
     const [workflowsById, setWorkflowsById] = useState({});
+    // Live latent previews of running jobs: job id → object URL of the latest
+    // frame. Only arrives for your own jobs (or everyone's, per server config).
+    const [previews, setPreviews] = useState({});
+    const previewUrlsRef = useRef({});
+    // Operator alerts (admin_alert), e.g. a job the stuck-job watchdog
+    // stopped. Shown on the dashboard until dismissed; the server replays
+    // recent ones on (re)connect, so dismissed ids are remembered.
+    const [alerts, setAlerts] = useState([]);
+    const dismissedAlertsRef = useRef(new Set());
 
     // Fetch the workflow library once so jobs can resolve workflow_id → name.
     // Past jobs may reference workflows that aren't currently active.
@@ -59,6 +68,29 @@ export const SocketProvider = ({ children }) => {
 
         newSocket.on('state_update', (newState) => {
             setState(newState);
+            // Drop previews of jobs that are no longer running.
+            const running = new Set((newState.jobs || []).filter(j => j.status === 'processing').map(j => j.id));
+            const stale = Object.keys(previewUrlsRef.current).filter(id => !running.has(id));
+            if (stale.length > 0) {
+                for (const id of stale) {
+                    URL.revokeObjectURL(previewUrlsRef.current[id]);
+                    delete previewUrlsRef.current[id];
+                }
+                setPreviews({ ...previewUrlsRef.current });
+            }
+        });
+
+        newSocket.on('job_preview', ({ job_id, mime, image }) => {
+            const url = URL.createObjectURL(new Blob([image], { type: mime || 'image/jpeg' }));
+            const prev = previewUrlsRef.current[job_id];
+            previewUrlsRef.current[job_id] = url;
+            setPreviews({ ...previewUrlsRef.current });
+            if (prev) URL.revokeObjectURL(prev);
+        });
+
+        newSocket.on('admin_alert', (alert) => {
+            if (dismissedAlertsRef.current.has(alert.id)) return;
+            setAlerts(prev => prev.some(a => a.id === alert.id) ? prev : [...prev, alert].slice(-20));
         });
 
         newSocket.on('error', (err) => {
@@ -70,13 +102,22 @@ export const SocketProvider = ({ children }) => {
             setToasts(prev => [...prev, { id: toastId, message: `⚠️ ${err.message}`, kind: 'err' }]);
         });
 
-        return () => newSocket.close();
+        const urls = previewUrlsRef.current;
+        return () => {
+            newSocket.close();
+            for (const url of Object.values(urls)) URL.revokeObjectURL(url);
+        };
     }, []);
 
     const removeToast = useCallback((id) => {
         setToasts(prev => prev.filter(t => t.id !== id));
     }, []);
 
+    const dismissAlert = useCallback((id) => {
+        dismissedAlertsRef.current.add(id);
+        setAlerts(prev => prev.filter(a => a.id !== id));
+    }, []);
+
     const registerUser = (name) => {
         if (!name) return;
         setUsername(name);
@@ -87,9 +128,15 @@ export const SocketProvider = ({ children }) => {
     /**
      * Actions to interact with the scheduler
      */
-    const bookJob = useCallback((scheduledTime, prompt, params = {}) => {
-        if (socket) socket.emit('book_job', { scheduledTime, prompt, params, user_id: username });
-    }, [socket, username]);
+    // `extras.sweep` ({ axes: [{ param, values }] }) books one job per
+    // combination; `extras.pipeline` ({ id, steps: [{ prompt, params }] })
+    // books a chained pipeline instead of the active workflow. Resolves with
+    // the server's ack — { ok: false, fieldErrors?, stepErrors? } when the
+    // params didn't validate.
+    const bookJob = useCallback((scheduledTime, prompt, params = {}, extras = {}) => new Promise((resolve) => {
+        if (!socket) return resolve({ ok: false, error: 'Not connected to the server' });
+        socket.emit('book_job', { scheduledTime, prompt, params, user_id: username, sweep: extras.sweep, pipeline: extras.pipeline }, resolve);
+    }), [socket, username]);
 
     // Both deleteJob and cancelJob accept an optional admin_password used
     // when acting on another user's job. The server refuses foreign actions
@@ -100,18 +147,38 @@ export const SocketProvider = ({ children }) => {
         else socket.emit('delete_job', jobId);
     }, [socket]);
 
+    // The server acks whether the cancel took — a job ComfyUI already
+    // finished can't be stopped, and the user gets a toast saying so
+    // (refusals arrive as the usual 'error' toast).
     const cancelJob = useCallback((jobId, adminPassword) => {
         if (!socket) return;
-        if (adminPassword) socket.emit('cancel_job', { jobId, admin_password: adminPassword });
-        else socket.emit('cancel_job', jobId);
+        const onAck = (res) => {
+            if (res?.ok || !res?.message) return;
+            setToasts(prev => [...prev, { id: `cancel-${Date.now()}`, message: `⚠️ Not cancelled: ${res.message}`, kind: 'err' }]);
+        };
+        if (adminPassword) socket.emit('cancel_job', { jobId, admin_password: adminPassword }, onAck);
+        else socket.emit('cancel_job', jobId, onAck);
     }, [socket]);
 
     const reorderJob = useCallback((jobId, newTimeSlot) => {
         if (socket) socket.emit('reorder_job', { jobId, newTimeSlot });
     }, [socket]);
 
+    // Admin-only: move a scheduled job into a priority lane ('normal' |
+    // 'high' | 'admin'). Anything above normal runs next and pushes later
+    // ASAP jobs back; errors surface through the usual 'error' toast.
+    const setJobPriority = useCallback((jobId, priority, adminPassword) => {
+        if (socket) socket.emit('set_priority', { jobId, priority, admin_password: adminPassword || undefined });
+    }, [socket]);
+
+    // "Keep" pin for the current user — pinned results survive the output
+    // retention sweep. Only your own jobs (others need the admin password).
+    const setJobPin = useCallback((jobId, pinned) => {
+        if (socket) socket.emit('set_pin', { jobId, pinned });
+    }, [socket]);
+
     return (
-        <SocketContext.Provider value={{ socket, state, bookJob, deleteJob, cancelJob, reorderJob, username, registerUser, workflowsById }}>
+        <SocketContext.Provider value={{ socket, state, bookJob, deleteJob, cancelJob, reorderJob, setJobPriority, setJobPin, username, registerUser, workflowsById, previews, alerts, dismissAlert }}>
             {children}
             {toasts.map(toast => (
                 <Toast
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Power, Save, ArrowLeft, Upload, RefreshCw, Settings, KeyRound, CheckCircle2, AlertTriangle, Pencil, Trash2, OctagonAlert, ShieldCheck, XCircle, RotateCcw, Eraser, History, Server, Globe, Square, HardDrive, ScanSearch } from 'lucide-react';
 import WorkflowSelector from '../components/WorkflowSelector';
 import WorkflowMetaEditor from '../components/admin/WorkflowMetaEditor';
+import GpuWorkersEditor from '../components/admin/GpuWorkersEditor';
+import LogPanel from '../components/admin/LogPanel';
 import Modal from '../components/ui/Modal';
 import Card from '../components/ui/Card';
 import Button from '../components/ui/Button';
@@ -15,6 +17,18 @@ const PRESET_PYTHON_HINTS = [
     { label: 'System Python (Windows)', value: 'python' }
 ];
 
+// ModelLifecycle's reasons for the last /free decision (server/workers/modelLifecycle.js).
+const VRAM_DECISIONS = {
+    'same-workflow': 'same workflow as before',
+    'enough-free': 'enough VRAM free',
+    'low-vram': 'not enough VRAM free',
+    'need-unknown': 'workflow needs unknown (calibrate it or set minVRAM)',
+    'first-run': 'first job, no VRAM reading',
+    'within-budget': 'within the VRAM budget (no reading)',
+    'budget-exceeded': 'over the VRAM budget (no reading)',
+    'free-failed': '/free failed'
+};
+
 const AdminConfig = ({ currentMode }) => {
     const [config, setConfig] = useState(null);
     const [hasAdminPassword, setHasAdminPassword] = useState(false);
@@ -87,8 +101,13 @@ const AdminConfig = ({ currentMode }) => {
                 api_host: data.config.comfy_ui.api_host,
                 api_port: data.config.comfy_ui.api_port,
                 lan_access: data.config.comfy_ui.lan_access ?? false,
+                external: data.config.comfy_ui.external || { block: 'off', classHours: '' },
+                livePreviews: data.config.comfy_ui.livePreviews || 'owner',
                 installation_type: data.config.comfy_ui.installation_type,
                 vramBudgetGb: data.config.comfy_ui.vramBudgetGb,
+                workers: data.config.comfy_ui.workers || [],
+                backend: data.config.comfy_ui.backend || 'comfyui',
+                simulator: data.config.comfy_ui.simulator || {},
                 assets_dir: data.config.assets?.dir || ''
             });
         } catch (e) {
@@ -264,15 +283,24 @@ const AdminConfig = ({ currentMode }) => {
         }
     };
 
-    const activate = async () => {
+    // A workflow that fails the pre-flight check (missing custom nodes or
+    // model files) is refused; the admin can confirm to activate it anyway.
+    const activate = async (force = false) => {
         if (!pickedWorkflow) return;
         setIsActivating(true);
         try {
             const res = await fetch(`${SERVER_URL}/admin/activate-workflow`, {
                 method: 'POST', headers: adminHeaders(),
-                body: JSON.stringify({ workflowId: pickedWorkflow.id })
+                body: JSON.stringify({ workflowId: pickedWorkflow.id, force })
             });
-            if (!res.ok) throw new Error((await res.json()).error || 'Failed to activate');
+            if (!res.ok) {
+                const body = await res.json().catch(() => ({}));
+                if (body.canOverride && !force
+                    && window.confirm(`${body.error}\n\nStudents' jobs will likely fail. Activate anyway?`)) {
+                    return activate(true);
+                }
+                throw new Error(body.error || 'Failed to activate');
+            }
             showToast('Activating workflow and switching to student mode…');
             // Server will exit; nodemon will restart. Reload after a moment.
             setTimeout(() => window.location.assign('/user'), 2000);
@@ -500,6 +528,43 @@ const AdminConfig = ({ currentMode }) => {
                     </div>
                 )}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="space-y-1.5 sm:col-span-2">
+                        <label className="text-xs uppercase tracking-wider text-muted font-semibold">Backend</label>
+                        <div className="flex flex-wrap items-center gap-3">
+                            <select
+                                value={pathDraft.backend || 'comfyui'}
+                                onChange={(e) => setPathDraft({ ...pathDraft, backend: e.target.value })}
+                                className="bg-background border border-border rounded-md px-2 py-1.5 text-sm text-white"
+                            >
+                                <option value="comfyui">ComfyUI</option>
+                                <option value="simulated">Simulated (no GPU)</option>
+                            </select>
+                            {pathDraft.backend === 'simulated' && (
+                                <>
+                                    <label className="text-xs text-muted flex items-center gap-1.5">
+                                        Step time (ms)
+                                        <input type="number" min={0}
+                                            value={pathDraft.simulator?.stepMs ?? 150}
+                                            onChange={(e) => setPathDraft({ ...pathDraft, simulator: { ...pathDraft.simulator, stepMs: parseInt(e.target.value, 10) || 0 } })}
+                                            className="w-20 bg-background border border-border rounded-md px-2 py-1 text-white font-mono text-xs" />
+                                    </label>
+                                    <label className="text-xs text-muted flex items-center gap-1.5">
+                                        Failure rate
+                                        <input type="number" min={0} max={1} step={0.05}
+                                            value={pathDraft.simulator?.failureRate ?? 0}
+                                            onChange={(e) => setPathDraft({ ...pathDraft, simulator: { ...pathDraft.simulator, failureRate: Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)) } })}
+                                            className="w-20 bg-background border border-border rounded-md px-2 py-1 text-white font-mono text-xs" />
+                                    </label>
+                                </>
+                            )}
+                        </div>
+                        <p className="text-[11px] text-muted">
+                            Simulated runs a fake ComfyUI that answers the same API with placeholder outputs — for rehearsing a
+                            workshop or demoing ComfyQ on a machine without a GPU. The paths below are then optional. Put{' '}
+                            <code>[sim:fail]</code>, <code>[sim:oom]</code> or <code>[sim:noface]</code> in a prompt to force a failure.
+                            Restart required after changing.
+                        </p>
+                    </div>
                     <Field label="ComfyUI root path" value={pathDraft.root_path || ''}
                         onChange={v => setPathDraft({ ...pathDraft, root_path: v })}
                         placeholder="C:\\Apps\\AI\\ComfyUI_portable\\ComfyUI" />
@@ -556,6 +621,59 @@ const AdminConfig = ({ currentMode }) => {
                             </span>
                         </label>
                     </div>
+                    <div className="space-y-1.5 sm:col-span-2">
+                        <label className="text-xs uppercase tracking-wider text-muted font-semibold">Direct ComfyUI use</label>
+                        <div className="flex flex-wrap items-center gap-3">
+                            <select
+                                value={pathDraft.external?.block || 'off'}
+                                onChange={(e) => setPathDraft({ ...pathDraft, external: { ...pathDraft.external, block: e.target.value } })}
+                                className="bg-background border border-border rounded-md px-2 py-1.5 text-sm text-white"
+                            >
+                                <option value="off">Allow — show it on the timeline</option>
+                                <option value="class-hours">Block during class hours</option>
+                                <option value="always">Always block</option>
+                            </select>
+                            {pathDraft.external?.block === 'class-hours' && (
+                                <input
+                                    type="text"
+                                    value={pathDraft.external?.classHours || ''}
+                                    onChange={(e) => setPathDraft({ ...pathDraft, external: { ...pathDraft.external, classHours: e.target.value } })}
+                                    placeholder="mon-fri 09:00-12:30, sat 10:00-12:00"
+                                    className="flex-1 min-w-[16rem] bg-background border border-border rounded-md px-2 py-1.5 text-sm text-white font-mono"
+                                />
+                            )}
+                        </div>
+                        <p className="text-[11px] text-muted">
+                            Prompts someone queues in ComfyUI itself (see the LAN option above) appear on the timeline, and ComfyQ jobs wait for them.
+                            Blocking deletes them from ComfyUI&apos;s queue and stops a running one, with an alert on the Dashboard. Class hours use
+                            this server&apos;s clock. Applies without a restart.
+                        </p>
+                    </div>
+                    <div className="space-y-1.5 sm:col-span-2">
+                        <label className="text-xs uppercase tracking-wider text-muted font-semibold">Live previews</label>
+                        <div className="flex flex-wrap items-center gap-3">
+                            <select
+                                value={pathDraft.livePreviews || 'owner'}
+                                onChange={(e) => setPathDraft({ ...pathDraft, livePreviews: e.target.value })}
+                                className="bg-background border border-border rounded-md px-2 py-1.5 text-sm text-white"
+                            >
+                                <option value="owner">To the job&apos;s owner</option>
+                                <option value="everyone">To everyone</option>
+                                <option value="off">Off</option>
+                            </select>
+                            <span className="text-[11px] text-muted">
+                                Streams ComfyUI&apos;s evolving latent preview onto the job card while it samples. ComfyQ launches ComfyUI
+                                with <code>--preview-method auto</code> for this; an external ComfyUI needs that flag itself. Restart required after changing.
+                            </span>
+                        </div>
+                    </div>
+                    <div className="sm:col-span-2">
+                        <GpuWorkersEditor
+                            workers={pathDraft.workers || []}
+                            basePort={pathDraft.api_port || 8188}
+                            onChange={(workers) => setPathDraft({ ...pathDraft, workers })}
+                        />
+                    </div>
                 </div>
                 {pathChecks && (
                     <div className="mt-4 rounded-lg border border-border bg-surface/50 p-3 text-sm">
@@ -639,9 +757,50 @@ const AdminConfig = ({ currentMode }) => {
                 </p>
 
                 {comfyStatus?.studentMode ? (
-                    <p className="text-xs text-muted">
-                        ComfyUI is currently managed by the active workflow (student mode). <strong className="text-white">Reset to admin</strong> to launch / stop it here.
-                    </p>
+                    <>
+                        <p className="text-xs text-muted">
+                            ComfyUI is currently managed by the active workflow (student mode). <strong className="text-white">Reset to admin</strong> to launch / stop it here.
+                        </p>
+                        {comfyStatus.workers?.length > 0 && (
+                            <div className="mt-3 rounded-lg border border-border bg-surface/50 p-3">
+                                <div className="flex items-center justify-between">
+                                    <label className="text-[10px] uppercase tracking-wider text-muted font-semibold">Workers</label>
+                                    <button type="button" onClick={reloadComfyStatus} className="p-1 rounded text-muted hover:text-white" title="Refresh">
+                                        <RefreshCw size={12} />
+                                    </button>
+                                </div>
+                                <ul className="mt-1.5 space-y-1.5">
+                                    {comfyStatus.workers.map(w => (
+                                        <li key={w.id} className="text-xs">
+                                            <span className="text-white">{w.label || w.id}</span>
+                                            <span className="text-muted">
+                                                {w.vram ? ` · ${w.vram.freeGb} / ${w.vram.totalGb} GB free${w.vram.device ? ` · ${w.vram.device}` : ''}` : ' · no VRAM reading'}
+                                            </span>
+                                            {w.supervisor?.enabled && (w.supervisor.restarts > 0 || w.supervisor.restarting) && (
+                                                <div className="text-[11px] text-warning">
+                                                    {[
+                                                        w.supervisor.restarting && 'ComfyUI crashed — restarting…',
+                                                        w.supervisor.restarts > 0 && `restarted ${w.supervisor.restarts}× after a crash this session`
+                                                    ].filter(Boolean).join(' · ')}
+                                                </div>
+                                            )}
+                                            {w.supervisor?.gaveUp ? (
+                                                <pre className="mt-1 text-[11px] text-danger whitespace-pre-wrap break-words font-mono">{w.supervisor.gaveUp.reason}</pre>
+                                            ) : w.state === 'down' && w.detail && (
+                                                <div className="text-[11px] text-danger">{w.detail}</div>
+                                            )}
+                                            {w.vramDecision && (
+                                                <div className="text-[11px] text-muted">
+                                                    Last switch ({w.vramDecision.workflowId}): {w.vramDecision.freed ? 'models freed' : 'kept models'} — {VRAM_DECISIONS[w.vramDecision.reason] || w.vramDecision.reason}
+                                                    {w.vramDecision.needGb != null && w.vramDecision.freeGb != null && ` (needs ${w.vramDecision.needGb} GB, ${w.vramDecision.freeGb} GB was free)`}
+                                                </div>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </>
                 ) : (
                     <>
                         {comfyStatus?.running && (comfyStatus.networkBound || comfyStatus.external) && comfyStatus.urls?.length > 0 && (
@@ -682,6 +841,8 @@ const AdminConfig = ({ currentMode }) => {
                 )}
             </Card>
 
+            <LogPanel adminPassword={adminPassword} />
+
             <Card>
                 <div className="flex items-center justify-between mb-4">
                     <h2 className="text-lg font-semibold flex items-center gap-2"><Upload size={18} /> Add Workflow</h2>
@@ -723,7 +884,7 @@ const AdminConfig = ({ currentMode }) => {
                     </Button>
                     <Button variant="primary" icon={Power}
                         disabled={!pickedWorkflow || isActivating || !pathsConfigured}
-                        onClick={activate}>
+                        onClick={() => activate()}>
                         {isActivating ? 'Activating…' : 'Activate & start student mode'}
                     </Button>
                 </div>
@@ -18,12 +18,20 @@ import {
     Settings,
     Trash2,
     Calendar,
-    Download
+    Download,
+    KeyRound,
+    Rocket,
+    AlertTriangle,
+    X
 } from 'lucide-react';
 import Card from '../components/ui/Card';
 import Badge from '../components/ui/Badge';
 import MediaPreview from '../components/ui/MediaPreview';
 import WorkflowChip from '../components/ui/WorkflowChip';
+import QuotaPanel from '../components/admin/QuotaPanel';
+import BatchPanel from '../components/admin/BatchPanel';
+import RetentionPanel from '../components/admin/RetentionPanel';
+import FailurePanel from '../components/admin/FailurePanel';
 import { getImageUrl, SERVER_URL } from '../utils/api';
 import { getDisplayPrompt } from '../utils/jobDisplay';
 
@@ -61,11 +69,16 @@ const csvCell = (v) => {
  *   - Kill active jobs
  *   - Reorder scheduled jobs
  *   - Filter jobs by user
+ *   - Raise a scheduled job's priority ("run next")
+ *   - View / override per-user booking quotas
  *   - Reset server to configuration mode
  */
 const DashboardPage = () => {
-    const { state, deleteJob, reorderJob, workflowsById } = useSocket();
+    const { state, deleteJob, reorderJob, setJobPriority, workflowsById, alerts, dismissAlert } = useSocket();
     const [selectedUser, setSelectedUser] = useState(null);
+    // Used by the priority controls and the quota panel; the server ignores
+    // it when no admin password is configured.
+    const [adminPassword, setAdminPassword] = useState('');
     const [dateRange, setDateRange] = useState('all');
     // Custom range: YYYY-MM-DD strings from <input type="date">; bounds derived below.
     const [customSince, setCustomSince] = useState('');
@@ -145,7 +158,7 @@ const DashboardPage = () => {
             const { jobs } = await res.json();
             const rows = selectedUser ? jobs.filter(j => j.user_id === selectedUser) : jobs;
 
-            const cols = ['id', 'user_id', 'status', 'workflow_id', 'time_slot', 'started_at', 'finished_at', 'prompt', 'result_filename', 'error_reason'];
+            const cols = ['id', 'user_id', 'status', 'workflow_id', 'time_slot', 'started_at', 'finished_at', 'prompt', 'result_filename', 'error_code', 'error_reason'];
             const header = cols.join(',');
             const body = rows.map(j => {
                 const result = j.outputs?.[0]?.filename || '';
@@ -154,7 +167,7 @@ const DashboardPage = () => {
                     j.time_slot ? new Date(j.time_slot).toISOString() : '',
                     j.started_at ? new Date(j.started_at).toISOString() : '',
                     j.finished_at ? new Date(j.finished_at).toISOString() : '',
-                    getDisplayPrompt(j), result, j.error_reason || ''
+                    getDisplayPrompt(j), result, j.error_code || '', j.error_reason || ''
                 ];
                 return cells.map(csvCell).join(',');
             }).join('\n');
@@ -205,12 +218,17 @@ const DashboardPage = () => {
             header: 'Status',
             accessorKey: 'status',
             cell: info => (
-                <Badge variant={
-                    info.getValue() === 'completed' ? 'success' :
-                        info.getValue() === 'processing' ? 'warning' : 'default'
-                } className="uppercase text-[10px]">
-                    {info.getValue()}
-                </Badge>
+                <div className="flex items-center gap-1">
+                    <Badge variant={
+                        info.getValue() === 'completed' ? 'success' :
+                            info.getValue() === 'processing' ? 'warning' : 'default'
+                    } className="uppercase text-[10px]">
+                        {info.getValue()}
+                    </Badge>
+                    {info.row.original.priority && info.row.original.priority !== 'normal' && (
+                        <Badge variant="danger" className="uppercase text-[10px]">{info.row.original.priority}</Badge>
+                    )}
+                </div>
             )
         },
         {
@@ -248,15 +266,34 @@ const DashboardPage = () => {
                     <div className="flex items-center gap-2">
                         {isScheduled && (
                             <>
+                                <select
+                                    value={job.priority || 'normal'}
+                                    onChange={(e) => setJobPriority(job.id, e.target.value, adminPassword)}
+                                    className="bg-background/50 border border-border rounded-md px-1.5 py-1 text-[11px] text-slate-300 focus:outline-none focus:border-primary/50"
+                                    title="Priority lane — high / admin run next and push later ASAP jobs back"
+                                >
+                                    <option value="normal">normal</option>
+                                    <option value="high">high</option>
+                                    <option value="admin">admin</option>
+                                </select>
+                                {(job.priority || 'normal') === 'normal' && (
+                                    <button
+                                        onClick={() => setJobPriority(job.id, 'high', adminPassword)}
+                                        className="p-1.5 hover:bg-white/10 rounded text-muted hover:text-primary transition-colors"
+                                        title="Run next"
+                                    >
+                                        <Rocket size={14} />
+                                    </button>
+                                )}
                                 <button
-                                    onClick={() => handleMoveJob(job.id, job.time_slot, -state.benchmark_ms)}
+                                    onClick={() => handleMoveJob(job.id, job.time_slot, -(job.expected_duration_ms || state.benchmark_ms))}
                                     className="p-1.5 hover:bg-white/10 rounded text-muted hover:text-white transition-colors"
                                     title="Move Up"
                                 >
                                     <ChevronUp size={14} />
                                 </button>
                                 <button
-                                    onClick={() => handleMoveJob(job.id, job.time_slot, state.benchmark_ms)}
+                                    onClick={() => handleMoveJob(job.id, job.time_slot, job.expected_duration_ms || state.benchmark_ms)}
                                     className="p-1.5 hover:bg-white/10 rounded text-muted hover:text-white transition-colors"
                                     title="Move Down"
                                 >
@@ -275,7 +312,7 @@ const DashboardPage = () => {
                 );
             }
         }
-    ], [state.benchmark_ms, workflowsById]);
+    ], [state.benchmark_ms, workflowsById, setJobPriority, adminPassword]);
 
     const table = useReactTable({
         data: filteredJobs,
@@ -294,15 +331,48 @@ const DashboardPage = () => {
                     <h2 className="text-2xl font-bold tracking-tight">Session Dashboard</h2>
                     <p className="text-muted mt-1">Real-time metrics and job history</p>
                 </div>
-                <button
-                    onClick={handleResetConfig}
-                    className="flex items-center gap-2 px-4 py-2 bg-white/5 hover:bg-white/10 text-slate-300 rounded-lg border border-white/10 transition-colors text-sm font-medium"
-                >
-                    <Settings size={16} />
-                    Reset Configuration
-                </button>
+                <div className="flex items-center gap-3">
+                    <div className="flex items-center gap-1.5">
+                        <KeyRound size={14} className="text-muted" />
+                        <input
+                            type="password"
+                            value={adminPassword}
+                            onChange={(e) => setAdminPassword(e.target.value)}
+                            placeholder="Admin password"
+                            title="Needed for priority changes and quota overrides when an admin password is set"
+                            className="w-40 bg-background/50 border border-border rounded-lg px-3 py-2 text-sm text-slate-200 focus:outline-none focus:border-primary/50"
+                        />
+                    </div>
+                    <button
+                        onClick={handleResetConfig}
+                        className="flex items-center gap-2 px-4 py-2 bg-white/5 hover:bg-white/10 text-slate-300 rounded-lg border border-white/10 transition-colors text-sm font-medium"
+                    >
+                        <Settings size={16} />
+                        Reset Configuration
+                    </button>
+                </div>
             </div>
 
+            {/* Operator alerts, e.g. jobs the stuck-job watchdog stopped */}
+            {alerts.length > 0 && (
+                <div className="space-y-2">
+                    {alerts.map((a) => (
+                        <div key={a.id} className="flex items-start gap-3 px-4 py-3 rounded-lg border border-warning/40 bg-warning/10 text-sm">
+                            <AlertTriangle size={16} className="text-warning mt-0.5 shrink-0" />
+                            <div className="flex-1 min-w-0">
+                                <p className="text-slate-200">{a.message}</p>
+                                <p className="text-[10px] text-muted font-mono mt-0.5">
+                                    {new Date(a.ts).toLocaleTimeString()}{a.worker_id ? ` · ${a.worker_id}` : ''}{a.job_id ? ` · job ${a.job_id.slice(0, 8)}` : ''}
+                                </p>
+                            </div>
+                            <button onClick={() => dismissAlert(a.id)} className="text-muted hover:text-white transition-colors" title="Dismiss">
+                                <X size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {/* Stats Cards */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 {stats.map((stat, i) => (
@@ -461,6 +531,11 @@ const DashboardPage = () => {
                     </div>
                 </Card>
             </div>
+
+            <FailurePanel />
+            <QuotaPanel adminPassword={adminPassword} />
+            <BatchPanel adminPassword={adminPassword} />
+            <RetentionPanel adminPassword={adminPassword} />
         </div>
     );
 };
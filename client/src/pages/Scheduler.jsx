@@ -2,7 +2,7 @@ import React, { useEffect, useRef, useState } from 'react';
 import { Timeline, DataSet } from 'vis-timeline/standalone';
 import 'vis-timeline/styles/vis-timeline-graph2d.css';
 import { useSocket } from '../context/SocketContext';
-import { Clock, Tag, Image as ImageIcon, Sparkles, AlertCircle, CheckCircle2, User, Download, X, Crosshair, Users, Search, ChevronDown, ChevronRight } from 'lucide-react';
+import { Clock, Tag, Image as ImageIcon, Sparkles, AlertCircle, CheckCircle2, User, Download, X, Crosshair, Users, Search, ChevronDown, ChevronRight, Grid3x3, Workflow, Star, Archive } from 'lucide-react';
 import BookingDialog from '../components/BookingDialog';
 import Card from '../components/ui/Card';
 import Badge from '../components/ui/Badge';
@@ -15,7 +15,9 @@ import ConfirmDialog from '../components/ui/ConfirmDialog';
 import ProgressViz from '../components/ui/ProgressViz';
 import { getImageUrl, getDownloadUrl } from '../utils/api';
 import { getUserColor } from '../utils/userColor';
-import { getDisplayPrompt, getPrimaryDownloadFilename, getGenerationMs, formatDuration, getJobText } from '../utils/jobDisplay';
+import { getDisplayPrompt, getPrimaryDownloadFilename, getGenerationMs, formatDuration, getJobText, getAttemptLabel } from '../utils/jobDisplay';
+import { getSweepCellLabel } from '../utils/sweep';
+import { findPipelineRun, getPipelineStepLabel } from '../utils/pipeline';
 import { computeEtaSeconds } from '../utils/jobEta';
 
 /**
@@ -40,8 +42,20 @@ const WINDOW_BEFORE_MS = 10 * 60 * 1000;
 const WINDOW_AFTER_MS = 50 * 60 * 1000;
 const FOLLOW_TICK_MS = 10 * 1000;
 
+// Timeline lane for bookings no worker has picked up yet (multi-GPU only).
+const QUEUE_GROUP = '__queue__';
+
+// vis-timeline's `content` fields are inserted as raw HTML, so any
+// user-controlled string in there has to be HTML-escaped first.
+const escapeHtml = (s) => String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+
 const SchedulerPage = () => {
-    const { state, bookJob, deleteJob, cancelJob, reorderJob, username, workflowsById } = useSocket();
+    const { state, bookJob, deleteJob, cancelJob, reorderJob, setJobPin, username, workflowsById, previews } = useSocket();
     const timelineRef = useRef(null);
     const containerRef = useRef(null);
     const itemsRef = useRef(null); // vis-data DataSet
@@ -224,6 +238,30 @@ const SchedulerPage = () => {
         return () => cancelAnimationFrame(id);
     }, [scheduleCollapsed]);
 
+    // One timeline lane per GPU worker when the server runs more than one.
+    // Keyed on "id\tlabel" lines so status-only updates don't rebuild groups.
+    const lanes = (state.workers || []).length > 1
+        ? state.workers.map(w => `${w.id}\t${w.label || w.id}`).join('\n')
+        : null;
+
+    useEffect(() => {
+        if (!timelineRef.current) return;
+        if (!lanes) {
+            timelineRef.current.setGroups(null);
+            timelineRef.current.setOptions({ stack: false });
+            return;
+        }
+        const groups = lanes.split('\n').map((line, i) => {
+            const [id, label] = line.split('\t');
+            return { id, order: i, content: `<span class="text-xs font-semibold">${escapeHtml(label)}</span>` };
+        });
+        groups.push({ id: QUEUE_GROUP, order: groups.length, content: '<span class="text-xs text-slate-400">Waiting</span>' });
+        timelineRef.current.setGroups(new DataSet(groups));
+        // Overlapping bookings in the waiting lane stack instead of hiding
+        // each other; a worker's own lane never overlaps.
+        timelineRef.current.setOptions({ stack: true });
+    }, [lanes]);
+
     /**
      * Effect to synchronize server state with the Timeline DataSet.
      * 
@@ -234,14 +272,13 @@ const SchedulerPage = () => {
      */
     useEffect(() => {
         if (itemsRef.current) {
-            // vis-timeline's `content` field is inserted as raw HTML, so any
-            // user-controlled string in there has to be HTML-escaped first.
-            const escapeHtml = (s) => String(s ?? '')
-                .replaceAll('&', '&amp;')
-                .replaceAll('<', '&lt;')
-                .replaceAll('>', '&gt;')
-                .replaceAll('"', '&quot;')
-                .replaceAll("'", '&#39;');
+            // With several GPU workers each job sits in its worker's lane;
+            // bookings not picked up yet wait in the queue lane.
+            const workerIds = lanes ? lanes.split('\n').map(l => l.split('\t')[0]) : null;
+            const groupOf = (job) => {
+                if (workerIds.includes(job.worker_id)) return job.worker_id;
+                return job.status === 'scheduled' ? QUEUE_GROUP : workerIds[0];
+            };
             const itemsData = state.jobs.map(job => {
                 const isMine = job.user_id === username;
                 const shortId = (job.user_id || '???').substring(0, 3).toUpperCase();
@@ -257,17 +294,36 @@ const SchedulerPage = () => {
                                 <span class="font-bold text-[10px]" style="color:${color.ring}">${escapeHtml(isMine ? 'ME' : shortId)}</span>
                                 <span class="font-medium text-xs truncate">${escapeHtml(promptText)}</span>
                               </div>`,
-                    start: new Date(job.time_slot),
-                    end: new Date(job.time_slot + (state.benchmark_ms || 60000)), // Default to 1 min if benchmark not ready
+                    // Drawn where it will really start when someone using
+                    // ComfyUI directly pushes it past its slot.
+                    start: new Date(job.projected_start ?? job.time_slot),
+                    // Each job spans its own estimate; older jobs without one fall
+                    // back to the active benchmark (or 1 min if not ready yet).
+                    end: new Date((job.projected_start ?? job.time_slot) + (job.expected_duration_ms || state.benchmark_ms || 60000)),
                     className: `${isMine ? 'vis-item-mine' : ''} ${job.status === 'processing' ? 'vis-item-processing' :
                         (job.status === 'completed' ? 'vis-item-completed' : 'vis-item-scheduled')}`,
                     // Left stripe = user color. Background tint is intentionally
                     // skipped — the status-driven className already drives bg.
                     style: `border-left: 3px solid ${color.dot};`,
-                    title: `${job.user_id}: ${promptText}`,
-                    editable: isMine && job.status === 'scheduled'
+                    title: `${job.user_id}: ${promptText}${job.projected_start ? ' — starts later: ComfyUI is in use outside ComfyQ' : ''}`,
+                    editable: isMine && job.status === 'scheduled',
+                    ...(workerIds ? { group: groupOf(job) } : {})
                 };
             });
+            // Prompts run on ComfyUI directly (not through ComfyQ), with the
+            // server's estimate of how long they hold the GPU.
+            for (const block of state.external || []) {
+                itemsData.push({
+                    id: block.id,
+                    content: `<span class="text-xs font-medium truncate">${block.running ? 'ComfyUI in use directly' : 'Queued in ComfyUI directly'}</span>`,
+                    start: new Date(block.start),
+                    end: new Date(block.end),
+                    className: 'vis-item-external',
+                    title: `Someone is running a workflow in ComfyUI itself, outside ComfyQ — estimated until ${new Date(block.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+                    editable: false,
+                    ...(workerIds ? { group: workerIds.includes(block.worker_id) ? block.worker_id : workerIds[0] } : {})
+                });
+            }
 
             // update existing items or add new ones, removing old ones
             const existingIds = itemsRef.current.getIds();
@@ -280,7 +336,7 @@ const SchedulerPage = () => {
             // Update or add items
             itemsRef.current.update(itemsData);
         }
-    }, [state.jobs, state.benchmark_ms, username]);
+    }, [state.jobs, state.external, state.benchmark_ms, username, lanes]);
 
     // Upcoming jobs waiting in the queue (status 'scheduled' = not yet run). Shown
     // as a count next to the header when the Live Schedule is collapsed, so the
@@ -341,9 +397,18 @@ const SchedulerPage = () => {
                             >
                                 <User size={16} />
                             </Button>
-                            <Badge variant={state.system_status === 'ready' ? 'success' : 'warning'} className="text-[10px] py-1">
-                                System: {state.system_status}
-                            </Badge>
+                            <span title={state.system_detail || undefined}>
+                                <Badge variant={state.system_status === 'ready' ? 'success' : 'warning'} className="text-[10px] py-1">
+                                    System: {state.system_status}
+                                </Badge>
+                            </span>
+                            {state.external?.length > 0 && (
+                                <span title={state.external_block
+                                    ? `Someone queued work in ComfyUI directly; direct use is blocked (${state.external_block}), so it is being stopped.`
+                                    : 'Someone is running workflows in ComfyUI directly. ComfyQ jobs wait until they finish; the timeline shows the estimate.'}>
+                                    <Badge variant="warning" className="text-[10px] py-1">ComfyUI in use outside ComfyQ</Badge>
+                                </span>
+                            )}
                         </div>
                         <Button
                             variant={followNow ? 'primary' : 'secondary'}
@@ -414,7 +479,7 @@ const SchedulerPage = () => {
                     onClose={() => { setIsBookingOpen(false); setPrefillParams(null); }}
                     initialTime={bookingTime}
                     initialParams={prefillParams}
-                    onConfirm={({ prompt, params, time }) => bookJob(time, prompt, params)}
+                    onConfirm={({ prompt, params, time, sweep, pipeline }) => bookJob(time, prompt, params, { sweep, pipeline })}
                 />
 
                 <ImageLightbox
@@ -423,6 +488,7 @@ const SchedulerPage = () => {
                     job={lightboxJob}
                     onReuse={reuseJob}
                     activeWorkflowId={state.workflow_info?.id}
+                    onOpenJob={(id) => setLightboxJob(state.jobs.find(j => j.id === id) || null)}
                 />
 
                 <div className="space-y-6 pt-4">
@@ -588,7 +654,12 @@ const SchedulerPage = () => {
                                         </div>
 
                                         <div className="flex-1 aspect-video bg-background rounded-lg border border-border/50 flex items-center justify-center overflow-hidden relative shadow-inner">
-                                            {job.status === 'completed' ? (
+                                            {job.status === 'completed' && job.outputs_swept_at ? (
+                                                <div className="flex flex-col items-center text-muted/40 px-4 text-center" title={`Removed ${new Date(job.outputs_swept_at).toLocaleDateString()}`}>
+                                                    <Archive size={28} />
+                                                    <span className="text-[10px] mt-2 font-medium">Outputs removed by retention</span>
+                                                </div>
+                                            ) : job.status === 'completed' ? (
                                                 <div className="relative w-full h-full group/img">
                                                     <MediaPreview filename={getPrimaryDownloadFilename(job) || job.result_filename} text={getJobText(job)} />
                                                     {(() => {
@@ -616,12 +687,41 @@ const SchedulerPage = () => {
                                                     >
                                                         <Download size={14} />
                                                     </button>
+                                                    {job.user_id === username && (() => {
+                                                        const pinned = (job.pinned_by || []).includes(username);
+                                                        return (
+                                                            <button
+                                                                onClick={(e) => { e.stopPropagation(); setJobPin(job.id, !pinned); }}
+                                                                className={`absolute bottom-2 left-2 p-2 rounded-full backdrop-blur-md transition-all duration-300 shadow-lg border border-white/10 ${pinned ? 'bg-warning text-black' : 'bg-black/60 hover:bg-warning hover:text-black text-white opacity-0 group-hover/img:opacity-100 scale-75 group-hover/img:scale-100'}`}
+                                                                title={pinned ? 'Kept — not removed by output retention. Click to unpin' : 'Keep this result (skip output retention)'}
+                                                            >
+                                                                <Star size={14} fill={pinned ? 'currentColor' : 'none'} />
+                                                            </button>
+                                                        );
+                                                    })()}
+                                                </div>
+                                            ) : job.status === 'processing' && previews[job.id] ? (
+                                                <div className="relative w-full h-full">
+                                                    <img src={previews[job.id]} alt="Live preview" className="w-full h-full object-contain" />
+                                                    <span className="absolute top-2 left-2 px-2 py-0.5 rounded-full bg-black/70 text-white text-[10px] font-semibold backdrop-blur-md border border-white/10 pointer-events-none">
+                                                        Live preview
+                                                    </span>
+                                                    {job.progress && (
+                                                        <div className="absolute bottom-0 left-0 right-0 p-2 bg-black/50 backdrop-blur-sm">
+                                                            <ProgressViz
+                                                                progress={job.progress}
+                                                                etaSeconds={computeEtaSeconds(job, workflowsById, state.workflow_info)}
+                                                                size="sm"
+                                                            />
+                                                        </div>
+                                                    )}
                                                 </div>
                                             ) : (
                                                 <div className="flex flex-col items-center text-muted/20 w-full px-4">
                                                     <Sparkles size={32} className={job.status === 'processing' ? 'animate-pulse text-primary/50' : ''} />
                                                     <span className="text-[10px] mt-2 font-medium">
-                                                        {job.status === 'processing' ? (job.current_node ? `Executing: ${job.current_node}` : 'Generating...') : 'Pending'}
+                                                        {job.phase === 'retrying' ? getAttemptLabel(job)
+                                                            : job.status === 'processing' ? (job.current_node ? `Executing: ${job.current_node_title || job.current_node}` : 'Generating...') : 'Pending'}
                                                     </span>
                                                     {job.status === 'processing' && job.progress && (
                                                         <div className="w-full mt-4">
@@ -634,9 +734,9 @@ const SchedulerPage = () => {
                                                     )}
                                                 </div>
                                             )}
-                                            {job.status === 'processing' && !job.progress && (
+                                            {job.status === 'processing' && job.phase !== 'retrying' && !job.progress && (
                                                 <div className="absolute bottom-0 left-0 right-0 p-2">
-                                                    <ProgressViz progress={null} currentNode={job.current_node} size="sm" />
+                                                    <ProgressViz progress={null} currentNode={job.current_node_title || job.current_node} size="sm" />
                                                 </div>
                                             )}
                                         </div>
@@ -650,6 +750,35 @@ const SchedulerPage = () => {
                                             );
                                         })()}
 
+                                        {job.sweep_id && (() => {
+                                            const sweep = (state.sweeps || []).find(sw => sw.id === job.sweep_id);
+                                            const cell = getSweepCellLabel(job, sweep);
+                                            return (
+                                                <p className="flex items-center gap-1.5 text-[10px] text-muted truncate" title="Part of a parameter sweep — open it for the contact sheet">
+                                                    <Grid3x3 size={10} className="text-primary shrink-0" />
+                                                    <span className="truncate">Sweep{cell ? ` · ${cell}` : ''}</span>
+                                                </p>
+                                            );
+                                        })()}
+
+                                        {job.pipeline_run_id && (() => {
+                                            const run = findPipelineRun(state, job);
+                                            // The run's error names the step that stopped the chain;
+                                            // show it on that step's card only.
+                                            const stoppedHere = run?.error && run.current_step === job.pipeline_step;
+                                            return (
+                                                <div className="space-y-0.5">
+                                                    <p className="flex items-center gap-1.5 text-[10px] text-muted truncate" title={run?.name || 'Pipeline'}>
+                                                        <Workflow size={10} className="text-primary shrink-0" />
+                                                        <span className="truncate">Pipeline · {getPipelineStepLabel(job, run)}</span>
+                                                    </p>
+                                                    {stoppedHere && (
+                                                        <p className="text-[10px] text-danger line-clamp-2" title={run.error}>{run.error}</p>
+                                                    )}
+                                                </div>
+                                            );
+                                        })()}
+
                                         <div className="flex items-center justify-between pt-2 border-t border-border/30 gap-2">
                                             {(() => {
                                                 const color = getUserColor(job.user_id);
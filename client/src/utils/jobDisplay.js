@@ -76,3 +76,16 @@ export function formatDuration(ms) {
     const s = totalSec % 60;
     return s ? `${m}m ${s}s` : `${m}m`;
 }
+
+// Retry status line for a job whose workflow has a retry policy: "Retrying —
+// attempt 2/3 in 20s" while it waits out its backoff, "Attempt 2/3" once that
+// attempt is running or has failed. Null for first attempts (the common case).
+export function getAttemptLabel(job, now = Date.now()) {
+    if (!job || !(job.attempt > 1)) return null;
+    const of = `attempt ${job.attempt}/${job.max_attempts || job.attempt}`;
+    if (job.phase === 'retrying') {
+        const wait = job.next_attempt_at != null ? job.next_attempt_at - now : 0;
+        return wait > 1000 ? `Retrying — ${of} in ${formatDuration(wait)}` : `Retrying — ${of}`;
+    }
+    return of.charAt(0).toUpperCase() + of.slice(1);
+}
@@ -11,11 +11,16 @@
 //   2. workflowsById[wf_id] otherwise (good enough for foreign-workflow jobs;
 //      a page refresh picks up new calibrations)
 //
+// The server's graph-aware estimate (job.progress.eta_sec, weighted by the
+// per-node timings calibration recorded) wins when present; it covers the
+// stages around the sampler that report no steps.
+//
 // Returns: seconds remaining (number), or null if no data to estimate from.
 export function computeEtaSeconds(job, workflowsById, activeWorkflowInfo) {
     if (!job || job.status !== 'processing') return null;
     const wfId = job.workflow_id;
     if (!wfId) return null;
+    if (job.progress?.eta_sec != null) return job.progress.eta_sec;
 
     const useActive = activeWorkflowInfo && activeWorkflowInfo.id === wfId;
     const wfSummary = workflowsById?.[wfId];
@@ -26,9 +31,11 @@ export function computeEtaSeconds(job, workflowsById, activeWorkflowInfo) {
 
     const prog = job.progress;
     const hasProgress = prog && prog.value != null && prog.max != null && prog.max > 0;
+    // Steps of a sampler that already finished say nothing about what's left.
+    const isSampling = hasProgress && prog.sampling !== false;
 
     // Best path: calibrated samplesPerSec + live progress.
-    if (samplesPerSec && samplesPerSec > 0 && hasProgress) {
+    if (samplesPerSec && samplesPerSec > 0 && isSampling) {
         const stepsRemaining = Math.max(0, prog.max - prog.value);
         return stepsRemaining / samplesPerSec;
     }
@@ -37,6 +44,7 @@ export function computeEtaSeconds(job, workflowsById, activeWorkflowInfo) {
     // if available. Uncalibrated workflows hit this path; the number is rough
     // but the wall-time-shaped countdown is still more useful than nothing.
     if (estimatedDurationSec && estimatedDurationSec > 0) {
+        if (prog?.overall != null) return estimatedDurationSec * Math.max(0, 1 - prog.overall);
         if (hasProgress) {
             const ratio = Math.max(0, 1 - prog.value / prog.max);
             return estimatedDurationSec * ratio;
@@ -0,0 +1,14 @@
+// Chained pipelines — one booking run as several workflows in a row, each
+// step fed the previous step's output. Jobs carry pipeline_run_id and a
+// 0-based pipeline_step; state_update.pipeline_runs has the runs they belong to.
+
+export const findPipelineRun = (state, job) =>
+    (job?.pipeline_run_id ? (state.pipeline_runs || []).find(r => r.id === job.pipeline_run_id) : null) || null;
+
+// "Step 2/3 · Animate" for cards; '' when the job isn't a pipeline step.
+export function getPipelineStepLabel(job, run) {
+    if (!job || job.pipeline_step == null) return '';
+    const step = run?.steps?.[job.pipeline_step];
+    const of = run?.steps?.length ? `/${run.steps.length}` : '';
+    return `Step ${job.pipeline_step + 1}${of}${step?.label ? ` · ${step.label}` : ''}`;
+}
@@ -0,0 +1,36 @@
+// Parameter sweeps — one booking expanded into a job per combination of one or
+// two number/choice parameters (x axis first). Limits mirror the server's
+// sweepPlanner; the server re-checks everything.
+
+export const SWEEP_MAX_VALUES = 12;
+export const SWEEP_MAX_CELLS = 36;
+export const SWEEPABLE_TYPES = ['number', 'select'];
+
+// "4, 7.5, 10" → { values: [4, 7.5, 10], invalid: [] }. Commas, semicolons and
+// whitespace all separate values; duplicates are dropped.
+export function parseSweepNumbers(text) {
+    const values = [];
+    const invalid = [];
+    for (const tok of String(text || '').split(/[\s,;]+/).filter(Boolean)) {
+        const n = Number(tok);
+        if (!Number.isFinite(n)) invalid.push(tok);
+        else if (!values.includes(n)) values.push(n);
+    }
+    return { values, invalid };
+}
+
+// Axis values a sweep cell ran with: [{ label, value }], x axis first. The
+// cell index is row-major (y * xValues + x).
+export function getSweepCellValues(job, sweep) {
+    if (!job || !sweep?.axes?.length || job.sweep_cell == null) return [];
+    const [xAxis, yAxis] = sweep.axes;
+    const cols = xAxis.values.length;
+    const out = [{ label: xAxis.label, value: xAxis.values[job.sweep_cell % cols] }];
+    if (yAxis) out.push({ label: yAxis.label, value: yAxis.values[Math.floor(job.sweep_cell / cols)] });
+    return out;
+}
+
+// "CFG 7 · Sampler euler" for cards; '' when the job isn't part of a sweep.
+export function getSweepCellLabel(job, sweep) {
+    return getSweepCellValues(job, sweep).map(v => `${v.label} ${v.value}`).join(' · ');
+}
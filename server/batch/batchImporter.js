@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { inspectUpload } = require('../routes/uploads');
+const { coerce, MEDIA_TYPES } = require('../workflows/paramValidator');
+
+// Batch import (Phase G). A batch is a folder holding a manifest plus the input
+// files it references:
+//
+//   my_batch/
+//   ├── batch.json   (or batch.csv)
+//   └── inputs/      photo01.jpg, photo02.jpg, …
+//
+// batch.json: { workflowId?, label?, userId?, defaults: { prompt?, params? },
+//               items: [{ file? | files?: { <paramKey>: name }, prompt?, params? }] }
+// batch.csv:  header row = `file`, `prompt` and param keys (or labels), one
+//             row per job.
+//
+// Every item is resolved and validated against the workflow's
+// effective.exposedParameters before anything is staged or enqueued, so a bad
+// row rejects the whole batch with its row number instead of half-importing it.
+
+const MANIFEST_NAMES = ['batch.json', 'batch.csv'];
+const MEDIA_EXTS = {
+    image: ['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.gif'],
+    mask: ['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.gif'],
+    video: ['.mp4', '.webm', '.mov', '.mkv', '.avi', '.gif'],
+    audio: ['.wav', '.mp3', '.flac', '.ogg', '.m4a', '.aac']
+};
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF. Returns rows
+// of raw strings; blank lines are dropped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    const src = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < src.length; i++) {
+        const c = src[i];
+        if (quoted) {
+            if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cell += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') { row.push(cell); cell = ''; }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && src[i + 1] === '\n') i++;
+            row.push(cell); cell = '';
+            if (row.some(v => v.trim() !== '')) rows.push(row);
+            row = [];
+        } else cell += c;
+    }
+    row.push(cell);
+    if (row.some(v => v.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+// CSV → the same { defaults, items } shape as batch.json. Columns other than
+// `file` / `prompt` are matched to a param by key, then by label
+// (case-insensitive); unknown columns are kept under their header so the
+// validator reports them. Empty cells mean "not set".
+function csvToManifest(text, exposed) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) throw new Error('batch.csv is empty');
+    const byLabel = new Map(exposed.map(p => [String(p.label).toLowerCase(), p.key]));
+    const keys = new Set(exposed.map(p => p.key));
+    const header = rows[0].map(h => h.trim());
+    const columns = header.map(h => {
+        const lower = h.toLowerCase();
+        if (lower === 'file' || lower === 'prompt') return lower;
+        if (keys.has(h)) return h;
+        return byLabel.get(lower) || h;
+    });
+    const items = rows.slice(1).map(cells => {
+        const item = { params: {} };
+        columns.forEach((col, i) => {
+            const v = (cells[i] ?? '').trim();
+            if (v === '') return;
+            if (col === 'file' || col === 'prompt') item[col] = v;
+            else item.params[col] = v;
+        });
+        return item;
+    });
+    return { defaults: {}, items };
+}
+
+function parseManifest(text, kind, exposed) {
+    if (kind === 'csv') return csvToManifest(text, exposed);
+    let m;
+    try { m = JSON.parse(text); }
+    catch (e) { throw new Error(`batch.json is not valid JSON: ${e.message}`); }
+    if (!m || !Array.isArray(m.items)) throw new Error('batch.json needs an "items" array');
+    return m;
+}
+
+// Find the manifest in a folder. Returns { text, kind, name } or throws.
+function readManifest(folder) {
+    for (const name of MANIFEST_NAMES) {
+        const full = path.join(folder, name);
+        if (fs.existsSync(full)) {
+            return { text: fs.readFileSync(full, 'utf8'), kind: path.extname(name).slice(1), name };
+        }
+    }
+    throw new Error(`No batch.json or batch.csv in ${folder}`);
+}
+
+// File lookup for a server-side folder: `inputs/<name>` first, then the folder
+// itself. Names may not escape the folder.
+function folderFileFinder(folder) {
+    const root = path.resolve(folder);
+    return (name) => {
+        for (const dir of [path.join(root, 'inputs'), root]) {
+            const full = path.resolve(dir, name);
+            if (!full.startsWith(root + path.sep)) return null;
+            if (fs.existsSync(full) && fs.statSync(full).isFile()) return full;
+        }
+        return null;
+    };
+}
+
+// Resolve every manifest item into { row, prompt, paramValues, files } against
+// the workflow's exposed parameters. `findFile(name)` → absolute path | null.
+// Returns { items, errors: [{ row, message }] }; `row` is the 1-based item
+// number (for CSV, data row n is line n + 1).
+function resolveBatch({ manifest, exposed, findFile }) {
+    const items = [];
+    const errors = [];
+    const byKey = new Map(exposed.map(p => [p.key, p]));
+    const media = exposed.filter(p => MEDIA_TYPES.has(p.type));
+    // Same headline-prompt rule as book_job.
+    const textParam = exposed.find(p => p.type === 'textarea' && (p.field === 'text' || p.field.includes('prompt')));
+    const defaults = manifest.defaults || {};
+
+    if (!Array.isArray(manifest.items) || manifest.items.length === 0) {
+        return { items, errors: [{ row: 0, message: 'The manifest has no items' }] };
+    }
+
+    manifest.items.forEach((raw, i) => {
+        const row = i + 1;
+        const fail = (message) => errors.push({ row, message });
+        if (!raw || typeof raw !== 'object') return fail('Item is not an object');
+
+        const given = { ...(defaults.params || {}), ...(raw.params || {}) };
+        const prompt = raw.prompt ?? defaults.prompt ?? '';
+
+        // File references → media params.
+        const fileRefs = { ...(defaults.files || {}), ...(raw.files || {}) };
+        if (raw.file != null) {
+            if (media.length !== 1) {
+                return fail(media.length === 0
+                    ? 'This workflow takes no input files, but the item has a "file"'
+                    : `This workflow has ${media.length} input files (${media.map(p => p.key).join(', ')}) — use "files": { "<param>": "name" } instead of "file"`);
+            }
+            fileRefs[media[0].key] = raw.file;
+        }
+        for (const p of media) {
+            if (given[p.key] != null && fileRefs[p.key] == null) { fileRefs[p.key] = given[p.key]; }
+            delete given[p.key];
+        }
+
+        const itemErrors = [];
+        const paramValues = {};
+        for (const [key, value] of Object.entries(given)) {
+            const p = byKey.get(key);
+            if (!p) { itemErrors.push(`Unknown parameter "${key}"`); continue; }
+            if (value === null || value === '') continue;
+            const r = coerce(p, value);
+            if (r.error) itemErrors.push(r.error);
+            else paramValues[key] = r.value;
+        }
+
+        const files = [];
+        for (const [key, name] of Object.entries(fileRefs)) {
+            const p = byKey.get(key);
+            if (!p || !MEDIA_TYPES.has(p.type)) { itemErrors.push(`"${key}" is not an input-file parameter`); continue; }
+            const full = findFile(String(name));
+            if (!full) { itemErrors.push(`File not found: ${name}`); continue; }
+            const ext = path.extname(full).toLowerCase();
+            if (!MEDIA_EXTS[p.type].includes(ext)) { itemErrors.push(`"${name}" is not a supported ${p.type} file`); continue; }
+            const verdict = inspectUpload(full, String(name));
+            if (!verdict.ok) { itemErrors.push(`${name}: ${verdict.error}`); continue; }
+            files.push({ paramKey: key, name: path.basename(String(name)), path: full });
+        }
+
+        if (prompt && textParam && paramValues[textParam.key] == null) paramValues[textParam.key] = String(prompt);
+
+        // Fill the remaining defaults (what the booking form would have
+        // submitted), then check required params.
+        for (const p of exposed) {
+            if (MEDIA_TYPES.has(p.type) || paramValues[p.key] != null) continue;
+            if (p.default !== undefined && p.default !== null && p.default !== '') paramValues[p.key] = p.default;
+        }
+        for (const p of exposed) {
+            if (!p.required) continue;
+            // A given-but-invalid value has already been reported above.
+            const supplied = MEDIA_TYPES.has(p.type) ? fileRefs[p.key] != null : given[p.key] != null && given[p.key] !== '';
+            const have = MEDIA_TYPES.has(p.type) ? files.some(f => f.paramKey === p.key) : paramValues[p.key] != null && paramValues[p.key] !== '';
+            if (!have && !supplied) itemErrors.push(`Missing required "${p.key}" (${p.label})`);
+        }
+
+        if (itemErrors.length) itemErrors.forEach(fail);
+        else items.push({ row, prompt: String(prompt || ''), paramValues, files });
+    });
+    return { items, errors };
+}
+
+// Copy each item's files into ComfyUI/input under the batch prefix and point
+// the media params at the staged names. Mutates `items`.
+function stageItems({ items, batchId, uploader }) {
+    for (const item of items) {
+        for (const f of item.files) {
+            const rec = uploader.copy({
+                paramKey: f.paramKey,
+                originalName: f.name,
+                source: f.path,
+                destName: uploader.batchName(batchId, item.row, f.name)
+            });
+            item.paramValues[f.paramKey] = rec.comfyFilename;
+        }
+    }
+    return items;
+}
+
+module.exports = { parseCsv, parseManifest, readManifest, folderFileFinder, resolveBatch, stageItems, MANIFEST_NAMES };
@@ -18,7 +18,7 @@ const IDLE_FREE_MS = 10 * 60 * 1000;
 // shutdown — exactly like student mode — so activating a workflow afterwards
 // attaches instantly instead of paying another cold boot.
 class AdminCalibrator {
-    constructor({ configManager, registry, onMilestone }) {
+    constructor({ configManager, registry, onMilestone, onLog = null }) {
         // Read ComfyUI / queue / assets config FRESH from the configManager on
         // every use (see the getters below) rather than snapshotting it at
         // construction. Admin mode builds this once at boot; without fresh reads,
@@ -27,6 +27,9 @@ class AdminCalibrator {
         this.configManager = configManager;
         this.registry = registry;
         this.onMilestone = onMilestone || (() => {});
+        // Receives every line the ComfyUI prints (the worker's 'log' events)
+        // — the admin log viewer's LogBuffer.
+        this.onLog = onLog;
         this.worker = null;
         this.bench = null;
         this._starting = null;
@@ -82,6 +85,7 @@ class AdminCalibrator {
                 const worker = new LocalComfyUIWorker({
                     comfyConfig, queueConfig: this.queueConfig, onMilestone: this.onMilestone
                 });
+                if (this.onLog) worker.on('log', this.onLog);
                 const res = await worker.start();
                 this.worker = worker;
                 this._external = !!res?.external;
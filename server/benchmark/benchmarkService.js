@@ -17,6 +17,8 @@ const CALIBRATION_IMAGE_NAME = '__comfyq_calibration.png';
 // only bounds the admin calibration run, and is deliberately generous since
 // calibration normally finishes in seconds-to-minutes.
 const CALIBRATION_TIMEOUT_MS = 2 * 60 * 60 * 1000; // 2h
+// How often the calibration run samples /system_stats for its peak VRAM.
+const VRAM_SAMPLE_MS = 1000;
 
 // Extensions the calibrator will accept from the assets dir for each input
 // type. Images are restricted to safe static formats (no animated webp/gif that
@@ -193,8 +195,9 @@ class BenchmarkService {
     }
 
     // Submit the workflow once and resolve when ComfyUI reports the prompt
-    // finished. Returns timing (absolute timestamps + the sampler-step window).
-    // Always leaves the worker idle (finalize) so a later job/run can submit.
+    // finished. Returns timing (absolute timestamps, the sampler-step window,
+    // per-node times). Always leaves the worker idle (finalize) so a later
+    // job/run can submit.
     async _runOnce(entry, apiWorkflow, paramValues, runId) {
         let stepsDone = 0, stepsTotal = 0, firstStepAt = null, lastStepAt = null;
         let resolveDone, rejectDone;
@@ -204,9 +207,26 @@ class BenchmarkService {
             lastStepAt = Date.now();
             stepsDone = d; stepsTotal = t;
         };
+        // Per-node wall time: a node runs from its `executing` message to the
+        // next one (the last to the end); cached nodes cost nothing.
+        const nodeTimingsMs = {};
+        let nodeRunning = null, nodeStartedAt = null;
+        const closeNode = (at) => {
+            if (nodeRunning) nodeTimingsMs[nodeRunning] = (nodeTimingsMs[nodeRunning] || 0) + (at - nodeStartedAt);
+        };
+        const onNode = ({ nodeId }) => {
+            const now = Date.now();
+            if (nodeId === nodeRunning) return;
+            closeNode(now);
+            nodeRunning = nodeId;
+            nodeStartedAt = now;
+        };
+        const onCached = ({ nodeIds }) => { for (const id of nodeIds) nodeTimingsMs[id] = nodeTimingsMs[id] || 0; };
         const onFinished = () => resolveDone();
         const onFailed = ({ errorReason }) => rejectDone(new Error(errorReason || 'benchmark-failed'));
         this.worker.on('progress', onProgress);
+        this.worker.on('node-executing', onNode);
+        this.worker.on('nodes-cached', onCached);
         this.worker.on('execution-finished', onFinished);
         this.worker.on('failed', onFailed);
 
@@ -226,18 +246,44 @@ class BenchmarkService {
             ]);
             this.worker.finalize({ success: true });
             const finishedAt = Date.now();
-            return { durationMs: finishedAt - startedAt, startedAt, finishedAt, firstStepAt, lastStepAt, stepsDone, stepsTotal };
+            closeNode(finishedAt);
+            return { durationMs: finishedAt - startedAt, startedAt, finishedAt, firstStepAt, lastStepAt, stepsDone, stepsTotal, nodeTimingsMs };
         } catch (e) {
             // Release the worker so the next run (or a later job) can submit.
             try { this.worker.finalize({ success: false }); } catch { /* ignore */ }
             throw e;
         } finally {
             this.worker.off('progress', onProgress);
+            this.worker.off('node-executing', onNode);
+            this.worker.off('nodes-cached', onCached);
             this.worker.off('execution-finished', onFinished);
             this.worker.off('failed', onFailed);
         }
     }
 
+    // Sample free VRAM while the calibration run goes. Started right after the
+    // pre-run /free, so the first reading is the empty-GPU baseline and
+    // baseline − lowest reading is the run's peak usage. Readings are a second
+    // apart, so a brief spike between two can be missed. peakGb() is null when
+    // ComfyUI reports no VRAM figures.
+    async _watchVram() {
+        const lifecycle = this.worker.lifecycle;
+        const baseline = await lifecycle.readVram();
+        let minFreeGb = baseline?.freeGb ?? null;
+        let sampling = false;
+        const timer = baseline ? setInterval(async () => {
+            if (sampling) return;
+            sampling = true;
+            const v = await lifecycle.readVram();
+            sampling = false;
+            if (v && v.freeGb < minFreeGb) minFreeGb = v.freeGb;
+        }, VRAM_SAMPLE_MS) : null;
+        return {
+            stop: () => { if (timer) clearInterval(timer); },
+            peakGb: () => baseline ? Math.round(Math.max(0, baseline.freeGb - minFreeGb) * 10) / 10 : null
+        };
+    }
+
     // Run the workflow ONCE for real and write <id>.runtime.json. The single run
     // is split at the first sampler step into:
     //   • model load  (start → first step): the per-switch one-time cost
@@ -256,6 +302,10 @@ class BenchmarkService {
         if (!entry || entry.unavailable) {
             throw new Error(`Cannot calibrate unavailable workflow: ${workflowId}`);
         }
+        if (this.worker.simulated) {
+            // Timings from the fake ComfyUI would overwrite real estimates.
+            throw new Error('Calibration needs a real ComfyUI — the simulated backend is active');
+        }
         if (this.worker.getStatus().state !== 'idle') {
             throw new Error('Worker is busy; calibrate after queue drains');
         }
@@ -274,7 +324,14 @@ class BenchmarkService {
                 console.warn(`[Benchmark] pre-run /free failed (continuing): ${e.message}`);
             }
             console.log(`[Benchmark] ${workflowId}: timed run (load models → generate; ${seedsRandomized} seed(s) randomized to avoid the result cache)…`);
-            const run = await this._runOnce(entry, wf, paramValues, `${benchJobId}-run`);
+            const vramWatch = await this._watchVram();
+            let run;
+            try {
+                run = await this._runOnce(entry, wf, paramValues, `${benchJobId}-run`);
+            } finally {
+                vramWatch.stop();
+            }
+            const peakVramGb = vramWatch.peakGb();
 
             // Split the single run. If the workflow emits no sampler progress at
             // all (firstStepAt stays null), treat the whole run as generation.
@@ -310,12 +367,18 @@ class BenchmarkService {
                 modelLoadSec: Math.round(modelLoadMs / 1000),
                 samplesPerSec,
                 steps: run.stepsTotal || 0,
+                // Wall time per node id — weights for graph-aware progress / ETA
+                // (executor/progressEstimate.js). Loader nodes carry the model load.
+                nodeTimingsMs: run.nodeTimingsMs,
+                // VRAM the run took at its peak, sampled from /system_stats —
+                // what ModelLifecycle needs free before switching to it.
+                peakVramGb,
                 durationMs: coldMs,
                 gpu,
                 source: 'benchmark'
             };
             this.registry.writeRuntime(workflowId, runtime);
-            console.log(`[Benchmark] ${workflowId}: first run ${runtime.coldDurationSec}s = model-load ~${runtime.modelLoadSec}s + generation ~${runtime.estimatedDurationSec}s${gpu ? ` · ${gpu}` : ''}`);
+            console.log(`[Benchmark] ${workflowId}: first run ${runtime.coldDurationSec}s = model-load ~${runtime.modelLoadSec}s + generation ~${runtime.estimatedDurationSec}s${peakVramGb != null ? ` · peak VRAM ~${peakVramGb} GB` : ''}${gpu ? ` · ${gpu}` : ''}`);
             return runtime;
         } finally {
             // Remove the namespaced asset copies we staged into ComfyUI/input.
@@ -4,6 +4,7 @@ const { AppConfig } = require('./schemas');
 
 const PROJECT_ROOT = path.resolve(__dirname, '../..');
 const CONFIG_PATH = path.resolve(PROJECT_ROOT, 'config.json');
+const SIMULATED_ROOT = './server/data/simulated-comfyui';
 
 // Hardcoded defaults for the workshop-rig layout. Every classroom machine is
 // cloned from the same image: portable ComfyUI lives at
@@ -153,6 +154,13 @@ function resolvePaths(config) {
     const out = JSON.parse(JSON.stringify(config));
     const resolveRel = (p) => path.isAbsolute(p) ? p : path.resolve(PROJECT_ROOT, p);
 
+    // The simulated backend needs no ComfyUI install — give it a scratch
+    // ComfyUI-shaped tree (input/, output/, temp/) inside the server's data dir.
+    if (out.comfy_ui.backend === 'simulated' && !out.comfy_ui.root_path) {
+        out.comfy_ui.root_path = SIMULATED_ROOT;
+        out.comfy_ui.output_dir = 'output';
+    }
+
     if (out.comfy_ui.root_path) {
         out.comfy_ui.root_path = resolveRel(out.comfy_ui.root_path);
         // Python executable: relative paths are relative to ComfyUI root (matches v1).
@@ -1,4 +1,5 @@
 const { z } = require('zod');
+const { RETRYABLE_CODES } = require('../executor/errorMessages');
 
 const ParamType = z.enum([
     'text', 'textarea', 'number', 'select', 'checkbox',
@@ -19,6 +20,11 @@ const ExposedParameter = z.object({
     label: z.string().min(1),
     default: z.any().optional(),
     options: z.array(z.string()).optional(),
+    // Select whose options are the node input's current choices in ComfyUI
+    // (GET /object_info — models, LoRAs, custom-node enums), so newly
+    // installed models show up. `options` is the fallback while ComfyUI
+    // can't be asked. See workflows/liveOptions.js.
+    liveOptions: z.boolean().optional(),
     min: z.number().optional(),
     max: z.number().optional(),
     step: z.number().optional(),
@@ -38,6 +44,16 @@ const ExposedParameter = z.object({
     order: z.number().int().default(0)
 });
 
+// Failure codes a workflow's retry policy can opt into — the catalogue
+// entries in executor/errorMessages.js marked retryable: process-exited,
+// connection-lost, out-of-memory, invalid-settings, timeout and
+// execution-error. 'interrupted' and the deterministic codes are never
+// retried. 'submit-rejected', the old name of invalid-settings, still reads.
+const FailureClass = z.preprocess(
+    (v) => (v === 'submit-rejected' ? 'invalid-settings' : v),
+    z.enum(RETRYABLE_CODES)
+);
+
 const WorkflowMeta = z.object({
     schemaVersion: z.literal(1),
     id: z.string().min(1),
@@ -67,7 +83,52 @@ const WorkflowMeta = z.object({
         label: z.string().optional(),
         description: z.string().optional(),
         values: z.record(z.any()).default({})
-    })).default({})
+    })).default({}),
+    // Automatic retry for transient failures. maxAttempts counts the first
+    // run, so the default of 1 never retries. Attempt n waits
+    // backoffSec * backoffMultiplier^(n-2) before it starts.
+    retry: z.object({
+        maxAttempts: z.number().int().min(1).max(10).default(1),
+        backoffSec: z.number().nonnegative().default(10),
+        backoffMultiplier: z.number().min(1).default(2),
+        retryOn: z.array(FailureClass).default(['process-exited', 'connection-lost', 'out-of-memory']),
+        freeBeforeRetry: z.boolean().default(true)
+    }).default({}),
+    // Stuck-job watchdog (JobExecutor). A running job is interrupted and
+    // failed as a 'timeout' once it has run `multiplier` × the workflow's
+    // calibrated cold duration (never less than minSec; uncalibrated
+    // workflows skip this limit), or once ComfyUI has said nothing about it
+    // for idleSec. restartProcess also relaunches a ComfyUI that ComfyQ
+    // spawned, for a node that ignores /interrupt. 0 turns a limit off, and
+    // both are off unless the workflow sets them — a long node that sends no
+    // progress (VAE decode, video encode) would otherwise be killed.
+    timeout: z.object({
+        multiplier: z.number().nonnegative().default(0),
+        minSec: z.number().nonnegative().default(300),
+        idleSec: z.number().nonnegative().default(0),
+        restartProcess: z.boolean().default(false)
+    }).default({})
+});
+
+// Pipeline bundle (<id>/<id>.pipeline.json, next to the workflow bundles):
+// two or more registered workflows run one after another, each step's
+// `input.param` (a media parameter) fed with the first output of kind
+// `input.fromKind` that the previous step produced. `params` pins values the
+// student doesn't get to set for that step.
+const PipelineMeta = z.object({
+    schemaVersion: z.literal(1),
+    id: z.string().min(1),
+    name: z.string().min(1),
+    description: z.string().default(''),
+    steps: z.array(z.object({
+        workflowId: z.string().min(1),
+        label: z.string().optional(),
+        input: z.object({
+            param: z.string().min(1),
+            fromKind: z.enum(['image', 'video', 'audio'])
+        }).optional(),
+        params: z.record(z.any()).default({})
+    })).min(2).max(6)
 });
 
 const WorkflowConfigMeta = z.object({
@@ -83,6 +144,52 @@ const WorkflowConfigMeta = z.object({
     hidden: z.boolean().default(false)
 });
 
+// Per-user booking limits. 0 = unlimited. Every field is optional in an
+// override so an admin can raise one limit without restating the others.
+const QuotaLimits = z.object({
+    maxPendingJobs: z.number().int().nonnegative().optional(),
+    maxJobsPerHour: z.number().int().nonnegative().optional(),
+    maxGpuMinutesPerSession: z.number().nonnegative().optional()
+});
+
+// One GPU worker: its own ComfyUI process (same install, own port) pinned to a
+// GPU via CUDA_VISIBLE_DEVICES. vramBudgetGb falls back to comfy_ui's. With
+// `host` set it is a ComfyUI already running on another machine instead,
+// driven over its HTTP/WS API only (cuda_visible_devices is then unused).
+const ComfyWorker = z.object({
+    id: z.string().regex(/^[a-zA-Z0-9_-]+$/, 'letters, digits, - and _ only'),
+    label: z.string().default(''),
+    host: z.string().default(''),
+    api_port: z.number().int().positive(),
+    cuda_visible_devices: z.string().default(''),
+    vramBudgetGb: z.number().positive().optional()
+});
+
+// Latency and failure injection for comfy_ui.backend = 'simulated' (see
+// server/simulator/fakeComfyUI.js). Times in ms; jitter is ± that fraction.
+const SimulatorOptions = z.object({
+    startupMs: z.number().int().nonnegative().default(1500),
+    stepMs: z.number().int().nonnegative().default(150),
+    steps: z.number().int().positive().default(20),
+    modelLoadMs: z.number().int().nonnegative().default(3000),
+    jitter: z.number().min(0).max(1).default(0.2),
+    failureRate: z.number().min(0).max(1).default(0),
+    failureKind: z.enum(['execution-error', 'out-of-memory', 'no-face']).default('execution-error'),
+    previews: z.boolean().default(true)
+});
+
+// Auto-restart of a ComfyUI that ComfyQ spawned (see
+// server/workers/comfyProcess.js). A crash is followed by a restart after
+// backoffSec, doubling per crash up to maxBackoffSec. After maxCrashes
+// crashes within windowSec it stops trying and the worker stays down.
+const SupervisorOptions = z.object({
+    enabled: z.boolean().default(true),
+    maxCrashes: z.number().int().positive().default(5),
+    windowSec: z.number().int().positive().default(600),
+    backoffSec: z.number().positive().default(2),
+    maxBackoffSec: z.number().positive().default(60)
+});
+
 const AppConfig = z.object({
     schemaVersion: z.literal(2),
     mode: z.enum(['admin', 'student']),
@@ -91,6 +198,11 @@ const AppConfig = z.object({
         host: z.string().default('0.0.0.0')
     }),
     comfy_ui: z.object({
+        // 'simulated' swaps every local worker for a fake ComfyUI that
+        // answers the same API with placeholder outputs — for rehearsing a
+        // workshop or demoing ComfyQ without a GPU. Remote workers stay real.
+        backend: z.enum(['comfyui', 'simulated']).default('comfyui'),
+        simulator: SimulatorOptions.default({}),
         installation_type: z.enum(['portable', 'system']).default('system'),
         root_path: z.string().default(''),
         python_executable: z.string().default(''),
@@ -103,8 +215,28 @@ const AppConfig = z.object({
         // over localhost regardless. Default off — don't expose the raw
         // ComfyUI interface to the network unless an admin opts in.
         lan_access: z.boolean().default(false),
+        // Prompts run on ComfyUI directly rather than through ComfyQ (see
+        // server/workers/externalUsage.js) always show on the timeline and
+        // hold ComfyQ's jobs back. `block` turns them away instead: 'always',
+        // or 'class-hours' only inside `classHours`, e.g.
+        // "mon-fri 09:00-12:30, sat 10:00-12:00" (server local time).
+        external: z.object({
+            block: z.enum(['off', 'class-hours', 'always']).default('off'),
+            classHours: z.string().default('')
+        }).default({}),
+        // Live latent previews during sampling, relayed over Socket.IO to the
+        // job's owner or to everyone. Anything but 'off' also launches
+        // ComfyUI with --preview-method auto (an external ComfyUI needs that
+        // flag itself).
+        livePreviews: z.enum(['off', 'owner', 'everyone']).default('owner'),
         autoStart: z.boolean().default(true),
-        vramBudgetGb: z.number().positive().default(24)
+        supervisor: SupervisorOptions.default({}),
+        vramBudgetGb: z.number().positive().default(24),
+        // Multi-GPU pool. Empty = one worker on api_port (a single-GPU box).
+        // Otherwise one ComfyUI per entry; the executor hands each ready job
+        // to an idle worker whose budget covers the workflow's
+        // requirements.minVRAM. api_port above is then unused.
+        workers: z.array(ComfyWorker).default([])
     }),
     auth: z.object({
         adminPasswordHash: z.string().default('')
@@ -114,6 +246,18 @@ const AppConfig = z.object({
         inputRetentionMinutes: z.number().int().nonnegative().default(30),
         outputRetentionDays: z.number().int().nonnegative().default(30)
     }).default({}),
+    // Booking quotas, enforced in book_job (see server/queue/quotas.js). All
+    // limits default to 0 = unlimited so an existing config behaves as before.
+    // `overrides` is keyed by user id and edited from the Dashboard. A "session"
+    // is one student-mode server run. `fairShare` makes the executor interleave
+    // ASAP bookings round-robin across users instead of strict scheduled_at order.
+    quotas: z.object({
+        maxPendingJobs: z.number().int().nonnegative().default(0),
+        maxJobsPerHour: z.number().int().nonnegative().default(0),
+        maxGpuMinutesPerSession: z.number().nonnegative().default(0),
+        fairShare: z.boolean().default(false),
+        overrides: z.record(QuotaLimits).default({})
+    }).default({}),
     workflows: z.object({
         dir: z.string().default('./workflows'),
         activeWorkflowId: z.string().nullable().default(null)
@@ -152,8 +296,12 @@ const AppConfig = z.object({
 
 module.exports = {
     AppConfig,
+    ComfyWorker,
+    SimulatorOptions,
     WorkflowMeta,
     WorkflowConfigMeta,
+    PipelineMeta,
     ExposedParameter,
-    ParamType
+    ParamType,
+    QuotaLimits
 };
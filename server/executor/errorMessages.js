@@ -8,8 +8,9 @@
 // surface verbatim, not a "no face" hint.
 const FACE_NODE_RX = /cropper|insightface|mediapipe|facedetect|face_?align/i;
 const FACE_MSG_RX = /no face|face.*(not|n['’]?t).*(found|detect)|could ?n['’]?t.*detect.*face|no.*face.*(found|detect)|0 faces?|face.*detection.*fail|faces?\[0\]/i;
-// Don't mask a genuine OOM as a face problem.
-const MEMORY_RX = /out of memory|cuda error|oom|cannot allocate|insufficient memory/i;
+// Don't mask a genuine OOM as a face problem. ("oom" only as a word — it is
+// inside "boom" and "room".)
+const MEMORY_RX = /out of memory|outofmemory|cuda error|\boom\b|cannot allocate|insufficient memory|allocation on device/i;
 
 const NO_FACE_MESSAGE =
     'No face was detected in the image. Please upload a clear photo with a single, fully visible face — front-facing, well lit, and not too small in the frame.';
@@ -25,4 +26,128 @@ function humanizeFailure(message, nodeType) {
     return msg || 'execution_error';
 }
 
-module.exports = { humanizeFailure, NO_FACE_MESSAGE };
+// Failure catalogue. Every failure gets a stable `errorCode`, stored on the
+// job next to error_reason (see describeFailure below): the student sees the
+// entry's `student` text instead of a raw exception, the admin Dashboard
+// groups failures by code and workflow and shows the `hint`. The first entry
+// whose test matches wins, so the specific ones come before the catch-alls;
+// 'execution-error' is the fallback. Codes are part of the wire format — add
+// new ones, never rename.
+//
+// The code is also what a workflow's `retry.retryOn` list names. Only the
+// entries marked `retryable` may go there (RETRYABLE_CODES, FailureClass in
+// config/schemas.js): a stopped job, a missing model or a photo without a
+// face fails the same way every time.
+const CONNECTION_RX = /history fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EHOSTUNREACH|socket hang up|network error/i;
+const MODEL_FIELD_RX = /\b(ckpt|lora|vae|unet|clip|clip_vision|control_net|controlnet|model|style_model|upscale_model|gligen|diffusion_model|ipadapter)_?name\b/i;
+const MODEL_FILE_RX = /\.(safetensors|ckpt|pt|pth|bin|gguf|onnx|sft)\b/i;
+const NOT_AVAILABLE_RX = /not available in ComfyUI|value not in list|not in \[|not found|no such file/i;
+
+const FAILURE_CATALOG = [
+    {
+        code: 'interrupted',
+        test: (m) => m === 'cancelled' || m === 'emergency-stop' || m === 'server-restart' || /^interrupted|processing interrupted/i.test(m),
+        student: 'This job was stopped before it finished — it was cancelled, or the server was stopped or restarted. Book it again to retry.',
+        hint: 'Cancelled by a user, stopped with "Stop & kill all", or left in flight across a server restart. Nothing to fix unless it keeps happening.'
+    },
+    {
+        code: 'timeout',
+        retryable: true,
+        test: (m) => /^timeout:/.test(m),
+        student: 'This job took far longer than it should and was stopped. Try again; if it keeps happening, tell the workshop admin.',
+        hint: 'The stuck-job watchdog stopped it. Look for a hung custom node in the logs, or raise the workflow\'s `timeout` limits if it is just slow.'
+    },
+    {
+        code: 'process-exited',
+        retryable: true,
+        test: (m) => m === 'comfyui-process-exited' || /^Worker not idle \(state=(down|starting)\)/.test(m),
+        student: 'The image generator crashed while running this job. It restarts by itself — book the job again in a minute.',
+        hint: 'ComfyUI exited mid-job. The Logs card (filter by this job) has its last output; repeated crashes on one workflow usually mean a custom node or driver problem.'
+    },
+    {
+        code: 'no-face',
+        test: (m) => m === NO_FACE_MESSAGE,
+        student: NO_FACE_MESSAGE,
+        hint: 'The face-detection node found no face in the uploaded image. Usually the photo, not the workflow.'
+    },
+    {
+        code: 'out-of-memory',
+        retryable: true,
+        test: (m) => MEMORY_RX.test(m),
+        student: 'The GPU ran out of memory for this job. Try a smaller size or fewer frames, or book it again when the machine is less busy.',
+        hint: 'CUDA out of memory. Lower the workflow\'s resolution/batch limits, set meta.requirements.minVRAM so it only runs on a GPU that fits, or add out-of-memory to retry.retryOn.'
+    },
+    {
+        code: 'missing-model',
+        test: (m) => (MODEL_FIELD_RX.test(m) || MODEL_FILE_RX.test(m)) && NOT_AVAILABLE_RX.test(m),
+        student: 'This workflow needs a model file that isn\'t installed on this machine. Tell the workshop admin.',
+        hint: 'A model file the workflow loads is not in ComfyUI\'s models folders. Install it (see the pre-flight check on activation) or point the loader at one that is.'
+    },
+    {
+        code: 'missing-node',
+        test: (m) => /does not exist|missing_node_type|node type .* (not found|not installed)|class_type .* not found|not installed in ComfyUI/i.test(m),
+        student: 'This workflow uses a ComfyUI add-on that isn\'t installed on this machine. Tell the workshop admin.',
+        hint: 'A custom node class in the graph is unknown to ComfyUI. Install the node pack (ComfyUI Manager) and restart ComfyUI.'
+    },
+    {
+        code: 'invalid-input',
+        test: (m) => /invalid (image|video|audio) file|cannot identify image file|image file is truncated|^input upload failed/i.test(m),
+        student: 'An uploaded file couldn\'t be read. Upload a different image (a regular JPG or PNG) and try again.',
+        hint: 'ComfyUI could not open an uploaded input file — wrong format, corrupt, or removed from ComfyUI/input before the job ran.'
+    },
+    {
+        code: 'invalid-settings',
+        retryable: true,
+        test: (m) => /^(\/prompt (rejected|did not return)|Invalid settings:)/.test(m),
+        student: (m) => `Some settings of this job aren't accepted by the workflow${/^Invalid settings: /.test(m) ? `: ${m.replace(/^Invalid settings: /, '')}` : ''}. Change them and book again.`,
+        hint: 'ComfyUI rejected the prompt on validation. If every job of the workflow fails this way, its exposed parameter limits or defaults don\'t match the installed nodes.'
+    },
+    {
+        code: 'connection-lost',
+        retryable: true,
+        test: (m) => CONNECTION_RX.test(m),
+        student: 'The server lost contact with the image generator during this job. Book it again in a minute.',
+        hint: 'ComfyUI stopped answering (history fetch or transport error). Check that it is running and, for a remote worker, the network.'
+    },
+    {
+        code: 'workflow-unavailable',
+        test: (m) => m === 'workflow-unavailable',      // else stored explicitly at pre-submit
+        student: 'This workflow is no longer available on the server. Pick another one.',
+        hint: 'The workflow was removed or failed to load (see the workflow library) while jobs were still booked for it.'
+    },
+    {
+        code: 'execution-error',
+        retryable: true,
+        test: () => true,
+        student: 'Something went wrong while generating this job. Try again; if it keeps happening, tell the workshop admin.',
+        hint: 'A node raised an error. The job\'s reason and the Logs card (filter by this job) show which one.'
+    }
+];
+
+const FAILURE_CODES = FAILURE_CATALOG.map(e => e.code);
+const RETRYABLE_CODES = FAILURE_CATALOG.filter(e => e.retryable).map(e => e.code);
+
+// errorReason → { code, student, hint }. A code already stored with the job
+// (`storedCode`) wins, so re-wording the tests never re-labels old failures.
+function describeFailure(reason, storedCode = null) {
+    const msg = String(reason ?? '').trim();
+    const entry = (storedCode && FAILURE_CATALOG.find(e => e.code === storedCode))
+        || FAILURE_CATALOG.find(e => e.test(msg));
+    return {
+        code: entry.code,
+        student: typeof entry.student === 'function' ? entry.student(msg) : entry.student,
+        hint: entry.hint
+    };
+}
+
+const failureCode = (reason) => describeFailure(reason).code;
+
+// { error_code, error_message } of a failed (or retrying) job for the wire;
+// nulls for a job with no error.
+function failureWire(job) {
+    if (!job.errorReason && !job.errorCode) return { error_code: null, error_message: null };
+    const d = describeFailure(job.errorReason, job.errorCode);
+    return { error_code: d.code, error_message: d.student };
+}
+
+module.exports = { humanizeFailure, describeFailure, failureCode, failureWire, FAILURE_CODES, RETRYABLE_CODES, NO_FACE_MESSAGE };
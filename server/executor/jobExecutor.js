@@ -1,80 +1,155 @@
 const sm = require('../queue/jobStateMachine');
 const oc = require('./outputCollector');
-const { humanizeFailure } = require('./errorMessages');
+const { humanizeFailure, failureCode } = require('./errorMessages');
 const ingredientsStore = require('../storage/ingredientsStore');
+const { expectedDurationMs, vramNeedGb } = require('../workflows/workflowRegistry');
 
 const FAST_POLL_MS = 1000;        // first 60s
 const SLOW_POLL_MS = 5000;        // after 60s
 const FAST_POLL_WINDOW_MS = 60000;
 
-// Drives the JobQueue + Worker. One job at a time in M0; the executor stays
-// loop-driven so it composes cleanly with future multi-worker pools.
+// Watchdog limits for a workflow (meta.timeout, see config/schemas.js), in ms;
+// null when off. The run limit is a multiple of the calibrated cold duration
+// — the slowest a healthy run should take — so it needs a calibration.
+function watchdogLimits(workflowEntry) {
+    const t = workflowEntry?.meta?.timeout || {};
+    const cal = workflowEntry?.summary?.calibration;
+    const baseSec = cal ? (cal.coldDurationSec || cal.durationSec) : null;
+    const runSec = baseSec && t.multiplier > 0 ? Math.max(t.minSec || 0, baseSec * t.multiplier) : null;
+    return {
+        runMs: runSec ? Math.round(runSec * 1000) : null,
+        idleMs: t.idleSec > 0 ? Math.round(t.idleSec * 1000) : null,
+        restartProcess: !!t.restartProcess
+    };
+}
+
+// Drives the JobQueue + a pool of Workers (one per GPU; a single worker on a
+// one-GPU machine). Each worker has a slot holding the job it runs; every
+// tick hands ready jobs to idle workers whose VRAM budget covers the
+// workflow's requirements.minVRAM, in queue order.
 class JobExecutor {
-    constructor({ queue, worker, registry, comfyConfig }) {
+    constructor({ queue, worker = null, workers = null, registry, comfyConfig, configManager = null, logs = null, external = null }) {
         this.queue = queue;
-        this.worker = worker;
+        // LogBuffer (realtime/logBuffer.js), if any: a failed attempt's event
+        // payload carries the log lines around it as `logExcerpt`.
+        this.logs = logs;
+        // ExternalUsage (workers/externalUsage.js), if any: a worker whose
+        // ComfyUI is running someone else's prompts gets no job meanwhile.
+        this.external = external;
+        this.configManager = configManager;
+        this.workers = workers || [worker];
         this.registry = registry;
         this.comfyConfig = comfyConfig;
         this.running = false;
         this.tickMs = 1000;
         this._listeners = new Set();
-        this._currentJobId = null;
-        this._historyStartedAt = null;
-        this._wsHasFired = false;
-        this._jobStartedAt = null;
-        this._lastProgressLogAt = 0;
-        this._lastLoggedNodeId = null;
-
-        // Wire worker events.
-        this.worker.on('submitted', ({ jobId, promptId }) => {
+        this._alertListeners = new Set();
+        this._warnedOversized = new Set();
+        // Per-worker run state, keyed by worker id.
+        this._slots = new Map(this.workers.map(w => [w.id, this._emptySlot(w)]));
+        for (const slot of this._slots.values()) this._wire(slot);
+        if (external) external.on('alert', (a) => this._alert(a));
+    }
+
+    _emptySlot(worker) {
+        return {
+            worker,
+            jobId: null,
+            historyStartedAt: null,
+            wsHasFired: false,
+            jobStartedAt: null,
+            lastProgressLogAt: 0,
+            lastLoggedNodeId: null,
+            lastPollAt: 0,
+            // Last WS event about the job, for the watchdog's idle limit.
+            lastEventAt: null,
+            // Re-attached after a restart: no WS events come for the prompt.
+            adopted: false,
+            timedOut: false,
+            // cancelJob() arrived before the worker had the job (see _executeOne).
+            cancelRequested: false
+        };
+    }
+
+    // Clear a slot once its job is done (collected, failed or cancelled).
+    _release(slot) {
+        Object.assign(slot, this._emptySlot(slot.worker));
+    }
+
+    // Slot running `jobId`, if any.
+    _slotFor(jobId) {
+        for (const slot of this._slots.values()) if (slot.jobId === jobId) return slot;
+        return null;
+    }
+
+    // Ids of the jobs currently on a worker.
+    currentJobIds() {
+        return [...this._slots.values()].map(s => s.jobId).filter(Boolean);
+    }
+
+    // Wire one worker's events to its slot.
+    _wire(slot) {
+        const worker = slot.worker;
+        worker.on('submitted', ({ jobId, promptId }) => {
             try { this.queue.transitionStatus(jobId, sm.STATES.EXECUTING, { payload: { promptId } }); }
             catch (e) { console.warn('[Executor] submitted transition err:', e.message); }
-            console.log(`[Executor] job ${jobId.slice(0, 8)} → prompt ${promptId.slice(0, 8)} (executing)`);
+            console.log(`[Executor] job ${jobId.slice(0, 8)} → prompt ${promptId.slice(0, 8)} (executing${this._on(slot)})`);
         });
-        this.worker.on('progress', ({ jobId, stepsDone, stepsTotal, currentNodeId }) => {
-            this.queue.updateProgress(jobId, { stepsDone, stepsTotal, currentNode: currentNodeId });
-            this._logProgress(jobId, stepsDone, stepsTotal, currentNodeId);
+        // Any word from ComfyUI about the job keeps the watchdog's idle limit off.
+        for (const ev of ['submitted', 'progress', 'node-executing', 'nodes-cached', 'preview']) {
+            worker.on(ev, () => { slot.lastEventAt = Date.now(); });
+        }
+        worker.on('progress', ({ jobId, stepsDone, stepsTotal, currentNodeId }) => {
+            this.queue.updateProgress(jobId, { stepsDone, stepsTotal, stepsNode: currentNodeId, currentNode: currentNodeId });
+            this._logProgress(slot, jobId, stepsDone, stepsTotal, currentNodeId);
         });
-        this.worker.on('node-executing', ({ jobId, nodeId }) => {
-            this.queue.updateProgress(jobId, { currentNode: nodeId });
-            if (nodeId !== this._lastLoggedNodeId) {
-                this._lastLoggedNodeId = nodeId;
-                const elapsed = this._jobStartedAt ? ((Date.now() - this._jobStartedAt) / 1000).toFixed(1) : '?';
-                console.log(`[Executor] job ${jobId.slice(0, 8)} node ${nodeId} executing (t=${elapsed}s)`);
+        worker.on('node-executing', ({ jobId, nodeId, nodeTitle, nodesDone, nodesTotal, doneNodeIds }) => {
+            this.queue.updateProgress(jobId, {
+                currentNode: nodeId, currentNodeTitle: nodeTitle,
+                nodesDone, nodesTotal, doneNodeIds, nodeStartedAt: Date.now()
+            });
+            if (nodeId !== slot.lastLoggedNodeId) {
+                slot.lastLoggedNodeId = nodeId;
+                const elapsed = slot.jobStartedAt ? ((Date.now() - slot.jobStartedAt) / 1000).toFixed(1) : '?';
+                const count = nodesTotal ? ` [${nodesDone}/${nodesTotal}]` : '';
+                console.log(`[Executor] job ${jobId.slice(0, 8)} node ${nodeId}${nodeTitle ? ` (${nodeTitle})` : ''} executing${count} (t=${elapsed}s)`);
             }
         });
-        this.worker.on('execution-finished', async ({ jobId, promptId }) => {
-            this._wsHasFired = true;
+        worker.on('nodes-cached', ({ jobId, nodesDone, nodesTotal, doneNodeIds }) => {
+            this.queue.updateProgress(jobId, { nodesDone, nodesTotal, doneNodeIds });
+        });
+        worker.on('execution-finished', async ({ jobId, promptId }) => {
+            slot.wsHasFired = true;
             try {
-                await this._collectAndComplete(jobId, promptId);
+                await this._collectAndComplete(slot, jobId, promptId);
             } catch (e) {
                 console.error('[Executor] collect failed:', e.message);
-                this._failCurrent(e.message, 'collecting-outputs');
+                this._failCurrent(slot, e.message, 'collecting-outputs');
             }
         });
-        this.worker.on('failed', ({ jobId, errorReason, errorPhase }) => {
-            try { this.queue.transitionStatus(jobId, sm.STATES.FAILED, { payload: { errorReason, errorPhase } }); } catch { /* already terminal */ }
-            const dur = this._jobStartedAt ? ((Date.now() - this._jobStartedAt) / 1000).toFixed(1) : '?';
-            const truncReason = String(errorReason).split('\n')[0].slice(0, 200);
-            console.warn(`[Executor] job ${jobId.slice(0, 8)} FAILED after ${dur}s — ${errorPhase}: ${truncReason}`);
-            this._currentJobId = null;
-            this._wsHasFired = false;
-            this._jobStartedAt = null;
-            this._lastLoggedNodeId = null;
+        worker.on('failed', ({ jobId, errorReason, errorPhase }) => {
+            this._failOrRetry(jobId, errorReason, errorPhase, slot.jobStartedAt, worker.id);
+            this._release(slot);
             this._notify();
         });
+        worker.on('process-alert', (a) => this._alert({ ...a, workerId: worker.id }));
     }
 
-    _logProgress(jobId, stepsDone, stepsTotal, currentNodeId) {
+    // " on gpu1" for log lines — empty with a single worker.
+    _on(slot) {
+        return this.workers.length > 1 ? ` on ${slot.worker.id}` : '';
+    }
+
+    _logProgress(slot, jobId, stepsDone, stepsTotal, currentNodeId) {
         const now = Date.now();
         const isFirst = stepsDone <= 1;
         const isLast = stepsTotal && stepsDone === stepsTotal;
         // Throttle to once every 2s — but always log first/last step so the
         // user sees sampling start and finish.
-        if (!isFirst && !isLast && (now - this._lastProgressLogAt) < 2000) return;
-        this._lastProgressLogAt = now;
+        if (!isFirst && !isLast && (now - slot.lastProgressLogAt) < 2000) return;
+        slot.lastProgressLogAt = now;
         const pct = stepsTotal ? `${Math.round((stepsDone / stepsTotal) * 100)}%` : '';
-        const elapsed = this._jobStartedAt ? `${((now - this._jobStartedAt) / 1000).toFixed(1)}s` : '?';
+        const elapsed = slot.jobStartedAt ? `${((now - slot.jobStartedAt) / 1000).toFixed(1)}s` : '?';
         const tail = currentNodeId ? ` node=${currentNodeId}` : '';
         console.log(`[Executor] job ${jobId.slice(0, 8)} step ${stepsDone}/${stepsTotal || '?'} ${pct} t=${elapsed}${tail}`);
     }
@@ -95,6 +170,14 @@ class JobExecutor {
     onChange(cb) { this._listeners.add(cb); return () => this._listeners.delete(cb); }
     _notify() { for (const cb of this._listeners) try { cb(); } catch (e) { console.error('[Executor] listener err:', e); } }
 
+    // Operator alerts ({ kind, message, jobId, … }) — the realtime bus relays
+    // them to the admin dashboard.
+    onAlert(cb) { this._alertListeners.add(cb); return () => this._alertListeners.delete(cb); }
+    _alert(alert) {
+        const a = { ts: Date.now(), ...alert };
+        for (const cb of this._alertListeners) try { cb(a); } catch (e) { console.error('[Executor] alert listener err:', e); }
+    }
+
     start() {
         if (this.running) return;
         this.running = true;
@@ -114,39 +197,72 @@ class JobExecutor {
     }
 
     async _tick() {
-        // If we have a current job, watch for history-poll fallback (in case
-        // WS dropped between submit and execution-finished).
-        if (this._currentJobId) {
-            await this._pollHistoryIfStale();
-            return;
+        // Busy slots: watch for the history-poll fallback (in case WS dropped
+        // between submit and execution-finished), then the watchdog.
+        for (const slot of this._slots.values()) {
+            if (slot.jobId) await this._pollHistoryIfStale(slot);
+            if (slot.jobId) await this._checkWatchdog(slot);
         }
-        // Otherwise look for the next ready job.
-        const ready = this.queue.findReady();
-        if (!ready) return;
-
-        // Reject jobs whose workflow disappeared / became unavailable.
-        const wf = this.registry.get(ready.workflowId);
-        if (!wf || wf.unavailable) {
-            this.queue.transitionStatus(ready.id, sm.STATES.FAILED, {
-                payload: { errorReason: wf?.reason || 'workflow-unavailable', errorPhase: 'pre-submit' }
-            });
-            this._notify();
-            return;
+        // Then hand ready jobs to idle workers, in queue order. The fair-share
+        // flag is read every tick so toggling it from the Dashboard takes
+        // effect live. A job no idle worker can take (too little VRAM) keeps
+        // its place and is passed over for this tick, so the jobs behind it
+        // still reach the workers that can run them (a retry, likewise, waits
+        // for a worker rather than burning attempts).
+        const fairShare = !!this.configManager?.load().config.quotas?.fairShare;
+        const passedOver = new Set();
+        for (;;) {
+            const idle = [...this._slots.values()].filter(s => !s.jobId && s.worker.getStatus().state === 'idle'
+                && !this.external?.isBusy(s.worker.id));
+            if (idle.length === 0) return;
+            const ready = this.queue.findReady(Date.now(), { fairShare, exclude: passedOver });
+            if (!ready) return;
+
+            // Reject jobs whose workflow disappeared / became unavailable.
+            const wf = this.registry.get(ready.workflowId);
+            if (!wf || wf.unavailable) {
+                this.queue.transitionStatus(ready.id, sm.STATES.FAILED, {
+                    payload: { errorReason: wf?.reason || 'workflow-unavailable', errorPhase: 'pre-submit', errorCode: 'workflow-unavailable' }
+                });
+                this._notify();
+                continue;
+            }
+
+            const slot = this._pickSlot(idle, wf);
+            if (!slot) {
+                passedOver.add(ready.id);
+                continue;
+            }
+            await this._executeOne(ready, wf, slot);
         }
+    }
 
-        await this._executeOne(ready, wf);
+    // The idle slot for a workflow: the smallest VRAM budget that covers its
+    // requirements.minVRAM, so big GPUs stay free for big jobs. When no worker
+    // in the pool is big enough it runs on the largest one anyway (as a
+    // single-GPU machine always has) — with a warning once per workflow.
+    _pickSlot(idle, workflowEntry) {
+        const minVRAM = workflowEntry.meta.requirements?.minVRAM || 0;
+        const budget = (s) => s.worker.vramBudgetGb ?? Infinity;
+        const fits = (s) => budget(s) >= minVRAM;
+        if (this.workers.some(w => (w.vramBudgetGb ?? Infinity) >= minVRAM)) {
+            return idle.filter(fits).sort((a, b) => budget(a) - budget(b))[0] || null;
+        }
+        const largest = Math.max(...this.workers.map(w => w.vramBudgetGb ?? 0));
+        if (!this._warnedOversized.has(workflowEntry.id)) {
+            this._warnedOversized.add(workflowEntry.id);
+            console.warn(`[Executor] ${workflowEntry.id} needs ${minVRAM} GB VRAM; the largest worker has ${largest} GB — running there anyway`);
+        }
+        return idle.find(s => budget(s) === largest) || null;
     }
 
-    async _executeOne(job, workflowEntry) {
-        this._currentJobId = job.id;
-        this._wsHasFired = false;
-        this._historyStartedAt = null;
-        this._jobStartedAt = Date.now();
-        this._lastProgressLogAt = 0;
-        this._lastLoggedNodeId = null;
+    async _executeOne(job, workflowEntry, slot) {
+        Object.assign(slot, this._emptySlot(slot.worker), { jobId: job.id, jobStartedAt: Date.now() });
+        const worker = slot.worker;
 
         const wfName = workflowEntry.summary?.name || workflowEntry.id;
-        console.log(`[Executor] picking up job ${job.id.slice(0, 8)} user=${job.userId} workflow=${workflowEntry.id} (${wfName})`);
+        const attemptTag = job.attempt > 1 ? ` attempt=${job.attempt}/${job.maxAttempts}` : '';
+        console.log(`[Executor] picking up job ${job.id.slice(0, 8)} user=${job.userId} workflow=${workflowEntry.id} (${wfName})${attemptTag}${this._on(slot)}`);
         const paramSummary = this._summarizeParams(job.paramValues, workflowEntry.effective?.exposedParameters);
         if (paramSummary) console.log(`[Executor]   params: ${paramSummary}`);
         if (job.inputFiles?.length) {
@@ -154,38 +270,60 @@ class JobExecutor {
         }
 
         try {
-            this.queue.transitionStatus(job.id, sm.STATES.UPLOADING_INPUTS);
+            // A calibration may have landed since booking — keep the job's
+            // timeline block in step with the current estimate.
+            const durationMs = expectedDurationMs(workflowEntry);
+            if (durationMs && durationMs !== job.expectedDurationMs) this.queue.setExpectedDuration(job.id, durationMs);
+            this.queue.transitionStatus(job.id, sm.STATES.UPLOADING_INPUTS, { payload: { workerId: worker.id } });
+            // Start a retry from a clean slate so a leaked model or half-freed
+            // VRAM from the failed attempt doesn't sink this one too.
+            if (job.attempt > 1 && workflowEntry.meta.retry?.freeBeforeRetry) {
+                try { await worker.rest.free(); } catch (e) { console.warn('[Executor] pre-retry /free err:', e.message); }
+            }
             // Inputs were already copied into ComfyUI/input by the upload route
             // and recorded in job.inputFiles. v2 doesn't re-upload here — but
             // we surface this state for clarity / future remote workers.
 
             const filenamePrefix = this._buildFilenamePrefix(job);
+            if (slot.cancelRequested) throw new Error('cancelled');
             this.queue.transitionStatus(job.id, sm.STATES.SUBMITTED);
-            await this.worker.submit(job.id, workflowEntry.apiWorkflow, {
+            await worker.submit(job.id, workflowEntry.apiWorkflow, {
                 workflowId: workflowEntry.id,
                 exposedParameters: workflowEntry.effective.exposedParameters,
                 paramValues: job.paramValues,
                 inputs: job.inputFiles,
                 filenamePrefix,
-                requirements: workflowEntry.meta.requirements
+                requirements: workflowEntry.meta.requirements,
+                vramNeedGb: vramNeedGb(workflowEntry)
             });
             // Worker.submit emits 'submitted' which transitions → EXECUTING.
-            // No runtime budget: a job runs until ComfyUI finishes or a user/admin
-            // cancels it. `_historyStartedAt` only drives the poll-interval ramp.
-            this._historyStartedAt = Date.now();
+            // `historyStartedAt` drives the poll-interval ramp and starts the
+            // watchdog's clock (see _checkWatchdog).
+            slot.historyStartedAt = Date.now();
         } catch (e) {
             console.error('[Executor] submit err:', e.message);
-            try {
-                this.queue.transitionStatus(job.id, sm.STATES.FAILED, {
-                    payload: { errorReason: e.message, errorPhase: 'submit' }
-                });
-            } catch { /* may already be terminal */ }
-            this._currentJobId = null;
+            this._failOrRetry(job.id, e.message, 'submit', slot.jobStartedAt, slot.worker.id);
+            this._release(slot);
             this._notify();
         }
     }
 
     _buildFilenamePrefix(job) {
+        // Batch outputs are grouped by batch label + item number instead.
+        if (job.batchId) {
+            const label = (this.queue.getBatch(job.batchId)?.label || job.batchId.slice(0, 8)).replace(/[^a-zA-Z0-9_-]/g, '_');
+            return `batch_${label}_${String(job.batchItem ?? 0).padStart(3, '0')}`;
+        }
+        // Sweep cells sit next to each other: user, sweep id, cell number.
+        if (job.sweepId) {
+            const safeUser = (job.userId || 'anon').replace(/[^a-zA-Z0-9_-]/g, '_');
+            return `${safeUser}_sweep_${job.sweepId.slice(0, 8)}_${String(job.sweepCell ?? 0).padStart(2, '0')}`;
+        }
+        // Pipeline steps: user, run id, step number.
+        if (job.pipelineRunId) {
+            const safeUser = (job.userId || 'anon').replace(/[^a-zA-Z0-9_-]/g, '_');
+            return `${safeUser}_pipe_${job.pipelineRunId.slice(0, 8)}_s${(job.pipelineStep ?? 0) + 1}`;
+        }
         const d = new Date(job.scheduledAt);
         const z = (n, w = 2) => String(n).padStart(w, '0');
         const stamp = `${d.getFullYear()}${z(d.getMonth() + 1)}${z(d.getDate())}_${z(d.getHours())}${z(d.getMinutes())}${z(d.getSeconds())}`;
@@ -193,31 +331,94 @@ class JobExecutor {
         return `${safeUser}_${stamp}_${job.id.slice(0, 8)}`;
     }
 
-    async _pollHistoryIfStale() {
-        if (this._wsHasFired) return; // collection already in progress
-        const job = this.queue.get(this._currentJobId);
+    async _pollHistoryIfStale(slot) {
+        if (slot.wsHasFired) return; // collection already in progress
+        const job = this.queue.get(slot.jobId);
         if (!job || !job.promptId) return;
 
-        const elapsed = this._historyStartedAt ? Date.now() - this._historyStartedAt : 0;
+        const elapsed = slot.historyStartedAt ? Date.now() - slot.historyStartedAt : 0;
         const interval = elapsed < FAST_POLL_WINDOW_MS ? FAST_POLL_MS : SLOW_POLL_MS;
         // Throttle polls based on interval.
-        if (this._lastPollAt && (Date.now() - this._lastPollAt) < interval) return;
-        this._lastPollAt = Date.now();
+        if (slot.lastPollAt && (Date.now() - slot.lastPollAt) < interval) return;
+        slot.lastPollAt = Date.now();
 
         try {
-            const data = await this.worker.rest.getHistory(job.promptId);
+            const data = await slot.worker.rest.getHistory(job.promptId);
             if (data && data[job.promptId]) {
-                await this._collectAndComplete(job.id, job.promptId);
+                await this._collectAndComplete(slot, job.id, job.promptId);
             }
         } catch (e) {
             // ignore — history may not be ready yet
         }
     }
 
-    async _collectAndComplete(jobId, promptId) {
+    // Stuck-job watchdog. A hung custom node never finishes and never errors,
+    // so without this it would hold its worker — and every job behind it —
+    // until someone noticed. A job past its workflow's run limit, or one
+    // ComfyUI has been silent about for the idle limit, is interrupted and
+    // failed as a 'timeout'; with restartProcess the worker's ComfyUI is then
+    // relaunched in the background (the worker is not idle meanwhile, so
+    // nothing is handed to it). Admins get an alert either way.
+    async _checkWatchdog(slot) {
+        if (slot.timedOut || slot.wsHasFired || !slot.historyStartedAt) return;
+        const job = this.queue.get(slot.jobId);
+        if (!job || job.status !== sm.STATES.EXECUTING) return;
+        const entry = this.registry.get(job.workflowId);
+        const limits = watchdogLimits(entry);
+        const now = Date.now();
+        // Still queued in ComfyUI behind someone's direct prompt — the clocks
+        // start once ours actually runs.
+        if (this.external?.isWaiting(slot.worker.id, job.promptId)) {
+            slot.lastEventAt = now;
+            if (slot.adopted) slot.jobStartedAt = now;
+            else slot.historyStartedAt = now;
+            return;
+        }
+        const ranMs = now - (slot.adopted ? slot.jobStartedAt : slot.historyStartedAt);
+        const idleMs = now - (slot.lastEventAt || slot.historyStartedAt);
+        const title = job.progress?.currentNodeTitle;
+        const node = job.currentNode ? ` in node ${job.currentNode}${title ? ` (${title})` : ''}` : '';
+        let detail = null;
+        if (limits.runMs && ranMs > limits.runMs) {
+            detail = `still running after ${Math.round(ranMs / 1000)}s${node}, over the ${Math.round(limits.runMs / 1000)}s limit`;
+        } else if (limits.idleMs && !slot.adopted && idleMs > limits.idleMs) {
+            detail = `no progress from ComfyUI for ${Math.round(idleMs / 1000)}s${node}`;
+        }
+        if (!detail) return;
+
+        slot.timedOut = true;
+        const worker = slot.worker;
+        console.warn(`[Executor] job ${job.id.slice(0, 8)} watchdog${this._on(slot)}: ${detail} — interrupting`);
+        try { await worker.rest.interrupt({ promptId: job.promptId }); } catch (e) { console.warn('[Executor] watchdog /interrupt err:', e.message); }
+        this._failCurrent(slot, `timeout: ${detail}`, 'executing');
+
+        const wfName = entry?.summary?.name || job.workflowId;
+        const alert = {
+            kind: 'job-timeout', jobId: job.id, userId: job.userId, workflowId: job.workflowId, workerId: worker.id,
+            message: `${job.userId}'s ${wfName} job was stopped: ${detail}.`,
+            restarting: false
+        };
+        if (limits.restartProcess) {
+            alert.restarting = true;
+            alert.message += ` Restarting ComfyUI${this._on(slot)}.`;
+            worker.restartProcess()
+                .then((done) => {
+                    if (done) return;
+                    console.warn(`[Executor] watchdog: ComfyUI${this._on(slot)} was not launched by ComfyQ — not restarted`);
+                    this._alert({ kind: 'restart-skipped', workerId: worker.id, message: `ComfyUI${this._on(slot)} was not launched by ComfyQ, so it was not restarted — restart it by hand if the node is still stuck.` });
+                })
+                .catch((e) => {
+                    console.error(`[Executor] watchdog: ComfyUI restart failed${this._on(slot)}:`, e.message);
+                    this._alert({ kind: 'restart-failed', workerId: worker.id, message: `ComfyUI${this._on(slot)} could not be restarted: ${e.message}` });
+                });
+        }
+        this._alert(alert);
+    }
+
+    async _collectAndComplete(slot, jobId, promptId) {
         let history;
-        try { history = await this.worker.rest.getHistory(promptId); }
-        catch (e) { return this._failCurrent(`history fetch failed: ${e.message}`, 'collecting-outputs'); }
+        try { history = await slot.worker.rest.getHistory(promptId); }
+        catch (e) { return this._failCurrent(slot, `history fetch failed: ${e.message}`, 'collecting-outputs'); }
         const entry = history?.[promptId];
         if (!entry) return; // not ready yet
 
@@ -226,7 +427,7 @@ class JobExecutor {
         if (statusObj && statusObj.status_str === 'error') {
             const errMsg = statusObj.messages?.find(m => m[0] === 'execution_error')?.[1];
             const reason = humanizeFailure(errMsg?.exception_message, errMsg?.node_type);
-            return this._failCurrent(reason, 'executing');
+            return this._failCurrent(slot, reason, 'executing');
         }
 
         // Move to collecting-outputs (idempotent if already there).
@@ -234,6 +435,9 @@ class JobExecutor {
         catch { /* ok if already collected */ }
 
         const raw = oc.collectFromHistory(entry);
+        // A remote worker downloads the files here; a local one has them already.
+        try { await slot.worker.collectOutputs(raw); }
+        catch (e) { return this._failCurrent(slot, e.message, 'collecting-outputs'); }
         const enriched = oc.enrich(raw, this.comfyConfig);
         // Fold any ComfyUI subfolder into `filename` so it's an output-root-
         // relative path (e.g. "audio/track_001.mp3"). The media route serves by
@@ -251,8 +455,11 @@ class JobExecutor {
             ...(o.text != null ? { text: o.text } : {})
         }));
         this.queue.setOutputs(jobId, wireOutputs);
+        // A job that succeeded on a retry shouldn't keep showing the error
+        // from the attempt before.
+        const cleared = this.queue.get(jobId)?.errorReason ? { errorReason: null, errorPhase: null, errorCode: null } : {};
         try {
-            this.queue.transitionStatus(jobId, sm.STATES.COMPLETED, { payload: { outputs: wireOutputs } });
+            this.queue.transitionStatus(jobId, sm.STATES.COMPLETED, { payload: { outputs: wireOutputs, ...cleared } });
         } catch (e) {
             console.warn('[Executor] complete transition err:', e.message);
         }
@@ -262,8 +469,8 @@ class JobExecutor {
         // even after the machine switches to a different workflow.
         try { ingredientsStore.persist({ comfyConfig: this.comfyConfig, registry: this.registry, job: this.queue.get(jobId) }); }
         catch (e) { console.warn('[Executor] ingredients persist err:', e.message); }
-        const dur = this._jobStartedAt ? ((Date.now() - this._jobStartedAt) / 1000).toFixed(1) : '?';
-        console.log(`[Executor] job ${jobId.slice(0, 8)} COMPLETED in ${dur}s — ${wireOutputs.length} output(s)`);
+        const dur = slot.jobStartedAt ? ((Date.now() - slot.jobStartedAt) / 1000).toFixed(1) : '?';
+        console.log(`[Executor] job ${jobId.slice(0, 8)} COMPLETED in ${dur}s${this._on(slot)} — ${wireOutputs.length} output(s)`);
         for (const o of wireOutputs) {
             const sizeKb = o.sizeBytes ? `${Math.round(o.sizeBytes / 1024)} KB` : '?';
             const sub = o.subfolder ? `${o.subfolder}/` : '';
@@ -271,50 +478,162 @@ class JobExecutor {
                 : (o.kind === 'text' ? `"${String(o.text).replace(/\s+/g, ' ').slice(0, 60)}…"` : '[inline]');
             console.log(`[Executor]   → ${label} (${o.kind}, ${sizeKb})`);
         }
-        this.worker.finalize({ success: true });
-        this._currentJobId = null;
-        this._historyStartedAt = null;
-        this._wsHasFired = false;
-        this._jobStartedAt = null;
-        this._lastLoggedNodeId = null;
+        slot.worker.finalize({ success: true });
+        this._release(slot);
         this._notify();
     }
 
-    _failCurrent(reason, phase) {
-        const id = this._currentJobId;
+    _failCurrent(slot, reason, phase) {
+        const id = slot.jobId;
         if (!id) return;
+        this._failOrRetry(id, reason, phase, slot.jobStartedAt, slot.worker.id);
+        try { slot.worker.finalize({ success: false }); } catch { /* ignore */ }
+        this._release(slot);
+        this._notify();
+    }
+
+    // Fail the job — unless its workflow's retry policy covers this failure
+    // code and attempts remain, in which case it is parked in RETRYING until
+    // the backoff elapses and findReady hands it back. Every attempt is a
+    // job_events row carrying the error and its code, plus what ComfyUI and
+    // the executor logged meanwhile (`logExcerpt`) when a LogBuffer is wired.
+    _failOrRetry(jobId, errorReason, errorPhase, startedAt = null, workerId = null) {
+        const job = this.queue.get(jobId);
+        if (!job || !sm.isInFlight(job.status)) return; // already terminal (cancel, emergency stop)
+        const dur = startedAt ? ((Date.now() - startedAt) / 1000).toFixed(1) : '?';
+        const truncReason = String(errorReason).split('\n')[0].slice(0, 200);
+        const errorCode = failureCode(errorReason);
+        const logExcerpt = this.logs ? this.logs.excerpt({ jobId, workerId, from: startedAt }) : undefined;
+        const policy = this.registry.get(job.workflowId)?.meta?.retry;
+        const maxAttempts = policy?.maxAttempts || 1;
+
+        if (job.attempt < maxAttempts && policy.retryOn.includes(errorCode)) {
+            const delayMs = Math.round(policy.backoffSec * 1000 * Math.pow(policy.backoffMultiplier, job.attempt - 1));
+            const nextAttemptAt = Date.now() + delayMs;
+            try {
+                this.queue.transitionStatus(jobId, sm.STATES.RETRYING, {
+                    payload: {
+                        type: 'attempt', errorReason, errorPhase, errorCode,
+                        attempt: job.attempt + 1, maxAttempts, nextAttemptAt, logExcerpt
+                    }
+                });
+                console.warn(`[Executor] job ${jobId.slice(0, 8)} attempt ${job.attempt}/${maxAttempts} failed after ${dur}s — ${errorCode}: ${truncReason}; retrying in ${(delayMs / 1000).toFixed(0)}s`);
+                return;
+            } catch (e) {
+                console.warn('[Executor] retry transition err:', e.message);
+            }
+        }
         try {
-            this.queue.transitionStatus(id, sm.STATES.FAILED, {
-                payload: { errorReason: reason, errorPhase: phase }
+            this.queue.transitionStatus(jobId, sm.STATES.FAILED, {
+                payload: { errorReason, errorPhase, errorCode, logExcerpt }
             });
         } catch { /* may already be terminal */ }
-        const dur = this._jobStartedAt ? ((Date.now() - this._jobStartedAt) / 1000).toFixed(1) : '?';
-        const truncReason = String(reason).split('\n')[0].slice(0, 200);
-        console.warn(`[Executor] job ${id.slice(0, 8)} FAILED after ${dur}s — ${phase}: ${truncReason}`);
-        try { this.worker.finalize({ success: false }); } catch { /* ignore */ }
-        this._currentJobId = null;
-        this._historyStartedAt = null;
-        this._wsHasFired = false;
-        this._jobStartedAt = null;
-        this._lastLoggedNodeId = null;
+        const attemptTag = job.attempt > 1 ? ` (attempt ${job.attempt}/${job.maxAttempts})` : '';
+        console.warn(`[Executor] job ${jobId.slice(0, 8)} FAILED after ${dur}s${attemptTag} — ${errorPhase} [${errorCode}]: ${truncReason}`);
+    }
+
+    // Boot-time recovery for jobs that were in flight when the server stopped.
+    // ComfyUI is deliberately left running across restarts, so each stored
+    // prompt_id is looked up: finished prompts get their outputs collected,
+    // prompts still queued/running in ComfyUI are re-attached (the history poll
+    // picks up completion), and only jobs ComfyUI has no record of — or that
+    // never got a prompt_id — are failed with 'server-restart'. Each job is
+    // looked up on the worker that ran it (the first worker for jobs recorded
+    // before the pool, or whose worker is no longer configured). Must run
+    // before start() so the loop doesn't pick up a new job meanwhile.
+    // Resolves how many jobs ended up in each outcome { collected, resumed,
+    // retrying, failed }.
+    async recoverInFlight() {
+        const result = { collected: 0, resumed: 0, retrying: 0, failed: 0 };
+        const inflight = this.queue.list({ limit: 10000 }).filter(j => sm.isInFlight(j.status));
+        if (inflight.length === 0) return result;
+
+        const live = new Map(); // worker id → Set of prompt ids queued/running there
+        for (const slot of this._slots.values()) {
+            const ids = new Set();
+            try {
+                const q = await slot.worker.rest.getQueue();
+                for (const item of [...(q?.queue_running || []), ...(q?.queue_pending || [])]) ids.add(item[1]);
+            } catch (e) {
+                console.warn(`[Executor] recovery: /queue unavailable${this._on(slot)}:`, e.message);
+            }
+            live.set(slot.worker.id, ids);
+        }
+
+        const fail = (job, detail) => {
+            try {
+                this.queue.transitionStatus(job.id, sm.STATES.FAILED, {
+                    payload: { errorReason: 'server-restart', errorPhase: job.status, errorCode: 'interrupted' }
+                });
+            } catch { /* already terminal */ }
+            console.warn(`[Executor] recovery: job ${job.id.slice(0, 8)} → failed: server-restart (${detail})`);
+            result.failed++;
+        };
+
+        for (const job of inflight) {
+            if (!job.promptId) { fail(job, 'never reached ComfyUI'); continue; }
+            const slot = this._slots.get(job.workerId) || this._slots.get(this.workers[0].id);
+            const running = live.get(slot.worker.id).has(job.promptId);
+            let entry = null;
+            try { entry = (await slot.worker.rest.getHistory(job.promptId))?.[job.promptId] || null; }
+            catch { /* treat as unknown */ }
+            if (entry) {
+                this._adopt(slot, job);
+                await this._collectAndComplete(slot, job.id, job.promptId);
+                // Finished in ComfyUI doesn't mean it worked: the prompt may
+                // have errored or left nothing to collect.
+                const status = this.queue.get(job.id)?.status;
+                if (status === sm.STATES.COMPLETED) result.collected++;
+                else if (status === sm.STATES.RETRYING) result.retrying++;
+                else result.failed++;
+            } else if (running && !slot.jobId) {
+                this._adopt(slot, job);
+                slot.historyStartedAt = Date.now();
+                console.log(`[Executor] recovery: job ${job.id.slice(0, 8)} still running in ComfyUI${this._on(slot)} — re-attached`);
+                result.resumed++;
+            } else {
+                fail(job, running ? 'another job already re-attached' : 'ComfyUI has no record of the prompt');
+            }
+        }
         this._notify();
+        return result;
+    }
+
+    // Make `job` the slot's (and its worker's) current job without submitting.
+    _adopt(slot, job) {
+        Object.assign(slot, this._emptySlot(slot.worker), { jobId: job.id, jobStartedAt: job.startedAt || Date.now(), adopted: true });
+        slot.worker.attach(job.id, job.promptId);
     }
 
+    // Cancel a job wherever it is. Resolves { ok, how, message } — `ok` only
+    // when the job really won't run on (see ComfyApiWorker.cancel for `how`),
+    // `message` saying why not otherwise.
     async cancelJob(jobId) {
         const job = this.queue.get(jobId);
-        if (!job) return false;
-        if (sm.isTerminal(job.status)) return false;
-        if (job.status === sm.STATES.SCHEDULED) {
+        if (!job) return { ok: false, how: 'not-found', message: 'Job not found.' };
+        if (sm.isTerminal(job.status)) return { ok: false, how: 'finished', message: `The job has already ${job.status}.` };
+        if (job.status === sm.STATES.SCHEDULED || job.status === sm.STATES.RETRYING) {
             this.queue.transitionStatus(jobId, sm.STATES.CANCELLED);
             this._notify();
-            return true;
+            return { ok: true, how: 'unscheduled' };
         }
-        // Currently executing → ask worker to interrupt (it will emit 'failed').
-        if (this._currentJobId === jobId) {
-            await this.worker.cancel(jobId);
-            return true;
+        // On a worker → it withdraws or interrupts the prompt and emits 'failed'.
+        const slot = this._slotFor(jobId);
+        if (!slot) return { ok: false, how: 'not-on-worker', message: 'The job is not running on any worker.' };
+        const { cancelled, how } = await slot.worker.cancel(jobId);
+        if (!cancelled && how === 'not-on-worker' && slot.jobId === jobId && !slot.worker.currentJobId) {
+            // Picked up but not handed to the worker yet.
+            slot.cancelRequested = true;
+            return { ok: true, how: 'before-submit' };
         }
-        return false;
+        if (cancelled) return { ok: true, how };
+        const message = how === 'already-finished' ? 'The job had already finished in ComfyUI — its result is being collected.'
+            : how === 'still-queued' ? 'ComfyUI kept the job in its queue — try again.'
+                : how === 'comfyui-unreachable' ? 'ComfyUI did not answer, so the job could not be stopped — try again.'
+                    : how === 'submit-failed' ? 'The job failed before it reached ComfyUI.'
+                        : 'The job is no longer on its worker.';
+        console.warn(`[Executor] cancel of job ${jobId.slice(0, 8)} did not take: ${how}`);
+        return { ok: false, how, message };
     }
 }
 
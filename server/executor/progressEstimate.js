@@ -0,0 +1,52 @@
+// Graph-aware progress for a running job. Sampler `progress` messages only
+// cover the sampler; a multi-stage workflow (prompt enhancer → sampler → VAE
+// decode → video combine) also spends long stretches in nodes that report
+// nothing. So progress is tracked per node (executed + cached of the prompt's
+// nodes, see ComfyApiWorker) and weighted by how long each node took during
+// calibration (runtime.json `nodeTimingsMs`):
+//
+//   done     = Σ timing of finished/cached nodes
+//            + the executing node's share — its sampler step fraction when it
+//              is sampling, else the time spent in it (capped just short of
+//              its calibrated timing, so an overrun holds rather than lies)
+//   fraction = done / Σ timing of all nodes,  etaSec = (total − done) / 1000
+//
+// Without timings (uncalibrated, or calibrated before they were recorded)
+// every node weighs the same and there is no ETA from here.
+
+const OVERRUN_CAP = 0.95;
+
+// → { fraction, etaSec } for a job with node-level progress, else null.
+function estimateProgress(job, nodeTimingsMs, now = Date.now()) {
+    const p = job?.progress || {};
+    if (!p.nodesTotal) return null;
+    const done = new Set(p.doneNodeIds || []);
+    const current = job.currentNode && !done.has(job.currentNode) ? job.currentNode : null;
+    const stepFraction = current && p.stepsNode === current && p.stepsTotal > 0
+        ? Math.min(1, p.stepsDone / p.stepsTotal)
+        : null;
+
+    const timings = nodeTimingsMs && typeof nodeTimingsMs === 'object' ? nodeTimingsMs : {};
+    let totalMs = 0;
+    let doneMs = 0;
+    for (const [id, ms] of Object.entries(timings)) {
+        if (!(ms >= 0)) continue;
+        totalMs += ms;
+        if (done.has(id)) doneMs += ms;
+    }
+    if (totalMs <= 0) {
+        return { fraction: Math.min(1, (done.size + (stepFraction ?? 0)) / p.nodesTotal), etaSec: null };
+    }
+
+    const currentMs = current ? timings[current] || 0 : 0;
+    if (currentMs > 0) {
+        if (stepFraction != null) doneMs += currentMs * stepFraction;
+        else if (p.nodeStartedAt) doneMs += Math.min(currentMs * OVERRUN_CAP, Math.max(0, now - p.nodeStartedAt));
+    }
+    return {
+        fraction: Math.min(1, doneMs / totalMs),
+        etaSec: Math.max(0, (totalMs - doneMs) / 1000)
+    };
+}
+
+module.exports = { estimateProgress };
@@ -5,6 +5,8 @@
 // drift. It reads only already-computed state — no new probing of ComfyUI:
 //   - mode               ← config.mode
 //   - comfy liveness     ← runtime.comfyBackend.comfyStatus() (admin) / runtime.worker.getStatus() (student)
+//   - VRAM               ← each worker's last /system_stats reading + /free decision (student only)
+//   - ComfyUI restarts   ← the process supervisor of each local worker (student only)
 //   - active workflow    ← config.workflows.activeWorkflowId + registry summary
 //   - planned/running    ← runtime.queue.list() (student only; admin has no live queue)
 
@@ -33,12 +35,37 @@ function comfyState({ runtime, configManager }) {
         try {
             const st = runtime.worker.getStatus();
             const port = configManager.load().config.comfy_ui.api_port;
-            return { running: st.state !== 'down', external: false, wsConnected: !!st.wsConnected, port };
+            const supervised = (st.workers || []).map(w => w.supervisor).filter(Boolean);
+            return {
+                running: st.state !== 'down', external: false, wsConnected: !!st.wsConnected, port,
+                vram: vramState(st),
+                // Supervisor restarts of crashed ComfyUIs this session; crashLoop
+                // when one gave up restarting.
+                restarts: supervised.reduce((n, s) => n + s.restarts, 0),
+                crashLoop: supervised.some(s => s.gaveUp)
+            };
         } catch { /* fall through */ }
     }
     return { running: false, external: false, wsConnected: false, port: null };
 }
 
+// Per worker: measured free/total VRAM and why the last job did or didn't
+// /free — compact, it rides in the beacon datagram.
+function vramState(poolStatus) {
+    return (poolStatus.workers || []).map(w => ({
+        worker: w.id,
+        freeGb: w.vram?.freeGb ?? null,
+        totalGb: w.vram?.totalGb ?? null,
+        at: w.vram?.at ?? null,
+        lastFree: w.vramDecision ? {
+            workflowId: w.vramDecision.workflowId,
+            freed: w.vramDecision.freed,
+            reason: w.vramDecision.reason,
+            at: w.vramDecision.at
+        } : null
+    }));
+}
+
 function activeWorkflow({ config, registry }) {
     const id = config.workflows?.activeWorkflowId;
     if (!id) return null;
@@ -97,7 +124,7 @@ function jobsState({ runtime, registry }) {
         status: j.status,
         scheduledAt: j.scheduledAt,
         startedAt: j.startedAt || null,
-        estDurationSec: estFor(j.workflowId)
+        estDurationSec: j.expectedDurationMs ? Math.round(j.expectedDurationMs / 1000) : estFor(j.workflowId)
     });
 
     let running = null;
@@ -29,15 +29,24 @@ function lanAddresses() {
 
 const configManager = require('./config/configManager');
 const { WorkflowRegistry } = require('./workflows/workflowRegistry');
+const { PipelineRegistry } = require('./workflows/pipelineRegistry');
+const { LiveOptions, fetchObjectInfo } = require('./workflows/liveOptions');
 const { JobQueue } = require('./queue/jobQueue');
-const { LocalComfyUIWorker } = require('./workers/localComfyUIWorker');
+const { WorkerPool, workerSpecs } = require('./workers/workerPool');
+const { ExternalUsage } = require('./workers/externalUsage');
 const { JobExecutor } = require('./executor/jobExecutor');
 const { BenchmarkService } = require('./benchmark/benchmarkService');
 const { AdminCalibrator } = require('./benchmark/adminCalibrator');
 const { RealtimeBus } = require('./realtime/realtimeBus');
+const { LogBuffer, captureConsole } = require('./realtime/logBuffer');
+const { SweepService } = require('./sweep/sweepService');
+const { RetentionSweeper } = require('./storage/retentionSweeper');
+const { PipelineRunner } = require('./pipeline/pipelineRunner');
 const { adminGate } = require('./auth/authGate');
 const adminRoutes = require('./routes/admin');
+const batchRoutes = require('./routes/batches');
 const workflowRoutes = require('./routes/workflows');
+const pipelineRoutes = require('./routes/pipelines');
 const jobRoutes = require('./routes/jobs');
 const uploadRoutes = require('./routes/uploads');
 const mediaStore = require('./media/mediaStore');
@@ -140,6 +149,10 @@ function exitForRestart(nextMode) {
 }
 
 async function main() {
+    // Rolling log for the admin panel's log viewer: ComfyQ's own tagged
+    // console lines from here on, plus whatever the ComfyUI workers print.
+    const logs = new LogBuffer();
+    captureConsole(logs);
     console.log('[ComfyQ] starting…');
     const { config: rawConfig } = configManager.load();
 
@@ -208,6 +221,7 @@ async function main() {
     // admin router expose student-only routes (emergency-stop) without a
     // second router mount.
     const runtime = {};
+    runtime.logs = logs;     // GET /admin/logs
 
     // Activity tracker (for the fleet monitor's "users connected" + "last
     // activity" in both modes). Updated on real requests; the federation
@@ -228,6 +242,8 @@ async function main() {
     app.use('/admin', adminRoutes.makeRouter({
         configManager, registry, adminGate: gate, exitForRestart, runtime
     }));
+    // Batch import (Phase G) — student-mode only; reads runtime.queue/worker.
+    app.use('/admin', batchRoutes.makeRouter({ configManager, registry, adminGate: gate, runtime }));
     // Federation status (read-only; same snapshot the beacon multicasts).
     app.use('/federation', federationRoutes.makeRouter({
         configManager, registry, runtime, getSysInfo: () => sysInfo
@@ -241,12 +257,15 @@ async function main() {
         const adminCalibrator = new AdminCalibrator({
             configManager,
             registry,
-            onMilestone: (label) => printConnectionBanner(label, config.server.port)
+            onMilestone: (label) => printConnectionBanner(label, config.server.port),
+            onLog: (l) => logs.pushComfyUI(l)
         });
         // Expose the calibrator's ComfyUI manager to the (already-mounted) admin
         // router so the "Launch ComfyUI backend" button can spawn a network-bound
         // instance. The router closure shares this `runtime` object by reference.
         runtime.comfyBackend = adminCalibrator;
+        // Live select options come from whichever ComfyUI answers on api_port.
+        registry.useLiveOptions(new LiveOptions({ load: () => fetchObjectInfo(config.comfy_ui) }));
         app.use('/workflows', workflowRoutes.makeRouter({
             registry, configManager, benchmarkService: adminCalibrator, adminGate: gate
         }));
@@ -260,7 +279,8 @@ async function main() {
         // already "engine on" and ready — and shows as such in the fleet monitor.
         // Non-blocking: the admin UI is reachable immediately while ComfyUI warms
         // up. Reuses/attaches to an existing instance if one is already running.
-        if (config.comfy_ui.autoStart !== false && config.comfy_ui.root_path && config.comfy_ui.python_executable) {
+        if (config.comfy_ui.autoStart !== false && config.comfy_ui.backend !== 'simulated'
+            && config.comfy_ui.root_path && config.comfy_ui.python_executable) {
             adminCalibrator.launchBackend()
                 .then(() => console.log('[ComfyQ] ComfyUI backend started (admin default)'))
                 .catch(e => console.warn('[ComfyQ] could not auto-start ComfyUI backend:', e.message));
@@ -284,16 +304,29 @@ async function main() {
     // ---- Student mode ----
     console.log('[ComfyQ] === student-mode bootstrap ===');
     console.log(`[ComfyQ]   active workflow: ${config.workflows.activeWorkflowId || '(none)'}`);
+    if (config.comfy_ui.backend === 'simulated') {
+        console.log('[ComfyQ]   Backend:         SIMULATED — fake ComfyUI, placeholder outputs, no GPU work');
+    }
     console.log(`[ComfyQ]   ComfyUI root:    ${config.comfy_ui.root_path}`);
     console.log(`[ComfyQ]   ComfyUI api:     http://${config.comfy_ui.api_host}:${config.comfy_ui.api_port}`);
     console.log(`[ComfyQ]   ComfyUI LAN:     ${config.comfy_ui.lan_access ? `bound to 0.0.0.0 — reachable on the network at :${config.comfy_ui.api_port}` : 'loopback only (lan_access off)'}`);
     console.log(`[ComfyQ]   Python:          ${config.comfy_ui.python_executable}`);
     console.log(`[ComfyQ]   VRAM budget:     ${config.comfy_ui.vramBudgetGb} GB`);
+    for (const w of config.comfy_ui.workers) {
+        const where = w.host ? `remote ${w.host}:${w.api_port}` : `port ${w.api_port}, CUDA devices ${w.cuda_visible_devices || 'all'}`;
+        console.log(`[ComfyQ]   Worker ${w.id}:  ${where}, ${w.vramBudgetGb ?? config.comfy_ui.vramBudgetGb} GB`);
+    }
 
     // Advertise the raw ComfyUI web UI in the LAN-URL banner(s) when enabled.
     if (config.comfy_ui.lan_access) comfyLanPort = config.comfy_ui.api_port;
 
-    if (!config.comfy_ui.root_path || !config.comfy_ui.python_executable) {
+    // A pool of remote workers only needs root_path (the local staging store
+    // for inputs and downloaded outputs); launching a ComfyUI needs Python too.
+    // The simulated backend launches nothing, and resolvePaths gave it a root.
+    let needsPython = true;
+    try { needsPython = config.comfy_ui.backend !== 'simulated' && workerSpecs(config.comfy_ui).some(s => !s.host); }
+    catch (e) { console.error('[ComfyQ] invalid comfy_ui.workers:', e.message); }
+    if (!config.comfy_ui.root_path || (needsPython && !config.comfy_ui.python_executable)) {
         console.error('[ComfyQ] ComfyUI paths are not configured. Switching to admin mode.');
         configManager.update(c => { c.mode = 'admin'; return c; });
         return exitForRestart();
@@ -301,24 +334,25 @@ async function main() {
 
     console.log('[ComfyQ] opening sqlite job queue…');
     const queue = new JobQueue(config.queue.dbPath);
-    const reconciled = queue.reconcileOnBoot();
-    if (reconciled > 0) console.log(`[ComfyQ] reconciled ${reconciled} stale job(s) → failed: server-restart`);
-    else console.log('[ComfyQ] no stale jobs to reconcile');
 
-    console.log('[ComfyQ] starting ComfyUI worker…');
+    console.log('[ComfyQ] starting ComfyUI worker(s)…');
     // Reprints the LAN-URL banner at key boot milestones (WS connect,
     // comfyregistry fetch complete) so the URLs aren't buried in
     // ComfyUI's startup output. Resolved with config.server.port so the
     // banner shows the same backend port the boot-time banner did.
     const onMilestone = (label) => printConnectionBanner(label, config.server.port);
-    const worker = new LocalComfyUIWorker({
-        comfyConfig: config.comfy_ui,
-        queueConfig: config.queue,
-        onMilestone
-    });
+    // One worker per configured GPU (comfy_ui.workers), or the single
+    // api_port worker. `worker` is the pool; the executor drives its members.
+    let worker;
     try {
+        worker = new WorkerPool({
+            comfyConfig: config.comfy_ui,
+            queueConfig: config.queue,
+            onMilestone
+        });
         const started = await worker.start();
-        console.log(`[ComfyQ] worker ready (${started?.external ? 'attached to external ComfyUI' : 'spawned ComfyUI'})`);
+        const count = started.total > 1 ? ` — ${started.started}/${started.total} workers up` : '';
+        console.log(`[ComfyQ] worker ready (${started.external ? 'attached to external ComfyUI' : 'spawned ComfyUI'}${count})`);
     } catch (e) {
         console.error('[ComfyQ] failed to start ComfyUI worker:', e.message);
         console.error('[ComfyQ] reverting to admin mode');
@@ -326,15 +360,59 @@ async function main() {
         return exitForRestart();
     }
 
-    const executor = new JobExecutor({ queue, worker, registry, comfyConfig: config.comfy_ui });
+    worker.on('log', (l) => logs.pushComfyUI(l));
+
+    // Live select options come from the first worker whose ComfyUI has
+    // /object_info (sharing the worker's per-session cache).
+    const liveOptions = new LiveOptions({
+        load: async ({ refresh }) => {
+            for (const w of worker.workers) {
+                const info = await w.getObjectInfo({ refresh });
+                if (info) return info;
+            }
+            return null;
+        }
+    });
+    registry.useLiveOptions(liveOptions);
+    liveOptions.refresh();
+
+    // Prompts people queue on ComfyUI directly (lan_access): shown on the
+    // timeline, holding ComfyQ's jobs back — or turned away in class hours.
+    const external = new ExternalUsage({ workers: worker.workers, configManager });
+    external.start();
+
+    // Bookings may overlap as many times as there are workers to run them.
+    queue.setCapacity(worker.workers.length);
+    const executor = new JobExecutor({ queue, workers: worker.workers, registry, comfyConfig: config.comfy_ui, configManager, logs, external });
+    // Jobs left in flight by the previous run are matched against ComfyUI's
+    // /history + /queue (it survives our restarts) before the loop starts.
+    const recovered = await executor.recoverInFlight();
+    if (recovered.collected + recovered.resumed + recovered.retrying + recovered.failed > 0) {
+        console.log(`[ComfyQ] in-flight recovery: ${recovered.collected} collected, ${recovered.resumed} re-attached, ${recovered.retrying} retrying, ${recovered.failed} failed`);
+    } else console.log('[ComfyQ] no in-flight jobs to recover');
     executor.start();
     console.log('[ComfyQ] executor loop started');
 
-    const benchmarkService = new BenchmarkService({ worker, registry, comfyConfig: config.comfy_ui, assetsDir: config.assets?.dir || '' });
+    const benchmarkService = new BenchmarkService({ worker: worker.primary, registry, comfyConfig: config.comfy_ui, assetsDir: config.assets?.dir || '' });
 
-    const bus = new RealtimeBus({ httpServer: server, queue, executor, registry, configManager, worker, comfyConfig: config.comfy_ui, activity: runtime.activity });
+    const pipelines = new PipelineRegistry(config.workflows.dir, registry);
+    const bus = new RealtimeBus({ httpServer: server, queue, executor, registry, pipelines, configManager, worker, comfyConfig: config.comfy_ui, activity: runtime.activity, logs, external });
     runtime.bus = bus;     // fleet snapshot reads connected-user count from here
 
+    // Composes a sweep's contact sheet once all of its jobs are done.
+    const sweepService = new SweepService({ queue, comfyConfig: config.comfy_ui });
+    sweepService.start();
+
+    // Queues each pipeline step once the one before it has completed.
+    const pipelineRunner = new PipelineRunner({ queue, registry, uploader: worker.uploader, comfyConfig: config.comfy_ui });
+    pipelineRunner.start();
+
+    // Hourly: deletes outputs + ingredients of unpinned jobs older than
+    // queue.outputRetentionDays.
+    const retention = new RetentionSweeper({ queue, configManager, comfyConfig: config.comfy_ui });
+    retention.start();
+    runtime.retention = retention;     // admin preview / "sweep now"
+
     // Expose student-mode runtime to the admin router (emergency-stop) and the
     // federation snapshot (queue + worker liveness).
     runtime.queue = queue;
@@ -351,12 +429,17 @@ async function main() {
     app.use('/workflows', workflowRoutes.makeRouter({
         registry, configManager, benchmarkService, adminGate: gate
     }));
-    app.use('/jobs', jobRoutes.makeRouter({ queue, comfyConfig: config.comfy_ui, registry }));
+    app.use('/pipelines', pipelineRoutes.makeRouter({ pipelines }));
+    app.use('/jobs', jobRoutes.makeRouter({ queue, comfyConfig: config.comfy_ui, registry, adminGate: gate }));
     app.use(uploadRoutes.makeRouter({ comfyConfig: config.comfy_ui }));
     app.use(mediaStore.makeRouter(config.comfy_ui));
 
-    // Periodic input dir sweep.
-    setInterval(() => worker.uploader.sweepStale(), 60_000);
+    // Periodic input dir sweep: stale per-job copies, and the staged inputs
+    // of batches that have finished.
+    setInterval(() => {
+        worker.uploader.sweepStale();
+        worker.uploader.sweepDrained({ batchActive: (id) => queue.batchActive(id) });
+    }, 60_000);
 
     const port = config.server.port;
     const host = config.server.host;
@@ -385,6 +468,7 @@ async function main() {
         console.log('[ComfyQ] shutting down…');
         try { beacon.stop(); } catch { /* ignore */ }
         executor.stop();
+        external.stop();
         await worker.shutdown();
         queue.close();
         process.exit(0);
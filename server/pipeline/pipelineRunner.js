@@ -0,0 +1,117 @@
+const fs = require('fs');
+const sm = require('../queue/jobStateMachine');
+const { resolveOutputPath } = require('../executor/outputCollector');
+
+// PipelineRunner — moves chained pipeline runs along. Watches the queue and,
+// when the current step's job has completed, copies its first output of the
+// kind the next step takes into ComfyUI's input dir and queues that step
+// (ASAP). A failed, cancelled or deleted step stops the run with the reason;
+// the last step completing finishes it. A hand-off copy is deleted once the
+// step it fed is over (its inputs are in the job's ingredients by then), and
+// all of a run's once the run ends. Runs once at start too, so a step that
+// finished while the server was down still hands off.
+class PipelineRunner {
+    constructor({ queue, registry, uploader, comfyConfig }) {
+        this.queue = queue;
+        this.registry = registry;
+        this.uploader = uploader;
+        this.comfyConfig = comfyConfig;
+        this._scheduled = false;
+    }
+
+    start() {
+        // Progress ticks never finish a step, so only real changes count.
+        this.queue.onChange((kind) => { if (kind !== 'progress') this._schedule(); });
+        this._schedule();
+    }
+
+    // Queue changes come in bursts; check at most once per tick.
+    _schedule() {
+        if (this._scheduled) return;
+        this._scheduled = true;
+        setImmediate(() => {
+            this._scheduled = false;
+            this._checkAll();
+        });
+    }
+
+    _checkAll() {
+        let running;
+        try { running = this.queue.listPipelineRuns({ status: 'running', limit: 1000 }); }
+        catch (e) { console.error('[Pipeline] list err:', e.message); return; }
+        for (const run of running) {
+            try { this._check(run); }
+            catch (e) {
+                console.warn(`[Pipeline] ${run.id.slice(0, 8)}: ${e.message}`);
+                this._finish(run, { status: 'failed', error: e.message });
+            }
+        }
+    }
+
+    _check(run) {
+        const n = run.steps.length;
+        const i = run.currentStep;
+        const step = run.steps[i];
+        const name = `Step ${i + 1} of ${n} (${step.label})`;
+        const job = run.jobs.find(j => j.step === i);
+        const tag = run.id.slice(0, 8);
+
+        if (!job) return this._stop(run, 'cancelled', `${name} was deleted`);
+        if (!sm.isTerminal(job.status)) return;
+        this.uploader.cleanupPipeline(run.id, i);
+        if (job.status === sm.STATES.FAILED) {
+            return this._stop(run, 'failed', `${name} failed: ${job.errorReason || 'unknown error'}`);
+        }
+        if (job.status === sm.STATES.CANCELLED) return this._stop(run, 'cancelled', `${name} was cancelled`);
+        if (i === n - 1) {
+            console.log(`[Pipeline] ${tag}: all ${n} steps completed`);
+            return this._finish(run, { status: 'completed' });
+        }
+
+        const next = run.steps[i + 1];
+        const entry = this.registry.get(next.workflowId);
+        if (!entry || entry.unavailable) {
+            return this._stop(run, 'failed', `Step ${i + 2} of ${n} (${next.label}) can't run: workflow "${next.workflowId}" is unavailable`);
+        }
+        const { param, fromKind } = next.input;
+        const source = this._pickOutput(job.outputs, fromKind);
+        if (!source) return this._stop(run, 'failed', `${name} produced no ${fromKind} output for step ${i + 2}`);
+
+        const rec = this.uploader.copy({
+            jobId: job.jobId,
+            paramKey: param,
+            originalName: source.filename,
+            source: source.path,
+            destName: this.uploader.pipelineName(run.id, i + 1, source.filename)
+        });
+        const jobId = this.queue.advancePipelineRun(run.id, {
+            step: i + 1,
+            paramValues: { ...next.paramValues, [param]: rec.comfyFilename }
+        });
+        console.log(`[Pipeline] ${tag}: step ${i + 1} → step ${i + 2} (${source.filename} → ${param}), job ${jobId.slice(0, 8)}`);
+    }
+
+    // First output of `kind` that is still on disk — saved outputs before
+    // ComfyUI's temp previews.
+    _pickOutput(outputs, kind) {
+        const ofKind = (outputs || []).filter(o => o.kind === kind && o.filename);
+        ofKind.sort((a, b) => (a.type === 'temp') - (b.type === 'temp'));
+        for (const o of ofKind) {
+            const abs = resolveOutputPath(o, this.comfyConfig);
+            if (abs && fs.existsSync(abs)) return { filename: o.filename, path: abs };
+        }
+        return null;
+    }
+
+    _stop(run, status, error) {
+        console.warn(`[Pipeline] ${run.id.slice(0, 8)}: ${error}`);
+        this._finish(run, { status, error });
+    }
+
+    _finish(run, result) {
+        this.queue.finishPipelineRun(run.id, result);
+        this.uploader.cleanupPipeline(run.id);
+    }
+}
+
+module.exports = { PipelineRunner };
@@ -24,7 +24,21 @@ CREATE TABLE IF NOT EXISTS jobs (
     error_reason TEXT,
     error_phase TEXT,
     created_by TEXT,
-    created_at INTEGER NOT NULL
+    created_at INTEGER NOT NULL,
+    expected_duration_ms INTEGER,
+    asap INTEGER NOT NULL DEFAULT 0,
+    priority TEXT NOT NULL DEFAULT 'normal',
+    attempt INTEGER NOT NULL DEFAULT 1,
+    max_attempts INTEGER NOT NULL DEFAULT 1,
+    next_attempt_at INTEGER,
+    batch_id TEXT,
+    batch_item INTEGER,
+    sweep_id TEXT,
+    sweep_cell INTEGER,
+    pipeline_run_id TEXT,
+    pipeline_step INTEGER,
+    outputs_swept_at INTEGER,
+    worker_id TEXT
 );
 CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
 CREATE INDEX IF NOT EXISTS idx_jobs_scheduled_at ON jobs(scheduled_at);
@@ -39,8 +53,96 @@ CREATE TABLE IF NOT EXISTS job_events (
     payload TEXT
 );
 CREATE INDEX IF NOT EXISTS idx_events_job ON job_events(job_id);
+
+CREATE TABLE IF NOT EXISTS batches (
+    id TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    workflow_id TEXT NOT NULL,
+    source TEXT,
+    item_count INTEGER NOT NULL,
+    created_by TEXT,
+    created_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS sweeps (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    workflow_id TEXT NOT NULL,
+    axes TEXT NOT NULL,
+    cell_count INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'running',
+    grid_filename TEXT,
+    grid_layout TEXT,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    finished_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+    id TEXT PRIMARY KEY,
+    pipeline_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    steps TEXT NOT NULL,
+    current_step INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'running',
+    error TEXT,
+    created_by TEXT,
+    created_at INTEGER NOT NULL,
+    finished_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS job_pins (
+    job_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (job_id, user_id)
+);
+
+-- One row per job ever booked, kept when the job itself is deleted, so
+-- deleting a job doesn't hand back its maxJobsPerHour quota.
+CREATE TABLE IF NOT EXISTS bookings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    job_id TEXT NOT NULL,
+    ts INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_bookings_user_ts ON bookings(user_id, ts);
+CREATE INDEX IF NOT EXISTS idx_bookings_ts ON bookings(ts);
 `;
 
+// Columns added after the initial schema. CREATE TABLE IF NOT EXISTS leaves an
+// existing jobs.db untouched, so each one is ALTERed in when missing.
+const ADDED_COLUMNS = [
+    ['expected_duration_ms', 'INTEGER'],
+    ['asap', 'INTEGER NOT NULL DEFAULT 0'],
+    ['priority', "TEXT NOT NULL DEFAULT 'normal'"],
+    ['attempt', 'INTEGER NOT NULL DEFAULT 1'],
+    ['max_attempts', 'INTEGER NOT NULL DEFAULT 1'],
+    ['next_attempt_at', 'INTEGER'],
+    ['batch_id', 'TEXT'],
+    ['batch_item', 'INTEGER'],
+    ['sweep_id', 'TEXT'],
+    ['sweep_cell', 'INTEGER'],
+    ['pipeline_run_id', 'TEXT'],
+    ['pipeline_step', 'INTEGER'],
+    ['outputs_swept_at', 'INTEGER'],
+    ['worker_id', 'TEXT'],
+    ['error_code', 'TEXT'],
+    ['last_shift', 'TEXT']
+];
+
+// Fallback interval for jobs booked before per-job durations were stored.
+const DEFAULT_DURATION_MS = 60000;
+// The bookings log only feeds the hourly quota; older rows are pruned.
+const BOOKINGS_KEPT_MS = 24 * 3600 * 1000;
+
+// Priority lanes, lowest first. Anything above 'normal' is "run next".
+const PRIORITY_RANK = { normal: 0, high: 1, admin: 2 };
+const PRIORITY_RANK_SQL = `CASE priority WHEN 'admin' THEN 2 WHEN 'high' THEN 1 ELSE 0 END`;
+// `col` is not among the ids in a JSON array bound as the parameter.
+const NOT_EXCLUDED = (col) => `${col} NOT IN (SELECT value FROM json_each(?))`;
+
 function rowToJob(r) {
     if (!r) return null;
     return {
@@ -61,8 +163,58 @@ function rowToJob(r) {
         currentNode: r.current_node || null,
         errorReason: r.error_reason || null,
         errorPhase: r.error_phase || null,
+        errorCode: r.error_code || null,
+        createdBy: r.created_by || null,
+        createdAt: r.created_at,
+        expectedDurationMs: r.expected_duration_ms ?? null,
+        asap: !!r.asap,
+        priority: r.priority || 'normal',
+        attempt: r.attempt || 1,
+        maxAttempts: r.max_attempts || 1,
+        nextAttemptAt: r.next_attempt_at ?? null,
+        batchId: r.batch_id || null,
+        batchItem: r.batch_item ?? null,
+        sweepId: r.sweep_id || null,
+        sweepCell: r.sweep_cell ?? null,
+        pipelineRunId: r.pipeline_run_id || null,
+        pipelineStep: r.pipeline_step ?? null,
+        outputsSweptAt: r.outputs_swept_at ?? null,
+        workerId: r.worker_id || null,
+        lastShift: r.last_shift ? JSON.parse(r.last_shift) : null
+    };
+}
+
+function rowToSweep(r) {
+    if (!r) return null;
+    return {
+        id: r.id,
+        userId: r.user_id,
+        workflowId: r.workflow_id,
+        axes: JSON.parse(r.axes || '[]'),
+        cellCount: r.cell_count,
+        status: r.status,
+        gridFilename: r.grid_filename || null,
+        gridLayout: r.grid_layout ? JSON.parse(r.grid_layout) : null,
+        error: r.error || null,
+        createdAt: r.created_at,
+        finishedAt: r.finished_at || null
+    };
+}
+
+function rowToPipelineRun(r) {
+    if (!r) return null;
+    return {
+        id: r.id,
+        pipelineId: r.pipeline_id,
+        name: r.name,
+        userId: r.user_id,
+        steps: JSON.parse(r.steps || '[]'),
+        currentStep: r.current_step,
+        status: r.status,
+        error: r.error || null,
         createdBy: r.created_by || null,
-        createdAt: r.created_at
+        createdAt: r.created_at,
+        finishedAt: r.finished_at || null
     };
 }
 
@@ -73,58 +225,65 @@ class JobQueue {
         this.db.pragma('journal_mode = WAL');
         this.db.pragma('foreign_keys = ON');
         this.db.exec(SCHEMA);
+        this._migrate();
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_batch ON jobs(batch_id)`);
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_sweep ON jobs(sweep_id)`);
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_pipeline ON jobs(pipeline_run_id)`);
         this._listeners = new Set();
+        this.capacity = 1;
     }
 
-    onChange(cb) { this._listeners.add(cb); return () => this._listeners.delete(cb); }
-    _emit() { for (const cb of this._listeners) try { cb(); } catch (e) { console.error('[Queue] listener err:', e); } }
-
-    // Move any in-flight job (pre-restart) to FAILED with reason 'server-restart'.
-    reconcileOnBoot() {
-        const inflight = [
-            sm.STATES.UPLOADING_INPUTS,
-            sm.STATES.SUBMITTED,
-            sm.STATES.EXECUTING,
-            sm.STATES.COLLECTING_OUTPUTS
-        ];
-        const placeholders = inflight.map(() => '?').join(',');
-        const rows = this.db.prepare(`SELECT id, status FROM jobs WHERE status IN (${placeholders})`).all(...inflight);
-        const tx = this.db.transaction(() => {
-            for (const r of rows) {
-                this.db.prepare(
-                    `UPDATE jobs SET status=?, finished_at=?, error_reason=?, error_phase=? WHERE id=?`
-                ).run(sm.STATES.FAILED, Date.now(), 'server-restart', r.status, r.id);
-                this.db.prepare(
-                    `INSERT INTO job_events (job_id, ts, from_status, to_status, payload) VALUES (?,?,?,?,?)`
-                ).run(r.id, Date.now(), r.status, sm.STATES.FAILED, JSON.stringify({ reason: 'server-restart' }));
-            }
-        });
-        tx();
-        if (rows.length > 0) {
-            console.log(`[Queue] Reconciled ${rows.length} in-flight job(s) → failed: server-restart`);
-            this._emit();
+    _migrate() {
+        const have = new Set(this.db.prepare(`PRAGMA table_info(jobs)`).all().map(c => c.name));
+        for (const [name, type] of ADDED_COLUMNS) {
+            if (!have.has(name)) this.db.exec(`ALTER TABLE jobs ADD COLUMN ${name} ${type}`);
+        }
+        // last_shift used to be read back from job_events on every broadcast;
+        // carry the latest one over for jobs that are still waiting.
+        if (!have.has('last_shift')) {
+            this.db.prepare(`
+                UPDATE jobs SET last_shift = (
+                    SELECT json_set(payload, '$.ts', ts) FROM job_events e
+                    WHERE e.job_id = jobs.id AND json_extract(payload, '$.type') = 'shifted'
+                    ORDER BY e.id DESC LIMIT 1
+                ) WHERE status = ?
+            `).run(sm.STATES.SCHEDULED);
         }
-        return rows.length;
     }
 
-    insert({ userId, workflowId, workflowVersion, scheduledAt, prompt = '', paramValues = {}, createdBy = null }) {
+    // Listeners get the kind of change: 'progress' when only a running job's
+    // progress moved (many times a second while sampling), 'change' otherwise.
+    onChange(cb) { this._listeners.add(cb); return () => this._listeners.delete(cb); }
+    _emit(kind = 'change') { for (const cb of this._listeners) try { cb(kind); } catch (e) { console.error('[Queue] listener err:', e); } }
+
+    insert(fields) {
+        const id = this._insertRow(fields);
+        this._emit();
+        return this.get(id);
+    }
+
+    _insertRow({ userId, workflowId, workflowVersion, scheduledAt, prompt = '', paramValues = {}, createdBy = null, expectedDurationMs = null, asap = false, batchId = null, batchItem = null, sweepId = null, sweepCell = null, pipelineRunId = null, pipelineStep = null }) {
         const id = uuidv4();
         const now = Date.now();
         this.db.prepare(`
             INSERT INTO jobs (id, user_id, workflow_id, workflow_version, status, scheduled_at,
-                              prompt, param_values, input_files, outputs, progress, created_by, created_at)
-            VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
+                              prompt, param_values, input_files, outputs, progress, created_by, created_at,
+                              expected_duration_ms, asap, batch_id, batch_item, sweep_id, sweep_cell,
+                              pipeline_run_id, pipeline_step)
+            VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
         `).run(
             id, userId, workflowId, workflowVersion || null,
             sm.STATES.SCHEDULED, scheduledAt,
             prompt, JSON.stringify(paramValues), '[]', '[]', '{}',
-            createdBy, now
+            createdBy, now, expectedDurationMs, asap ? 1 : 0, batchId, batchItem, sweepId, sweepCell,
+            pipelineRunId, pipelineStep
         );
         this.db.prepare(
             `INSERT INTO job_events (job_id, ts, from_status, to_status, payload) VALUES (?,?,?,?,?)`
         ).run(id, now, null, sm.STATES.SCHEDULED, null);
-        this._emit();
-        return this.get(id);
+        this.db.prepare(`INSERT INTO bookings (user_id, job_id, ts) VALUES (?,?,?)`).run(userId, id, now);
+        this.db.prepare(`DELETE FROM bookings WHERE ts < ?`).run(now - BOOKINGS_KEPT_MS);
+        return id;
     }
 
     get(jobId) {
@@ -132,67 +291,202 @@ class JobQueue {
         return rowToJob(r);
     }
 
-    list({ since, until, userId, status, limit = 1000 } = {}) {
+    list({ since, until, userId, status, batchId, sweepId, limit = 1000 } = {}) {
         const conds = [];
         const args = [];
         if (since != null) { conds.push('scheduled_at >= ?'); args.push(since); }
         if (until != null) { conds.push('scheduled_at <= ?'); args.push(until); }
         if (userId)        { conds.push('user_id = ?');       args.push(userId); }
         if (status)        { conds.push('status = ?');        args.push(status); }
+        if (batchId)       { conds.push('batch_id = ?');      args.push(batchId); }
+        if (sweepId)       { conds.push('sweep_id = ?');      args.push(sweepId); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
         const rows = this.db.prepare(`SELECT * FROM jobs ${where} ORDER BY scheduled_at ASC LIMIT ?`).all(...args, limit);
         return rows.map(rowToJob);
     }
 
-    findReady(now = Date.now()) {
-        const r = this.db.prepare(`
-            SELECT * FROM jobs WHERE status = ? AND scheduled_at <= ?
+    // Next job to run. A retrying job whose backoff has elapsed goes before
+    // anything else — it already had its turn on the GPU and was cut short.
+    // Then due jobs in a higher priority lane.
+    // Strict mode: then earliest scheduled_at that is due.
+    // Fair-share mode: a due job with an explicit slot still wins (someone
+    // booked that time), otherwise every ASAP booking is a candidate — its
+    // scheduled_at is only a projection — and the user served least recently
+    // goes next, so one student's ten ASAP jobs interleave with everyone else's
+    // instead of running back to back.
+    //
+    // `exclude` (job ids) passes over jobs the caller couldn't place, so the
+    // next candidate in the same order comes back instead.
+    findReady(now = Date.now(), { fairShare = false, exclude = [] } = {}) {
+        const skip = JSON.stringify([...exclude]);
+        const retry = this.db.prepare(`
+            SELECT * FROM jobs WHERE status = ? AND next_attempt_at <= ? AND ${NOT_EXCLUDED('id')}
+            ORDER BY next_attempt_at ASC LIMIT 1
+        `).get(sm.STATES.RETRYING, now, skip);
+        if (retry) return rowToJob(retry);
+        if (!fairShare) {
+            const r = this.db.prepare(`
+                SELECT * FROM jobs WHERE status = ? AND scheduled_at <= ? AND ${NOT_EXCLUDED('id')}
+                ORDER BY ${PRIORITY_RANK_SQL} DESC, scheduled_at ASC, created_at ASC LIMIT 1
+            `).get(sm.STATES.SCHEDULED, now, skip);
+            return rowToJob(r);
+        }
+        const prioritized = this.db.prepare(`
+            SELECT * FROM jobs WHERE status = ? AND scheduled_at <= ? AND ${PRIORITY_RANK_SQL} > 0 AND ${NOT_EXCLUDED('id')}
+            ORDER BY ${PRIORITY_RANK_SQL} DESC, scheduled_at ASC, created_at ASC LIMIT 1
+        `).get(sm.STATES.SCHEDULED, now, skip);
+        if (prioritized) return rowToJob(prioritized);
+        const explicit = this.db.prepare(`
+            SELECT * FROM jobs WHERE status = ? AND asap = 0 AND scheduled_at <= ? AND ${NOT_EXCLUDED('id')}
             ORDER BY scheduled_at ASC, created_at ASC LIMIT 1
-        `).get(sm.STATES.SCHEDULED, now);
+        `).get(sm.STATES.SCHEDULED, now, skip);
+        if (explicit) return rowToJob(explicit);
+        // Per user: their oldest ASAP job plus when they last got the GPU.
+        // Never-served users (NULL) sort first.
+        const r = this.db.prepare(`
+            SELECT j.*, (SELECT MAX(started_at) FROM jobs s WHERE s.user_id = j.user_id) AS last_served
+            FROM jobs j
+            WHERE j.status = ? AND j.asap = 1 AND ${NOT_EXCLUDED('j.id')}
+              AND j.scheduled_at = (SELECT MIN(scheduled_at) FROM jobs k
+                                    WHERE k.user_id = j.user_id AND k.status = j.status AND k.asap = 1
+                                      AND ${NOT_EXCLUDED('k.id')})
+            ORDER BY last_served IS NOT NULL, last_served ASC, j.scheduled_at ASC, j.created_at ASC
+            LIMIT 1
+        `).get(sm.STATES.SCHEDULED, skip, skip);
         return rowToJob(r);
     }
 
-    // Earliest time >= `from` at which a job of `durationMs` doesn't overlap any
-    // active (scheduled / in-flight) job — used for "ASAP" bookings where the
-    // user picked no slot. Greedy: active jobs are walked in start order and `t`
-    // is pushed past any it collides with (mirrors findCollisions' single-
-    // duration model). The executor still serializes execution; this just keeps
-    // the timeline non-overlapping and the job queued right after what's pending.
-    nextFreeSlot(from = Date.now(), durationMs = 0) {
+    // Raw numbers for quota checks (see quotas.js). `pending` counts scheduled +
+    // in-flight jobs; `jobsLastHour` comes from the bookings log, so deleted
+    // jobs still count; `gpuMsUsed` is wall time of jobs started since
+    // `sessionSince` (in-flight jobs count up to `now`); `scheduledMs` is the
+    // estimated time still booked but not yet started.
+    userUsage(userId, { hourSince, sessionSince, now = Date.now() }) {
+        const r = this.db.prepare(`
+            SELECT
+                SUM(CASE WHEN status NOT IN ('failed', 'cancelled', 'completed') THEN 1 ELSE 0 END) AS pending,
+                SUM(CASE WHEN started_at IS NOT NULL AND started_at >= ?
+                         THEN COALESCE(finished_at, ?) - started_at ELSE 0 END) AS gpu_ms_used,
+                SUM(CASE WHEN status = 'scheduled'
+                         THEN COALESCE(expected_duration_ms, ?) ELSE 0 END) AS scheduled_ms
+            FROM jobs WHERE user_id = ?
+        `).get(sessionSince, now, DEFAULT_DURATION_MS, userId);
+        const booked = this.db.prepare(`SELECT COUNT(*) AS n FROM bookings WHERE user_id = ? AND ts >= ?`).get(userId, hourSince);
+        return {
+            pending: r.pending || 0,
+            jobsLastHour: booked.n,
+            gpuMsUsed: Math.max(0, r.gpu_ms_used || 0),
+            scheduledMs: r.scheduled_ms || 0
+        };
+    }
+
+    // Every user id that has at least one job on record.
+    userIds() {
+        return this.db.prepare(`SELECT DISTINCT user_id FROM jobs ORDER BY user_id ASC`).all().map(r => r.user_id);
+    }
+
+    // Active (scheduled / in-flight) jobs as [start, end) intervals, each using
+    // the job's own stored duration. Jobs booked before durations were stored
+    // fall back to DEFAULT_DURATION_MS.
+    _activeIntervals(excludeJobId = null) {
         const rows = this.db.prepare(`
-            SELECT scheduled_at FROM jobs
+            SELECT id, status, scheduled_at, expected_duration_ms, asap, priority, next_attempt_at FROM jobs
             WHERE status NOT IN ('failed', 'cancelled', 'completed')
             ORDER BY scheduled_at ASC
         `).all();
-        let t = from;
-        for (const r of rows) {
-            const start = r.scheduled_at;
-            const end = start + durationMs;
-            if (t < end && (t + durationMs) > start) t = end;
+        // A retrying job occupies the GPU again from its next attempt on.
+        return rows
+            .filter(r => r.id !== excludeJobId)
+            .map(r => {
+                const start = r.status === sm.STATES.RETRYING && r.next_attempt_at != null ? r.next_attempt_at : r.scheduled_at;
+                return {
+                    id: r.id,
+                    status: r.status,
+                    asap: !!r.asap,
+                    rank: PRIORITY_RANK[r.priority] || 0,
+                    start,
+                    end: start + (r.expected_duration_ms ?? DEFAULT_DURATION_MS)
+                };
+            })
+            .sort((a, b) => a.start - b.start);
+    }
+
+    // How many jobs may run at once — the number of workers in the pool.
+    // Bookings may overlap up to this many deep.
+    setCapacity(n) {
+        this.capacity = Math.max(1, n | 0);
+    }
+
+    // Most intervals running at the same moment within [start, end). Only the
+    // window start and the starts inside it need checking.
+    static _peakOverlap(intervals, start, end) {
+        const hits = intervals.filter(iv => iv.start < Math.max(end, start + 1) && iv.end > start);
+        let peak = 0;
+        for (const p of [start, ...hits.map(iv => iv.start).filter(s => s > start)]) {
+            peak = Math.max(peak, hits.filter(iv => iv.start <= p && iv.end > p).length);
+        }
+        return peak;
+    }
+
+    // Earliest time >= `from` at which a job of `durationMs` fits alongside the
+    // active jobs without more than `capacity` running at once — used for
+    // "ASAP" bookings where the user picked no slot. Candidates are `from` and
+    // every active job's end after it. With one worker this is the first gap
+    // between pending jobs, so the job queues right after what's pending.
+    nextFreeSlot(from = Date.now(), durationMs = 0) {
+        const intervals = this._activeIntervals();
+        const candidates = [from, ...intervals.map(iv => iv.end).filter(e => e > from).sort((a, b) => a - b)];
+        for (const t of candidates) {
+            if (JobQueue._peakOverlap(intervals, t, t + durationMs) < this.capacity) return t;
         }
-        return t;
+        return candidates[candidates.length - 1]; // unreachable: nothing runs past the last end
     }
 
+    // When scheduled jobs will really start while ComfyUI runs prompts ComfyQ
+    // didn't queue (`external`: [{ start, end }] from workers/externalUsage.js).
+    // Walking scheduled jobs in slot order, each starts at its slot or now,
+    // whichever is later, pushed past any moment when in-flight work, external
+    // blocks and the jobs placed before it already fill every worker. Only the
+    // jobs an external block made later are returned, as id → projected start.
+    // Nothing is stored — the slots stay as booked and the executor runs jobs
+    // as soon as a worker is free again.
+    projectStarts(external, now = Date.now()) {
+        const out = new Map();
+        if (!external || external.length === 0) return out;
+        const intervals = this._activeIntervals();
+        // In-flight work that overran its estimate is still running now.
+        let placed = [
+            ...intervals.filter(iv => iv.status !== sm.STATES.SCHEDULED).map(iv => ({ ...iv, end: Math.max(iv.end, now) })),
+            ...external.map(b => ({ start: b.start, end: b.end, external: true }))
+        ];
+        for (const iv of intervals.filter(iv => iv.status === sm.STATES.SCHEDULED)) {
+            const len = iv.end - iv.start;
+            let t = Math.max(iv.start, now);
+            // Slots only grow along the walk, so whatever ended before this
+            // one can't hold up any job after it either.
+            placed = placed.filter(p => p.end > t);
+            let delayed = false;
+            for (;;) {
+                const hits = placed.filter(p => t < p.end && t + len > p.start);
+                if (JobQueue._peakOverlap(hits, t, t + len) < this.capacity) break;
+                if (hits.some(p => p.external)) delayed = true;
+                t = Math.min(...hits.map(p => p.end));
+            }
+            if (delayed && t > iv.start) out.set(iv.id, t);
+            placed.push({ start: t, end: t + len });
+        }
+        return out;
+    }
+
+    // Ids of active jobs whose interval overlaps [scheduledAt, scheduledAt + durationMs)
+    // — empty when the window still has a free worker throughout.
     findCollisions(scheduledAt, durationMs, excludeJobId = null) {
         const endAt = scheduledAt + durationMs;
-        const args = [scheduledAt, endAt];
-        let q = `
-            SELECT id, scheduled_at FROM jobs
-            WHERE status NOT IN ('failed', 'cancelled', 'completed')
-              AND scheduled_at < ?
-              AND (scheduled_at + ?) > ?
-        `;
-        // Approximate: same fixed duration on both sides. Caller should pass the expected duration.
-        // We can't store per-job duration without joining; for v2 collision detection we treat
-        // each in-flight/scheduled job as occupying [scheduled_at, scheduled_at + durationMs).
-        const rows = this.db.prepare(`
-            SELECT id, scheduled_at FROM jobs
-            WHERE status NOT IN ('failed', 'cancelled', 'completed')
-              AND scheduled_at < ?
-              AND (scheduled_at + ?) > ?
-              ${excludeJobId ? 'AND id != ?' : ''}
-        `).all(...(excludeJobId ? [endAt, durationMs, scheduledAt, excludeJobId] : [endAt, durationMs, scheduledAt]));
-        return rows.map(r => r.id);
+        const intervals = this._activeIntervals(excludeJobId);
+        if (JobQueue._peakOverlap(intervals, scheduledAt, endAt) < this.capacity) return [];
+        return intervals
+            .filter(iv => iv.start < endAt && iv.end > scheduledAt)
+            .map(iv => iv.id);
     }
 
     transitionStatus(jobId, toStatus, { payload = null, now = Date.now() } = {}) {
@@ -209,11 +503,20 @@ class JobQueue {
         if (sm.isTerminal(toStatus)) {
             updates.push('finished_at = ?'); args.push(now);
         }
+        if (toStatus === sm.STATES.RETRYING) {
+            // The next attempt starts its progress from scratch.
+            updates.push(`progress = '{}'`, 'current_node = NULL');
+        }
         if (payload?.errorReason !== undefined) { updates.push('error_reason = ?'); args.push(payload.errorReason); }
         if (payload?.errorPhase  !== undefined) { updates.push('error_phase = ?');  args.push(payload.errorPhase); }
+        if (payload?.errorCode   !== undefined) { updates.push('error_code = ?');   args.push(payload.errorCode); }
         if (payload?.promptId    !== undefined) { updates.push('prompt_id = ?');    args.push(payload.promptId); }
         if (payload?.inputFiles  !== undefined) { updates.push('input_files = ?');  args.push(JSON.stringify(payload.inputFiles)); }
         if (payload?.outputs     !== undefined) { updates.push('outputs = ?');      args.push(JSON.stringify(payload.outputs)); }
+        if (payload?.attempt     !== undefined) { updates.push('attempt = ?');      args.push(payload.attempt); }
+        if (payload?.maxAttempts !== undefined) { updates.push('max_attempts = ?'); args.push(payload.maxAttempts); }
+        if (payload?.nextAttemptAt !== undefined) { updates.push('next_attempt_at = ?'); args.push(payload.nextAttemptAt); }
+        if (payload?.workerId    !== undefined) { updates.push('worker_id = ?');    args.push(payload.workerId); }
         args.push(jobId);
         this.db.prepare(`UPDATE jobs SET ${updates.join(', ')} WHERE id = ?`).run(...args);
         this.db.prepare(
@@ -223,17 +526,25 @@ class JobQueue {
         return this.get(jobId);
     }
 
-    updateProgress(jobId, { stepsDone, stepsTotal, currentNode, currentNodeTitle } = {}) {
+    // Sampler steps (stepsNode: the node they belong to) and node-level
+    // progress (nodesDone of nodesTotal, doneNodeIds, nodeStartedAt of the
+    // executing node) — see executor/progressEstimate.js.
+    updateProgress(jobId, { stepsDone, stepsTotal, stepsNode, currentNode, currentNodeTitle, nodesDone, nodesTotal, doneNodeIds, nodeStartedAt } = {}) {
         const job = this.get(jobId);
         if (!job) return null;
         const progress = { ...job.progress };
         if (stepsDone   != null) progress.stepsDone   = stepsDone;
         if (stepsTotal  != null) progress.stepsTotal  = stepsTotal;
+        if (stepsNode   != null) progress.stepsNode   = stepsNode;
         if (currentNodeTitle != null) progress.currentNodeTitle = currentNodeTitle;
+        if (nodesDone   != null) progress.nodesDone   = nodesDone;
+        if (nodesTotal  != null) progress.nodesTotal  = nodesTotal;
+        if (doneNodeIds != null) progress.doneNodeIds = doneNodeIds;
+        if (nodeStartedAt != null) progress.nodeStartedAt = nodeStartedAt;
         const node = currentNode != null ? currentNode : job.currentNode;
         this.db.prepare(`UPDATE jobs SET progress = ?, current_node = ? WHERE id = ?`)
             .run(JSON.stringify(progress), node, jobId);
-        this._emit();
+        this._emit('progress');
         return this.get(jobId);
     }
 
@@ -244,17 +555,99 @@ class JobQueue {
         return this.get(jobId);
     }
 
+    // Change a scheduled job's priority. Raising it above normal also means
+    // "run next": the job moves to the first moment a worker is free (after
+    // whatever is in flight and any job in an equal or higher lane), and the
+    // normal-priority ASAP bookings that no longer find a free worker are
+    // pushed back in order.
+    // Explicit-slot bookings are never moved. Every move is written to
+    // job_events as a 'shifted' event so the affected students can see why
+    // their slot changed. Returns { job, shifted: [{ jobId, from, to }] }.
+    setPriority(jobId, priority, { now = Date.now(), by = null } = {}) {
+        if (!(priority in PRIORITY_RANK)) throw new Error(`Unknown priority "${priority}"`);
+        const job = this.get(jobId);
+        if (!job) throw new Error(`Job not found: ${jobId}`);
+        if (job.status !== sm.STATES.SCHEDULED) throw new Error(`Cannot change priority of a job in status "${job.status}"`);
+        const rank = PRIORITY_RANK[priority];
+        const shifted = [];
+        const move = (id, from, to, extra) => {
+            this._shift(id, from, to, extra);
+            shifted.push({ jobId: id, from, to });
+        };
+
+        const tx = this.db.transaction(() => {
+            this.db.prepare(`UPDATE jobs SET priority = ? WHERE id = ?`).run(priority, jobId);
+            this._insertEvent(jobId, job.status, job.status, { type: 'priority', from: job.priority, to: priority, by });
+            if (rank === 0) return;
+
+            const others = this._activeIntervals(jobId);
+            const duration = job.expectedDurationMs ?? DEFAULT_DURATION_MS;
+            const ahead = others.filter(iv => iv.status !== sm.STATES.SCHEDULED || iv.rank >= rank);
+            const candidates = [now, ...ahead.map(iv => iv.end).filter(e => e > now).sort((a, b) => a - b)];
+            const start = candidates.find(t => JobQueue._peakOverlap(ahead, t, t + duration) < this.capacity);
+            if (start < job.scheduledAt) move(jobId, job.scheduledAt, start, { reason: 'priority', by });
+
+            // Reflow: everything except normal ASAP jobs stays put; those are
+            // walked in slot order and pushed back only while they'd need more
+            // workers than the pool has.
+            const promoted = { id: jobId, start: Math.min(start, job.scheduledAt), end: Math.min(start, job.scheduledAt) + duration };
+            const placed = [promoted, ...others.filter(iv => !(iv.status === sm.STATES.SCHEDULED && iv.asap && iv.rank === 0))];
+            const movable = others.filter(iv => iv.status === sm.STATES.SCHEDULED && iv.asap && iv.rank === 0);
+            for (const iv of movable) {
+                const len = iv.end - iv.start;
+                let t = iv.start;
+                for (;;) {
+                    const hits = placed.filter(p => t < p.end && t + len > p.start);
+                    if (JobQueue._peakOverlap(hits, t, t + len) < this.capacity) break;
+                    t = Math.min(...hits.map(p => p.end));
+                }
+                if (t !== iv.start) move(iv.id, iv.start, t, { reason: 'priority', causeJobId: jobId, causeUserId: job.userId });
+                placed.push({ id: iv.id, start: t, end: t + len });
+            }
+        });
+        tx();
+        this._emit();
+        if (shifted.length > 0) console.log(`[Queue] priority ${priority} for ${jobId.slice(0, 8)} shifted ${shifted.length} job(s)`);
+        return { job: this.get(jobId), shifted };
+    }
+
+    // Move a scheduled job's slot, logging a 'shifted' event and keeping it
+    // on the row as last_shift so clients can show why the slot changed.
+    _shift(jobId, from, to, extra, ts = Date.now()) {
+        const payload = { type: 'shifted', from, to, ...extra };
+        this.db.prepare(`UPDATE jobs SET scheduled_at = ?, last_shift = ? WHERE id = ?`)
+            .run(to, JSON.stringify({ ts, ...payload }), jobId);
+        this._insertEvent(jobId, sm.STATES.SCHEDULED, sm.STATES.SCHEDULED, payload, ts);
+    }
+
+    _insertEvent(jobId, fromStatus, toStatus, payload, ts = Date.now()) {
+        this.db.prepare(
+            `INSERT INTO job_events (job_id, ts, from_status, to_status, payload) VALUES (?,?,?,?,?)`
+        ).run(jobId, ts, fromStatus, toStatus, payload ? JSON.stringify(payload) : null);
+    }
+
+    // Refresh the stored estimate (e.g. at pickup, once a calibration may have
+    // landed since booking). Null/invalid values are ignored.
+    setExpectedDuration(jobId, durationMs) {
+        if (!Number.isFinite(durationMs) || durationMs <= 0) return this.get(jobId);
+        this.db.prepare(`UPDATE jobs SET expected_duration_ms = ? WHERE id = ?`)
+            .run(Math.round(durationMs), jobId);
+        this._emit();
+        return this.get(jobId);
+    }
+
     reorder(jobId, newScheduledAt) {
         const job = this.get(jobId);
         if (!job) throw new Error(`Job not found: ${jobId}`);
         if (job.status !== sm.STATES.SCHEDULED) throw new Error(`Cannot move job in status "${job.status}"`);
-        this.db.prepare(`UPDATE jobs SET scheduled_at = ? WHERE id = ?`).run(newScheduledAt, jobId);
+        this._shift(jobId, job.scheduledAt, newScheduledAt, { reason: 'reorder' });
         this._emit();
         return this.get(jobId);
     }
 
     delete(jobId) {
         this.db.prepare(`DELETE FROM job_events WHERE job_id = ?`).run(jobId);
+        this.db.prepare(`DELETE FROM job_pins WHERE job_id = ?`).run(jobId);
         this.db.prepare(`DELETE FROM jobs WHERE id = ?`).run(jobId);
         this._emit();
     }
@@ -273,6 +666,7 @@ class JobQueue {
         const tx = this.db.transaction(() => {
             for (const { id } of deleted) {
                 this.db.prepare(`DELETE FROM job_events WHERE job_id = ?`).run(id);
+                this.db.prepare(`DELETE FROM job_pins WHERE job_id = ?`).run(id);
                 this.db.prepare(`DELETE FROM jobs WHERE id = ?`).run(id);
             }
         });
@@ -281,6 +675,332 @@ class JobQueue {
         return deleted;
     }
 
+    // "Keep" pins, one per (job, user). A job with at least one pin is skipped
+    // by the retention sweeper.
+    setPin(jobId, userId, pinned, { now = Date.now() } = {}) {
+        const job = this.get(jobId);
+        if (!job) throw new Error(`Job not found: ${jobId}`);
+        const changes = pinned
+            ? this.db.prepare(`INSERT OR IGNORE INTO job_pins (job_id, user_id, created_at) VALUES (?,?,?)`).run(jobId, userId, now).changes
+            : this.db.prepare(`DELETE FROM job_pins WHERE job_id = ? AND user_id = ?`).run(jobId, userId).changes;
+        if (changes > 0) {
+            this._insertEvent(jobId, job.status, job.status, { type: 'pin', pinned: !!pinned, by: userId }, now);
+            this._emit();
+        }
+        return this.get(jobId);
+    }
+
+    // Users pinning each job, keyed by job id (jobs without pins are absent).
+    pins() {
+        const out = new Map();
+        for (const r of this.db.prepare(`SELECT job_id, user_id FROM job_pins ORDER BY created_at ASC`).all()) {
+            if (!out.has(r.job_id)) out.set(r.job_id, []);
+            out.get(r.job_id).push(r.user_id);
+        }
+        return out;
+    }
+
+    // Terminal jobs that finished before `cutoff` and still have outputs on
+    // record, oldest first, each with `pinnedBy` (the sweeper keeps those).
+    listExpired(cutoff) {
+        const terminal = [...sm.TERMINAL_STATES];
+        const rows = this.db.prepare(`
+            SELECT * FROM jobs
+            WHERE status IN (${terminal.map(() => '?').join(',')})
+              AND COALESCE(finished_at, created_at) < ?
+              AND outputs_swept_at IS NULL
+            ORDER BY COALESCE(finished_at, created_at) ASC
+        `).all(...terminal, cutoff);
+        const pins = this.pins();
+        return rows.map(r => ({ ...rowToJob(r), pinnedBy: pins.get(r.id) || [] }));
+    }
+
+    // Failed jobs finished since `since` (newest first) and, per workflow, how
+    // many jobs finished either way in that window — for the Dashboard's
+    // failure breakdown (GET /admin/failures).
+    failureStats(since) {
+        const failed = this.db.prepare(`
+            SELECT id, user_id, workflow_id, error_code, error_reason, error_phase, finished_at
+            FROM jobs WHERE status = ? AND finished_at >= ?
+            ORDER BY finished_at DESC
+        `).all(sm.STATES.FAILED, since).map(r => ({
+            id: r.id, userId: r.user_id, workflowId: r.workflow_id, errorCode: r.error_code || null,
+            errorReason: r.error_reason || null, errorPhase: r.error_phase || null, finishedAt: r.finished_at
+        }));
+        const finished = {};
+        for (const r of this.db.prepare(`
+            SELECT workflow_id, COUNT(*) AS n FROM jobs
+            WHERE status IN (?, ?) AND finished_at >= ? GROUP BY workflow_id
+        `).all(sm.STATES.COMPLETED, sm.STATES.FAILED, since)) finished[r.workflow_id] = r.n;
+        return { failed, finished };
+    }
+
+    // Record a retention sweep: outputs are cleared (the files are gone) and a
+    // 'retention' event keeps what was removed. `swept` is
+    // [{ jobId, files, bytes }]; one change event for the lot.
+    markSwept(swept, { retentionDays, now = Date.now() } = {}) {
+        const tx = this.db.transaction(() => {
+            for (const { jobId, files, bytes } of swept) {
+                const job = this.get(jobId);
+                if (!job) continue;
+                this.db.prepare(`UPDATE jobs SET outputs = '[]', outputs_swept_at = ? WHERE id = ?`).run(now, jobId);
+                this._insertEvent(jobId, job.status, job.status, {
+                    type: 'retention', retentionDays, files, bytes, outputs: job.outputs.map(o => o.filename)
+                }, now);
+            }
+        });
+        tx();
+        if (swept.length > 0) this._emit();
+    }
+
+    // Batch import (Phase G). A batch is just a label row; its jobs are
+    // ordinary ASAP jobs tagged with batch_id / batch_item, queued back to back
+    // after whatever is pending. All-or-nothing, with a single change event.
+    // `jobs[i]` carries the per-item insert() fields (paramValues, prompt,
+    // expectedDurationMs, ...); batch_item is its 1-based position.
+    insertBatch({ id = uuidv4(), label, workflowId, workflowVersion = null, source = null, userId, createdBy = 'batch', jobs, now = Date.now() }) {
+        const tx = this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO batches (id, label, workflow_id, source, item_count, created_by, created_at)
+                VALUES (?,?,?,?,?,?,?)
+            `).run(id, label, workflowId, source, jobs.length, createdBy, now);
+            return jobs.map((j, i) => {
+                const durationMs = j.expectedDurationMs || DEFAULT_DURATION_MS;
+                return this._insertRow({
+                    ...j, userId, workflowId, workflowVersion, createdBy,
+                    scheduledAt: this.nextFreeSlot(now, durationMs),
+                    asap: true, batchId: id, batchItem: i + 1
+                });
+            });
+        });
+        const jobIds = tx();
+        this._emit();
+        return { batch: this.getBatch(id), jobIds };
+    }
+
+    // Whether a batch still has a job waiting or running. `idPrefix` is the
+    // first 8 characters of its id, all staged input names keep of it.
+    batchActive(idPrefix) {
+        return !!this.db.prepare(`
+            SELECT 1 FROM jobs WHERE substr(batch_id, 1, 8) = ?
+            AND status NOT IN ('failed', 'cancelled', 'completed') LIMIT 1
+        `).get(idPrefix);
+    }
+
+    // Batch plus a per-status count of its jobs (jobs deleted since import
+    // simply drop out of the counts).
+    getBatch(batchId) {
+        const b = this.db.prepare(`SELECT * FROM batches WHERE id = ?`).get(batchId);
+        return b ? this._batchWithCounts(b) : null;
+    }
+
+    listBatches({ limit = 50 } = {}) {
+        return this.db.prepare(`SELECT * FROM batches ORDER BY created_at DESC LIMIT ?`).all(limit)
+            .map(b => this._batchWithCounts(b));
+    }
+
+    _batchWithCounts(b) {
+        const counts = {};
+        for (const r of this.db.prepare(`SELECT status, COUNT(*) AS n FROM jobs WHERE batch_id = ? GROUP BY status`).all(b.id)) {
+            counts[r.status] = r.n;
+        }
+        return {
+            id: b.id,
+            label: b.label,
+            workflowId: b.workflow_id,
+            source: b.source,
+            itemCount: b.item_count,
+            createdBy: b.created_by,
+            createdAt: b.created_at,
+            counts
+        };
+    }
+
+    // Parameter sweeps. A sweep is one booking expanded into a job per cell of
+    // a 1- or 2-axis grid (`axes` = [{ param, label, values }], x first);
+    // sweep_cell is the 0-based row-major cell index (y * xValues + x). The
+    // jobs run back to back — from `scheduledAt` when the user picked a slot
+    // (the caller has checked the whole span for collisions), else ASAP after
+    // whatever is pending. `jobs[i]` carries the per-cell insert() fields.
+    insertSweep({ id = uuidv4(), userId, workflowId, workflowVersion = null, axes, jobs, scheduledAt = null, createdBy = null, now = Date.now() }) {
+        const tx = this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO sweeps (id, user_id, workflow_id, axes, cell_count, status, created_at)
+                VALUES (?,?,?,?,?,?,?)
+            `).run(id, userId, workflowId, JSON.stringify(axes), jobs.length, 'running', now);
+            let t = scheduledAt;
+            return jobs.map((j, i) => {
+                const durationMs = j.expectedDurationMs || DEFAULT_DURATION_MS;
+                const at = scheduledAt != null ? t : this.nextFreeSlot(now, durationMs);
+                t = at + durationMs;
+                return this._insertRow({
+                    ...j, userId, workflowId, workflowVersion, createdBy,
+                    scheduledAt: at, asap: scheduledAt == null, sweepId: id, sweepCell: i
+                });
+            });
+        });
+        const jobIds = tx();
+        this._emit();
+        return { sweep: this.getSweep(id), jobIds };
+    }
+
+    // Sweep plus its surviving jobs in cell order ({ jobId, cell, status,
+    // outputs }); deleted cells are simply absent.
+    getSweep(sweepId) {
+        return this._withCells(this.db.prepare(`SELECT * FROM sweeps WHERE id = ?`).all(sweepId))[0] || null;
+    }
+
+    listSweeps({ ids = null, status = null, limit = 100 } = {}) {
+        let rows;
+        if (ids) {
+            if (ids.length === 0) return [];
+            rows = this.db.prepare(`SELECT * FROM sweeps WHERE id IN (SELECT value FROM json_each(?))`).all(JSON.stringify(ids));
+        } else if (status) {
+            rows = this.db.prepare(`SELECT * FROM sweeps WHERE status = ? ORDER BY created_at DESC LIMIT ?`).all(status, limit);
+        } else {
+            rows = this.db.prepare(`SELECT * FROM sweeps ORDER BY created_at DESC LIMIT ?`).all(limit);
+        }
+        return this._withCells(rows);
+    }
+
+    // Sweeps from their rows, each with its cells, in one query over jobs.
+    _withCells(rows) {
+        const sweeps = rows.map(rowToSweep);
+        const byId = new Map(sweeps.map(s => [s.id, s]));
+        for (const s of sweeps) s.cells = [];
+        if (sweeps.length === 0) return sweeps;
+        const cells = this.db.prepare(`
+            SELECT id, sweep_id, sweep_cell, status, outputs FROM jobs
+            WHERE sweep_id IN (SELECT value FROM json_each(?)) ORDER BY sweep_cell ASC
+        `).all(JSON.stringify([...byId.keys()]));
+        for (const r of cells) {
+            byId.get(r.sweep_id).cells.push({ jobId: r.id, cell: r.sweep_cell, status: r.status, outputs: JSON.parse(r.outputs || '[]') });
+        }
+        return sweeps;
+    }
+
+    // Record the contact sheet (or why there isn't one). `status` is 'done' or
+    // 'failed'; either way the sweep is finished.
+    setSweepResult(sweepId, { status, gridFilename = null, gridLayout = null, error = null, now = Date.now() }) {
+        this.db.prepare(`
+            UPDATE sweeps SET status = ?, grid_filename = ?, grid_layout = ?, error = ?, finished_at = ? WHERE id = ?
+        `).run(status, gridFilename, gridLayout ? JSON.stringify(gridLayout) : null, error, now, sweepId);
+        this._emit();
+    }
+
+    // Drop finished sweeps none of whose jobs survive (after clearHistory).
+    // Returns them so the caller can delete their contact sheets.
+    clearOrphanedSweeps() {
+        const rows = this.db.prepare(`
+            SELECT * FROM sweeps WHERE status != 'running'
+            AND NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.sweep_id = sweeps.id)
+        `).all();
+        const del = this.db.prepare(`DELETE FROM sweeps WHERE id = ?`);
+        this.db.transaction(() => { for (const r of rows) del.run(r.id); })();
+        return rows.map(rowToSweep);
+    }
+
+    // Chained pipelines. A run stores every step's booking up front (`steps` =
+    // [{ workflowId, workflowVersion, label, prompt, paramValues,
+    // expectedDurationMs, input }]) but only one job exists at a time: step 0
+    // is queued here, each later step by advancePipelineRun once the previous
+    // job completed (see PipelineRunner). pipeline_step is 0-based.
+    insertPipelineRun({ id = uuidv4(), pipelineId, name, userId, steps, scheduledAt, asap = false, createdBy = null, now = Date.now() }) {
+        const tx = this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO pipeline_runs (id, pipeline_id, name, user_id, steps, current_step, status, created_by, created_at)
+                VALUES (?,?,?,?,?,?,?,?,?)
+            `).run(id, pipelineId, name, userId, JSON.stringify(steps), 0, 'running', createdBy, now);
+            return this._insertPipelineStep(id, userId, steps[0], 0, { scheduledAt, asap, createdBy });
+        });
+        const jobId = tx();
+        this._emit();
+        return { run: this.getPipelineRun(id), jobId };
+    }
+
+    _insertPipelineStep(runId, userId, step, index, { scheduledAt, asap, createdBy }) {
+        return this._insertRow({
+            userId, createdBy, scheduledAt, asap,
+            workflowId: step.workflowId,
+            workflowVersion: step.workflowVersion,
+            prompt: step.prompt || '',
+            paramValues: step.paramValues,
+            expectedDurationMs: step.expectedDurationMs,
+            pipelineRunId: runId,
+            pipelineStep: index
+        });
+    }
+
+    // Run plus its surviving jobs in step order ({ jobId, step, status,
+    // outputs, errorReason }).
+    getPipelineRun(runId) {
+        return this._withSteps(this.db.prepare(`SELECT * FROM pipeline_runs WHERE id = ?`).all(runId))[0] || null;
+    }
+
+    listPipelineRuns({ ids = null, status = null, limit = 100 } = {}) {
+        let rows;
+        if (ids) {
+            if (ids.length === 0) return [];
+            rows = this.db.prepare(`SELECT * FROM pipeline_runs WHERE id IN (SELECT value FROM json_each(?))`).all(JSON.stringify(ids));
+        } else if (status) {
+            rows = this.db.prepare(`SELECT * FROM pipeline_runs WHERE status = ? ORDER BY created_at DESC LIMIT ?`).all(status, limit);
+        } else {
+            rows = this.db.prepare(`SELECT * FROM pipeline_runs ORDER BY created_at DESC LIMIT ?`).all(limit);
+        }
+        return this._withSteps(rows);
+    }
+
+    // Pipeline runs from their rows, each with its step jobs, in one query over jobs.
+    _withSteps(rows) {
+        const runs = rows.map(rowToPipelineRun);
+        const byId = new Map(runs.map(r => [r.id, r]));
+        for (const r of runs) r.jobs = [];
+        if (runs.length === 0) return runs;
+        const jobs = this.db.prepare(`
+            SELECT id, pipeline_run_id, pipeline_step, status, outputs, error_reason FROM jobs
+            WHERE pipeline_run_id IN (SELECT value FROM json_each(?)) ORDER BY pipeline_step ASC
+        `).all(JSON.stringify([...byId.keys()]));
+        for (const r of jobs) {
+            byId.get(r.pipeline_run_id).jobs.push({ jobId: r.id, step: r.pipeline_step, status: r.status, outputs: JSON.parse(r.outputs || '[]'), errorReason: r.error_reason || null });
+        }
+        return runs;
+    }
+
+    // Queue step `step` ASAP with the given paramValues (the stored ones plus
+    // the fed input) and make it the run's current step. Returns the job id.
+    advancePipelineRun(runId, { step, paramValues, now = Date.now() }) {
+        const tx = this.db.transaction(() => {
+            const run = rowToPipelineRun(this.db.prepare(`SELECT * FROM pipeline_runs WHERE id = ?`).get(runId));
+            if (!run || run.status !== 'running') throw new Error(`Pipeline run ${runId} is not running`);
+            const next = { ...run.steps[step], paramValues };
+            const durationMs = next.expectedDurationMs || DEFAULT_DURATION_MS;
+            const jobId = this._insertPipelineStep(runId, run.userId, next, step, {
+                scheduledAt: this.nextFreeSlot(now, durationMs), asap: true, createdBy: run.createdBy
+            });
+            this.db.prepare(`UPDATE pipeline_runs SET current_step = ? WHERE id = ?`).run(step, runId);
+            return jobId;
+        });
+        const jobId = tx();
+        this._emit();
+        return jobId;
+    }
+
+    // `status` is 'completed', 'failed' or 'cancelled'; `error` says why a
+    // run stopped early.
+    finishPipelineRun(runId, { status, error = null, now = Date.now() }) {
+        this.db.prepare(`UPDATE pipeline_runs SET status = ?, error = ?, finished_at = ? WHERE id = ?`)
+            .run(status, error, now, runId);
+        this._emit();
+    }
+
+    // Drop finished runs none of whose jobs survive (after clearHistory).
+    clearOrphanedPipelineRuns() {
+        return this.db.prepare(`
+            DELETE FROM pipeline_runs WHERE status != 'running'
+            AND NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.pipeline_run_id = pipeline_runs.id)
+        `).run().changes;
+    }
+
     eventsFor(jobId) {
         return this.db.prepare(`SELECT * FROM job_events WHERE job_id = ? ORDER BY id ASC`).all(jobId);
     }
@@ -288,4 +1008,4 @@ class JobQueue {
     close() { this.db.close(); }
 }
 
-module.exports = { JobQueue };
+module.exports = { JobQueue, DEFAULT_DURATION_MS, PRIORITY_RANK };
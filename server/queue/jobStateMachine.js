@@ -4,6 +4,9 @@ const STATES = Object.freeze({
     SUBMITTED: 'submitted',
     EXECUTING: 'executing',
     COLLECTING_OUTPUTS: 'collecting-outputs',
+    // Between attempts of a job whose failure the workflow's retry policy
+    // treats as transient; the executor picks it up again at next_attempt_at.
+    RETRYING: 'retrying',
     COMPLETED: 'completed',
     FAILED: 'failed',
     CANCELLED: 'cancelled'
@@ -16,10 +19,11 @@ const IN_FLIGHT_STATES = new Set([
 
 const TRANSITIONS = {
     [STATES.SCHEDULED]: [STATES.UPLOADING_INPUTS, STATES.CANCELLED, STATES.FAILED],
-    [STATES.UPLOADING_INPUTS]: [STATES.SUBMITTED, STATES.FAILED, STATES.CANCELLED],
-    [STATES.SUBMITTED]: [STATES.EXECUTING, STATES.FAILED, STATES.CANCELLED],
-    [STATES.EXECUTING]: [STATES.COLLECTING_OUTPUTS, STATES.FAILED, STATES.CANCELLED],
-    [STATES.COLLECTING_OUTPUTS]: [STATES.COMPLETED, STATES.FAILED, STATES.CANCELLED],
+    [STATES.UPLOADING_INPUTS]: [STATES.SUBMITTED, STATES.RETRYING, STATES.FAILED, STATES.CANCELLED],
+    [STATES.SUBMITTED]: [STATES.EXECUTING, STATES.RETRYING, STATES.FAILED, STATES.CANCELLED],
+    [STATES.EXECUTING]: [STATES.COLLECTING_OUTPUTS, STATES.RETRYING, STATES.FAILED, STATES.CANCELLED],
+    [STATES.COLLECTING_OUTPUTS]: [STATES.COMPLETED, STATES.RETRYING, STATES.FAILED, STATES.CANCELLED],
+    [STATES.RETRYING]: [STATES.UPLOADING_INPUTS, STATES.FAILED, STATES.CANCELLED],
     [STATES.COMPLETED]: [],
     [STATES.FAILED]: [],
     [STATES.CANCELLED]: []
@@ -38,6 +42,7 @@ function isInFlight(state) {
 }
 
 // Coarse status used on the wire (compatible with v1 client expectations).
+// A retrying job reads as 'processing'; `phase` carries the detail.
 function toWireStatus(state) {
     if (state === STATES.SCHEDULED) return 'scheduled';
     if (state === STATES.COMPLETED) return 'completed';
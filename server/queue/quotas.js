@@ -0,0 +1,64 @@
+// Per-user booking quotas (config.quotas). Three independent limits, each 0 =
+// unlimited:
+//   maxPendingJobs           scheduled + in-flight jobs at any one time
+//   maxJobsPerHour           bookings created in the last rolling 60 minutes,
+//                            deleted ones included
+//   maxGpuMinutesPerSession  GPU wall time used since the student-mode server
+//                            started, plus what's already booked, plus the new job
+// Per-user overrides (config.quotas.overrides[userId]) replace individual
+// limits; anything not overridden falls back to the global default.
+
+const HOUR_MS = 3600 * 1000;
+const LIMIT_KEYS = ['maxPendingJobs', 'maxJobsPerHour', 'maxGpuMinutesPerSession'];
+
+function limitsFor(quotas, userId) {
+    const override = quotas?.overrides?.[userId] || {};
+    const out = {};
+    for (const k of LIMIT_KEYS) out[k] = override[k] ?? quotas?.[k] ?? 0;
+    return out;
+}
+
+// Usage + remaining headroom for one user. `remaining.*` is null when the
+// corresponding limit is unlimited.
+function statusFor({ queue, quotas, userId, sessionStartedAt, now = Date.now() }) {
+    const limits = limitsFor(quotas, userId);
+    const raw = queue.userUsage(userId, { hourSince: now - HOUR_MS, sessionSince: sessionStartedAt, now });
+    const usage = {
+        pendingJobs: raw.pending,
+        jobsLastHour: raw.jobsLastHour,
+        gpuMinutesUsed: raw.gpuMsUsed / 60000,
+        gpuMinutesBooked: raw.scheduledMs / 60000
+    };
+    const left = (limit, used) => (limit > 0 ? Math.max(0, limit - used) : null);
+    return {
+        userId,
+        limits,
+        overridden: !!quotas?.overrides?.[userId],
+        usage,
+        remaining: {
+            pendingJobs: left(limits.maxPendingJobs, usage.pendingJobs),
+            jobsThisHour: left(limits.maxJobsPerHour, usage.jobsLastHour),
+            gpuMinutes: left(limits.maxGpuMinutesPerSession, usage.gpuMinutesUsed + usage.gpuMinutesBooked)
+        }
+    };
+}
+
+// Throws a user-facing Error when booking `count` more jobs (a sweep books
+// several at once) totalling `durationMs` would exceed any of the user's limits.
+function assertCanBook({ queue, quotas, userId, durationMs, count = 1, sessionStartedAt, now = Date.now() }) {
+    const { limits, usage, remaining } = statusFor({ queue, quotas, userId, sessionStartedAt, now });
+    const what = count === 1 ? 'this job needs' : `these ${count} jobs need`;
+    if (limits.maxPendingJobs > 0 && remaining.pendingJobs < count) {
+        throw new Error(count === 1
+            ? `Quota reached: you already have ${usage.pendingJobs} job(s) waiting (limit ${limits.maxPendingJobs}). Wait for one to finish.`
+            : `Quota reached: ${count} more job(s) would put you over your limit of ${limits.maxPendingJobs} waiting (you have ${usage.pendingJobs}).`);
+    }
+    if (limits.maxJobsPerHour > 0 && remaining.jobsThisHour < count) {
+        throw new Error(`Quota reached: ${usage.jobsLastHour} booking(s) in the last hour (limit ${limits.maxJobsPerHour}).`);
+    }
+    if (limits.maxGpuMinutesPerSession > 0 && durationMs / 60000 > remaining.gpuMinutes) {
+        throw new Error(`Quota reached: ${what} ~${(durationMs / 60000).toFixed(1)} GPU min but only ${remaining.gpuMinutes.toFixed(1)} of your ${limits.maxGpuMinutesPerSession} min remain this session.`);
+    }
+}
+
+module.exports = { LIMIT_KEYS, limitsFor, statusFor, assertCanBook };
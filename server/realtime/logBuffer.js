@@ -0,0 +1,146 @@
+const util = require('util');
+const EventEmitter = require('events');
+
+// LogBuffer — the last `capacity` log lines of this server, for the admin
+// panel's log viewer (GET /admin/logs, live on the /admin-logs Socket.IO
+// namespace) and for the excerpt stored with a failed job. Two sources:
+//
+//   'comfyui' — each line ComfyUI prints on stdout/stderr (workers emit
+//               'log'; see LocalComfyUIWorker), tagged with the worker and the
+//               job it was running at the time; the level is guessed
+//   'comfyq'  — ComfyQ's own tagged console lines ([Executor], [Worker], …),
+//               via captureConsole(); a `job 1a2b3c4d` in the text tags them
+//
+// An entry is { seq, ts, source, level: 'info'|'warn'|'error', tag, workerId,
+// jobId, text }. jobId is a full id for ComfyUI lines and the 8-char short id
+// ComfyQ logs use otherwise. Progress-bar lines (tqdm redraws) replace the
+// previous one from the same worker instead of piling up; the replacement
+// gets a new seq and `replaces: <old seq>`.
+//
+// Emits 'entry' for every line added or replaced.
+
+const DEFAULT_CAPACITY = 5000;
+const LEVELS = { info: 0, warn: 1, error: 2 };
+const MAX_LINE = 2000;
+
+const ERROR_RE = /(error|exception)\b|traceback|out of memory|\bfailed\b|^!!!/i;
+const WARN_RE = /\bwarn(ing)?\b/i;
+const PROGRESS_RE = /^\s*\d+%\|/;
+const SHORT_JOB_RE = /\bjob ([0-9a-f]{8})\b/;
+
+// Severity of a ComfyUI line, which carries none of its own we can trust
+// (Python logs everything to stderr).
+function guessLevel(text) {
+    if (ERROR_RE.test(text)) return 'error';
+    if (WARN_RE.test(text)) return 'warn';
+    return 'info';
+}
+
+// Does an entry's job tag match `jobId` (full or short id, either way)?
+function matchesJob(entry, jobId) {
+    if (!entry.jobId || !jobId) return false;
+    return entry.jobId.startsWith(jobId) || jobId.startsWith(entry.jobId);
+}
+
+class LogBuffer extends EventEmitter {
+    constructor({ capacity = DEFAULT_CAPACITY } = {}) {
+        super();
+        this.capacity = capacity;
+        this.entries = new Array(capacity);
+        this.start = 0;
+        this.size = 0;
+        this.seq = 0;
+    }
+
+    push({ source, level = 'info', tag = null, workerId = null, jobId = null, text }) {
+        const line = String(text).replace(/\s+$/, '').slice(0, MAX_LINE);
+        if (!line.trim()) return null;
+        const entry = {
+            seq: ++this.seq, ts: Date.now(), source, level, tag,
+            workerId, jobId: jobId || (line.match(SHORT_JOB_RE)?.[1] ?? null), text: line
+        };
+        const last = this.size > 0 ? this.entries[(this.start + this.size - 1) % this.capacity] : null;
+        if (PROGRESS_RE.test(line) && last && PROGRESS_RE.test(last.text)
+            && last.source === source && last.workerId === workerId) {
+            entry.replaces = last.seq;
+            this.entries[(this.start + this.size - 1) % this.capacity] = entry;
+        } else if (this.size < this.capacity) {
+            this.entries[(this.start + this.size) % this.capacity] = entry;
+            this.size++;
+        } else {
+            this.entries[this.start] = entry;
+            this.start = (this.start + 1) % this.capacity;
+        }
+        this.emit('entry', entry);
+        return entry;
+    }
+
+    // A line a worker's ComfyUI printed ('log' events, see WorkerPool).
+    pushComfyUI({ workerId = null, jobId = null, text }) {
+        return this.push({ source: 'comfyui', level: guessLevel(text), workerId, jobId, text });
+    }
+
+    // Entries oldest first, filtered; `limit` keeps the newest.
+    //   since     only entries with seq > since (incremental polling)
+    //   jobId     only lines tagged with that job (full or short id)
+    //   level     minimum severity
+    //   source    'comfyui' | 'comfyq'
+    //   workerId, from, to (ms timestamps)
+    list({ since = 0, jobId = null, level = null, source = null, workerId = null, from = null, to = null, limit = 500 } = {}) {
+        const min = LEVELS[level] ?? 0;
+        const out = [];
+        for (let i = 0; i < this.size; i++) {
+            const e = this.entries[(this.start + i) % this.capacity];
+            if (e.seq <= since) continue;
+            if (jobId && !matchesJob(e, jobId)) continue;
+            if (LEVELS[e.level] < min) continue;
+            if (source && e.source !== source) continue;
+            if (workerId && e.workerId !== workerId) continue;
+            if (from && e.ts < from) continue;
+            if (to && e.ts > to) continue;
+            out.push(e);
+        }
+        return limit > 0 ? out.slice(-limit) : out;
+    }
+
+    // The lines around a failure of `jobId` on `workerId` (null for the
+    // single unnamed worker): everything its ComfyUI printed since `from`
+    // (the job's start, at most `windowMs` back) plus ComfyQ's lines about
+    // the job — the newest `limit` of them, as plain "HH:MM:SS [tag] text"
+    // lines for the job's event payload.
+    excerpt({ jobId, workerId = null, from = null, windowMs = 120000, limit = 60 }) {
+        const since = Math.max(from || 0, Date.now() - windowMs);
+        const lines = this.list({ from: since, limit: 0 })
+            .filter(e => matchesJob(e, jobId) || (e.source === 'comfyui' && e.workerId === workerId))
+            .slice(-limit);
+        return lines.map(e => `${new Date(e.ts).toISOString().slice(11, 19)} [${e.tag || e.source}] ${e.text}`);
+    }
+}
+
+// An entry in the wire format of GET /admin/logs and the /admin-logs
+// namespace's log_entries (see RealtimeBus).
+function logEntryWire(e) {
+    return {
+        seq: e.seq, ts: e.ts, source: e.source, level: e.level, tag: e.tag,
+        worker_id: e.workerId, job_id: e.jobId, text: e.text, replaces: e.replaces
+    };
+}
+
+// Tee ComfyQ's own tagged console lines ("[Executor] …") into `buffer`.
+// console.log counts as info, console.warn as warn, console.error as error;
+// untagged output (the LAN banner, stack traces) stays console-only.
+function captureConsole(buffer) {
+    for (const [method, level] of [['log', 'info'], ['info', 'info'], ['warn', 'warn'], ['error', 'error']]) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => {
+            original(...args);
+            try {
+                const text = util.format(...args);
+                const tag = text.match(/^\[([^\]]{1,40})\]/)?.[1];
+                if (tag) buffer.push({ source: 'comfyq', level, tag, text: text.slice(tag.length + 2).trimStart() });
+            } catch { /* never let logging break the caller */ }
+        };
+    }
+}
+
+module.exports = { LogBuffer, captureConsole, logEntryWire };
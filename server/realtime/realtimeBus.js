@@ -1,23 +1,64 @@
 const fs = require('fs');
+const path = require('path');
 const { Server } = require('socket.io');
 const sm = require('../queue/jobStateMachine');
-const { isAuthorizedForJob } = require('../auth/authGate');
+const { isAuthorizedForJob, checkAdminPassword } = require('../auth/authGate');
 const { resolveOutputPath } = require('../executor/outputCollector');
 const ingredientsStore = require('../storage/ingredientsStore');
+const { expectedDurationMs } = require('../workflows/workflowRegistry');
+const { DEFAULT_DURATION_MS } = require('../queue/jobQueue');
+const quotas = require('../queue/quotas');
+const { planSweep } = require('../sweep/sweepPlanner');
+const { validateParams, ParamValidationError } = require('../workflows/paramValidator');
+const { estimateProgress } = require('../executor/progressEstimate');
+const { logEntryWire } = require('./logBuffer');
+const { failureWire } = require('../executor/errorMessages');
 
 const HEARTBEAT_MS = 5000;
+// At most one latent preview per job per this interval; the newest frame wins.
+const PREVIEW_MIN_INTERVAL_MS = 750;
+// Operator alerts replayed to a socket that connects later.
+const RECENT_ALERTS = 20;
+// Log lines for the /admin-logs namespace go out in batches this often.
+const LOG_FLUSH_MS = 250;
 
 // RealtimeBus — broadcasts state to clients and translates socket events into
 // queue / executor actions. Wire format kept compatible with the v1 client:
 //
 // emit('state_update', {
 //   system_status: 'starting' | 'idle' | 'busy' | 'down' | 'ready',
+//   system_detail,                             // why starting/down (e.g. a crashed ComfyUI's last stderr) | null
 //   benchmark_ms,                              // active workflow's estimatedDurationSec * 1000
 //   connected_users: [{ socketId, userId }],
-//   jobs: [{ id, user_id, status, phase, time_slot, started_at, finished_at,
-//            prompt, params, result_filename, outputs,
-//            progress: { value, max } | null,
-//            current_node, workflow_id, error_reason }],
+//   jobs: [{ id, user_id, status, phase, time_slot, expected_duration_ms,
+//            priority, last_shift: { from, to, reason, ts, causeUserId? } | null,
+//            attempt, max_attempts, next_attempt_at,   // retry policy state
+//            batch_id,                                 // set for batch-imported jobs
+//            sweep_id, sweep_cell,                     // set for parameter-sweep cells
+//            pipeline_run_id, pipeline_step,           // set for chained-pipeline steps (0-based)
+//            pinned_by: [userId],                      // "keep" pins; retention skips pinned jobs
+//            outputs_swept_at,                         // set once retention removed the outputs
+//            worker_id,                                // worker that ran / runs the job, once picked up
+//            started_at, finished_at, prompt, params, result_filename, outputs,
+//            progress: { value, max,                   // sampler steps
+//                        sampling,                     // the steps are the executing node's
+//                        nodes_done, nodes_total,      // executed + cached of the prompt's nodes
+//                        overall, eta_sec } | null,    // graph-weighted 0–1 and ETA (executor/progressEstimate)
+//            projected_start,                          // later start than time_slot, because of `external`
+//            current_node, current_node_title, workflow_id, error_reason,
+//            error_code, error_message }],          // failure catalogue code + student text (executor/errorMessages)
+//   sweeps: [{ id, user_id, workflow_id, axes, cell_count, status,
+//              grid_filename, grid_layout, error, created_at, finished_at }],
+//                                              // sweeps referenced by `jobs`
+//   pipeline_runs: [{ id, pipeline_id, name, user_id, steps: [{ workflow_id, label }],
+//                     current_step, status, error, created_at, finished_at }],
+//                                              // pipeline runs referenced by `jobs`
+//   workers: [{ id, label, state, current_job_id, vram_budget_gb, port, remote }],
+//                                              // one per GPU; the timeline draws a lane each
+//   external: [{ id, worker_id, start, end, running }],
+//                                              // prompts run on ComfyUI directly, not via ComfyQ
+//                                              // (workers/externalUsage.js) — estimated blocks
+//   external_block: 'always' | 'class hours' | null,   // direct use is being turned away
 //   workflow: { parameter_map },               // for active workflow
 //   workflow_info: { id, name, description, category,
 //                    samplesPerSec, estimatedDurationSec }  // for ETA + ProgressViz
@@ -25,23 +66,60 @@ const HEARTBEAT_MS = 5000;
 //
 // Inbound events:
 //   register_user(name)
-//   book_job({ scheduledTime, prompt, params, user_id, workflow_id?, admin_password? })
+//   book_job({ scheduledTime, prompt, params, user_id, workflow_id?, admin_password?, sweep? })
+//                                with `sweep: { axes: [{ param, values }] }` → one job
+//                                per combination; ack({ ok, jobId, sweepId, jobIds })
+//                                with `pipeline: { id, steps: [{ prompt, params }] }` → the
+//                                first step now, each later one when the previous completes
+//                                (PipelineRunner); ack({ ok, jobId, pipelineRunId })
+//                                params are checked against the workflow's exposed
+//                                parameters first; a bad booking acks ({ ok: false, error,
+//                                fieldErrors: { key: reason }, stepErrors? }) for inline display
 //   delete_job(jobId)            with optional admin_password
 //   reorder_job({ jobId, newTimeSlot })
-//   cancel_job(jobId)            with optional admin_password
+//   cancel_job(jobId)            with optional admin_password; ack({ ok, how, message? } |
+//                                { ok: false, error }) — ok only if the job really stopped
+//                                (JobExecutor.cancelJob)
+//   set_priority({ jobId, priority, admin_password })   admin-gated; ack({ ok, shifted })
+//   set_pin({ jobId, pinned, admin_password? })         pin / unpin for the caller; ack({ ok })
+//
+// Also emits:
+//   job_preview({ job_id, mime, image: <binary>, node, ts })
+//                                latest latent preview of a running job, at most one per
+//                                PREVIEW_MIN_INTERVAL_MS; to the job owner's sockets, or to
+//                                everyone, per comfy_ui.livePreviews
+//   admin_alert({ id, kind, ts, message, job_id, user_id, workflow_id, worker_id, restarting })
+//                                operator alert from the executor, e.g. kind 'job-timeout'
+//                                when the stuck-job watchdog stops a job, 'external-blocked'
+//                                when direct ComfyUI use was turned away; the last
+//                                RECENT_ALERTS are replayed on connect. The dashboard shows them.
+//
+// Namespace /admin-logs (handshake auth: { admin_password }, refused without
+// the admin password) — the admin panel's live log viewer:
+//   log_entries([{ seq, ts, source, level, tag, worker_id, job_id, text, replaces? }])
+//                                new LogBuffer lines (realtime/logBuffer.js), batched every
+//                                LOG_FLUSH_MS; the backlog comes from GET /admin/logs
 class RealtimeBus {
-    constructor({ httpServer, queue, executor, registry, configManager, worker, comfyConfig, activity }) {
+    constructor({ httpServer, queue, executor, registry, pipelines, configManager, worker, comfyConfig, activity, logs = null, external = null }) {
         this.queue = queue;
         this.executor = executor;
         this.registry = registry;
+        this.pipelines = pipelines;
         this.configManager = configManager;
         this.worker = worker;
         this.comfyConfig = comfyConfig;
+        // ExternalUsage (workers/externalUsage.js), if any.
+        this.external = external;
+        // Where /upload puts files — booked media params must name one of them.
+        this.inputDir = comfyConfig?.root_path ? path.resolve(comfyConfig.root_path, 'input') : null;
         // Shared activity tracker (see server/index.js) — bumped on real user
         // interactions so the fleet monitor's "last activity" reflects bookings /
         // running jobs, not just HTTP traffic.
         this.activity = activity || { lastTs: Date.now(), clients: new Map() };
         this.connectedUsers = new Map();
+        // Start of this student-mode session — the window for the
+        // maxGpuMinutesPerSession quota.
+        this.sessionStartedAt = Date.now();
 
         this.io = new Server(httpServer, {
             cors: { origin: '*', methods: ['GET', 'POST'] }
@@ -50,20 +128,103 @@ class RealtimeBus {
 
         // Broadcast on queue / worker change. A queue change (job booked,
         // progressing, finishing) counts as server activity.
-        queue.onChange(() => { this._bumpActivity(); this.broadcast(); });
+        // A progress tick only moves a running job's bar, so it reuses the
+        // sweeps, pipeline runs and projected starts of the last full one.
+        this._derived = null;
+        queue.onChange((kind) => { this._bumpActivity(); this.broadcast({ progressOnly: kind === 'progress' }); });
         worker.on('status', () => this.broadcast());
+        // jobId → { lastSentAt, pending, timer } for the preview throttle.
+        this._previews = new Map();
+        this.previewAudience = comfyConfig?.livePreviews || 'owner';
+        if (this.previewAudience !== 'off') worker.on('preview', (p) => this._queuePreview(p));
         executor.onChange(() => this.broadcast());
-        setInterval(() => this.broadcast(), HEARTBEAT_MS);
+        this.alerts = [];
+        this._alertSeq = 0;
+        executor.onAlert((a) => this._relayAlert(a));
+        if (logs) this._wireLogs(logs);
+        if (external) external.on('change', () => this.broadcast());
+        this._heartbeat = setInterval(() => this.broadcast(), HEARTBEAT_MS);
+    }
+
+    // Stop broadcasting and disconnect every client (and the HTTP server
+    // socket.io is attached to).
+    close() {
+        clearInterval(this._heartbeat);
+        for (const st of this._previews.values()) clearTimeout(st.timer);
+        return new Promise(resolve => this.io.close(() => resolve()));
+    }
+
+    _wireLogs(logs) {
+        const nsp = this.io.of('/admin-logs');
+        nsp.use((socket, next) => {
+            if (checkAdminPassword(socket.handshake.auth?.admin_password, this.configManager)) return next();
+            next(new Error('admin password required'));
+        });
+        let pending = [];
+        logs.on('entry', (e) => {
+            if (nsp.sockets.size === 0) return;
+            pending.push(logEntryWire(e));
+            if (pending.length > 1) return;
+            setTimeout(() => {
+                nsp.emit('log_entries', pending);
+                pending = [];
+            }, LOG_FLUSH_MS);
+        });
     }
 
     _bumpActivity() { if (this.activity) this.activity.lastTs = Date.now(); }
 
+    _relayAlert(a) {
+        const msg = {
+            id: `${a.ts}-${++this._alertSeq}`, kind: a.kind, ts: a.ts, message: a.message,
+            job_id: a.jobId || null, user_id: a.userId || null, workflow_id: a.workflowId || null,
+            worker_id: a.workerId || null, restarting: !!a.restarting
+        };
+        this.alerts = [...this.alerts, msg].slice(-RECENT_ALERTS);
+        this.io.emit('admin_alert', msg);
+    }
+
+    // Throttle a job's preview frames: send now when the last one went out
+    // long enough ago, otherwise keep the newest and send it when the
+    // interval is up (so the final frame before sampling ends still arrives).
+    _queuePreview({ jobId, mime, data, nodeId }) {
+        let st = this._previews.get(jobId);
+        if (!st) {
+            // A new job is previewing — forget the ones that went quiet.
+            for (const [id, old] of this._previews) {
+                if (!old.timer && Date.now() - old.lastSentAt > 60000) this._previews.delete(id);
+            }
+            st = { lastSentAt: 0, pending: null, timer: null };
+            this._previews.set(jobId, st);
+        }
+        st.pending = { mime, data, nodeId };
+        if (st.timer) return;
+        const wait = st.lastSentAt + PREVIEW_MIN_INTERVAL_MS - Date.now();
+        if (wait <= 0) return this._sendPreview(jobId, st);
+        st.timer = setTimeout(() => { st.timer = null; this._sendPreview(jobId, st); }, wait);
+    }
+
+    _sendPreview(jobId, st) {
+        const frame = st.pending;
+        st.pending = null;
+        if (!frame) return;
+        const job = this.queue.get(jobId);
+        if (!job || sm.isTerminal(job.status)) { this._previews.delete(jobId); return; }
+        st.lastSentAt = Date.now();
+        const msg = { job_id: jobId, mime: frame.mime, image: frame.data, node: frame.nodeId, ts: st.lastSentAt };
+        if (this.previewAudience === 'everyone') return this.io.emit('job_preview', msg);
+        for (const u of this.connectedUsers.values()) {
+            if (u.userId === job.userId) this.io.to(u.socketId).emit('job_preview', msg);
+        }
+    }
+
     _wireEvents() {
         this.io.on('connection', (socket) => {
             const guestId = `Guest-${socket.id.substring(0, 4)}`;
             this.connectedUsers.set(socket.id, { socketId: socket.id, userId: guestId });
             this._bumpActivity();
             this.broadcast();
+            for (const a of this.alerts) socket.emit('admin_alert', a);
 
             socket.on('register_user', (name) => {
                 if (!name) return;
@@ -78,38 +239,32 @@ class RealtimeBus {
                     const me = this.connectedUsers.get(socket.id);
                     const userId = user_id || me?.userId || 'anon';
                     const cfg = this.configManager.load().config;
+                    if (payload?.pipeline) return this._bookPipeline({ socket, payload, userId, cfg, ack });
                     const wfId = workflow_id || cfg.workflows.activeWorkflowId;
                     if (!wfId) throw new Error('No active workflow configured');
                     const entry = this.registry.get(wfId);
                     if (!entry || entry.unavailable) throw new Error(`Workflow unavailable: ${entry?.reason || wfId}`);
 
-                    const duration = (entry.summary?.estimatedDurationSec || entry.meta.estimatedDurationSec) * 1000;
+                    const duration = expectedDurationMs(entry) || DEFAULT_DURATION_MS;
+                    if (payload?.sweep) return this._bookSweep({ socket, payload, userId, entry, cfg, duration, ack });
+                    quotas.assertCanBook({
+                        queue: this.queue, quotas: cfg.quotas, userId,
+                        durationMs: duration, sessionStartedAt: this.sessionStartedAt
+                    });
                     // No slot picked (or a stale/past time) → run ASAP: drop the
                     // job into the earliest free slot after whatever's pending,
                     // instead of rejecting it on a collision. An explicit future
                     // slot still gets the normal collision guard.
                     let scheduledAt = scheduledTime;
-                    if (!scheduledAt || scheduledAt < Date.now()) {
+                    const asap = !scheduledAt || scheduledAt < Date.now();
+                    if (asap) {
                         scheduledAt = this.queue.nextFreeSlot(Date.now(), duration);
                     } else {
                         const collisions = this.queue.findCollisions(scheduledAt, duration);
                         if (collisions.length > 0) throw new Error('Time slot collision detected');
                     }
 
-                    // Stitch prompt into paramValues so the worker materializer
-                    // doesn't have to special-case it. If a parameter exists
-                    // with type 'textarea' and the workflow's first prompt
-                    // node, set its value; otherwise put 'prompt' in params.
-                    const paramValues = { ...params };
-                    if (prompt && !paramValues.prompt) paramValues.prompt = prompt;
-                    // Map paramValues['prompt'] to the first textarea-type
-                    // exposed parameter if no key matches a textarea param.
-                    const textParam = entry.effective.exposedParameters
-                        .find(p => p.type === 'textarea' && (p.field === 'text' || p.field.includes('prompt')));
-                    if (prompt && textParam && paramValues[textParam.key] == null) {
-                        paramValues[textParam.key] = prompt;
-                    }
-
+                    const paramValues = this._validated(this._exposed(entry), this._withPrompt(entry, params, prompt));
                     const job = this.queue.insert({
                         userId,
                         workflowId: wfId,
@@ -117,12 +272,18 @@ class RealtimeBus {
                         scheduledAt,
                         prompt: prompt || '',
                         paramValues,
-                        createdBy: socket.id
+                        createdBy: socket.id,
+                        expectedDurationMs: duration,
+                        asap
                     });
                     if (typeof ack === 'function') ack({ ok: true, jobId: job.id });
                 } catch (e) {
                     socket.emit('error', { message: e.message });
-                    if (typeof ack === 'function') ack({ ok: false, error: e.message });
+                    if (typeof ack === 'function') {
+                        ack(e instanceof ParamValidationError
+                            ? { ok: false, error: e.message, fieldErrors: e.fieldErrors, stepErrors: e.stepErrors }
+                            : { ok: false, error: e.message });
+                    }
                 }
             });
 
@@ -138,7 +299,7 @@ class RealtimeBus {
                         job, configManager: this.configManager
                     });
                     if (!auth.allowed) return socket.emit('error', { message: auth.reason });
-                    if (sm.isInFlight(job.status) || job.status === sm.STATES.SCHEDULED) {
+                    if (!sm.isTerminal(job.status)) {
                         // Try cancelling first if executing; otherwise just remove.
                         if (sm.isInFlight(job.status)) this.executor.cancelJob(jobId);
                         else this.queue.transitionStatus(jobId, sm.STATES.CANCELLED);
@@ -150,21 +311,24 @@ class RealtimeBus {
                 }
             });
 
-            socket.on('cancel_job', (payload) => {
+            // Acks whether the job really stopped — a prompt that ComfyUI had
+            // already finished can't be, and the client says so.
+            socket.on('cancel_job', async (payload, ack) => {
                 try {
                     const jobId = typeof payload === 'string' ? payload : payload?.jobId;
                     const adminPassword = typeof payload === 'object' ? payload?.admin_password : null;
                     const job = this.queue.get(jobId);
-                    if (!job) return;
                     const me = this.connectedUsers.get(socket.id);
-                    const auth = isAuthorizedForJob({
+                    const auth = job && isAuthorizedForJob({
                         socketUserId: me?.userId, providedPassword: adminPassword,
                         job, configManager: this.configManager
                     });
-                    if (!auth.allowed) return socket.emit('error', { message: auth.reason });
-                    this.executor.cancelJob(jobId);
+                    if (auth && !auth.allowed) throw new Error(auth.reason);
+                    const result = await this.executor.cancelJob(jobId);
+                    if (typeof ack === 'function') ack(result);
                 } catch (e) {
                     socket.emit('error', { message: e.message });
+                    if (typeof ack === 'function') ack({ ok: false, error: e.message });
                 }
             });
 
@@ -179,9 +343,11 @@ class RealtimeBus {
                         job, configManager: this.configManager
                     });
                     if (!auth.allowed) return socket.emit('error', { message: auth.reason });
-                    const cfg = this.configManager.load().config;
-                    const entry = this.registry.get(job.workflowId);
-                    const duration = ((entry?.summary?.estimatedDurationSec) || 60) * 1000;
+                    // The moved job keeps its own length; only fall back to the
+                    // workflow estimate for jobs booked before it was stored.
+                    const duration = job.expectedDurationMs
+                        || expectedDurationMs(this.registry.get(job.workflowId))
+                        || DEFAULT_DURATION_MS;
                     const collisions = this.queue.findCollisions(newTimeSlot, duration, jobId);
                     if (collisions.length > 0) return socket.emit('error', { message: 'Time slot collision' });
                     this.queue.reorder(jobId, newTimeSlot);
@@ -190,6 +356,47 @@ class RealtimeBus {
                 }
             });
 
+            // Instructor "run next": raise (or reset) a scheduled job's
+            // priority lane. Admin-gated like the REST equivalent
+            // (PUT /jobs/:id/priority). Later ASAP jobs are shifted by the queue.
+            socket.on('set_priority', (payload, ack) => {
+                try {
+                    const { jobId, priority, admin_password } = payload || {};
+                    if (!checkAdminPassword(admin_password, this.configManager)) {
+                        throw new Error('admin password required to change priority');
+                    }
+                    const me = this.connectedUsers.get(socket.id);
+                    const { shifted } = this.queue.setPriority(jobId, priority, { by: me?.userId || null });
+                    console.log(`[RealtimeBus] priority ${priority} set on ${String(jobId).slice(0, 8)} by ${me?.userId || socket.id}`);
+                    if (typeof ack === 'function') ack({ ok: true, shifted: shifted.length });
+                } catch (e) {
+                    socket.emit('error', { message: e.message });
+                    if (typeof ack === 'function') ack({ ok: false, error: e.message });
+                }
+            });
+
+            // "Keep" pin: the retention sweeper skips a job while anyone has
+            // it pinned. Pins are per user — unpinning only drops the caller's.
+            socket.on('set_pin', (payload, ack) => {
+                try {
+                    const { jobId, pinned, admin_password } = payload || {};
+                    const job = this.queue.get(jobId);
+                    if (!job) throw new Error('Job not found');
+                    const me = this.connectedUsers.get(socket.id);
+                    if (!me?.userId) throw new Error('register a name first');
+                    const auth = isAuthorizedForJob({
+                        socketUserId: me.userId, providedPassword: admin_password,
+                        job, configManager: this.configManager
+                    });
+                    if (!auth.allowed) throw new Error(auth.reason);
+                    this.queue.setPin(jobId, me.userId, !!pinned);
+                    if (typeof ack === 'function') ack({ ok: true });
+                } catch (e) {
+                    socket.emit('error', { message: e.message });
+                    if (typeof ack === 'function') ack({ ok: false, error: e.message });
+                }
+            });
+
             socket.on('disconnect', () => {
                 this.connectedUsers.delete(socket.id);
                 this.broadcast();
@@ -197,6 +404,167 @@ class RealtimeBus {
         });
     }
 
+    // Stitch prompt into paramValues so the worker materializer doesn't have
+    // to special-case it. If a parameter exists with type 'textarea' and the
+    // workflow's first prompt node, set its value; otherwise put 'prompt' in
+    // params.
+    _withPrompt(entry, params, prompt) {
+        const paramValues = { ...params };
+        if (prompt && !paramValues.prompt) paramValues.prompt = prompt;
+        // Map paramValues['prompt'] to the first textarea-type exposed
+        // parameter if no key matches a textarea param.
+        const textParam = entry.effective.exposedParameters
+            .find(p => p.type === 'textarea' && (p.field === 'text' || p.field.includes('prompt')));
+        if (prompt && textParam && paramValues[textParam.key] == null) {
+            paramValues[textParam.key] = prompt;
+        }
+        return paramValues;
+    }
+
+    _exposed(entry) {
+        return entry.effective.exposedParameters.filter(p => p.enabled !== false);
+    }
+
+    // Check (and type-coerce) booking params against the exposed parameters;
+    // throws a ParamValidationError carrying the per-field reasons. `ignore`
+    // lists keys whose errors don't count (swept params, pinned values).
+    _validated(exposed, params, { allow = ['prompt'], ignore = [] } = {}) {
+        const { values, errors } = validateParams({ exposed, params, inputDir: this.inputDir, allow });
+        for (const key of ignore) delete errors[key];
+        if (Object.keys(errors).length) throw new ParamValidationError(errors);
+        return values;
+    }
+
+    // book_job with a sweep: expand into one job per combination, check the
+    // quota for all of them at once, and queue them back to back — from the
+    // picked slot (the whole span must be free) or ASAP.
+    _bookSweep({ socket, payload, userId, entry, cfg, duration, ack }) {
+        const { scheduledTime, prompt, params = {}, sweep } = payload;
+        const exposed = this._exposed(entry);
+        // The swept params' own form values are replaced per cell, so an empty
+        // or stale one there doesn't block the booking.
+        const swept = (Array.isArray(sweep?.axes) ? sweep.axes : []).map(a => a?.param);
+        const paramValues = this._validated(exposed, this._withPrompt(entry, params, prompt), { ignore: swept });
+        const { axes, cells } = planSweep({ sweep, exposed, paramValues });
+        const total = duration * cells.length;
+        quotas.assertCanBook({
+            queue: this.queue, quotas: cfg.quotas, userId,
+            durationMs: total, count: cells.length, sessionStartedAt: this.sessionStartedAt
+        });
+        const asap = !scheduledTime || scheduledTime < Date.now();
+        if (!asap && this.queue.findCollisions(scheduledTime, total).length > 0) {
+            throw new Error(`Time slot collision detected — the ${cells.length} sweep jobs need ${Math.ceil(total / 60000)} free minute(s) from that time`);
+        }
+        const { sweep: row, jobIds } = this.queue.insertSweep({
+            userId,
+            workflowId: entry.id,
+            workflowVersion: entry.meta.version,
+            axes,
+            scheduledAt: asap ? null : scheduledTime,
+            createdBy: socket.id,
+            jobs: cells.map(c => ({ prompt: prompt || '', paramValues: c.paramValues, expectedDurationMs: duration }))
+        });
+        console.log(`[RealtimeBus] sweep ${row.id.slice(0, 8)} by ${userId}: ${axes.map(a => `${a.param}×${a.values.length}`).join(' ')} → ${jobIds.length} job(s)`);
+        if (typeof ack === 'function') ack({ ok: true, jobId: jobIds[0], sweepId: row.id, jobIds });
+    }
+
+    // book_job with a pipeline: every step's form is validated and settled
+    // now (pinned params on top) and stored on the run; only the first step
+    // is queued. The quota is checked against
+    // the whole chain, the slot collision only against the first step — the
+    // later ones go ASAP when their input exists.
+    _bookPipeline({ socket, payload, userId, cfg, ack }) {
+        const { scheduledTime, pipeline: req } = payload;
+        const pipeline = this.pipelines?.get(String(req?.id || ''));
+        if (!pipeline || pipeline.unavailable) throw new Error(`Pipeline unavailable: ${pipeline?.reason || req?.id}`);
+        const given = Array.isArray(req.steps) ? req.steps : [];
+        const stepErrors = {};
+        const steps = pipeline.steps.map((s, i) => {
+            const { prompt = '', params = {} } = given[i] || {};
+            let values = {};
+            try {
+                // Pinned keys may come back from _withPrompt; they're overwritten below.
+                values = this._validated(s.exposed, this._withPrompt(s.entry, params, prompt), { allow: ['prompt', ...Object.keys(s.params)] });
+            } catch (e) {
+                if (!(e instanceof ParamValidationError)) throw e;
+                stepErrors[i] = e.fieldErrors;
+            }
+            return {
+                workflowId: s.workflowId,
+                workflowVersion: s.entry.meta.version,
+                label: s.label,
+                prompt,
+                paramValues: { ...values, ...s.params },
+                expectedDurationMs: expectedDurationMs(s.entry) || DEFAULT_DURATION_MS,
+                input: s.input
+            };
+        });
+        if (Object.keys(stepErrors).length) {
+            const { 0: first = {}, ...later } = stepErrors;
+            throw new ParamValidationError(first, Object.keys(later).length ? later : null);
+        }
+        quotas.assertCanBook({
+            queue: this.queue, quotas: cfg.quotas, userId,
+            durationMs: steps.reduce((sum, s) => sum + s.expectedDurationMs, 0),
+            sessionStartedAt: this.sessionStartedAt
+        });
+        let scheduledAt = scheduledTime;
+        const asap = !scheduledAt || scheduledAt < Date.now();
+        if (asap) {
+            scheduledAt = this.queue.nextFreeSlot(Date.now(), steps[0].expectedDurationMs);
+        } else if (this.queue.findCollisions(scheduledAt, steps[0].expectedDurationMs).length > 0) {
+            throw new Error('Time slot collision detected');
+        }
+        const { run, jobId } = this.queue.insertPipelineRun({
+            pipelineId: pipeline.id,
+            name: pipeline.meta.name,
+            userId,
+            steps,
+            scheduledAt,
+            asap,
+            createdBy: socket.id
+        });
+        console.log(`[RealtimeBus] pipeline ${run.id.slice(0, 8)} "${pipeline.id}" by ${userId}: ${steps.length} step(s)`);
+        if (typeof ack === 'function') ack({ ok: true, jobId, pipelineRunId: run.id });
+    }
+
+    _toWirePipelineRun(run) {
+        return {
+            id: run.id,
+            pipeline_id: run.pipelineId,
+            name: run.name,
+            user_id: run.userId,
+            steps: run.steps.map(s => ({ workflow_id: s.workflowId, label: s.label })),
+            current_step: run.currentStep,
+            // 'running' | 'completed' | 'failed' | 'cancelled'; error says
+            // which step stopped the chain and why.
+            status: run.status,
+            error: run.error,
+            created_at: run.createdAt,
+            finished_at: run.finishedAt
+        };
+    }
+
+    _toWireSweep(sweep) {
+        return {
+            id: sweep.id,
+            user_id: sweep.userId,
+            workflow_id: sweep.workflowId,
+            axes: sweep.axes,
+            cell_count: sweep.cellCount,
+            // 'running' until every cell is terminal, then 'done' (grid_filename
+            // set) or 'failed' (error says why there is no grid).
+            status: sweep.status,
+            grid_filename: sweep.gridFilename,
+            // { width, height, cells: [{ cell, jobId, left, top, width, height }] }
+            // in grid pixels, for click-through from the contact sheet.
+            grid_layout: sweep.gridLayout,
+            error: sweep.error,
+            created_at: sweep.createdAt,
+            finished_at: sweep.finishedAt
+        };
+    }
+
     // Best-effort deletion of any output files this job produced. Missing files
     // are ignored so a partially-cleaned-up job can still be removed.
     _deleteOutputFiles(job) {
@@ -211,10 +579,25 @@ class RealtimeBus {
         }
     }
 
-    _toWireJob(job) {
-        const progress = (job.progress?.stepsDone != null && job.progress?.stepsTotal != null)
-            ? { value: job.progress.stepsDone, max: job.progress.stepsTotal }
-            : null;
+    _toWireJob(job, pins = null, projected = null) {
+        const p = job.progress || {};
+        const hasSteps = p.stepsDone != null && p.stepsTotal != null;
+        let progress = null;
+        if (hasSteps || p.nodesTotal) {
+            const est = job.status === sm.STATES.EXECUTING
+                ? estimateProgress(job, this.registry.get(job.workflowId)?.runtime?.nodeTimingsMs)
+                : null;
+            progress = {
+                value: hasSteps ? p.stepsDone : null,
+                max: hasSteps ? p.stepsTotal : null,
+                // The steps belong to the node executing now (vs. a finished sampler).
+                sampling: hasSteps && (!p.stepsNode || p.stepsNode === job.currentNode),
+                nodes_done: p.nodesDone ?? null,
+                nodes_total: p.nodesTotal ?? null,
+                overall: est ? est.fraction : null,
+                eta_sec: est ? est.etaSec : null
+            };
+        }
         // Thumbnail filename for grid/sidebar cards. Prefer an image, then a
         // GLB mesh (renders in the inline ModelViewer), then anything. The GLB
         // preference is extension-based (not kind === 'model3d') so a splat
@@ -230,6 +613,29 @@ class RealtimeBus {
             status: sm.toWireStatus(job.status),
             phase: job.status,
             time_slot: job.scheduledAt,
+            // When a scheduled job will really start, if prompts run on
+            // ComfyUI directly push it past its slot; null otherwise.
+            projected_start: projected?.get(job.id) ?? null,
+            // Per-job estimate (ms) used for the timeline block and overlap
+            // checks; null for jobs booked before it was stored.
+            expected_duration_ms: job.expectedDurationMs,
+            priority: job.priority,
+            // Retry bookkeeping: `attempt` is the current (or upcoming, while
+            // phase === 'retrying') run out of `max_attempts`.
+            attempt: job.attempt,
+            max_attempts: job.maxAttempts,
+            next_attempt_at: job.nextAttemptAt,
+            batch_id: job.batchId,
+            // Sweep membership; sweep_cell is the 0-based row-major grid cell.
+            sweep_id: job.sweepId,
+            sweep_cell: job.sweepCell,
+            pipeline_run_id: job.pipelineRunId,
+            pipeline_step: job.pipelineStep,
+            pinned_by: pins?.get(job.id) || [],
+            outputs_swept_at: job.outputsSweptAt,
+            worker_id: job.workerId,
+            // Why the slot last moved (priority job / reorder); scheduled jobs only.
+            last_shift: job.status === sm.STATES.SCHEDULED ? job.lastShift : null,
             // Actual run timing: started_at = executor pickup (uploading-inputs),
             // finished_at = terminal state. The client shows finished−started as
             // the real generation time on every job card, for any workflow type.
@@ -242,12 +648,14 @@ class RealtimeBus {
             outputs: job.outputs || [],
             progress,
             current_node: job.currentNode,
+            current_node_title: p.currentNodeTitle || null,
             workflow_id: job.workflowId,
-            error_reason: job.errorReason
+            error_reason: job.errorReason,
+            ...failureWire(job)
         };
     }
 
-    broadcast() {
+    broadcast({ progressOnly = false } = {}) {
         try {
             const cfg = this.configManager.load().config;
             const activeId = cfg.workflows.activeWorkflowId;
@@ -267,12 +675,41 @@ class RealtimeBus {
                 ? (entry.summary.estimatedDurationSec * 1000) : 60000;
             const workerStatus = this.worker.getStatus();
             const systemStatus = workerStatus.state === 'idle' || workerStatus.state === 'busy' ? 'ready' : workerStatus.state;
-            const jobs = this.queue.list({ limit: 500 }).map(j => this._toWireJob(j));
+            const listed = this.queue.list({ limit: 500 });
+            const pins = this.queue.pins();
+            const now = Date.now();
+            const external = this.external ? this.external.blocks(now) : [];
+            if (!progressOnly || !this._derived) {
+                const sweepIds = [...new Set(listed.map(j => j.sweepId).filter(Boolean))];
+                const runIds = [...new Set(listed.map(j => j.pipelineRunId).filter(Boolean))];
+                this._derived = {
+                    projected: this.queue.projectStarts(external, now),
+                    sweeps: this.queue.listSweeps({ ids: sweepIds }).map(s => this._toWireSweep(s)),
+                    pipeline_runs: this.queue.listPipelineRuns({ ids: runIds }).map(r => this._toWirePipelineRun(r))
+                };
+            }
+            const { projected, sweeps, pipeline_runs } = this._derived;
+            const jobs = listed.map(j => this._toWireJob(j, pins, projected));
             this.io.emit('state_update', {
                 system_status: systemStatus,
+                // Why the system is starting/down, e.g. a crash-looping ComfyUI's last output.
+                system_detail: workerStatus.detail || null,
                 benchmark_ms: benchmarkMs,
                 connected_users: Array.from(this.connectedUsers.values()),
                 jobs,
+                sweeps,
+                pipeline_runs,
+                workers: (workerStatus.workers || []).map(w => ({
+                    id: w.id,
+                    label: w.label || w.id,
+                    state: w.state,
+                    current_job_id: w.currentJobId,
+                    vram_budget_gb: w.vramBudgetGb,
+                    port: w.port,
+                    remote: !!w.remote
+                })),
+                external: external.map(b => ({ id: b.id, worker_id: b.workerId, start: b.start, end: b.end, running: b.running })),
+                external_block: this.external ? this.external.blockReason() : null,
                 workflow: { parameter_map },
                 workflow_info
             });
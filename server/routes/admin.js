@@ -6,11 +6,19 @@ const os = require('os');
 const multer = require('multer');
 const { setAdminPassword, checkAdminPassword } = require('../auth/authGate');
 const { defaultConfig } = require('../config/configManager');
-const { WorkflowMeta } = require('../config/schemas');
+const { WorkflowMeta, QuotaLimits } = require('../config/schemas');
 const { validateApiWorkflow } = require('../workflows/workflowValidator');
+const { preflight, describeProblems } = require('../workflows/preflight');
+const { fetchObjectInfo } = require('../workflows/liveOptions');
 const { parseWorkflow } = require('../workflows/workflowParser');
 const { resolveOutputPath } = require('../executor/outputCollector');
 const sm = require('../queue/jobStateMachine');
+const quotas = require('../queue/quotas');
+const { RetentionSweeper } = require('../storage/retentionSweeper');
+const { workerSpecs } = require('../workers/workerPool');
+const { parseClassHours } = require('../workers/externalUsage');
+const { logEntryWire } = require('../realtime/logBuffer');
+const { describeFailure } = require('../executor/errorMessages');
 
 function sanitizeId(s) {
     return String(s).toLowerCase().replace(/[^a-z0-9_-]/g, '_').replace(/^_+|_+$/g, '');
@@ -65,7 +73,24 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
     // First-run / admin: set ComfyUI paths and server settings.
     router.put('/comfy', express.json(), (req, res) => {
         try {
-            const { root_path, python_executable, output_dir, api_host, api_port, lan_access, autoStart, vramBudgetGb, installation_type, assets_dir } = req.body || {};
+            const { root_path, python_executable, output_dir, api_host, api_port, lan_access, autoStart, vramBudgetGb, installation_type, assets_dir, workers, backend, simulator, livePreviews, external } = req.body || {};
+            if (workers !== undefined) {
+                if (!Array.isArray(workers)) return res.status(400).json({ error: 'workers must be an array' });
+                workerSpecs({ workers }); // duplicate ids / ports → 400
+            }
+            if (livePreviews !== undefined && !['off', 'owner', 'everyone'].includes(livePreviews)) {
+                return res.status(400).json({ error: "livePreviews must be 'off', 'owner' or 'everyone'" });
+            }
+            if (backend !== undefined && !['comfyui', 'simulated'].includes(backend)) {
+                return res.status(400).json({ error: "backend must be 'comfyui' or 'simulated'" });
+            }
+            if (external !== undefined) {
+                if (!external || typeof external !== 'object') return res.status(400).json({ error: 'external must be an object' });
+                if (external.block !== undefined && !['off', 'class-hours', 'always'].includes(external.block)) {
+                    return res.status(400).json({ error: "external.block must be 'off', 'class-hours' or 'always'" });
+                }
+                if (external.classHours !== undefined) parseClassHours(external.classHours); // unreadable → 400
+            }
             configManager.update(c => {
                 if (root_path !== undefined) c.comfy_ui.root_path = root_path;
                 if (python_executable !== undefined) c.comfy_ui.python_executable = python_executable;
@@ -73,9 +98,17 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
                 if (api_host !== undefined) c.comfy_ui.api_host = api_host;
                 if (api_port !== undefined) c.comfy_ui.api_port = api_port;
                 if (lan_access !== undefined) c.comfy_ui.lan_access = lan_access;
+                if (livePreviews !== undefined) c.comfy_ui.livePreviews = livePreviews;
+                // Read live by ExternalUsage — no restart needed.
+                if (external !== undefined) c.comfy_ui.external = { ...c.comfy_ui.external, ...external };
                 if (autoStart !== undefined) c.comfy_ui.autoStart = autoStart;
                 if (vramBudgetGb !== undefined) c.comfy_ui.vramBudgetGb = vramBudgetGb;
                 if (installation_type !== undefined) c.comfy_ui.installation_type = installation_type;
+                // GPU worker pool; applies on the next student-mode start.
+                if (workers !== undefined) c.comfy_ui.workers = workers;
+                // Simulated backend + its latency/failure knobs; next start too.
+                if (backend !== undefined) c.comfy_ui.backend = backend;
+                if (simulator !== undefined) c.comfy_ui.simulator = { ...c.comfy_ui.simulator, ...simulator };
                 // Calibration media directory lives under config.assets (not comfy_ui).
                 // Editable here so admins can repoint it when the drive letter changes.
                 if (assets_dir !== undefined) { c.assets = c.assets || {}; c.assets.dir = assets_dir; }
@@ -102,6 +135,64 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
         } catch (e) { res.status(400).json({ error: e.message }); }
     });
 
+    // Booking quotas: global defaults + fair-share flag, and each known user's
+    // effective limits, usage and remaining headroom. Users are everyone with a
+    // job on record, everyone connected, and everyone with an override. Usage
+    // is only meaningful in student mode (it needs the live queue + session).
+    // Admin only, like the writes: the rows show every student's usage.
+    router.get('/quotas', adminGate, (req, res) => {
+        try {
+            const { config } = configManager.load();
+            const queue = runtime?.queue;
+            const sessionStartedAt = runtime?.bus?.sessionStartedAt ?? Date.now();
+            const ids = new Set(Object.keys(config.quotas.overrides || {}));
+            if (queue) for (const id of queue.userIds()) ids.add(id);
+            for (const u of runtime?.bus?.connectedUsers?.values() || []) ids.add(u.userId);
+            const users = queue
+                ? [...ids].sort().map(userId => quotas.statusFor({ queue, quotas: config.quotas, userId, sessionStartedAt }))
+                : [];
+            res.json({ quotas: config.quotas, sessionStartedAt: queue ? sessionStartedAt : null, users });
+        } catch (e) { res.status(500).json({ error: e.message }); }
+    });
+
+    // Update the global quota defaults and/or the fair-share flag. Takes
+    // effect on the next booking / executor tick — no restart.
+    router.put('/quotas', adminGate, express.json(), (req, res) => {
+        try {
+            const body = req.body || {};
+            const limits = QuotaLimits.parse(body);
+            if (body.fairShare !== undefined && typeof body.fairShare !== 'boolean') {
+                return res.status(400).json({ error: 'fairShare must be a boolean' });
+            }
+            const next = configManager.update(c => {
+                for (const k of quotas.LIMIT_KEYS) if (limits[k] !== undefined) c.quotas[k] = limits[k];
+                if (body.fairShare !== undefined) c.quotas.fairShare = body.fairShare;
+                return c;
+            });
+            console.log(`[Admin] quotas updated: pending=${next.quotas.maxPendingJobs} perHour=${next.quotas.maxJobsPerHour} gpuMin=${next.quotas.maxGpuMinutesPerSession} fairShare=${next.quotas.fairShare}`);
+            res.json({ ok: true, quotas: next.quotas });
+        } catch (e) { res.status(400).json({ error: e.message }); }
+    });
+
+    // Per-user override. Body holds any subset of the limit keys; a null body
+    // (or { clear: true }) removes the override so the user falls back to the
+    // global defaults.
+    router.put('/quotas/users/:userId', adminGate, express.json(), (req, res) => {
+        try {
+            const { userId } = req.params;
+            const body = req.body || {};
+            const clear = body.clear === true;
+            const limits = clear ? null : QuotaLimits.parse(body);
+            const next = configManager.update(c => {
+                if (clear) delete c.quotas.overrides[userId];
+                else c.quotas.overrides[userId] = limits;
+                return c;
+            });
+            console.log(`[Admin] quota override ${clear ? 'cleared' : 'set'} for ${userId}`);
+            res.json({ ok: true, override: next.quotas.overrides[userId] || null });
+        } catch (e) { res.status(400).json({ error: e.message }); }
+    });
+
     // Return the hardcoded workshop-rig path defaults so the admin UI can
     // offer a "Reset to defaults" action without duplicating the constants.
     router.get('/default-paths', (req, res) => {
@@ -143,17 +234,25 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
     // Spawn (or reuse) a ComfyUI bound to 0.0.0.0 so its native web UI is
     // reachable on the LAN. Admin-mode only — in student mode ComfyUI already
     // runs for the active workflow. `runtime.comfyBackend` is the AdminCalibrator.
-    router.get('/comfyui/status', (req, res) => {
+    router.get('/comfyui/status', async (req, res) => {
         const backend = runtime?.comfyBackend;
         if (backend) {
             const s = backend.comfyStatus();
             return res.json({ ...s, available: true, urls: s.running ? lanUrls(s.port) : [] });
         }
-        // Student mode: ComfyUI runs as part of the active worker.
+        // Student mode: ComfyUI runs as part of the active worker(s); the
+        // URLs point at the first one. `workers` carries each one's current
+        // VRAM (read fresh here), its last /free decision and, for a ComfyUI
+        // we spawned, the supervisor's restart count.
         if (runtime?.worker) {
+            await Promise.all(runtime.worker.workers.map(w => w.lifecycle.readVram()));
             const st = runtime.worker.getStatus();
-            const port = configManager.load().config.comfy_ui.api_port;
-            return res.json({ running: st.state !== 'down', external: false, networkBound: null, studentMode: true, available: true, port, urls: lanUrls(port) });
+            const port = runtime.worker.primary.port;
+            const workers = st.workers.map(w => ({
+                id: w.id, label: w.label, state: w.state, detail: w.detail,
+                vram: w.vram, vramDecision: w.vramDecision, supervisor: w.supervisor || null
+            }));
+            return res.json({ running: st.state !== 'down', external: false, networkBound: null, studentMode: true, available: true, port, urls: lanUrls(port), workers });
         }
         res.json({ running: false, available: false });
     });
@@ -182,6 +281,42 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
         }
     });
 
+    // --- Logs (admin log viewer) ---
+    // The newest lines of the LogBuffer (runtime.logs): ComfyUI's output and
+    // ComfyQ's own tagged lines. `since` (a seq) makes it incremental for
+    // polling; jobId / level (minimum) / source filter. For a full job id the
+    // excerpts stored with its failed attempts come along too (`failures`),
+    // so a job that failed before the buffer rolled over — or before a
+    // restart — can still be looked into.
+    router.get('/logs', adminGate, (req, res) => {
+        const logs = runtime?.logs;
+        const { jobId = '', level = '', source = '' } = req.query;
+        const since = Number(req.query.since) || 0;
+        const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+        const entries = logs
+            ? logs.list({ since, jobId: jobId || null, level: level || null, source: source || null, limit }).map(logEntryWire)
+            : [];
+        let failures;
+        if (jobId.length > 8) {
+            let queue = null;
+            try {
+                queue = runtime?.queue || _openQueueAdHoc(configManager.resolvePaths(configManager.load().config));
+                failures = (queue?.eventsFor(jobId) || [])
+                    .map(ev => ({ ts: ev.ts, toStatus: ev.to_status, payload: ev.payload ? JSON.parse(ev.payload) : null }))
+                    .filter(ev => ev.payload?.logExcerpt)
+                    .map(ev => ({
+                        ts: ev.ts, status: ev.toStatus, errorReason: ev.payload.errorReason,
+                        errorPhase: ev.payload.errorPhase, lines: ev.payload.logExcerpt
+                    }));
+            } catch (e) {
+                console.warn('[Admin] job log excerpts unavailable:', e.message);
+            } finally {
+                if (queue && !runtime?.queue && queue._closeAdHoc) queue._closeAdHoc();
+            }
+        }
+        res.json({ entries, lastSeq: logs ? logs.seq : 0, live: !!runtime?.bus, failures });
+    });
+
     // Validate a draft set of ComfyUI paths *before* the admin saves them.
     // Read-only — runs filesystem checks and tries `python --version` with a
     // 5s timeout. Returns a per-check breakdown so the UI can show exactly
@@ -326,14 +461,25 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
     });
 
     // Activate a workflow and switch to student mode.
-    router.post('/activate-workflow', express.json(), (req, res) => {
+    // Refuses (409, with the pre-flight result) a workflow whose custom nodes
+    // or model files are missing, unless the admin passes `force: true`.
+    router.post('/activate-workflow', express.json(), async (req, res) => {
         try {
-            const { workflowId } = req.body || {};
+            const { workflowId, force } = req.body || {};
             if (!workflowId) return res.status(400).json({ error: 'workflowId required' });
             const entry = registry.get(workflowId);
             if (!entry || entry.unavailable) {
                 return res.status(409).json({ error: entry?.reason || 'workflow unavailable' });
             }
+            const check = await preflight(entry, configManager.resolvePaths(configManager.load().config).comfy_ui);
+            if (!check.ready) {
+                const problems = describeProblems(check);
+                if (!force) {
+                    console.warn(`[Admin] activate-workflow: ${workflowId} failed pre-flight — ${problems}`);
+                    return res.status(409).json({ error: `Pre-flight failed: ${problems}`, preflight: check, canOverride: true });
+                }
+                console.warn(`[Admin] activate-workflow: ${workflowId} failed pre-flight, activating anyway (override) — ${problems}`);
+            }
             const prev = configManager.load().config;
             const prevId = prev.workflows.activeWorkflowId;
             const prevMode = prev.mode;
@@ -429,6 +575,17 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
                     }
                 }
             }
+            // Sweep contact sheets go with the last of their jobs.
+            for (const sweep of queue.clearOrphanedSweeps()) {
+                if (!sweep.gridFilename) continue;
+                try {
+                    const abs = resolveOutputPath({ type: 'output', filename: sweep.gridFilename }, cfg.comfy_ui);
+                    if (abs && fs.existsSync(abs)) { fs.unlinkSync(abs); filesDeleted++; }
+                } catch (e) {
+                    errors.push(`${sweep.gridFilename}: ${e.message}`);
+                }
+            }
+            queue.clearOrphanedPipelineRuns();
             if (!runtime?.queue && queue._closeAdHoc) queue._closeAdHoc();
             console.log(`[Admin] clear-history: ${deleted.length} job(s) deleted, ${filesDeleted} file(s) removed, ${errors.length} error(s)`);
             res.json({ ok: true, jobsDeleted: deleted.length, filesDeleted, errors });
@@ -438,6 +595,123 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
         }
     });
 
+    // Output retention: what the next sweep would remove (jobs, files, bytes,
+    // how many pinned jobs it keeps) plus the last run. Uses the live sweeper
+    // in student mode; in admin mode a throwaway one over the sqlite file gives
+    // the same preview (nothing runs on a schedule there).
+    router.get('/retention', (req, res) => {
+        let queue = null;
+        try {
+            const cfg = configManager.resolvePaths(configManager.load().config);
+            queue = runtime?.queue || _openQueueAdHoc(cfg);
+            if (!queue) return res.status(500).json({ error: 'queue unavailable' });
+            const sweeper = runtime?.retention || new RetentionSweeper({ queue, configManager, comfyConfig: cfg.comfy_ui });
+            const plan = sweeper.plan();
+            res.json({
+                retentionDays: plan.retentionDays,
+                cutoff: plan.cutoff,
+                nextRunAt: plan.nextRunAt,
+                lastRun: plan.lastRun,
+                scheduled: !!runtime?.retention,
+                jobCount: plan.jobs.length,
+                fileCount: plan.fileCount,
+                totalBytes: plan.totalBytes,
+                pinnedKept: plan.pinnedKept,
+                // Oldest first; enough for the admin to see whose results go.
+                jobs: plan.jobs.slice(0, 50).map(j => ({
+                    id: j.id, userId: j.userId, workflowId: j.workflowId, finishedAt: j.finishedAt,
+                    files: j.files.length, hasIngredients: !!j.ingredientsDir, bytes: j.bytes
+                }))
+            });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        } finally {
+            if (queue && !runtime?.queue && queue._closeAdHoc) queue._closeAdHoc();
+        }
+    });
+
+    // Run a retention sweep now instead of waiting for the hourly one.
+    router.post('/retention/run', adminGate, (req, res) => {
+        let queue = null;
+        try {
+            const cfg = configManager.resolvePaths(configManager.load().config);
+            queue = runtime?.queue || _openQueueAdHoc(cfg);
+            if (!queue) return res.status(500).json({ error: 'queue unavailable' });
+            const sweeper = runtime?.retention || new RetentionSweeper({ queue, configManager, comfyConfig: cfg.comfy_ui });
+            const result = sweeper.run();
+            console.log(`[Admin] retention sweep: ${result.jobsSwept} job(s), ${result.filesDeleted} file(s), ${result.bytesFreed} bytes freed`);
+            res.json({ ok: true, ...result });
+        } catch (e) {
+            console.error('[Admin] retention sweep err:', e);
+            res.status(500).json({ error: e.message });
+        } finally {
+            if (queue && !runtime?.queue && queue._closeAdHoc) queue._closeAdHoc();
+        }
+    });
+
+    // Change the retention window (days; 0 keeps outputs forever). The
+    // sweeper reads it on every pass, so no restart.
+    router.put('/retention', adminGate, express.json(), (req, res) => {
+        const days = req.body?.outputRetentionDays;
+        if (!Number.isInteger(days) || days < 0) {
+            return res.status(400).json({ error: 'outputRetentionDays must be a whole number of days (0 = keep forever)' });
+        }
+        const next = configManager.update(c => { c.queue.outputRetentionDays = days; return c; });
+        console.log(`[Admin] output retention set to ${days ? `${days} day(s)` : 'off'}`);
+        res.json({ ok: true, outputRetentionDays: next.queue.outputRetentionDays });
+    });
+
+    // --- Failure breakdown (Dashboard) ---
+    // Failed jobs of the last `hours` (default 24) grouped by workflow and
+    // errorCode, biggest group first, each with the catalogue's admin hint
+    // and its latest reason — a workflow that fails the same way every time
+    // stands out. `workflows` has each one's failed / finished counts.
+    // Failures recorded before codes were stored are classified from their
+    // reason.
+    router.get('/failures', (req, res) => {
+        let queue = null;
+        try {
+            const hours = Math.min(Math.max(Number(req.query.hours) || 24, 1), 24 * 30);
+            const since = Date.now() - hours * 3600 * 1000;
+            queue = runtime?.queue || _openQueueAdHoc(configManager.resolvePaths(configManager.load().config));
+            if (!queue) return res.status(500).json({ error: 'queue unavailable' });
+            const { failed, finished } = queue.failureStats(since);
+            const groups = new Map();
+            const workflows = new Map();
+            for (const j of failed) {
+                const d = describeFailure(j.errorReason, j.errorCode);
+                const key = `${j.workflowId}\n${d.code}`;
+                let g = groups.get(key);
+                if (!g) {
+                    // Rows come newest first, so the first one is the latest.
+                    g = {
+                        workflowId: j.workflowId, errorCode: d.code, count: 0, users: new Set(),
+                        lastAt: j.finishedAt, lastJobId: j.id, lastReason: j.errorReason, hint: d.hint
+                    };
+                    groups.set(key, g);
+                }
+                g.count++;
+                g.users.add(j.userId);
+                const w = workflows.get(j.workflowId) || { workflowId: j.workflowId, failed: 0, finished: finished[j.workflowId] || 0 };
+                w.failed++;
+                workflows.set(j.workflowId, w);
+            }
+            res.json({
+                hours,
+                since,
+                total: failed.length,
+                groups: [...groups.values()]
+                    .sort((a, b) => b.count - a.count || b.lastAt - a.lastAt)
+                    .map(({ users, ...g }) => ({ ...g, userCount: users.size })),
+                workflows: [...workflows.values()].sort((a, b) => b.failed - a.failed)
+            });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        } finally {
+            if (queue && !runtime?.queue && queue._closeAdHoc) queue._closeAdHoc();
+        }
+    });
+
     router.post('/reset-to-admin', adminGate, (req, res) => {
         configManager.update(c => { c.mode = 'admin'; return c; });
         res.json({ ok: true, mode: 'admin' });
@@ -450,16 +724,19 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
     });
 
     // Emergency stop: cancel every non-terminal job, interrupt + kill the
-    // ComfyUI process (only the one we spawned — external attached ComfyUI
-    // is left alone), switch to admin mode, and restart the server.
+    // ComfyUI processes (only the ones we spawned — external attached ComfyUIs
+    // are left alone), switch to admin mode, and restart the server.
     router.post('/emergency-stop', adminGate, async (req, res) => {
         if (!runtime?.queue || !runtime?.worker) {
             return res.status(409).json({ error: 'emergency-stop is only available in student mode' });
         }
         const result = { cancelledScheduled: 0, failedInFlight: 0, killedComfy: false };
         try {
-            // Mark scheduled jobs as cancelled.
-            const scheduled = runtime.queue.list({ status: sm.STATES.SCHEDULED, limit: 10000 });
+            // Mark scheduled jobs (and retries waiting out their backoff) as cancelled.
+            const scheduled = [
+                ...runtime.queue.list({ status: sm.STATES.SCHEDULED, limit: 10000 }),
+                ...runtime.queue.list({ status: sm.STATES.RETRYING, limit: 10000 })
+            ];
             for (const j of scheduled) {
                 try {
                     runtime.queue.transitionStatus(j.id, sm.STATES.CANCELLED);
@@ -477,20 +754,17 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
                 for (const j of jobs) {
                     try {
                         runtime.queue.transitionStatus(j.id, sm.STATES.FAILED, {
-                            payload: { errorReason: 'emergency-stop', errorPhase: status }
+                            payload: { errorReason: 'emergency-stop', errorPhase: status, errorCode: 'interrupted' }
                         });
                         result.failedInFlight++;
                     } catch { /* ignore */ }
                 }
             }
-            // Best-effort interrupt, then kill the spawned ComfyUI. If we're
-            // attached to an external ComfyUI (process.proc === null) the
-            // stop() is a no-op and we leave that process alone.
-            try { await runtime.worker.rest.interrupt(); } catch { /* ignore */ }
+            // Best-effort interrupt on every worker, then kill the ComfyUIs we
+            // spawned. Workers attached to an external ComfyUI are left alone.
+            await runtime.worker.interruptAll();
             try {
-                const hadSpawned = !!runtime.worker.process?.proc;
-                await runtime.worker.process?.stop();
-                result.killedComfy = hadSpawned;
+                result.killedComfy = (await runtime.worker.stopSpawned()) > 0;
             } catch (e) {
                 console.warn('[admin] emergency-stop kill err:', e.message);
             }
@@ -506,7 +780,7 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
     // Upload an API-format workflow JSON + auto-generate a meta.json scaffold.
     // Saves into <workflowsDir>/<id>/<id>.api.json + <id>.meta.json.
     // Admin can then click "Activate" to start using it.
-    router.post('/upload-workflow', adminGate, memUpload.single('workflow'), (req, res) => {
+    router.post('/upload-workflow', adminGate, memUpload.single('workflow'), async (req, res) => {
         try {
             if (!req.file) return res.status(400).json({ error: 'no file uploaded' });
             const json = JSON.parse(req.file.buffer.toString('utf8'));
@@ -529,7 +803,9 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
             const apiFilename = `${id}.api.json`;
             fs.writeFileSync(path.join(dir, apiFilename), JSON.stringify(json, null, 2), 'utf8');
 
-            const parsed = parseWorkflow(json);
+            // With ComfyUI up, combo inputs become selects with its choices.
+            const objectInfo = await fetchObjectInfo(configManager.resolvePaths(cfg).comfy_ui);
+            const parsed = parseWorkflow(json, { objectInfo });
             const meta = WorkflowMeta.parse({
                 schemaVersion: 1,
                 id,
@@ -555,13 +831,17 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
 
     // Edit-data for a workflow: current meta + ALL primitives detected in the
     // api.json (so the editor can re-enable params that were hidden previously).
-    router.get('/workflows/:id/edit-data', adminGate, (req, res) => {
+    // When ComfyUI answers, combo inputs carry `comboOptions` — its current
+    // choices — for the editor's "live options" toggle.
+    router.get('/workflows/:id/edit-data', adminGate, async (req, res) => {
         try {
             const id = req.params.id;
             const entry = registry.get(id);
             if (!entry) return res.status(404).json({ error: 'unknown workflow' });
             if (entry.unavailable) return res.status(409).json({ error: entry.reason });
-            const detected = parseWorkflow(entry.apiWorkflow).parameters;
+            const comfy = configManager.resolvePaths(configManager.load().config).comfy_ui;
+            const objectInfo = await fetchObjectInfo(comfy);
+            const detected = parseWorkflow(entry.apiWorkflow, { objectInfo }).parameters;
             const exposedByKey = new Map();
             for (const p of entry.meta.exposedParameters) {
                 exposedByKey.set(`${p.nodeId}:${p.field}`, p);
@@ -575,6 +855,7 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
                         label: found.label,
                         default: found.default,
                         options: found.options ?? d.options,
+                        liveOptions: found.liveOptions,
                         min: found.min,
                         max: found.max,
                         step: found.step,
@@ -589,7 +870,7 @@ function makeRouter({ configManager, registry, adminGate, exitForRestart, runtim
             });
             // apiWorkflow lets the editor offer a "Download JSON" (drag it into
             // the ComfyUI canvas to inspect the node graph) without a second route.
-            res.json({ meta: entry.meta, detectedParameters: merged, apiWorkflow: entry.apiWorkflow });
+            res.json({ meta: entry.meta, detectedParameters: merged, apiWorkflow: entry.apiWorkflow, comfyReachable: comfy.backend === 'simulated' ? null : !!objectInfo });
         } catch (e) { res.status(400).json({ error: e.message }); }
     });
 
@@ -0,0 +1,177 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const sm = require('../queue/jobStateMachine');
+const importer = require('../batch/batchImporter');
+const { expectedDurationMs } = require('../workflows/workflowRegistry');
+const { toParameterMap } = require('../workflows/workflowParser');
+const { failureWire } = require('../executor/errorMessages');
+
+// Batch import routes (Phase G), mounted under /admin next to the admin router.
+// A batch comes either from a folder on this machine (`{ folder }`, the usual
+// case — the files are already on the rig) or from a browser upload of the
+// manifest + files (multipart, field `files`). `dryRun` resolves and validates
+// without staging or enqueuing anything: that's the admin card's preview.
+// Student mode only; the routes 409 in admin mode like emergency-stop.
+
+const UPLOAD_MAX_BYTES = 150 * 1024 * 1024;
+const UPLOAD_MAX_FILES = 1000;
+
+function sanitizeLabel(s) {
+    return String(s || '').trim().replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+function wireBatch(b) {
+    const c = b.counts || {};
+    const running = Object.entries(c).filter(([s]) => sm.isInFlight(s) || s === sm.STATES.RETRYING)
+        .reduce((n, [, v]) => n + v, 0);
+    return {
+        id: b.id,
+        label: b.label,
+        workflow_id: b.workflowId,
+        source: b.source,
+        created_at: b.createdAt,
+        total: b.itemCount,
+        queued: c[sm.STATES.SCHEDULED] || 0,
+        running,
+        completed: c[sm.STATES.COMPLETED] || 0,
+        failed: c[sm.STATES.FAILED] || 0,
+        cancelled: c[sm.STATES.CANCELLED] || 0
+    };
+}
+
+function makeRouter({ configManager, registry, adminGate, runtime }) {
+    const router = express.Router();
+    const upload = multer({
+        storage: multer.diskStorage({
+            destination: (req, file, cb) => {
+                if (!req._batchTmp) req._batchTmp = fs.mkdtempSync(path.join(os.tmpdir(), 'comfyq_batch_'));
+                cb(null, req._batchTmp);
+            },
+            filename: (req, file, cb) => cb(null, path.basename(file.originalname))
+        }),
+        limits: { fileSize: UPLOAD_MAX_BYTES, files: UPLOAD_MAX_FILES }
+    });
+
+    const requireQueue = (req, res, next) => {
+        if (!runtime?.queue || !runtime?.worker) {
+            return res.status(409).json({ error: 'batch import is only available in student mode' });
+        }
+        next();
+    };
+
+    // Multipart when the browser sends files; otherwise plain JSON.
+    const parseBody = (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        upload.array('files', UPLOAD_MAX_FILES)(req, res, (err) => {
+            if (!err) return next();
+            if (req._batchTmp) fs.rmSync(req._batchTmp, { recursive: true, force: true });
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `File too large. Maximum upload size is ${UPLOAD_MAX_BYTES / 1024 / 1024} MB.` });
+            }
+            res.status(400).json({ error: err.message || 'Upload failed.' });
+        });
+    };
+
+    router.post('/batch', adminGate, requireQueue, express.json(), parseBody, (req, res) => {
+        const tmp = req._batchTmp || null;
+        try {
+            const body = req.body || {};
+            const dryRun = body.dryRun === true || body.dryRun === 'true';
+            let folder;
+            if (tmp) folder = tmp;
+            else if (body.folder) {
+                folder = path.resolve(String(body.folder));
+                if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+                    return res.status(400).json({ error: `Folder not found: ${body.folder}` });
+                }
+            } else {
+                return res.status(400).json({ error: 'Provide a server-side "folder" or upload the manifest and files' });
+            }
+
+            const { text, kind, name: manifestName } = importer.readManifest(folder);
+            // The workflow decides how a CSV's columns map to params, so peek at
+            // a JSON manifest's workflowId before parsing for real.
+            let declaredWf = null;
+            if (kind === 'json') { try { declaredWf = JSON.parse(text).workflowId || null; } catch { /* reported below */ } }
+            const cfg = configManager.load().config;
+            const wfId = body.workflowId || declaredWf || cfg.workflows.activeWorkflowId;
+            if (!wfId) return res.status(400).json({ error: 'No workflow selected and no active workflow configured' });
+            const entry = registry.get(wfId);
+            if (!entry || entry.unavailable) return res.status(400).json({ error: `Workflow unavailable: ${entry?.reason || wfId}` });
+            const exposed = entry.effective.exposedParameters.filter(p => p.enabled !== false);
+
+            const manifest = importer.parseManifest(text, kind, exposed);
+            const { items, errors } = importer.resolveBatch({ manifest, exposed, findFile: importer.folderFileFinder(folder) });
+            const label = sanitizeLabel(body.label || manifest.label || (tmp ? '' : path.basename(folder))) || `batch_${Date.now()}`;
+            const durationMs = expectedDurationMs(entry);
+            const preview = {
+                dryRun,
+                workflow_id: wfId,
+                label,
+                manifest: manifestName,
+                count: items.length,
+                estimated_duration_ms: durationMs ? durationMs * items.length : null,
+                items: items.map(it => ({
+                    row: it.row,
+                    prompt: it.prompt,
+                    params: it.paramValues,
+                    files: it.files.map(f => ({ param: f.paramKey, name: f.name }))
+                })),
+                errors,
+                parameter_map: toParameterMap(exposed)
+            };
+            if (errors.length) return res.status(400).json({ ...preview, error: `${errors.length} problem(s) in the manifest — nothing was enqueued` });
+            if (dryRun) return res.json(preview);
+
+            const batchId = uuidv4();
+            importer.stageItems({ items, batchId, uploader: runtime.worker.uploader });
+            const { batch, jobIds } = runtime.queue.insertBatch({
+                id: batchId,
+                label,
+                workflowId: wfId,
+                workflowVersion: entry.meta.version,
+                source: tmp ? `upload:${manifestName}` : folder,
+                userId: String(body.userId || manifest.userId || 'batch'),
+                jobs: items.map(it => ({ prompt: it.prompt, paramValues: it.paramValues, expectedDurationMs: durationMs }))
+            });
+            console.log(`[Batch] "${label}" enqueued ${jobIds.length} job(s) for ${wfId} (batch ${batchId.slice(0, 8)})`);
+            res.json({ ...preview, batch: wireBatch(batch), job_ids: jobIds });
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+        } finally {
+            if (tmp) fs.rmSync(tmp, { recursive: true, force: true });
+        }
+    });
+
+    router.get('/batches', requireQueue, (req, res) => {
+        res.json({ batches: runtime.queue.listBatches().map(wireBatch) });
+    });
+
+    router.get('/batches/:id', requireQueue, (req, res) => {
+        const b = runtime.queue.getBatch(req.params.id);
+        if (!b) return res.status(404).json({ error: 'not found' });
+        const jobs = runtime.queue.list({ batchId: b.id, limit: 10000 })
+            .sort((a, z) => a.batchItem - z.batchItem)
+            .map(j => ({
+                id: j.id,
+                item: j.batchItem,
+                status: sm.toWireStatus(j.status),
+                phase: j.status,
+                time_slot: j.scheduledAt,
+                started_at: j.startedAt,
+                finished_at: j.finishedAt,
+                error_reason: j.errorReason,
+                error_code: failureWire(j).error_code,
+                outputs: j.outputs
+            }));
+        res.json({ batch: wireBatch(b), jobs });
+    });
+
+    return router;
+}
+
+module.exports = { makeRouter };
@@ -3,6 +3,7 @@ const fs = require('fs');
 const archiver = require('archiver');
 const sm = require('../queue/jobStateMachine');
 const ingredients = require('../storage/ingredientsStore');
+const { failureWire } = require('../executor/errorMessages');
 
 function _toWireJob(job) {
     return {
@@ -11,6 +12,12 @@ function _toWireJob(job) {
         status: sm.toWireStatus(job.status),
         phase: job.status,
         time_slot: job.scheduledAt,
+        expected_duration_ms: job.expectedDurationMs,
+        priority: job.priority,
+        attempt: job.attempt,
+        max_attempts: job.maxAttempts,
+        next_attempt_at: job.nextAttemptAt,
+        batch_id: job.batchId,
         started_at: job.startedAt,
         finished_at: job.finishedAt,
         prompt: job.prompt,
@@ -19,16 +26,18 @@ function _toWireJob(job) {
         // UI can list "what media was imported" without exposing internal paths.
         input_files: ingredients.mediaRefs(job).map(m => ({ param: m.param, name: m.original })),
         outputs: job.outputs,
+        outputs_swept_at: job.outputsSweptAt,
         progress: job.progress,
         current_node: job.currentNode,
         workflow_id: job.workflowId,
         workflow_version: job.workflowVersion,
         error_reason: job.errorReason,
-        error_phase: job.errorPhase
+        error_phase: job.errorPhase,
+        ...failureWire(job)
     };
 }
 
-function makeRouter({ queue, comfyConfig, registry }) {
+function makeRouter({ queue, comfyConfig, registry, adminGate }) {
     const router = express.Router();
 
     router.get('/', (req, res) => {
@@ -91,6 +100,18 @@ function makeRouter({ queue, comfyConfig, registry }) {
         res.json({ events: queue.eventsFor(req.params.id) });
     });
 
+    // Instructor "run next": set a scheduled job's priority lane
+    // (normal | high | admin). Same queue call as the set_priority socket event.
+    router.put('/:id/priority', adminGate, express.json(), (req, res) => {
+        try {
+            const { priority } = req.body || {};
+            const { job, shifted } = queue.setPriority(req.params.id, priority, { by: 'admin' });
+            res.json({ job: _toWireJob(job), shifted });
+        } catch (e) {
+            res.status(/not found/i.test(e.message) ? 404 : 400).json({ error: e.message });
+        }
+    });
+
     return router;
 }
 
@@ -0,0 +1,41 @@
+const express = require('express');
+const { toParameterMap } = require('../workflows/workflowParser');
+const { expectedDurationMs } = require('../workflows/workflowRegistry');
+
+// Chained pipelines for the booking dialog. Each step carries the parameter
+// map the student fills in (fed inputs and pinned params are already removed)
+// and, from step 2 on, which output of the previous step feeds it.
+function makeRouter({ pipelines }) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        try {
+            const includeUnavailable = req.query.includeUnavailable === '1';
+            const list = pipelines.list()
+                .filter(p => includeUnavailable || !p.unavailable)
+                .map(p => ({
+                    id: p.id,
+                    name: p.meta?.name || p.id,
+                    description: p.meta?.description || '',
+                    unavailable: p.unavailable,
+                    reason: p.reason,
+                    estimatedDurationSec: p.estimatedDurationMs ? Math.round(p.estimatedDurationMs / 1000) : null,
+                    steps: p.steps.map(s => ({
+                        index: s.index,
+                        workflowId: s.workflowId,
+                        label: s.label,
+                        name: s.entry.summary.name,
+                        category: s.entry.summary.category,
+                        input: s.input,
+                        parameter_map: toParameterMap(s.exposed),
+                        estimatedDurationSec: Math.round((expectedDurationMs(s.entry) || 0) / 1000) || null
+                    }))
+                }));
+            res.json({ pipelines: list });
+        } catch (e) { res.status(500).json({ error: e.message }); }
+    });
+
+    return router;
+}
+
+module.exports = { makeRouter };
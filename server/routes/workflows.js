@@ -1,4 +1,5 @@
 const express = require('express');
+const { loadContext, checkWorkflow } = require('../workflows/preflight');
 
 function makeRouter({ registry, configManager, benchmarkService, adminGate }) {
     const router = express.Router();
@@ -33,6 +34,18 @@ function makeRouter({ registry, configManager, benchmarkService, adminGate }) {
         res.json({ ok: true });
     });
 
+    // Pre-flight readiness of every usable workflow (see workflows/preflight.js)
+    // — one /object_info for the lot. The admin library shows it as a badge.
+    router.get('/preflight', async (req, res) => {
+        try {
+            const comfy = configManager.resolvePaths(configManager.load().config).comfy_ui;
+            const ctx = await loadContext(comfy);
+            const results = {};
+            for (const e of registry.list({ includeUnavailable: false })) results[e.id] = checkWorkflow(e, ctx);
+            res.json({ comfyReachable: !!ctx.objectInfo, simulated: !!ctx.simulated, results });
+        } catch (e) { res.status(500).json({ error: e.message }); }
+    });
+
     router.get('/:id', (req, res) => {
         const e = registry.get(req.params.id);
         if (!e) return res.status(404).json({ error: 'unknown workflow' });
@@ -46,6 +59,15 @@ function makeRouter({ registry, configManager, benchmarkService, adminGate }) {
         });
     });
 
+    router.get('/:id/preflight', async (req, res) => {
+        const e = registry.get(req.params.id);
+        if (!e || e.unavailable) return res.status(404).json({ error: 'unknown or unavailable workflow' });
+        try {
+            const comfy = configManager.resolvePaths(configManager.load().config).comfy_ui;
+            res.json(checkWorkflow(e, await loadContext(comfy)));
+        } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+
     router.get('/:id/parameters', (req, res) => {
         const e = registry.get(req.params.id);
         if (!e || e.unavailable) return res.status(404).json({ error: 'unknown or unavailable workflow' });
@@ -0,0 +1,462 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const multer = require('multer');
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { outputKind, writePlaceholder, previewFrame } = require('./placeholders');
+
+// FakeComfyUI — a stand-in for ComfyUI that speaks the subset of its REST and
+// WebSocket protocol ComfyQ uses, so the queue, executor, realtime bus and
+// client can be rehearsed on a laptop with no GPU:
+//
+//   GET  /system_stats   GET /queue     POST /queue { delete: [ids] | clear }
+//   POST /prompt         GET /history[/:id]         POST /interrupt { prompt_id? }
+//   POST /free           POST /upload/image         GET /view
+//   GET  /object_info
+//   WS   /ws?clientId=   status, execution_start, execution_cached, executing,
+//                        progress, executed, execution_error,
+//                        execution_interrupted, binary latent previews
+//
+// Prompts run one at a time. Every uncached node gets `executing`; sampler
+// nodes (anything with a numeric `steps` input) stream `progress` for their
+// steps at `stepMs` each; output nodes write a placeholder file of the right
+// kind (see placeholders.js). The first run of each set of loader inputs
+// spends `modelLoadMs` in its first loader node (a cold model load); later
+// runs get the loaders as execution_cached until /free forgets them.
+//
+// With `previews` on, each sampler step also sends a binary latent-preview
+// frame, as ComfyUI does with --preview-method set.
+//
+// Failure injection: `failureRate` fails that share of runs with
+// `failureKind`. A booking can force an outcome by putting a marker in any
+// text input — [sim:fail], [sim:oom], [sim:noface] fail mid-run,
+// [sim:reject] makes /prompt answer 400 like a validation error, and
+// [sim:hang] stalls the sampler halfway, deaf to /interrupt, like a hung
+// custom node (only close() — a restart — gets it out).
+//
+// /object_info describes the core nodes a simple text-to-image graph is built
+// from (NODE_DEFS), with ComfyUI's own ranges and sampler / scheduler lists,
+// so the worker's pre-submit graph check runs against the simulator too.
+// Anything else — loaders, custom nodes — isn't listed, and ComfyQ leaves
+// those to /prompt, as it does for node packs a real ComfyUI lacks.
+//
+// SimulatedComfyUIWorker runs one in-process; `npm run simulate` (this file)
+// runs one standalone, e.g. as the target of a remote worker.
+
+const DEFAULTS = {
+    startupMs: 1500,
+    stepMs: 150,
+    steps: 20,
+    modelLoadMs: 3000,
+    jitter: 0.2,
+    failureRate: 0,
+    failureKind: 'execution-error',
+    previews: true
+};
+
+const FAILURES = {
+    'execution-error': { message: 'Simulated failure: mat1 and mat2 shapes cannot be multiplied (1x768 and 1024x320)', nodeType: null },
+    'out-of-memory': { message: 'CUDA out of memory. Tried to allocate 2.00 GiB (simulated)', nodeType: null },
+    'no-face': { message: 'No face detected in the input image (simulated)', nodeType: 'LivePortraitCropper' }
+};
+const MARKERS = { '[sim:fail]': 'execution-error', '[sim:oom]': 'out-of-memory', '[sim:noface]': 'no-face' };
+const REJECT_MARKER = '[sim:reject]';
+const HANG_MARKER = '[sim:hang]';
+// Loader inputs that name a file in input/ — checked at /prompt like ComfyUI does.
+const INPUT_FILE_FIELDS = { LoadImage: 'image', LoadImageMask: 'image', LoadAudio: 'audio', LoadVideo: 'file' };
+
+// GET /object_info entries, as core ComfyUI defines these nodes.
+const SAMPLERS = [
+    'euler', 'euler_cfg_pp', 'euler_ancestral', 'euler_ancestral_cfg_pp', 'heun', 'heunpp2', 'dpm_2', 'dpm_2_ancestral',
+    'lms', 'dpm_fast', 'dpm_adaptive', 'dpmpp_2s_ancestral', 'dpmpp_2s_ancestral_cfg_pp', 'dpmpp_sde', 'dpmpp_sde_gpu',
+    'dpmpp_2m', 'dpmpp_2m_cfg_pp', 'dpmpp_2m_sde', 'dpmpp_2m_sde_gpu', 'dpmpp_3m_sde', 'dpmpp_3m_sde_gpu', 'ddpm', 'lcm',
+    'ipndm', 'ipndm_v', 'deis', 'res_multistep', 'res_multistep_cfg_pp', 'gradient_estimation', 'er_sde', 'seeds_2', 'seeds_3',
+    'sa_solver', 'ddim', 'uni_pc', 'uni_pc_bh2'
+];
+const SCHEDULERS = ['simple', 'sgm_uniform', 'karras', 'exponential', 'ddim_uniform', 'beta', 'normal', 'linear_quadratic', 'kl_optimal'];
+const MAX_RESOLUTION = 16384;
+const nodeDef = (name, category, required, output = [], { outputName = output, outputNode = false } = {}) => ({
+    input: { required }, output, output_name: outputName, name, display_name: name, category, output_node: outputNode
+});
+const NODE_DEFS = {
+    CLIPTextEncode: nodeDef('CLIPTextEncode', 'conditioning', {
+        text: ['STRING', { multiline: true, dynamicPrompts: true }], clip: ['CLIP']
+    }, ['CONDITIONING']),
+    EmptyLatentImage: nodeDef('EmptyLatentImage', 'latent', {
+        width: ['INT', { default: 512, min: 16, max: MAX_RESOLUTION, step: 8 }],
+        height: ['INT', { default: 512, min: 16, max: MAX_RESOLUTION, step: 8 }],
+        batch_size: ['INT', { default: 1, min: 1, max: 4096 }]
+    }, ['LATENT']),
+    KSampler: nodeDef('KSampler', 'sampling', {
+        model: ['MODEL'],
+        seed: ['INT', { default: 0, min: 0, max: 0xffffffffffffffff, control_after_generate: true }],
+        steps: ['INT', { default: 20, min: 1, max: 10000 }],
+        cfg: ['FLOAT', { default: 8.0, min: 0.0, max: 100.0, step: 0.1, round: 0.01 }],
+        sampler_name: [SAMPLERS],
+        scheduler: [SCHEDULERS],
+        positive: ['CONDITIONING'],
+        negative: ['CONDITIONING'],
+        latent_image: ['LATENT'],
+        denoise: ['FLOAT', { default: 1.0, min: 0.0, max: 1.0, step: 0.01 }]
+    }, ['LATENT']),
+    VAEDecode: nodeDef('VAEDecode', 'latent', { samples: ['LATENT'], vae: ['VAE'] }, ['IMAGE']),
+    SaveImage: nodeDef('SaveImage', 'image', {
+        images: ['IMAGE'], filename_prefix: ['STRING', { default: 'ComfyUI' }]
+    }, [], { outputNode: true }),
+    PreviewImage: nodeDef('PreviewImage', 'image', { images: ['IMAGE'] }, [], { outputNode: true })
+};
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function textInputs(prompt) {
+    const out = [];
+    for (const node of Object.values(prompt)) {
+        for (const v of Object.values(node?.inputs || {})) if (typeof v === 'string') out.push(v);
+    }
+    return out;
+}
+
+class FakeComfyUI {
+    constructor({ host = '127.0.0.1', port, rootDir, outputDir = null, label = 'sim', vramGb = 24, options = {} }) {
+        this.host = host;
+        this.port = port;
+        this.label = label;
+        this.vramGb = vramGb;
+        this.options = { ...DEFAULTS, ...options };
+        this.dirs = {
+            input: path.resolve(rootDir, 'input'),
+            output: outputDir ? path.resolve(outputDir) : path.resolve(rootDir, 'output'),
+            temp: path.resolve(rootDir, 'temp')
+        };
+        for (const d of Object.values(this.dirs)) fs.mkdirSync(d, { recursive: true });
+        this.history = new Map();
+        this.pending = [];
+        this.running = null;
+        this.counter = 0;
+        this.number = 0;
+        this.loaded = new Set();
+        this.clients = new Map(); // clientId → ws
+        this.server = null;
+        this.wss = null;
+    }
+
+    _jitter(ms) {
+        const j = this.options.jitter || 0;
+        return Math.max(0, Math.round(ms * (1 + (Math.random() * 2 - 1) * j)));
+    }
+
+    _send(clientId, type, data) {
+        const msg = JSON.stringify({ type, data });
+        const targets = clientId && this.clients.has(clientId) ? [this.clients.get(clientId)] : this.clients.values();
+        for (const ws of targets) {
+            if (ws.readyState === ws.OPEN) ws.send(msg);
+        }
+    }
+
+    // Binary latent-preview frame, in the metadata format when the client
+    // asked for it (feature_flags), else the bare PNG one.
+    async _sendPreview(clientId, promptId, nodeId, fraction) {
+        const ws = this.clients.get(clientId);
+        if (!ws || ws.readyState !== ws.OPEN) return;
+        const png = await previewFrame(promptId, fraction);
+        let head;
+        if (ws.previewMetadata) {
+            const meta = Buffer.from(JSON.stringify({ node_id: nodeId, display_node_id: nodeId, prompt_id: promptId, image_type: 'image/png' }));
+            head = Buffer.alloc(8);
+            head.writeUInt32BE(4, 0);
+            head.writeUInt32BE(meta.length, 4);
+            head = Buffer.concat([head, meta]);
+        } else {
+            head = Buffer.alloc(8);
+            head.writeUInt32BE(1, 0);
+            head.writeUInt32BE(2, 4); // PNG
+        }
+        ws.send(Buffer.concat([head, png]));
+    }
+
+    _queueRemaining() {
+        return this.pending.length + (this.running ? 1 : 0);
+    }
+
+    _broadcastStatus() {
+        this._send(null, 'status', { status: { exec_info: { queue_remaining: this._queueRemaining() } } });
+    }
+
+    // ComfyUI-shaped /prompt validation: at least one output node, and every
+    // loader's input file present. Returns null or the 400 body.
+    _validate(prompt) {
+        if (!prompt || typeof prompt !== 'object' || Array.isArray(prompt)) {
+            return { error: { type: 'invalid_prompt', message: 'Cannot execute because the prompt is not an object.', details: '' }, node_errors: {} };
+        }
+        const nodeErrors = {};
+        for (const [id, node] of Object.entries(prompt)) {
+            const field = INPUT_FILE_FIELDS[node?.class_type];
+            const name = field && node.inputs?.[field];
+            if (typeof name === 'string' && !fs.existsSync(path.join(this.dirs.input, name))) {
+                nodeErrors[id] = {
+                    errors: [{ type: 'custom_validation_failed', message: 'Custom validation failed for node', details: `${field} - Invalid image file: ${name}` }],
+                    dependent_outputs: [], class_type: node.class_type
+                };
+            }
+        }
+        if (textInputs(prompt).some(v => v.includes(REJECT_MARKER))) {
+            const [id, node] = Object.entries(prompt)[0];
+            nodeErrors[id] = {
+                errors: [{ type: 'value_not_in_list', message: 'Value not in list', details: `rejected by ${REJECT_MARKER} (simulated)` }],
+                dependent_outputs: [], class_type: node?.class_type
+            };
+        }
+        if (Object.keys(nodeErrors).length > 0) {
+            return { error: { type: 'prompt_outputs_failed_validation', message: 'Prompt outputs failed validation', details: '' }, node_errors: nodeErrors };
+        }
+        if (!Object.values(prompt).some(n => outputKind(n))) {
+            return { error: { type: 'prompt_no_outputs', message: 'Prompt has no outputs', details: '' }, node_errors: {} };
+        }
+        return null;
+    }
+
+    _app() {
+        const app = express();
+        app.use(express.json({ limit: '20mb' }));
+        const upload = multer({ storage: multer.memoryStorage() });
+
+        // Free VRAM drops while a prompt runs and stays lower while models are
+        // loaded, until /free — enough for ModelLifecycle to see a difference.
+        app.get('/system_stats', (req, res) => {
+            const total = this.vramGb * 1024 ** 3;
+            const share = this.running ? 0.3 : this.loaded.size > 0 ? 0.6 : 0.9;
+            res.json({
+                system: { os: process.platform, comfyui_version: 'simulated', python_version: 'n/a', embedded_python: false },
+                devices: [{ name: `Simulated GPU (${this.label})`, type: 'cuda', index: 0, vram_total: total, vram_free: total * share }]
+            });
+        });
+
+        app.get('/object_info', (req, res) => res.json(NODE_DEFS));
+
+        app.post('/prompt', (req, res) => {
+            const prompt = req.body?.prompt;
+            const invalid = this._validate(prompt);
+            if (invalid) return res.status(400).json(invalid);
+            const item = { promptId: uuidv4(), number: this.number++, prompt, clientId: req.body.client_id || null, interrupted: false };
+            this.pending.push(item);
+            res.json({ prompt_id: item.promptId, number: item.number, node_errors: {} });
+            this._broadcastStatus();
+            this._pump();
+        });
+
+        app.get('/history/:id', (req, res) => {
+            const entry = this.history.get(req.params.id);
+            res.json(entry ? { [req.params.id]: entry } : {});
+        });
+        app.get('/history', (req, res) => res.json(Object.fromEntries([...this.history].slice(-200))));
+
+        const queueRow = (it) => [it.number, it.promptId, it.prompt, { client_id: it.clientId }, []];
+        app.get('/queue', (req, res) => res.json({
+            queue_running: this.running ? [queueRow(this.running)] : [],
+            queue_pending: this.pending.map(queueRow)
+        }));
+        app.post('/queue', (req, res) => {
+            if (req.body?.clear) this.pending = [];
+            const del = new Set(req.body?.delete || []);
+            this.pending = this.pending.filter(it => !del.has(it.promptId));
+            this._broadcastStatus();
+            res.json({});
+        });
+
+        // Like current ComfyUI, a prompt_id limits it to that prompt.
+        app.post('/interrupt', (req, res) => {
+            const only = req.body?.prompt_id;
+            if (this.running && (!only || only === this.running.promptId)) this.running.interrupted = true;
+            res.json({});
+        });
+        app.post('/free', (req, res) => {
+            if (req.body?.unload_models !== false) this.loaded.clear();
+            res.json({});
+        });
+
+        app.post('/upload/image', upload.single('image'), (req, res) => {
+            if (!req.file) return res.status(400).send('no image');
+            const subfolder = String(req.body?.subfolder || '').replace(/\.\./g, '');
+            const name = path.basename(req.file.originalname);
+            const dir = path.join(this.dirs.input, subfolder);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, name), req.file.buffer);
+            res.json({ name, subfolder, type: 'input' });
+        });
+
+        app.get('/view', (req, res) => {
+            const base = this.dirs[req.query.type || 'output'];
+            if (!base) return res.status(400).end();
+            const abs = path.resolve(base, String(req.query.subfolder || ''), String(req.query.filename || ''));
+            if (!abs.startsWith(base + path.sep) || !fs.existsSync(abs)) return res.status(404).end();
+            res.sendFile(abs);
+        });
+
+        return app;
+    }
+
+    async listen() {
+        if (this.options.startupMs) await sleep(this.options.startupMs);
+        this.server = http.createServer(this._app());
+        this.wss = new WebSocketServer({ server: this.server, path: '/ws' });
+        this.wss.on('connection', (ws, req) => {
+            const clientId = new URL(req.url, 'http://x').searchParams.get('clientId') || uuidv4();
+            this.clients.set(clientId, ws);
+            ws.on('close', () => { if (this.clients.get(clientId) === ws) this.clients.delete(clientId); });
+            ws.on('message', (raw) => {
+                try {
+                    const msg = JSON.parse(raw.toString());
+                    if (msg.type === 'feature_flags') ws.previewMetadata = !!msg.data?.supports_preview_metadata;
+                } catch { /* ignore */ }
+            });
+            ws.send(JSON.stringify({ type: 'status', data: { status: { exec_info: { queue_remaining: this._queueRemaining() } }, sid: clientId } }));
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        console.log(`[Simulator ${this.label}] fake ComfyUI listening on ${this.host}:${this.port}`);
+    }
+
+    // Like stopping ComfyUI: the run in flight and the queue are dropped and
+    // loaded models forgotten.
+    async close() {
+        if (this.running?.release) this.running.release();
+        this.pending = [];
+        this.loaded.clear();
+        for (const ws of this.clients.values()) ws.terminate();
+        if (this.wss) this.wss.close();
+        if (this.server) await new Promise(r => this.server.close(() => r()));
+        this.server = null;
+    }
+
+    async _pump() {
+        if (this.running || this.pending.length === 0) return;
+        this.running = this.pending.shift();
+        try { await this._execute(this.running); }
+        catch (e) { console.error(`[Simulator ${this.label}] run err:`, e.message); }
+        this.running = null;
+        this._broadcastStatus();
+        this._pump();
+    }
+
+    // Which failure this run ends in, if any.
+    _failureFor(prompt) {
+        const texts = textInputs(prompt);
+        for (const [marker, kind] of Object.entries(MARKERS)) {
+            if (texts.some(v => v.includes(marker))) return kind;
+        }
+        return Math.random() < (this.options.failureRate || 0) ? this.options.failureKind : null;
+    }
+
+    async _execute(item) {
+        const { promptId, prompt, clientId } = item;
+        const messages = [['execution_start', { prompt_id: promptId, timestamp: Date.now() }]];
+        const finish = (statusStr, outputs) => {
+            this.history.set(promptId, {
+                prompt: [item.number, promptId, prompt, { client_id: clientId }, Object.keys(outputs)],
+                outputs,
+                status: { status_str: statusStr, completed: statusStr === 'success', messages }
+            });
+        };
+        this._send(clientId, 'execution_start', { prompt_id: promptId, timestamp: Date.now() });
+
+        // Loader nodes pay the cold model load inside their own execution; on
+        // a warm run ComfyUI serves them from its cache (execution_cached).
+        const nodeIds = Object.keys(prompt);
+        const loaderIds = nodeIds.filter(id => /loader/i.test(prompt[id]?.class_type || ''));
+        const loaderKey = JSON.stringify(loaderIds.map(id => prompt[id].inputs));
+        const warm = this.loaded.has(loaderKey);
+        let loadPending = !warm;
+        if (warm && loaderIds.length > 0) {
+            messages.push(['execution_cached', { nodes: loaderIds, prompt_id: promptId, timestamp: Date.now() }]);
+            this._send(clientId, 'execution_cached', { nodes: loaderIds, prompt_id: promptId, timestamp: Date.now() });
+        }
+
+        const failure = this._failureFor(prompt);
+        const hang = textInputs(prompt).some(v => v.includes(HANG_MARKER));
+        // Fail (or hang) on the sampler when there is one, so some progress shows first.
+        const failAt = failure || hang ? Math.max(0, nodeIds.findIndex(id => typeof prompt[id]?.inputs?.steps === 'number')) : -1;
+        const outputs = {};
+
+        for (let i = 0; i < nodeIds.length; i++) {
+            const id = nodeIds[i];
+            const node = prompt[id] || {};
+            if (item.interrupted) break;
+            if (warm && loaderIds.includes(id)) continue;
+            this._send(clientId, 'executing', { node: id, display_node: id, prompt_id: promptId });
+            if (loadPending && loaderIds.includes(id)) {
+                await sleep(this._jitter(this.options.modelLoadMs));
+                loadPending = false;
+                this.loaded.add(loaderKey);
+            }
+            const steps = typeof node.inputs?.steps === 'number' ? node.inputs.steps : null;
+            const total = steps ?? (/sampler/i.test(node.class_type || '') ? this.options.steps : 0);
+            const failStep = i === failAt ? Math.ceil(total / 2) : -1;
+            for (let s = 1; s <= total && !item.interrupted && s !== failStep; s++) {
+                await sleep(this._jitter(this.options.stepMs));
+                this._send(clientId, 'progress', { value: s, max: total, prompt_id: promptId, node: id });
+                if (this.options.previews) await this._sendPreview(clientId, promptId, id, s / total);
+            }
+            if (i === failAt && hang) {
+                console.log(`[Simulator ${this.label}] prompt ${promptId.slice(0, 8)} hung at node ${id}`);
+                await new Promise(r => { item.release = r; });
+                return;
+            }
+            if (i === failAt && !item.interrupted) {
+                const f = FAILURES[failure] || FAILURES['execution-error'];
+                const data = {
+                    prompt_id: promptId, node_id: id, node_type: f.nodeType || node.class_type,
+                    executed: nodeIds.slice(0, i), exception_message: f.message,
+                    exception_type: failure === 'out-of-memory' ? 'torch.OutOfMemoryError' : 'RuntimeError',
+                    traceback: [], current_inputs: {}, current_outputs: {}
+                };
+                messages.push(['execution_error', data]);
+                finish('error', outputs);
+                this._send(clientId, 'execution_error', data);
+                console.log(`[Simulator ${this.label}] prompt ${promptId.slice(0, 8)} failed (${failure}) at node ${id}`);
+                return;
+            }
+            if (total === 0) await sleep(this._jitter(20));
+            const kind = outputKind(node);
+            if (kind && !item.interrupted) {
+                outputs[id] = await writePlaceholder({ kind, node, nodeId: id, prompt, promptId, dirs: this.dirs, label: this.label, counter: ++this.counter });
+                this._send(clientId, 'executed', { node: id, display_node: id, output: outputs[id], prompt_id: promptId });
+            }
+        }
+
+        if (item.interrupted) {
+            const data = { prompt_id: promptId, node_id: null, node_type: null, executed: [] };
+            messages.push(['execution_interrupted', data]);
+            finish('error', outputs);
+            this._send(clientId, 'execution_interrupted', data);
+            return;
+        }
+        messages.push(['execution_success', { prompt_id: promptId, timestamp: Date.now() }]);
+        finish('success', outputs);
+        // History first: the worker fetches it as soon as it sees node === null.
+        this._send(clientId, 'executing', { node: null, prompt_id: promptId });
+    }
+}
+
+// Standalone: node simulator/fakeComfyUI.js [--port 8190] [--dir ./sim-comfyui]
+//   [--step-ms 150] [--failure-rate 0.1] [--vram 24]
+if (require.main === module) {
+    const arg = (name, def) => {
+        const i = process.argv.indexOf(`--${name}`);
+        return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
+    };
+    const sim = new FakeComfyUI({
+        host: arg('host', '0.0.0.0'),
+        port: Number(arg('port', 8190)),
+        rootDir: path.resolve(arg('dir', './sim-comfyui')),
+        vramGb: Number(arg('vram', 24)),
+        label: 'standalone',
+        options: { startupMs: 0, stepMs: Number(arg('step-ms', DEFAULTS.stepMs)), failureRate: Number(arg('failure-rate', 0)) }
+    });
+    sim.listen().catch(e => { console.error('[Simulator] failed to start:', e.message); process.exit(1); });
+}
+
+module.exports = { FakeComfyUI, DEFAULTS };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Placeholder outputs for the simulated ComfyUI. Each output node of a prompt
+// gets a file of the kind a real run would produce — picked from the node's
+// class_type — so the gallery, lightbox, downloads and retention all see the
+// same shapes they see on a GPU rig:
+//   image   PNG at the workflow's width/height, labelled with the prompt
+//   audio   1 s 440 Hz WAV
+//   model3d empty-scene GLB
+//   video / splat  a few bytes with the right extension — there is no encoder
+//           here, so players show them as broken, but they queue, list and
+//           download like the real thing
+//   text    inline `text` output (PreviewAny / ShowText)
+
+const TEXT_NODE_RX = /^(PreviewAny|ShowText|PreviewText)|ShowText/i;
+const SAVE_NODE_RX = /^(Save|Preview)|Combine|Export/i;
+
+// Output kind of an API-format node, or null when it produces no output.
+function outputKind(node) {
+    const t = String(node?.class_type || '');
+    if (TEXT_NODE_RX.test(t)) return 'text';
+    const hasPrefix = node?.inputs && Object.prototype.hasOwnProperty.call(node.inputs, 'filename_prefix');
+    if (!SAVE_NODE_RX.test(t) && !hasPrefix) return null;
+    if (/splat/i.test(t)) return 'splat';
+    if (/glb|mesh|3d/i.test(t)) return 'model3d';
+    if (/audio/i.test(t)) return 'audio';
+    if (/video|webm|vhs|gif|animated/i.test(t)) return 'video';
+    return 'image';
+}
+
+const EXT = { image: '.png', audio: '.wav', model3d: '.glb', video: '.mp4', splat: '.spz' };
+// The history key ComfyUI reports each kind under.
+const OUTPUT_KEY = { image: 'images', video: 'images', audio: 'audio', model3d: '3d', splat: '3d' };
+
+// First longish string input that isn't a file name — normally the positive prompt.
+function promptText(prompt) {
+    for (const node of Object.values(prompt)) {
+        for (const v of Object.values(node?.inputs || {})) {
+            if (typeof v === 'string' && v.length >= 12 && !/^\S+\.\w+$/.test(v)) return v;
+        }
+    }
+    return '';
+}
+
+// width/height from the first node that has both (EmptyLatentImage & co).
+function imageSize(prompt) {
+    for (const node of Object.values(prompt)) {
+        const { width, height } = node?.inputs || {};
+        if (typeof width === 'number' && typeof height === 'number') {
+            const scale = Math.min(1, 1024 / Math.max(width, height));
+            return { width: Math.max(64, Math.round(width * scale)), height: Math.max(64, Math.round(height * scale)) };
+        }
+    }
+    return { width: 512, height: 512 };
+}
+
+function hue(seed) {
+    let h = 0;
+    for (const c of String(seed)) h = (h * 31 + c.charCodeAt(0)) >>> 0;
+    return h % 360;
+}
+
+function xmlEscape(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+async function pngPlaceholder(prompt, promptId, label) {
+    const { width, height } = imageSize(prompt);
+    const text = promptText(prompt);
+    const lines = [];
+    for (let i = 0; i < text.length && lines.length < 4; i += 40) lines.push(text.slice(i, i + 40));
+    const size = Math.max(12, Math.round(width / 28));
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+        + `<rect width="100%" height="100%" fill="hsl(${hue(promptId)},45%,28%)"/>`
+        + `<text x="50%" y="40%" text-anchor="middle" font-family="sans-serif" font-size="${size * 2}" font-weight="bold" fill="#f8fafc">SIMULATED</text>`
+        + `<text x="50%" y="48%" text-anchor="middle" font-family="sans-serif" font-size="${size}" fill="#cbd5e1">${xmlEscape(label)} · ${promptId.slice(0, 8)}</text>`
+        + lines.map((l, i) => `<text x="50%" y="${58 + i * 6}%" text-anchor="middle" font-family="sans-serif" font-size="${size}" fill="#e2e8f0">${xmlEscape(l)}</text>`).join('')
+        + '</svg>';
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// A latent-preview frame for sampler step `fraction` (0–1): a small PNG that
+// brightens as sampling proceeds, like a denoising preview would.
+async function previewFrame(promptId, fraction) {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128">'
+        + `<rect width="100%" height="100%" fill="hsl(${hue(promptId)},${Math.round(15 + fraction * 40)}%,${Math.round(8 + fraction * 22)}%)"/>`
+        + `<circle cx="64" cy="64" r="${Math.round(10 + fraction * 44)}" fill="hsl(${hue(promptId)},50%,${Math.round(20 + fraction * 40)}%)"/>`
+        + '</svg>';
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function wavPlaceholder() {
+    const rate = 16000;
+    const samples = rate;
+    const buf = Buffer.alloc(44 + samples * 2);
+    buf.write('RIFF', 0); buf.writeUInt32LE(36 + samples * 2, 4); buf.write('WAVE', 8);
+    buf.write('fmt ', 12); buf.writeUInt32LE(16, 16); buf.writeUInt16LE(1, 20); buf.writeUInt16LE(1, 22);
+    buf.writeUInt32LE(rate, 24); buf.writeUInt32LE(rate * 2, 28); buf.writeUInt16LE(2, 32); buf.writeUInt16LE(16, 34);
+    buf.write('data', 36); buf.writeUInt32LE(samples * 2, 40);
+    for (let i = 0; i < samples; i++) buf.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / rate) * 8000), 44 + i * 2);
+    return buf;
+}
+
+function glbPlaceholder() {
+    let json = Buffer.from(JSON.stringify({ asset: { version: '2.0', generator: 'ComfyQ simulator' }, scenes: [{ nodes: [] }], scene: 0 }));
+    if (json.length % 4) json = Buffer.concat([json, Buffer.alloc(4 - (json.length % 4), 0x20)]);
+    const header = Buffer.alloc(20);
+    header.write('glTF', 0); header.writeUInt32LE(2, 4); header.writeUInt32LE(20 + json.length, 8);
+    header.writeUInt32LE(json.length, 12); header.write('JSON', 16);
+    return Buffer.concat([header, json]);
+}
+
+// Write the placeholder for one output node and return its history `outputs`
+// entry. Files are numbered like ComfyUI's SaveImage (prefix_00001_.png),
+// starting from `counter`.
+async function writePlaceholder({ kind, node, nodeId, prompt, promptId, dirs, label, counter }) {
+    if (kind === 'text') {
+        const text = promptText(prompt);
+        return { text: [`Simulated ${node.class_type} output (node ${nodeId})${text ? ` for: ${text}` : ''}`] };
+    }
+    const type = /^Preview/i.test(node.class_type || '') ? 'temp' : 'output';
+    const rawPrefix = String(node.inputs?.filename_prefix || 'ComfyUI');
+    const subfolder = path.dirname(rawPrefix) === '.' ? '' : path.dirname(rawPrefix);
+    const dir = path.join(type === 'temp' ? dirs.temp : dirs.output, subfolder);
+    fs.mkdirSync(dir, { recursive: true });
+    // Skip names already on disk — workers sharing one root share output/.
+    const nameFor = (n) => `${path.basename(rawPrefix)}_${String(n).padStart(5, '0')}_${EXT[kind]}`;
+    let n = counter;
+    while (fs.existsSync(path.join(dir, nameFor(n)))) n++;
+    const filename = nameFor(n);
+    const data = kind === 'image' ? await pngPlaceholder(prompt, promptId, label)
+        : kind === 'audio' ? wavPlaceholder()
+        : kind === 'model3d' ? glbPlaceholder()
+        : Buffer.from(`ComfyQ simulated ${kind} placeholder\n`);
+    fs.writeFileSync(path.join(dir, filename), data);
+    return { [OUTPUT_KEY[kind]]: [{ filename, subfolder, type }] };
+}
+
+module.exports = { outputKind, writePlaceholder, previewFrame };
@@ -41,10 +41,16 @@ function sanitizeName(name) {
 // Recover the original upload name from a stored input filename:
 //   comfyq_session__<ts>_<rand>__<orig>   (the /upload route — the normal path)
 //   comfyq__<jobId8>__<orig>              (the per-run / bench copy)
+//   comfyq_batch__<batch8>__<item>__<orig> (batch import)
+//   comfyq_pipe__<run8>__<step>__<orig>   (pipeline step hand-off)
 function originalFromUpload(v) {
     const s = String(v || '');
     let m = s.match(/^comfyq_session__\d+_\d+__(.+)$/);
     if (m) return m[1];
+    m = s.match(/^comfyq_batch__[^_]+__\d+__(.+)$/);
+    if (m) return m[1];
+    m = s.match(/^comfyq_pipe__[^_]+__\d+__(.+)$/);
+    if (m) return m[1];
     m = s.match(/^comfyq__[^_]+__(.+)$/);
     if (m) return m[1];
     const p = s.split('__');
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveOutputPath } = require('../executor/outputCollector');
+const ingredientsStore = require('./ingredientsStore');
+
+// RetentionSweeper — enforces config.queue.outputRetentionDays. Once an hour
+// (and shortly after boot) it deletes the output files and the ingredients
+// folder of every terminal job that finished more than that many days ago,
+// clears the job's outputs and records the sweep as a 'retention' job event.
+// Job records stay (history and quotas still count them). A job any user has
+// pinned ("keep") is left alone. 0 days turns the sweeper off.
+//
+// plan() is the same walk without deleting anything — the admin preview.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FIRST_RUN_DELAY_MS = 60_000;
+
+function fileSize(abs) {
+    try { return fs.statSync(abs).size; } catch { return null; }
+}
+
+function dirSize(dir) {
+    let total = 0;
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return 0; }
+    for (const e of entries) {
+        const abs = path.join(dir, e.name);
+        if (e.isDirectory()) total += dirSize(abs);
+        else total += fileSize(abs) || 0;
+    }
+    return total;
+}
+
+class RetentionSweeper {
+    constructor({ queue, configManager, comfyConfig, intervalMs = HOUR_MS }) {
+        this.queue = queue;
+        this.configManager = configManager;
+        this.comfyConfig = comfyConfig;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.nextRunAt = null;
+        this.lastRun = null;
+    }
+
+    start() {
+        const first = setTimeout(() => this._tick(), FIRST_RUN_DELAY_MS);
+        first.unref?.();
+        this.nextRunAt = Date.now() + FIRST_RUN_DELAY_MS;
+        this.timer = setInterval(() => this._tick(), this.intervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+    }
+
+    // Read on every pass so a changed setting applies without a restart.
+    retentionDays() {
+        return this.configManager.load().config.queue.outputRetentionDays ?? 0;
+    }
+
+    _tick() {
+        this.nextRunAt = Date.now() + this.intervalMs;
+        try { this.run(); }
+        catch (e) { console.error('[Retention] sweep err:', e.message); }
+    }
+
+    // What a sweep at `now` would remove:
+    //   { retentionDays, cutoff, nextRunAt, lastRun, jobs: [{ id, userId,
+    //     workflowId, finishedAt, files: [abs], ingredientsDir, bytes }],
+    //     emptyJobIds, fileCount, totalBytes, pinnedKept }
+    // `emptyJobIds` are expired jobs with nothing left on disk (failed runs,
+    // outputs already cleaned up) — only marked, so they aren't walked again.
+    plan(now = Date.now()) {
+        const retentionDays = this.retentionDays();
+        const out = { retentionDays, cutoff: null, nextRunAt: this.nextRunAt, lastRun: this.lastRun, jobs: [], emptyJobIds: [], fileCount: 0, totalBytes: 0, pinnedKept: 0 };
+        if (!retentionDays) return out;
+        out.cutoff = now - retentionDays * DAY_MS;
+        for (const job of this.queue.listExpired(out.cutoff)) {
+            if (job.pinnedBy.length > 0) { out.pinnedKept++; continue; }
+            const files = [];
+            let bytes = 0;
+            for (const o of job.outputs) {
+                const abs = resolveOutputPath(o, this.comfyConfig);
+                const size = abs ? fileSize(abs) : null;
+                if (size == null) continue;
+                files.push(abs);
+                bytes += size;
+            }
+            const dir = ingredientsStore.jobDir(this.comfyConfig, job.id);
+            const ingredientsDir = fs.existsSync(dir) ? dir : null;
+            if (ingredientsDir) bytes += dirSize(ingredientsDir);
+            if (files.length === 0 && !ingredientsDir) { out.emptyJobIds.push(job.id); continue; }
+            out.jobs.push({ id: job.id, userId: job.userId, workflowId: job.workflowId, finishedAt: job.finishedAt, files, ingredientsDir, bytes });
+            out.fileCount += files.length;
+            out.totalBytes += bytes;
+        }
+        return out;
+    }
+
+    // Delete what plan() lists. Returns { jobsSwept, filesDeleted, bytesFreed,
+    // pinnedKept, errors }.
+    run(now = Date.now()) {
+        const plan = this.plan(now);
+        const result = { jobsSwept: 0, filesDeleted: 0, bytesFreed: 0, pinnedKept: plan.pinnedKept, errors: [] };
+        if (!plan.retentionDays) return result;
+        const swept = plan.emptyJobIds.map(jobId => ({ jobId, files: 0, bytes: 0 }));
+        for (const job of plan.jobs) {
+            let files = 0;
+            for (const abs of job.files) {
+                try { fs.unlinkSync(abs); files++; }
+                catch (e) { if (e.code !== 'ENOENT') result.errors.push(`${path.basename(abs)}: ${e.message}`); }
+            }
+            if (job.ingredientsDir) {
+                try { fs.rmSync(job.ingredientsDir, { recursive: true, force: true }); }
+                catch (e) { result.errors.push(`ingredients ${job.id.slice(0, 8)}: ${e.message}`); }
+            }
+            swept.push({ jobId: job.id, files, bytes: job.bytes });
+            result.filesDeleted += files;
+            result.bytesFreed += job.bytes;
+        }
+        this.queue.markSwept(swept, { retentionDays: plan.retentionDays, now });
+        result.jobsSwept = plan.jobs.length;
+        this.lastRun = { at: now, ...result, errors: result.errors.length };
+        if (plan.jobs.length > 0 || result.errors.length > 0) {
+            console.log(`[Retention] ${plan.retentionDays}d: ${plan.jobs.length} job(s) swept, ${result.filesDeleted} file(s), ${(result.bytesFreed / 1048576).toFixed(1)} MB freed, ${plan.pinnedKept} pinned kept, ${result.errors.length} error(s)`);
+        }
+        return result;
+    }
+}
+
+module.exports = { RetentionSweeper };
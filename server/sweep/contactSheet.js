@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { resolveOutputPath } = require('../executor/outputCollector');
+
+// Contact sheet for a finished sweep: every cell's first image output, scaled
+// into a labelled grid — x-axis values across the top, y-axis values down the
+// left. Cells without an image (failed, cancelled, deleted, non-image output)
+// get a grey placeholder saying why. Written to
+// <output_dir>/comfyq_sweeps/sweep_<id8>_grid.png so the usual /images route
+// serves it; `layout` records each cell's rectangle for click-through.
+
+const SUBFOLDER = 'comfyq_sweeps';
+const CELL_MAX = 320;      // longest side of a cell, px
+const GAP = 8;
+const TITLE_H = 36;
+const HEADER_H = 32;
+const SIDE_W = 150;        // y-axis label column (2-axis sweeps only)
+const BG = '#0f1115';
+const FG = '#e2e8f0';
+const MUTED = '#94a3b8';
+
+function xmlEscape(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function clip(s, max) {
+    s = String(s);
+    return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function textSvg(width, height, text, { size = 14, color = FG, anchor = 'middle', weight = 'normal', fill = null } = {}) {
+    const x = anchor === 'middle' ? width / 2 : anchor === 'end' ? width - 8 : 8;
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+        + (fill ? `<rect width="${width}" height="${height}" fill="${fill}"/>` : '')
+        + `<text x="${x}" y="${height / 2}" dominant-baseline="middle" text-anchor="${anchor}" font-family="sans-serif"`
+        + ` font-size="${size}" font-weight="${weight}" fill="${color}">${xmlEscape(text)}</text></svg>`
+    );
+}
+
+const axisText = (axis, value) => `${axis.label} = ${value}`;
+
+function firstImagePath(cell, comfyConfig) {
+    const img = (cell?.outputs || []).find(o => o.kind === 'image' && o.filename);
+    if (!img) return null;
+    const abs = resolveOutputPath(img, comfyConfig);
+    return abs && fs.existsSync(abs) ? abs : null;
+}
+
+function placeholderText(cell) {
+    if (!cell) return 'deleted';
+    if (cell.status === 'completed') return 'no image output';
+    return cell.status;
+}
+
+// → { gridFilename, layout: { width, height, cells: [{ cell, jobId, left, top, width, height }] } }.
+// Throws when no cell has an image to show.
+async function composeContactSheet({ sweep, comfyConfig }) {
+    const [xAxis, yAxis] = sweep.axes;
+    const cols = xAxis.values.length;
+    const rows = yAxis ? yAxis.values.length : 1;
+    const byCell = new Map(sweep.cells.map(c => [c.cell, c]));
+    const sources = new Map();
+    for (let i = 0; i < cols * rows; i++) {
+        const abs = firstImagePath(byCell.get(i), comfyConfig);
+        if (abs) sources.set(i, abs);
+    }
+    if (sources.size === 0) throw new Error('No cell produced an image');
+
+    // Cell box follows the first image's aspect ratio (clamped to 1:2 .. 2:1).
+    const meta = await sharp(sources.values().next().value).metadata();
+    const aspect = Math.min(2, Math.max(0.5, (meta.width || 1) / (meta.height || 1)));
+    const cellW = aspect >= 1 ? CELL_MAX : Math.round(CELL_MAX * aspect);
+    const cellH = aspect >= 1 ? Math.round(CELL_MAX / aspect) : CELL_MAX;
+
+    const sideW = yAxis ? SIDE_W : 0;
+    const width = sideW + GAP + cols * (cellW + GAP);
+    const height = TITLE_H + HEADER_H + rows * (cellH + GAP) + GAP;
+    const layer = [];
+    const cells = [];
+
+    const title = yAxis ? `${xAxis.label} × ${yAxis.label}` : xAxis.label;
+    layer.push({ input: textSvg(width, TITLE_H, title, { size: 18, weight: 'bold', anchor: 'start' }), left: 0, top: 0 });
+    xAxis.values.forEach((v, x) => {
+        layer.push({
+            input: textSvg(cellW, HEADER_H, clip(axisText(xAxis, v), 40), { color: MUTED }),
+            left: sideW + GAP + x * (cellW + GAP), top: TITLE_H
+        });
+    });
+    if (yAxis) {
+        yAxis.values.forEach((v, y) => {
+            layer.push({
+                input: textSvg(SIDE_W, cellH, clip(axisText(yAxis, v), 22), { color: MUTED, anchor: 'end' }),
+                left: 0, top: TITLE_H + HEADER_H + y * (cellH + GAP)
+            });
+        });
+    }
+
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+            const i = y * cols + x;
+            const left = sideW + GAP + x * (cellW + GAP);
+            const top = TITLE_H + HEADER_H + y * (cellH + GAP);
+            let input = null;
+            if (sources.has(i)) {
+                try {
+                    input = await sharp(sources.get(i))
+                        .resize(cellW, cellH, { fit: 'contain', background: BG })
+                        .png()
+                        .toBuffer();
+                } catch (e) {
+                    console.warn(`[Sweep] could not read cell ${i} of ${sweep.id.slice(0, 8)}: ${e.message}`);
+                }
+            }
+            if (!input) {
+                const why = sources.has(i) ? 'unreadable image' : placeholderText(byCell.get(i));
+                input = textSvg(cellW, cellH, why, { color: MUTED, fill: '#1e222a' });
+            }
+            layer.push({ input, left, top });
+            cells.push({ cell: i, jobId: byCell.get(i)?.jobId || null, left, top, width: cellW, height: cellH });
+        }
+    }
+
+    const gridFilename = `${SUBFOLDER}/sweep_${sweep.id.slice(0, 8)}_grid.png`;
+    const abs = resolveOutputPath({ type: 'output', filename: gridFilename }, comfyConfig);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    await sharp({ create: { width, height, channels: 3, background: BG } })
+        .composite(layer)
+        .png()
+        .toFile(abs);
+    return { gridFilename, layout: { width, height, cells } };
+}
+
+module.exports = { composeContactSheet };
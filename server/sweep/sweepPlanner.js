@@ -0,0 +1,56 @@
+const { coerce } = require('../workflows/paramValidator');
+
+// Parameter sweeps. A booking may carry `sweep: { axes: [{ param, values }] }`
+// — one or two exposed number/select parameters, each with the list of values
+// to try. The sweep expands into one job per cell of the resulting grid (x is
+// the first axis, y the optional second), all sharing the rest of the form.
+// Validation uses the same rules as batch import, so a value the booking form
+// couldn't have produced is rejected before anything is queued.
+
+const MAX_AXES = 2;
+const MAX_VALUES_PER_AXIS = 12;
+const MAX_SWEEP_CELLS = 36;
+const SWEEPABLE_TYPES = new Set(['number', 'select']);
+
+// → { axes: [{ param, label, values }], cells: [{ cell, x, y, paramValues }] }.
+// Throws a user-facing Error on anything invalid.
+function planSweep({ sweep, exposed, paramValues }) {
+    const rawAxes = Array.isArray(sweep?.axes) ? sweep.axes : [];
+    if (rawAxes.length < 1 || rawAxes.length > MAX_AXES) {
+        throw new Error(`A sweep needs 1 or ${MAX_AXES} parameters to vary`);
+    }
+    const byKey = new Map(exposed.map(p => [p.key, p]));
+    const axes = rawAxes.map((a) => {
+        const p = byKey.get(a?.param);
+        if (!p) throw new Error(`Unknown sweep parameter "${a?.param}"`);
+        if (!SWEEPABLE_TYPES.has(p.type)) throw new Error(`"${p.label || p.key}" can't be swept — only number and choice parameters can`);
+        const values = [];
+        for (const raw of Array.isArray(a.values) ? a.values : []) {
+            const r = coerce(p, raw);
+            if (r.error) throw new Error(`Sweep: ${r.error}`);
+            if (values.includes(r.value)) throw new Error(`Sweep: "${p.key}" lists ${JSON.stringify(r.value)} twice`);
+            values.push(r.value);
+        }
+        if (values.length < 2) throw new Error(`Sweep: give "${p.label || p.key}" at least two values`);
+        if (values.length > MAX_VALUES_PER_AXIS) throw new Error(`Sweep: at most ${MAX_VALUES_PER_AXIS} values per parameter`);
+        return { param: p.key, label: p.label || p.key, values };
+    });
+    if (axes.length === 2 && axes[0].param === axes[1].param) throw new Error('Sweep: pick two different parameters');
+
+    const [xAxis, yAxis] = axes;
+    const rows = yAxis ? yAxis.values.length : 1;
+    const total = xAxis.values.length * rows;
+    if (total > MAX_SWEEP_CELLS) throw new Error(`Sweep: ${total} combinations is more than the ${MAX_SWEEP_CELLS} allowed`);
+
+    const cells = [];
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < xAxis.values.length; x++) {
+            const values = { ...paramValues, [xAxis.param]: xAxis.values[x] };
+            if (yAxis) values[yAxis.param] = yAxis.values[y];
+            cells.push({ cell: cells.length, x, y, paramValues: values });
+        }
+    }
+    return { axes, cells };
+}
+
+module.exports = { planSweep, MAX_AXES, MAX_VALUES_PER_AXIS, MAX_SWEEP_CELLS };
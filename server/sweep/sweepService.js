@@ -0,0 +1,63 @@
+const sm = require('../queue/jobStateMachine');
+const { composeContactSheet } = require('./contactSheet');
+
+// SweepService — watches the queue and, once every job of a running sweep is
+// terminal, composes its contact sheet and marks the sweep done (or failed
+// when there was nothing to compose). Runs once at start too, so sweeps that
+// finished while the server was down still get their grid.
+class SweepService {
+    constructor({ queue, comfyConfig }) {
+        this.queue = queue;
+        this.comfyConfig = comfyConfig;
+        this._composing = new Set();
+        this._scheduled = false;
+    }
+
+    start() {
+        // Progress ticks never finish a step, so only real changes count.
+        this.queue.onChange((kind) => { if (kind !== 'progress') this._schedule(); });
+        this._schedule();
+    }
+
+    // Queue changes come in bursts; check at most once per tick.
+    _schedule() {
+        if (this._scheduled) return;
+        this._scheduled = true;
+        setImmediate(() => {
+            this._scheduled = false;
+            this._checkAll();
+        });
+    }
+
+    _checkAll() {
+        let running;
+        try { running = this.queue.listSweeps({ status: 'running', limit: 1000 }); }
+        catch (e) { console.error('[Sweep] list err:', e.message); return; }
+        for (const sweep of running) {
+            if (this._composing.has(sweep.id)) continue;
+            if (sweep.cells.some(c => !sm.isTerminal(c.status))) continue;
+            this._finish(sweep);
+        }
+    }
+
+    async _finish(sweep) {
+        this._composing.add(sweep.id);
+        const tag = sweep.id.slice(0, 8);
+        try {
+            if (sweep.cells.length === 0) {
+                this.queue.setSweepResult(sweep.id, { status: 'failed', error: 'All jobs of this sweep were deleted' });
+                return;
+            }
+            const { gridFilename, layout } = await composeContactSheet({ sweep, comfyConfig: this.comfyConfig });
+            this.queue.setSweepResult(sweep.id, { status: 'done', gridFilename, gridLayout: layout });
+            console.log(`[Sweep] ${tag}: contact sheet ${gridFilename} (${layout.cells.length} cells)`);
+        } catch (e) {
+            console.warn(`[Sweep] ${tag}: no contact sheet — ${e.message}`);
+            this.queue.setSweepResult(sweep.id, { status: 'failed', error: e.message });
+        } finally {
+            this._composing.delete(sweep.id);
+        }
+    }
+}
+
+module.exports = { SweepService };
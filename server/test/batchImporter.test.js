@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseManifest, resolveBatch } = require('../batch/batchImporter');
+
+// A 1×1 PNG, so inspectUpload has a real image to measure.
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const EXPOSED = [
+    { key: 'prompt', nodeId: '2', field: 'text', type: 'textarea', label: 'Prompt' },
+    { key: 'steps', nodeId: '3', field: 'steps', type: 'number', label: 'Steps', min: 1, max: 50, default: 20 },
+    { key: 'image', nodeId: '1', field: 'image', type: 'image', label: 'Image', required: true }
+];
+
+describe('parseCsv', () => {
+    it('reads quoted fields, doubled quotes and CRLF', () => {
+        const rows = parseCsv('﻿file,prompt\r\na.png,"a cat, sitting"\r\nb.png,"say ""hi"""\r\n');
+        assert.deepEqual(rows, [
+            ['file', 'prompt'],
+            ['a.png', 'a cat, sitting'],
+            ['b.png', 'say "hi"']
+        ]);
+    });
+
+    it('keeps newlines inside quotes and drops blank lines', () => {
+        const rows = parseCsv('prompt\n\n"two\nlines"\n , \n');
+        assert.deepEqual(rows, [['prompt'], ['two\nlines']]);
+    });
+
+    it('keeps a last row with no trailing newline', () => {
+        assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('resolveBatch', () => {
+    let dir;
+    const findFile = (name) => {
+        const full = path.join(dir, name);
+        return fs.existsSync(full) ? full : null;
+    };
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comfyq-batch-'));
+        fs.writeFileSync(path.join(dir, 'one.png'), PNG);
+        fs.writeFileSync(path.join(dir, 'two.png'), PNG);
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'hello');
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('resolves CSV rows, matching columns by label, and fills defaults', () => {
+        const manifest = parseManifest('file,Prompt,STEPS\none.png,a cat,12\ntwo.png,a dog,\n', 'csv', EXPOSED);
+        const { items, errors } = resolveBatch({ manifest, exposed: EXPOSED, findFile });
+        assert.deepEqual(errors, []);
+        assert.equal(items.length, 2);
+        assert.deepEqual(items[0].paramValues, { steps: 12, prompt: 'a cat' });
+        assert.deepEqual(items[1].paramValues, { prompt: 'a dog', steps: 20 });
+        assert.deepEqual(items[0].files, [{ paramKey: 'image', name: 'one.png', path: path.join(dir, 'one.png') }]);
+    });
+
+    it('merges manifest defaults under each item', () => {
+        const manifest = { defaults: { prompt: 'base', params: { steps: 5 } }, items: [{ file: 'one.png' }, { file: 'two.png', params: { steps: 9 } }] };
+        const { items } = resolveBatch({ manifest, exposed: EXPOSED, findFile });
+        assert.deepEqual(items.map(i => i.paramValues.steps), [5, 9]);
+        assert.deepEqual(items.map(i => i.prompt), ['base', 'base']);
+    });
+
+    it('reports every bad row by number and keeps none of them', () => {
+        const manifest = {
+            items: [
+                { file: 'one.png' },
+                { file: 'missing.png' },
+                { file: 'notes.txt' },
+                { file: 'two.png', params: { steps: 99, seed: 1 } },
+                { prompt: 'no file' }
+            ]
+        };
+        const { items, errors } = resolveBatch({ manifest, exposed: EXPOSED, findFile });
+        assert.deepEqual(items.map(i => i.row), [1]);
+        assert.deepEqual(errors, [
+            { row: 2, message: 'File not found: missing.png' },
+            { row: 3, message: '"notes.txt" is not a supported image file' },
+            { row: 4, message: '"steps" must be ≤ 50 (got 99)' },
+            { row: 4, message: 'Unknown parameter "seed"' },
+            { row: 5, message: 'Missing required "image" (Image)' }
+        ]);
+    });
+
+    it('rejects an empty manifest', () => {
+        const { errors } = resolveBatch({ manifest: { items: [] }, exposed: EXPOSED, findFile });
+        assert.deepEqual(errors, [{ row: 0, message: 'The manifest has no items' }]);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseClassHours, inClassHours } = require('../workers/externalUsage');
+
+// Local time, as the server reads it. 2026-03-02 is a Monday.
+const at = (day, hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return new Date(2026, 2, 2 + day - 1, h, m);
+};
+
+describe('parseClassHours', () => {
+    it('reads day ranges, single days and every-day entries', () => {
+        assert.deepEqual(parseClassHours('mon-fri 09:00-12:30; sat 10:00-12:00, 18:00-20:00'), [
+            { days: [1, 2, 3, 4, 5], from: 540, to: 750 },
+            { days: [6], from: 600, to: 720 },
+            { days: [0, 1, 2, 3, 4, 5, 6], from: 1080, to: 1200 }
+        ]);
+    });
+
+    it('wraps a day range past Saturday', () => {
+        assert.deepEqual(parseClassHours('Fri - Mon 8:00-9:00')[0].days, [5, 6, 0, 1]);
+    });
+
+    it('is empty for no text', () => {
+        assert.deepEqual(parseClassHours(''), []);
+        assert.deepEqual(parseClassHours(null), []);
+    });
+
+    it("throws on what it can't read", () => {
+        assert.throws(() => parseClassHours('mornings'), /can't read "mornings"/);
+        assert.throws(() => parseClassHours('mun 09:00-10:00'), /unknown day/);
+        assert.throws(() => parseClassHours('10:00-09:00'), /not a time range within one day/);
+        assert.throws(() => parseClassHours('09:75-10:00'), /not a time range within one day/);
+        assert.throws(() => parseClassHours('22:00-25:00'), /not a time range within one day/);
+    });
+});
+
+describe('inClassHours', () => {
+    const windows = parseClassHours('mon-fri 09:00-12:30, sun 22:00-24:00');
+
+    it('holds from the start of a window up to, not including, its end', () => {
+        assert.equal(inClassHours(windows, at(1, '08:59')), false);
+        assert.equal(inClassHours(windows, at(1, '09:00')), true);
+        assert.equal(inClassHours(windows, at(5, '12:29')), true);
+        assert.equal(inClassHours(windows, at(5, '12:30')), false);
+    });
+
+    it('only on the listed days', () => {
+        assert.equal(inClassHours(windows, at(6, '10:00')), false);
+        assert.equal(inClassHours(windows, at(7, '23:59')), true);
+    });
+
+    it('never with no windows', () => {
+        assert.equal(inClassHours([], at(1, '10:00')), false);
+    });
+});
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, request, until, BIG_WORKFLOW_ID, IMAGE_WORKFLOW_ID } = require('./support/simStack');
+
+// End to end against the simulated ComfyUI: bookings go in over socket.io,
+// the executor runs them on the fake, and the outcome comes back in
+// state_update, as it does for the web client.
+
+const finished = (j) => ['completed', 'failed', 'cancelled'].includes(j.status);
+
+describe('simulated backend, end to end', () => {
+    let stack;
+    let socket;
+
+    before(async () => {
+        stack = await startStack();
+        socket = await stack.connect('alice');
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    it('runs a booking to completion and stores its output', async () => {
+        const ack = await request(socket, 'book_job', { prompt: 'a lighthouse in fog' });
+        assert.equal(ack.ok, true, ack.error);
+        const job = await stack.waitForJob(socket, ack.jobId, finished);
+        assert.equal(job.status, 'completed', job.error_reason);
+        assert.equal(job.user_id, 'alice');
+        assert.equal(job.outputs.length, 1);
+        assert.equal(job.outputs[0].kind, 'image');
+        assert.ok(fs.existsSync(path.join(stack.config.comfy_ui.output_dir, job.outputs[0].filename)));
+    });
+
+    it('fails a run the simulator breaks mid-way, with its error code', async () => {
+        const ack = await request(socket, 'book_job', { prompt: 'a lighthouse [sim:oom]' });
+        assert.equal(ack.ok, true, ack.error);
+        const job = await stack.waitForJob(socket, ack.jobId, finished);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error_code, 'out-of-memory');
+        assert.match(job.error_reason, /out of memory/i);
+    });
+
+    it('fails a prompt ComfyUI rejects at submit', async () => {
+        const ack = await request(socket, 'book_job', { prompt: 'a lighthouse [sim:reject]' });
+        assert.equal(ack.ok, true, ack.error);
+        const job = await stack.waitForJob(socket, ack.jobId, finished);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error_code, 'invalid-settings');
+    });
+
+    it("fails settings ComfyUI's node definitions don't accept, before /prompt", async () => {
+        const combo = await request(socket, 'book_job', { prompt: 'a lighthouse', params: { sampler: 'warp_drive' } });
+        const range = await request(socket, 'book_job', { prompt: 'a lighthouse', params: { cfg: 500 } });
+        assert.equal(combo.ok && range.ok, true);
+
+        const badSampler = await stack.waitForJob(socket, combo.jobId, finished);
+        assert.equal(badSampler.status, 'failed');
+        assert.equal(badSampler.error_code, 'invalid-settings');
+        assert.match(badSampler.error_reason, /^Invalid settings: Sampler: "warp_drive" is not available in ComfyUI/);
+
+        const badCfg = await stack.waitForJob(socket, range.jobId, finished);
+        assert.equal(badCfg.status, 'failed');
+        assert.equal(badCfg.error_code, 'invalid-settings');
+        assert.match(badCfg.error_reason, /CFG: must be at most 100 \(got 500\)/);
+    });
+
+    it('runs a sweep and composes its contact sheet', async () => {
+        const ack = await request(socket, 'book_job', { prompt: 'a lighthouse', sweep: { axes: [{ param: 'steps', values: [2, 3] }] } });
+        assert.equal(ack.ok, true, ack.error);
+        assert.equal(ack.jobIds.length, 2);
+        for (const id of ack.jobIds) {
+            const job = await stack.waitForJob(socket, id, finished);
+            assert.equal(job.status, 'completed', job.error_reason);
+            assert.equal(job.sweep_id, ack.sweepId);
+        }
+        await until(() => stack.queue.getSweep(ack.sweepId).status !== 'running', 10000);
+        const sweep = stack.queue.getSweep(ack.sweepId);
+        assert.equal(sweep.status, 'done', sweep.error);
+        assert.ok(fs.existsSync(path.join(stack.config.comfy_ui.output_dir, sweep.gridFilename)));
+    });
+
+    it('cancels a booking before it runs', async () => {
+        const ack = await request(socket, 'book_job', { prompt: 'later', scheduledTime: Date.now() + 3600 * 1000 });
+        assert.equal(ack.ok, true, ack.error);
+        const cancel = await request(socket, 'cancel_job', ack.jobId);
+        assert.deepEqual(cancel, { ok: true, how: 'unscheduled' });
+        const job = await stack.waitForJob(socket, ack.jobId, finished);
+        assert.equal(job.status, 'cancelled');
+    });
+
+    it('cancels a running job in ComfyUI', async () => {
+        const ack = await request(socket, 'book_job', { prompt: 'a long one', params: { steps: 2000 } });
+        assert.equal(ack.ok, true, ack.error);
+        await stack.waitForJob(socket, ack.jobId, j => j.phase === 'executing' && j.progress?.value > 0);
+        const cancel = await request(socket, 'cancel_job', ack.jobId);
+        assert.equal(cancel.ok, true, cancel.message);
+        assert.equal(cancel.how, 'interrupted');
+        // A job stopped mid-run is recorded as failed with reason 'cancelled'.
+        const job = await stack.waitForJob(socket, ack.jobId, finished);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error_reason, 'cancelled');
+        assert.equal(job.error_code, 'interrupted');
+        assert.deepEqual(job.outputs, []);
+        // ComfyUI stopped the prompt instead of sampling on.
+        await until(() => stack.worker.primary.sim.running === null);
+    });
+
+    it("won't let another student cancel someone's job", async () => {
+        const bob = await stack.connect('bob');
+        const ack = await request(socket, 'book_job', { prompt: 'mine', scheduledTime: Date.now() + 3600 * 1000 });
+        assert.equal(ack.ok, true, ack.error);
+        const cancel = await request(bob, 'cancel_job', ack.jobId);
+        assert.equal(cancel.ok, false);
+        assert.equal(stack.queue.get(ack.jobId).status, 'scheduled');
+    });
+});
+
+describe('simulated backend with a failure rate', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ simulator: { failureRate: 1, failureKind: 'no-face' } });
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    it('fails every run with the configured failure', async () => {
+        const socket = await stack.connect('carol');
+        const ack = await request(socket, 'book_job', { prompt: 'a portrait' });
+        assert.equal(ack.ok, true, ack.error);
+        const job = await stack.waitForJob(socket, ack.jobId, finished);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error_code, 'no-face');
+    });
+});
+
+describe('remote ComfyUI worker', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ remote: true });
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    it('uploads the inputs and downloads the outputs over the API', async () => {
+        const socket = await stack.connect('erin');
+        // As POST /upload would have stored it.
+        const name = 'comfyq__e2e00000__photo.png';
+        fs.writeFileSync(path.join(stack.config.comfy_ui.root_path, 'input', name), 'not really a png');
+        const ack = await request(socket, 'book_job', { workflow_id: IMAGE_WORKFLOW_ID, params: { image: name } });
+        assert.equal(ack.ok, true, ack.error);
+        const job = await stack.waitForJob(socket, ack.jobId, finished);
+        assert.equal(job.status, 'completed', job.error_reason);
+        assert.equal(job.worker_id, 'remote');
+        // The remote had no copy of the input until the worker sent one.
+        assert.ok(fs.existsSync(path.join(stack.remoteRoot, 'input', name)));
+        const [out] = job.outputs;
+        assert.ok(fs.existsSync(path.join(stack.remoteRoot, 'output', out.filename)));
+        assert.ok(fs.existsSync(path.join(stack.config.comfy_ui.output_dir, out.filename)));
+    });
+});
+
+describe('simulated pool of two GPUs', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ workers: [{ id: 'small', vramBudgetGb: 8 }, { id: 'big', vramBudgetGb: 24 }] });
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    it('runs small jobs on the free GPU while a big one waits for the big GPU', async () => {
+        const socket = await stack.connect('dave');
+        const first = await request(socket, 'book_job', { workflow_id: BIG_WORKFLOW_ID, prompt: 'big one', params: { steps: 2000 } });
+        assert.equal(first.ok, true, first.error);
+        await stack.waitForJob(socket, first.jobId, j => j.phase === 'executing');
+        const second = await request(socket, 'book_job', { workflow_id: BIG_WORKFLOW_ID, prompt: 'big two' });
+        const small = await request(socket, 'book_job', { prompt: 'small one' });
+        assert.equal(second.ok && small.ok, true);
+
+        const done = await stack.waitForJob(socket, small.jobId, finished);
+        assert.equal(done.status, 'completed', done.error_reason);
+        assert.equal(done.worker_id, 'small');
+        assert.equal(stack.queue.get(second.jobId).status, 'scheduled');
+
+        await request(socket, 'cancel_job', first.jobId);
+        const big = await stack.waitForJob(socket, second.jobId, finished);
+        assert.equal(big.status, 'completed', big.error_reason);
+        assert.equal(big.worker_id, 'big');
+    });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../queue/jobQueue');
+
+const MIN = 60000;
+const T = Date.UTC(2026, 2, 2, 9, 0);
+
+describe('JobQueue', () => {
+    let dir;
+    let queue;
+    const book = (userId, at, fields = {}) => queue.insert({ userId, workflowId: 'wf', scheduledAt: at, expectedDurationMs: MIN, ...fields });
+    const asap = (userId, at, fields = {}) => book(userId, at, { asap: true, ...fields });
+    const slot = (job) => queue.get(job.id).scheduledAt;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comfyq-queue-'));
+        queue = new JobQueue(path.join(dir, 'comfyq.sqlite'));
+    });
+
+    afterEach(() => {
+        queue.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('setPriority', () => {
+        it('moves a raised job up and pushes normal ASAP bookings back around explicit slots', () => {
+            const a = asap('alice', T);
+            const booked = book('bob', T + MIN);
+            const b = asap('carol', T + 2 * MIN);
+            const c = asap('dave', T + 3 * MIN);
+
+            const { shifted } = queue.setPriority(c.id, 'high', { now: T, by: 'teacher' });
+
+            assert.equal(slot(c), T);
+            assert.equal(slot(booked), T + MIN);
+            assert.equal(slot(a), T + 2 * MIN);
+            assert.equal(slot(b), T + 3 * MIN);
+            assert.deepEqual(shifted, [
+                { jobId: c.id, from: T + 3 * MIN, to: T },
+                { jobId: a.id, from: T, to: T + 2 * MIN },
+                { jobId: b.id, from: T + 2 * MIN, to: T + 3 * MIN }
+            ]);
+            assert.equal(queue.get(c.id).priority, 'high');
+            assert.deepEqual(queue.get(a.id).lastShift, {
+                ts: queue.get(a.id).lastShift.ts, type: 'shifted', from: T, to: T + 2 * MIN,
+                reason: 'priority', causeJobId: c.id, causeUserId: 'dave'
+            });
+        });
+
+        it("doesn't jump work already running or in a higher lane", () => {
+            const running = book('alice', T);
+            queue.transitionStatus(running.id, 'uploading-inputs', { now: T });
+            const admin = asap('bob', T + MIN);
+            queue.setPriority(admin.id, 'admin', { now: T });
+            const raised = asap('carol', T + 2 * MIN);
+
+            queue.setPriority(raised.id, 'high', { now: T });
+
+            assert.equal(slot(admin), T + MIN);
+            assert.equal(slot(raised), T + 2 * MIN);
+            assert.equal(queue.get(raised.id).lastShift, null);
+        });
+
+        it('leaves slots alone when set back to normal and refuses jobs that have started', () => {
+            const a = asap('alice', T);
+            const b = asap('bob', T + MIN);
+            assert.deepEqual(queue.setPriority(b.id, 'normal', { now: T }).shifted, []);
+            assert.equal(slot(a), T);
+            queue.transitionStatus(a.id, 'uploading-inputs', { now: T });
+            assert.throws(() => queue.setPriority(a.id, 'high'), /status "uploading-inputs"/);
+            assert.throws(() => queue.setPriority(b.id, 'urgent'), /Unknown priority/);
+        });
+    });
+
+    describe('findReady', () => {
+        it('takes the higher lane, then the earliest due slot, passing over excluded jobs', () => {
+            const early = book('alice', T - 2 * MIN);
+            const later = book('bob', T - MIN);
+            const high = book('carol', T - MIN / 2);
+            book('dave', T + MIN);
+            queue.setPriority(high.id, 'high', { now: T });
+
+            assert.equal(queue.findReady(T).id, high.id);
+            assert.equal(queue.findReady(T, { exclude: [high.id] }).id, early.id);
+            assert.equal(queue.findReady(T, { exclude: [high.id, early.id] }).id, later.id);
+            assert.equal(queue.findReady(T, { exclude: [high.id, early.id, later.id] }), null);
+        });
+
+        it('puts a retry whose backoff is over before anything else', () => {
+            const due = book('alice', T - MIN);
+            const retry = book('bob', T - 2 * MIN);
+            queue.transitionStatus(retry.id, 'uploading-inputs', { now: T - 2 * MIN });
+            queue.transitionStatus(retry.id, 'retrying', { now: T - MIN, payload: { nextAttemptAt: T } });
+
+            assert.equal(queue.findReady(T - 1).id, due.id);
+            assert.equal(queue.findReady(T).id, retry.id);
+            assert.equal(queue.findReady(T, { exclude: [retry.id] }).id, due.id);
+        });
+
+        it('in fair-share mode serves the least recently served user first', () => {
+            const served = asap('alice', T - 5 * MIN);
+            queue.transitionStatus(served.id, 'uploading-inputs', { now: T - 5 * MIN });
+            queue.transitionStatus(served.id, 'failed', { now: T - 4 * MIN });
+            const alice1 = asap('alice', T - 3 * MIN);
+            asap('alice', T - 2 * MIN);
+            const bob1 = asap('bob', T + MIN);
+
+            assert.equal(queue.findReady(T).id, alice1.id);
+            assert.equal(queue.findReady(T, { fairShare: true }).id, bob1.id);
+            assert.equal(queue.findReady(T, { fairShare: true, exclude: [bob1.id] }).id, alice1.id);
+        });
+
+        it('in fair-share mode still runs a due explicit slot before ASAP bookings', () => {
+            asap('bob', T - 2 * MIN);
+            const booked = book('alice', T - MIN);
+            assert.equal(queue.findReady(T, { fairShare: true }).id, booked.id);
+            assert.notEqual(queue.findReady(T - MIN - 1, { fairShare: true }).id, booked.id);
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateParams, coerce, onStep } = require('../workflows/paramValidator');
+
+const EXPOSED = [
+    { key: 'prompt', type: 'textarea', label: 'Prompt' },
+    { key: 'steps', type: 'number', label: 'Steps', min: 1, max: 50, step: 1 },
+    { key: 'denoise', type: 'number', label: 'Denoise', min: 0, max: 1, step: 0.05 },
+    { key: 'sampler', type: 'select', label: 'Sampler', options: ['euler', 'dpmpp_2m'] },
+    { key: 'hires', type: 'checkbox', label: 'Hires fix' },
+    { key: 'image', type: 'image', label: 'Image', required: true }
+];
+
+describe('onStep', () => {
+    it('counts the grid from min, like a number input', () => {
+        assert.equal(onStep(7, { min: 1, step: 2 }), true);
+        assert.equal(onStep(6, { min: 1, step: 2 }), false);
+        assert.equal(onStep(6, { step: 2 }), true);
+    });
+
+    it('tolerates float noise and ignores a missing step', () => {
+        assert.equal(onStep(0.1 + 0.2, { min: 0, step: 0.1 }), true);
+        assert.equal(onStep(0.33, { min: 0, step: 0.1 }), false);
+        assert.equal(onStep(1.234, {}), true);
+    });
+});
+
+describe('coerce', () => {
+    const steps = EXPOSED[1];
+
+    it('turns text into numbers within min, max and step', () => {
+        assert.deepEqual(coerce(steps, ' 20 '), { value: 20 });
+        assert.match(coerce(steps, 'twenty').reason, /must be a number/);
+        assert.match(coerce(steps, '').reason, /must be a number/);
+        assert.equal(coerce(steps, 0).reason, 'must be ≥ 1 (got 0)');
+        assert.equal(coerce(steps, 51).reason, 'must be ≤ 50 (got 51)');
+        assert.match(coerce(steps, 2.5).reason, /in steps of 1/);
+    });
+
+    it('names the parameter in `error` but not in `reason`', () => {
+        const r = coerce(steps, 99);
+        assert.equal(r.error, `"steps" ${r.reason}`);
+    });
+
+    it('reads the usual spellings of true and false', () => {
+        const hires = EXPOSED[4];
+        for (const v of [true, 'yes', 'ON', '1']) assert.deepEqual(coerce(hires, v), { value: true });
+        for (const v of [false, 'no', 'off', '0']) assert.deepEqual(coerce(hires, v), { value: false });
+        assert.match(coerce(hires, 'maybe').reason, /true or false/);
+    });
+
+    it('keeps selects to their options', () => {
+        const sampler = EXPOSED[3];
+        assert.deepEqual(coerce(sampler, 'euler'), { value: 'euler' });
+        assert.match(coerce(sampler, 'ddim').reason, /must be one of "euler", "dpmpp_2m"/);
+    });
+
+    it('stringifies text but refuses objects', () => {
+        assert.deepEqual(coerce(EXPOSED[0], 42), { value: '42' });
+        assert.equal(coerce(EXPOSED[0], { a: 1 }).reason, 'must be text');
+    });
+});
+
+describe('validateParams', () => {
+    let inputDir;
+
+    before(() => {
+        inputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'comfyq-params-'));
+        fs.writeFileSync(path.join(inputDir, 'comfyq_abc_photo.png'), '');
+    });
+
+    after(() => {
+        fs.rmSync(inputDir, { recursive: true, force: true });
+    });
+
+    it('coerces what was given and drops empty values', () => {
+        const { values, errors } = validateParams({
+            exposed: EXPOSED,
+            params: { prompt: 'a cat', steps: '12', denoise: '', hires: 'yes', image: 'comfyq_abc_photo.png' },
+            inputDir
+        });
+        assert.deepEqual(errors, {});
+        assert.deepEqual(values, { prompt: 'a cat', steps: 12, hires: true, image: 'comfyq_abc_photo.png' });
+    });
+
+    it('reports each bad field, unknown keys and missing required ones', () => {
+        const { errors } = validateParams({ exposed: EXPOSED, params: { steps: 0, seed: 5 }, inputDir });
+        assert.deepEqual(errors, {
+            seed: 'is not a parameter of this workflow',
+            steps: 'must be ≥ 1 (got 0)',
+            image: 'is required — add a file'
+        });
+    });
+
+    it('only takes media values that are uploads still on disk', () => {
+        const check = (image) => validateParams({ exposed: EXPOSED, params: { image }, inputDir }).errors.image;
+        assert.equal(check('comfyq_abc_photo.png'), undefined);
+        assert.equal(check('photo.png'), 'is not an uploaded file — upload it again');
+        assert.equal(check('comfyq_x/../../etc/passwd'), 'is not an uploaded file — upload it again');
+        assert.equal(check('comfyq_gone.png'), 'is no longer on the server — upload it again');
+    });
+
+    it('passes the legacy prompt through only as text', () => {
+        const exposed = EXPOSED.filter(p => p.key !== 'prompt' && p.key !== 'image');
+        assert.deepEqual(validateParams({ exposed, params: { prompt: 'hi' } }).values, { prompt: 'hi' });
+        assert.equal(validateParams({ exposed, params: { prompt: ['hi'] } }).errors.prompt, 'is not a parameter of this workflow');
+    });
+});
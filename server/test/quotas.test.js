@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../queue/jobQueue');
+const { assertCanBook, limitsFor } = require('../queue/quotas');
+
+const MIN = 60000;
+
+describe('quotas', () => {
+    let dir;
+    let queue;
+    const book = (userId, fields = {}) => queue.insert({ userId, workflowId: 'wf', scheduledAt: Date.now() + 3600 * 1000, expectedDurationMs: MIN, ...fields });
+    const check = (quotas, userId, { durationMs = MIN, count = 1, sessionStartedAt = 0 } = {}) =>
+        () => assertCanBook({ queue, quotas, userId, durationMs, count, sessionStartedAt });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comfyq-quotas-'));
+        queue = new JobQueue(path.join(dir, 'comfyq.sqlite'));
+    });
+
+    afterEach(() => {
+        queue.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lets anything through when every limit is 0', () => {
+        for (let i = 0; i < 5; i++) book('alice');
+        assert.doesNotThrow(check({ maxPendingJobs: 0, maxJobsPerHour: 0, maxGpuMinutesPerSession: 0 }, 'alice', { count: 50, durationMs: 1e9 }));
+        assert.doesNotThrow(check(undefined, 'alice'));
+    });
+
+    it('caps waiting jobs, counting a sweep as all of its cells', () => {
+        const quotas = { maxPendingJobs: 3 };
+        book('alice');
+        book('alice');
+        book('bob');
+        assert.doesNotThrow(check(quotas, 'alice'));
+        assert.throws(check(quotas, 'alice', { count: 2 }), /2 more job\(s\) would put you over your limit of 3 waiting \(you have 2\)/);
+        book('alice');
+        assert.throws(check(quotas, 'alice'), /already have 3 job\(s\) waiting \(limit 3\)/);
+    });
+
+    it('counts deleted bookings against the hourly limit', () => {
+        const quotas = { maxJobsPerHour: 2 };
+        queue.delete(book('alice').id);
+        book('alice');
+        assert.throws(check(quotas, 'alice'), /2 booking\(s\) in the last hour \(limit 2\)/);
+    });
+
+    it('adds booked and used GPU time to the new job', () => {
+        const quotas = { maxGpuMinutesPerSession: 5 };
+        const now = Date.now();
+        const ran = book('alice', { scheduledAt: now });
+        queue.transitionStatus(ran.id, 'uploading-inputs', { now: now - 2 * MIN });
+        queue.transitionStatus(ran.id, 'failed', { now });
+        book('alice');
+        assert.doesNotThrow(check(quotas, 'alice', { durationMs: 2 * MIN }));
+        assert.throws(check(quotas, 'alice', { durationMs: 2.5 * MIN }), /~2\.5 GPU min but only 2\.0 of your 5 min remain/);
+        // Time used before this session started doesn't count.
+        assert.doesNotThrow(check(quotas, 'alice', { durationMs: 4 * MIN, sessionStartedAt: now - MIN }));
+    });
+
+    it('takes per-user overrides limit by limit', () => {
+        const quotas = { maxPendingJobs: 1, maxJobsPerHour: 10, overrides: { alice: { maxPendingJobs: 0 } } };
+        assert.deepEqual(limitsFor(quotas, 'alice'), { maxPendingJobs: 0, maxJobsPerHour: 10, maxGpuMinutesPerSession: 0 });
+        book('alice');
+        book('bob');
+        assert.doesNotThrow(check(quotas, 'alice'));
+        assert.throws(check(quotas, 'bob'), /limit 1/);
+    });
+});
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const { io } = require('socket.io-client');
+const { AppConfig } = require('../../config/schemas');
+const { resolvePaths } = require('../../config/configManager');
+const { WorkflowRegistry } = require('../../workflows/workflowRegistry');
+const { PipelineRegistry } = require('../../workflows/pipelineRegistry');
+const { JobQueue } = require('../../queue/jobQueue');
+const { WorkerPool } = require('../../workers/workerPool');
+const { ExternalUsage } = require('../../workers/externalUsage');
+const { JobExecutor } = require('../../executor/jobExecutor');
+const { RealtimeBus } = require('../../realtime/realtimeBus');
+const { SweepService } = require('../../sweep/sweepService');
+const { FakeComfyUI } = require('../../simulator/fakeComfyUI');
+
+// A student-mode ComfyQ assembled in-process the way index.js does it —
+// queue, simulated worker pool, executor, realtime bus — over a scratch
+// directory, with a fake ComfyUI (server/simulator) fast enough for tests.
+// Clients book and cancel through socket.io like the web client does.
+
+const WORKFLOW_ID = 'sim_t2i';
+const BIG_WORKFLOW_ID = 'sim_t2i_big';
+const IMAGE_WORKFLOW_ID = 'sim_i2i';
+
+// A small text-to-image graph: loader → prompt → sampler → decode → save.
+// The sampler's steps are exposed so a test can make a run take longer;
+// its sampler and CFG are exposed without limits of their own, so only
+// ComfyUI's node definitions (/object_info) can turn a bad value away.
+const T2I_WORKFLOW = {
+    1: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'sim.safetensors' } },
+    2: { class_type: 'CLIPTextEncode', inputs: { text: '', clip: ['1', 1] } },
+    3: {
+        class_type: 'KSampler',
+        inputs: {
+            seed: 0, steps: 4, cfg: 7, sampler_name: 'euler', scheduler: 'normal', denoise: 1,
+            model: ['1', 0], positive: ['2', 0], negative: ['2', 0], latent_image: ['4', 0]
+        }
+    },
+    4: { class_type: 'EmptyLatentImage', inputs: { width: 512, height: 512, batch_size: 1 } },
+    5: { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['1', 2] } },
+    6: { class_type: 'SaveImage', inputs: { filename_prefix: 'ComfyQ', images: ['5', 0] } }
+};
+
+// An uploaded image straight to a save node — enough to move a file in
+// and one out.
+const I2I_WORKFLOW = {
+    1: { class_type: 'LoadImage', inputs: { image: 'example.png' } },
+    2: { class_type: 'SaveImage', inputs: { filename_prefix: 'ComfyQ', images: ['1', 0] } }
+};
+
+const meta = (id, exposedParameters, extra = {}) => ({
+    schemaVersion: 1,
+    id,
+    name: `Simulated workflow (${id})`,
+    category: 't2i',
+    workflowFile: `${id}.api.json`,
+    apiFormat: true,
+    estimatedDurationSec: 1,
+    exposedParameters,
+    ...extra
+});
+
+const T2I_PARAMETERS = [
+    { key: 'prompt', nodeId: '2', field: 'text', type: 'textarea', label: 'Prompt', default: '', order: 0 },
+    { key: 'steps', nodeId: '3', field: 'steps', type: 'number', label: 'Steps', default: 4, min: 1, max: 10000, order: 1 },
+    { key: 'sampler', nodeId: '3', field: 'sampler_name', type: 'text', label: 'Sampler', default: 'euler', order: 2 },
+    { key: 'cfg', nodeId: '3', field: 'cfg', type: 'number', label: 'CFG', default: 7, order: 3 }
+];
+
+// The text-to-image graph twice — one that runs anywhere, one that needs a
+// 24 GB card — and the image one.
+const WORKFLOWS = [
+    { meta: meta(WORKFLOW_ID, T2I_PARAMETERS), graph: T2I_WORKFLOW },
+    { meta: meta(BIG_WORKFLOW_ID, T2I_PARAMETERS, { requirements: { minVRAM: 24 } }), graph: T2I_WORKFLOW },
+    {
+        meta: meta(IMAGE_WORKFLOW_ID, [{ key: 'image', nodeId: '1', field: 'image', type: 'image', label: 'Image', required: true, order: 0 }], { category: 'i2i' }),
+        graph: I2I_WORKFLOW
+    }
+];
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const srv = net.createServer();
+        srv.once('error', reject);
+        srv.listen(0, '127.0.0.1', () => {
+            const { port } = srv.address();
+            srv.close(() => resolve(port));
+        });
+    });
+}
+
+function writeWorkflows(dir) {
+    for (const { meta: m, graph } of WORKFLOWS) {
+        const folder = path.join(dir, m.id);
+        fs.mkdirSync(folder, { recursive: true });
+        fs.writeFileSync(path.join(folder, `${m.id}.api.json`), JSON.stringify(graph, null, 2));
+        fs.writeFileSync(path.join(folder, `${m.id}.meta.json`), JSON.stringify(m, null, 2));
+    }
+}
+
+const SIM_OPTIONS = { startupMs: 0, stepMs: 10, modelLoadMs: 0, jitter: 0, previews: false };
+
+// `simulator` overrides comfy_ui.simulator; `workers` ([{ id, vramBudgetGb }])
+// makes a pool of that many simulated GPUs instead of a single one. With
+// `remote` the only worker is a RemoteComfyUIWorker driving a fake ComfyUI
+// with a root of its own (`remoteRoot`), so inputs and outputs have to go
+// over its API.
+async function startStack({ simulator = {}, workers = [], remote = false } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comfyq-e2e-'));
+    writeWorkflows(path.join(dir, 'workflows'));
+    const pool = [];
+    for (const w of workers) pool.push({ ...w, label: w.id, api_port: await freePort() });
+    let remoteSim = null;
+    const remoteRoot = path.join(dir, 'remote');
+    if (remote) {
+        remoteSim = new FakeComfyUI({ port: await freePort(), rootDir: remoteRoot, label: 'remote', options: { ...SIM_OPTIONS, ...simulator } });
+        await remoteSim.listen();
+        pool.push({ id: 'remote', label: 'remote', host: '127.0.0.1', api_port: remoteSim.port });
+    }
+    const config = resolvePaths(AppConfig.parse({
+        schemaVersion: 2,
+        mode: 'student',
+        server: { port: 3000, host: '127.0.0.1' },
+        comfy_ui: {
+            backend: 'simulated',
+            simulator: { ...SIM_OPTIONS, ...simulator },
+            root_path: path.join(dir, 'comfyui'),
+            output_dir: path.join(dir, 'comfyui', 'output'),
+            api_host: '127.0.0.1',
+            api_port: await freePort(),
+            autoStart: false,
+            vramBudgetGb: 24,
+            workers: pool
+        },
+        queue: { dbPath: path.join(dir, 'comfyq.sqlite') },
+        workflows: { dir: path.join(dir, 'workflows'), activeWorkflowId: WORKFLOW_ID }
+    }));
+    // Stands in for the config.json-backed configManager, which the stack
+    // only reads from.
+    const configManager = { load: () => ({ config }) };
+
+    const registry = new WorkflowRegistry(config.workflows.dir);
+    registry.discover();
+    const queue = new JobQueue(config.queue.dbPath);
+    const worker = new WorkerPool({ comfyConfig: config.comfy_ui, queueConfig: config.queue, onMilestone: () => {} });
+    await worker.start();
+    const external = new ExternalUsage({ workers: worker.workers, configManager });
+    external.start();
+    queue.setCapacity(worker.workers.length);
+    const executor = new JobExecutor({ queue, workers: worker.workers, registry, comfyConfig: config.comfy_ui, configManager, external });
+    executor.tickMs = 50;
+    executor.start();
+    new SweepService({ queue, comfyConfig: config.comfy_ui }).start();
+
+    const server = http.createServer();
+    const pipelines = new PipelineRegistry(config.workflows.dir, registry);
+    const bus = new RealtimeBus({ httpServer: server, queue, executor, registry, pipelines, configManager, worker, comfyConfig: config.comfy_ui, external });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const sockets = [];
+
+    return {
+        dir, config, queue, executor, worker, bus, remoteRoot,
+
+        // A connected client registered as `userId`.
+        async connect(userId) {
+            const socket = io(url, { transports: ['websocket'], reconnection: false });
+            sockets.push(socket);
+            await new Promise((resolve, reject) => {
+                socket.once('connect', resolve);
+                socket.once('connect_error', reject);
+            });
+            socket.emit('register_user', userId);
+            return socket;
+        },
+
+        // Resolve with the job as `socket` last saw it in state_update once
+        // `predicate` holds for it; reject after `timeoutMs`. Asks for a fresh
+        // broadcast so a change that went out before this was called counts.
+        waitForJob(socket, jobId, predicate, timeoutMs = 10000) {
+            const done = new Promise((resolve, reject) => {
+                let last = null;
+                const onState = (state) => {
+                    const job = state.jobs.find(j => j.id === jobId);
+                    if (!job) return;
+                    last = job;
+                    if (!predicate(job)) return;
+                    clearTimeout(timer);
+                    socket.off('state_update', onState);
+                    resolve(job);
+                };
+                const timer = setTimeout(() => {
+                    socket.off('state_update', onState);
+                    reject(new Error(`job ${jobId.slice(0, 8)}: timed out waiting (last status ${last?.status || 'unseen'})`));
+                }, timeoutMs);
+                socket.on('state_update', onState);
+            });
+            bus.broadcast();
+            return done;
+        },
+
+        async stop() {
+            for (const s of sockets) s.close();
+            executor.stop();
+            external.stop();
+            await bus.close();
+            for (const w of worker.workers) await w.shutdown();
+            if (remoteSim) await remoteSim.close();
+            queue.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Emit `event` and resolve with the server's ack.
+function request(socket, event, payload) {
+    return new Promise(resolve => socket.emit(event, payload, resolve));
+}
+
+// Poll `check` until it's truthy; reject after `timeoutMs`.
+async function until(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('timed out waiting');
+        await new Promise(r => setTimeout(r, 20));
+    }
+}
+
+module.exports = { startStack, request, until, WORKFLOW_ID, BIG_WORKFLOW_ID, IMAGE_WORKFLOW_ID };
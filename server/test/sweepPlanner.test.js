@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planSweep, MAX_SWEEP_CELLS } = require('../sweep/sweepPlanner');
+
+const EXPOSED = [
+    { key: 'prompt', type: 'textarea', label: 'Prompt' },
+    { key: 'steps', type: 'number', label: 'Steps', min: 1, max: 100 },
+    { key: 'cfg', type: 'number', label: 'CFG', min: 1, max: 30 },
+    { key: 'sampler', type: 'select', label: 'Sampler', options: ['euler', 'dpmpp_2m', 'ddim'] }
+];
+
+const plan = (axes, paramValues = { prompt: 'a cat' }) => planSweep({ sweep: { axes }, exposed: EXPOSED, paramValues });
+
+describe('planSweep', () => {
+    it('expands one axis into a row of cells over the rest of the form', () => {
+        const { axes, cells } = plan([{ param: 'steps', values: ['10', 20] }]);
+        assert.deepEqual(axes, [{ param: 'steps', label: 'Steps', values: [10, 20] }]);
+        assert.deepEqual(cells, [
+            { cell: 0, x: 0, y: 0, paramValues: { prompt: 'a cat', steps: 10 } },
+            { cell: 1, x: 1, y: 0, paramValues: { prompt: 'a cat', steps: 20 } }
+        ]);
+    });
+
+    it('walks a grid row by row, x fastest', () => {
+        const { cells } = plan([{ param: 'cfg', values: [4, 8, 12] }, { param: 'sampler', values: ['euler', 'ddim'] }]);
+        assert.equal(cells.length, 6);
+        assert.deepEqual(cells.map(c => [c.x, c.y]), [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1]]);
+        assert.deepEqual(cells[4].paramValues, { prompt: 'a cat', cfg: 8, sampler: 'ddim' });
+    });
+
+    it('needs one or two known, sweepable parameters', () => {
+        assert.throws(() => plan([]), /1 or 2 parameters/);
+        assert.throws(() => plan([{ param: 'seed', values: [1, 2] }]), /Unknown sweep parameter "seed"/);
+        assert.throws(() => plan([{ param: 'prompt', values: ['a', 'b'] }]), /"Prompt" can't be swept/);
+        assert.throws(() => plan([{ param: 'cfg', values: [4, 8] }, { param: 'cfg', values: [5, 6] }]), /two different parameters/);
+    });
+
+    it('checks every value the way the booking form would', () => {
+        assert.throws(() => plan([{ param: 'cfg', values: [4, 80] }]), /Sweep: "cfg" must be ≤ 30 \(got 80\)/);
+        assert.throws(() => plan([{ param: 'sampler', values: ['euler', 'warp'] }]), /must be one of/);
+        assert.throws(() => plan([{ param: 'steps', values: [10, '10'] }]), /lists 10 twice/);
+        assert.throws(() => plan([{ param: 'steps', values: [10] }]), /at least two values/);
+    });
+
+    it(`caps the grid at ${MAX_SWEEP_CELLS} cells`, () => {
+        const seven = [1, 2, 3, 4, 5, 6, 7];
+        assert.throws(() => plan([{ param: 'steps', values: seven }, { param: 'cfg', values: seven.slice(0, 6) }]), /42 combinations/);
+        assert.equal(plan([{ param: 'steps', values: seven.slice(0, 6) }, { param: 'cfg', values: seven.slice(0, 6) }]).cells.length, 36);
+    });
+});
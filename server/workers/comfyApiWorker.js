@@ -0,0 +1,479 @@
+const { Worker } = require('./workerInterface');
+const { ComfyRestClient } = require('./comfyRestClient');
+const { ComfyWsClient } = require('./comfyWsClient');
+const { ModelLifecycle } = require('./modelLifecycle');
+const { humanizeFailure } = require('../executor/errorMessages');
+const { validateGraph, mediaFields, describeProblem, describeNodeErrors } = require('../workflows/graphValidator');
+
+const CLIENT_ID_PREFIX = 'comfyq';
+
+// ComfyApiWorker — the part of a worker that only needs ComfyUI's HTTP/WS API:
+// one REST client, one WS client (auto-reconnecting), one ModelLifecycle, and
+// the submit / progress / cancel bookkeeping for the one prompt in flight.
+// LocalComfyUIWorker adds the ComfyUI child process and direct access to its
+// input/ and output/ dirs; RemoteComfyUIWorker moves files over the API instead;
+// SimulatedComfyUIWorker points it at an in-process fake ComfyUI.
+//
+// Subclasses implement start() and may override the file hooks:
+//   _prepareInputs(jobId, { paramValues, exposedParameters, inputs })
+//       → { paramValues, inputs } as ComfyUI should see them
+//   collectOutputs(outputs)   (Worker) make finished outputs readable locally
+class ComfyApiWorker extends Worker {
+    constructor({ comfyConfig, id = null, label = '', host, port, vramBudgetGb = null, onMilestone }) {
+        super();
+        this.comfyConfig = comfyConfig;
+        this.id = id || 'default';
+        this.label = label || (id ? id : 'ComfyUI');
+        this.tag = id ? `[Worker ${id}]` : '[Worker]';
+        this.vramBudgetGb = vramBudgetGb ?? comfyConfig.vramBudgetGb;
+        this.host = host;
+        this.port = port;
+        this.clientId = `${CLIENT_ID_PREFIX}-${Math.random().toString(36).slice(2, 8)}`;
+        // Boot-milestone callback. server/index.js uses it to reprint the
+        // LAN-URL banner so workshop admins don't lose the URLs to
+        // ComfyUI's noisy startup output. Defaults to a no-op so tests
+        // and other call sites can ignore it.
+        this.onMilestone = onMilestone || (() => {});
+        // One-shot guard — WS reconnects (close→open cycles) shouldn't
+        // reprint the banner. Reset to false on every worker start.
+        this._wsMilestoneFired = false;
+
+        this.rest = new ComfyRestClient({ host: this.host, port: this.port });
+        this.lifecycle = new ModelLifecycle({ rest: this.rest, vramBudgetGb: this.vramBudgetGb });
+
+        this.ws = null;
+        this._state = 'starting';
+        this._stateDetail = null;   // why it is in that state, e.g. a 'down' reason
+        this.currentJobId = null;
+        this.currentPromptId = null;
+        this.currentStepsTotal = null;
+        // Node-level progress of the prompt in flight: its graph (id → title),
+        // the nodes finished or served from cache, and the one executing.
+        this._graph = null;
+        this._nodesDone = new Set();
+        this._nodeRunning = null;
+        // Job id cancel() was asked to stop while submit() was still working
+        // toward /prompt — submit() withdraws it instead of running it — and
+        // the cancel() calls waiting to hear whether that worked.
+        this._cancelRequested = null;
+        this._cancelWaiters = [];
+        // GET /object_info of the current ComfyUI session (see getObjectInfo());
+        // dropped whenever the WS (re)connects, as ComfyUI may have restarted
+        // with other nodes or models.
+        this._objectInfoCache = null;
+    }
+
+    getStatus() {
+        return {
+            id: this.id,
+            label: this.label,
+            port: this.port,
+            vramBudgetGb: this.vramBudgetGb,
+            // Last measured VRAM and /free decision (see ModelLifecycle).
+            vram: this.lifecycle.vram,
+            vramDecision: this.lifecycle.lastDecision,
+            state: this._state,
+            detail: this._stateDetail,
+            currentJobId: this.currentJobId,
+            currentPromptId: this.currentPromptId,
+            wsConnected: this.ws?.isOpen() || false
+        };
+    }
+
+    _setState(state, detail) {
+        this._state = state;
+        this._stateDetail = detail || null;
+        this.emit('status', { state, detail });
+    }
+
+    _connectWs() {
+        this.ws = new ComfyWsClient({ host: this.host, port: this.port, clientId: this.clientId });
+        this.ws.on('open', () => {
+            console.log(`${this.tag} WS connected (clientId=${this.clientId})`);
+            this._objectInfoCache = null;
+            // Reprint the LAN URL banner the FIRST time the WS opens this
+            // boot. Skipped on reconnect so terminal noise stays low.
+            if (!this._wsMilestoneFired) {
+                this._wsMilestoneFired = true;
+                this.onMilestone('Worker connected — ComfyUI ready for jobs');
+            }
+        });
+        this.ws.on('close', () => console.log(`${this.tag} WS disconnected (will reconnect)`));
+        this.ws.on('error', (e) => console.warn(`${this.tag} WS error:`, e.message));
+        this.ws.on('message', (msg) => this._handleWsMessage(msg));
+        this.ws.on('preview', (p) => this._handlePreview(p));
+    }
+
+    // Dial ComfyUI again now rather than wait out the old client's
+    // reconnect backoff — after ComfyUI was restarted.
+    _reconnectWs() {
+        if (this.ws) this.ws.close();
+        this._connectWs();
+    }
+
+    // Latent preview frame → 'preview' for the job in flight. ComfyUI sends
+    // previews only to the client that queued the prompt, so a bare frame
+    // (no metadata) belongs to ours; a tagged one must name our prompt.
+    _handlePreview({ mime, data, meta }) {
+        if (!this.currentPromptId) return;
+        if (meta?.prompt_id && meta.prompt_id !== this.currentPromptId) return;
+        this.emit('preview', {
+            jobId: this.currentJobId, promptId: this.currentPromptId,
+            nodeId: meta?.display_node_id || meta?.node_id || null, mime, data
+        });
+    }
+
+    _resetCurrent() {
+        this.currentJobId = null;
+        this.currentPromptId = null;
+        this.currentStepsTotal = null;
+        this._graph = null;
+        this._nodesDone = new Set();
+        this._nodeRunning = null;
+        // A submit that ends any other way (rejected, upload failed) leaves
+        // a pending cancel with nothing to stop.
+        this._settleCancel({ cancelled: false, how: 'submit-failed' });
+    }
+
+    // Answer the cancel() calls waiting on submit().
+    _settleCancel(result) {
+        this._cancelRequested = null;
+        const waiters = this._cancelWaiters;
+        this._cancelWaiters = [];
+        for (const resolve of waiters) resolve(result);
+    }
+
+    // Node counts for 'node-executing' / 'nodes-cached'. nodesTotal is null
+    // for a re-attached prompt, whose graph we never saw.
+    _nodeCounts() {
+        return {
+            nodesDone: this._nodesDone.size,
+            nodesTotal: this._graph ? Object.keys(this._graph).length : null,
+            doneNodeIds: [...this._nodesDone]
+        };
+    }
+
+    _handleWsMessage(msg) {
+        const { type, data } = msg || {};
+        // ComfyUI's queue changed, or news of a prompt that isn't ours — a cue
+        // for ExternalUsage (workers/externalUsage.js) to look at /queue.
+        if (type === 'status' || (data?.prompt_id && data.prompt_id !== this.currentPromptId)) {
+            this.emit('queue-activity', { type, promptId: data?.prompt_id || null, data });
+        }
+        if (!data || !this.currentPromptId || data.prompt_id !== this.currentPromptId) return;
+        const jobId = this.currentJobId;
+        const promptId = this.currentPromptId;
+
+        if (type === 'progress') {
+            this.currentStepsTotal = data.max ?? this.currentStepsTotal;
+            this.emit('progress', {
+                jobId, promptId,
+                stepsDone: data.value, stepsTotal: data.max,
+                currentNodeId: data.node || null
+            });
+        } else if (type === 'executing') {
+            // node === null AND prompt_id present → execution finished for this prompt
+            if (data.node == null) {
+                // Ask executor to finalize via history fetch + output collection.
+                this.emit('execution-finished', { jobId, promptId });
+            } else {
+                // A node starting means the one before it finished.
+                const nodeId = String(data.node);
+                if (this._nodeRunning && this._nodeRunning !== nodeId) this._nodesDone.add(this._nodeRunning);
+                this._nodeRunning = nodeId;
+                this.emit('node-executing', {
+                    jobId, promptId, nodeId,
+                    nodeTitle: this._graph?.[nodeId] || null,
+                    ...this._nodeCounts()
+                });
+            }
+        } else if (type === 'execution_error') {
+            const reason = humanizeFailure(data.exception_message || data.traceback, data.node_type);
+            this._resetCurrent();
+            this._setState('idle');
+            this.emit('failed', { jobId, promptId, errorReason: reason, errorPhase: 'executing' });
+        } else if (type === 'execution_cached') {
+            // Nodes whose outputs ComfyUI reuses from its cache — done at once.
+            const nodeIds = (data.nodes || []).map(String);
+            if (nodeIds.length === 0) return;
+            for (const id of nodeIds) this._nodesDone.add(id);
+            this.emit('nodes-cached', { jobId, promptId, nodeIds, ...this._nodeCounts() });
+        }
+    }
+
+    // Apply user param values into the API workflow at known node/field
+    // locations. Inject filename_prefix into ANY node that has that field
+    // (no class_type whitelist). Inject input filenames at LoadImage/LoadAudio/
+    // LoadVideo locations specified by the per-input record.
+    _materializeWorkflow(apiWorkflow, { paramValues, exposedParameters, inputs, filenamePrefix }) {
+        const wf = JSON.parse(JSON.stringify(apiWorkflow));
+
+        // 1) Apply parameter values via exposedParameters mapping. For
+        //    image/video/audio types the value is the comfy-side filename the
+        //    /upload endpoint returned; injecting it directly is equivalent to
+        //    going through the `inputs` array below.
+        for (const p of exposedParameters) {
+            if (paramValues == null) continue;
+            const v = paramValues[p.key];
+            if (v === undefined || v === null || v === '') continue;
+            const node = wf[p.nodeId];
+            if (!node) continue;
+            node.inputs = node.inputs || {};
+            node.inputs[p.field] = v;
+        }
+
+        // 2) Apply input file references (already copied into ComfyUI/input by
+        //    the executor — we just inject the filename here).
+        for (const f of inputs || []) {
+            const node = wf[f.nodeId];
+            if (!node) continue;
+            node.inputs = node.inputs || {};
+            node.inputs[f.field] = f.comfyFilename;
+        }
+
+        // 3) Inject filename_prefix into every node that already has that
+        //    field. Generic — works for SaveImage, SaveVideo, VHS_VideoCombine,
+        //    custom save nodes. Doesn't add the field where it didn't exist.
+        for (const node of Object.values(wf)) {
+            if (node && node.inputs && Object.prototype.hasOwnProperty.call(node.inputs, 'filename_prefix')) {
+                node.inputs.filename_prefix = filenamePrefix;
+            }
+        }
+        return wf;
+    }
+
+    // Node definitions for validating a graph before /prompt, fetched once per
+    // session. null when ComfyUI can't provide them (`false` in the cache
+    // remembers that for the session) — validation is then skipped and
+    // /prompt has the last word.
+    // Also the source of live select options (workflows/liveOptions.js).
+    async getObjectInfo({ refresh = false } = {}) {
+        if (this._objectInfoCache !== null && !refresh) return this._objectInfoCache || null;
+        try {
+            this._objectInfoCache = await this.rest.getObjectInfo();
+        } catch (e) {
+            if (this._objectInfoCache !== false) console.warn(`${this.tag} /object_info unavailable — skipping graph validation this session: ${e.message}`);
+            this._objectInfoCache = false;
+        }
+        return this._objectInfoCache || null;
+    }
+
+    // Problems with the materialized graph, worded per exposed parameter. A
+    // miss against a cached object_info is re-checked against a fresh one (a
+    // model copied in since it was fetched shouldn't fail the job).
+    async _validateGraph(wf, { exposedParameters, inputs }) {
+        const skip = mediaFields(exposedParameters, inputs);
+        let info = await this.getObjectInfo();
+        if (!info) return [];
+        let problems = validateGraph(wf, info, { skip });
+        if (problems.length > 0) {
+            info = await this.getObjectInfo({ refresh: true });
+            problems = info ? validateGraph(wf, info, { skip }) : [];
+        }
+        return problems.map(p => describeProblem(p, wf, exposedParameters));
+    }
+
+    // ComfyUI reads inputs from its own input/ dir. A local worker shares it
+    // with the upload route, so the names pass through untouched.
+    async _prepareInputs(jobId, { paramValues, inputs }) {
+        return { paramValues, inputs };
+    }
+
+    async submit(jobId, apiWorkflow, opts) {
+        if (this._state !== 'idle') {
+            throw new Error(`Worker not idle (state=${this._state})`);
+        }
+        this._setState('busy');
+        this.currentJobId = jobId;
+        const exposedParameters = opts.exposedParameters || [];
+        const paramValues = opts.paramValues || {};
+        const inputs = opts.inputs || [];
+        const filenamePrefix = opts.filenamePrefix;
+
+        const lifecycleResult = await this.lifecycle.beforeJob({
+            workflowId: opts.workflowId,
+            needGb: opts.vramNeedGb ?? opts.requirements?.minVRAM ?? 0
+        });
+        if (lifecycleResult.freed) {
+            const { needGb, freeGb, freeAfterGb } = lifecycleResult;
+            const measured = freeGb != null ? ` (needs ${needGb} GB, ${freeGb} GB free → ${freeAfterGb ?? '?'} GB)` : '';
+            console.log(`${this.tag} /free invoked: ${lifecycleResult.reason}${measured}`);
+        }
+        this._abortIfCancelled(jobId);
+
+        let prepared;
+        try {
+            prepared = await this._prepareInputs(jobId, { paramValues, exposedParameters, inputs });
+        } catch (e) {
+            this._resetCurrent();
+            this._setState('idle');
+            throw new Error(`input upload failed: ${e.message}`);
+        }
+
+        const wf = this._materializeWorkflow(apiWorkflow, { ...prepared, exposedParameters, filenamePrefix });
+        this._graph = Object.fromEntries(Object.entries(wf).map(([id, node]) => [id, node?._meta?.title || node?.class_type || id]));
+
+        const problems = await this._validateGraph(wf, { exposedParameters, inputs: prepared.inputs });
+        if (problems.length > 0) {
+            this._resetCurrent();
+            this._setState('idle');
+            throw new Error(`Invalid settings: ${problems.join('; ')}`);
+        }
+        this._abortIfCancelled(jobId);
+
+        let resp;
+        try {
+            resp = await this.rest.submitPrompt(wf, this.clientId);
+        } catch (e) {
+            this._resetCurrent();
+            this._setState('idle');
+            // Word ComfyUI's validation errors like ours; anything else raw.
+            const described = describeNodeErrors(e.response?.data?.node_errors, wf, exposedParameters);
+            const detail = described.length > 0 ? described.join('; ')
+                : e.response?.data ? JSON.stringify(e.response.data) : e.message;
+            const err = new Error(`/prompt rejected: ${detail}`);
+            err.cause = e;
+            throw err;
+        }
+
+        if (!resp || !resp.prompt_id) {
+            this._resetCurrent();
+            this._setState('idle');
+            const nodeErrors = resp?.node_errors;
+            throw new Error(`/prompt did not return prompt_id${nodeErrors ? `: ${JSON.stringify(nodeErrors)}` : ''}`);
+        }
+
+        // Cancelled while /prompt was on its way: only a prompt that really
+        // left ComfyUI ends the job here. One ComfyUI kept (or already ran) is
+        // tracked like any other, and collection finishes the job.
+        if (this._cancelRequested === jobId) {
+            console.log(`${this.tag} job ${jobId.slice(0, 8)} cancelled during submit — withdrawing prompt ${resp.prompt_id.slice(0, 8)}`);
+            let how;
+            try {
+                how = await this._withdraw(resp.prompt_id);
+            } catch (e) {
+                console.warn(`${this.tag} withdraw err:`, e.message);
+                how = 'comfyui-unreachable';
+            }
+            if (how === 'dequeued' || how === 'interrupted') this._abortIfCancelled(jobId, how);
+            console.warn(`${this.tag} job ${jobId.slice(0, 8)} could not be withdrawn (${how}) — keeping it`);
+            this._settleCancel({ cancelled: false, how });
+        }
+
+        this.currentPromptId = resp.prompt_id;
+        const queueAhead = (resp.number != null) ? resp.number : '?';
+        console.log(`${this.tag} job ${jobId.slice(0, 8)} accepted by ComfyUI — prompt=${this.currentPromptId.slice(0, 8)} queue#=${queueAhead}`);
+        this.emit('submitted', { jobId, promptId: this.currentPromptId });
+        return { promptId: this.currentPromptId };
+    }
+
+    // Boot-time re-attach to a prompt submitted before a server restart. The
+    // prompt was queued under the previous process's clientId, so ComfyUI
+    // won't stream its WS progress to us — completion is picked up by the
+    // executor's /history poll instead.
+    attach(jobId, promptId) {
+        if (this._state !== 'idle') throw new Error(`Worker not idle (state=${this._state})`);
+        this.currentJobId = jobId;
+        this.currentPromptId = promptId;
+        this._setState('busy');
+        console.log(`${this.tag} re-attached job ${jobId.slice(0, 8)} to prompt ${promptId.slice(0, 8)}`);
+    }
+
+    // Called by the executor after collecting outputs (on 'execution-finished'
+    // or via polling fallback). Releases the worker for the next job.
+    finalize({ success }) {
+        const jobId = this.currentJobId;
+        const promptId = this.currentPromptId;
+        this._resetCurrent();
+        this._setState('idle');
+        return { jobId, promptId, success };
+    }
+
+    // cancel() came in while submit() was on its way to /prompt: drop the
+    // job and fail submit() with 'cancelled' (the executor records it).
+    _abortIfCancelled(jobId, how = 'before-submit') {
+        if (this._cancelRequested !== jobId) return;
+        this._settleCancel({ cancelled: true, how });
+        this._resetCurrent();
+        this._setState('idle');
+        throw new Error('cancelled');
+    }
+
+    // Where a prompt is in ComfyUI's queue: 'running', 'pending', or null
+    // once it has finished (or was never there).
+    async _promptPosition(promptId) {
+        const q = await this.rest.getQueue();
+        const has = (rows) => (rows || []).some(row => row?.[1] === promptId);
+        if (has(q?.queue_running)) return 'running';
+        if (has(q?.queue_pending)) return 'pending';
+        return null;
+    }
+
+    // Take our prompt back from ComfyUI without touching anyone else's — with
+    // lan_access on, people also queue there directly, and /interrupt stops
+    // whatever is running. A waiting prompt is deleted from the queue; only
+    // a prompt /queue lists as running is interrupted. Resolves to what happened:
+    // 'dequeued' | 'interrupted' | 'still-queued' | 'already-finished'.
+    async _withdraw(promptId) {
+        let where = await this._promptPosition(promptId);
+        if (where === 'pending') {
+            await this.rest.deleteFromQueue([promptId]);
+            // It may have started between the two calls.
+            where = await this._promptPosition(promptId);
+            if (where === null) return 'dequeued';
+        }
+        if (where === 'running') {
+            await this.rest.interrupt({ promptId });
+            return 'interrupted';
+        }
+        return where === 'pending' ? 'still-queued' : 'already-finished';
+    }
+
+    // Stop this worker's job. Resolves { cancelled, how } so the caller can
+    // say truthfully whether it took:
+    //   cancelled: true   how 'before-submit' (stopped before /prompt — never
+    //                     reaches ComfyUI), 'dequeued' or 'interrupted'
+    //   cancelled: false  how 'not-on-worker', 'already-finished' (the executor
+    //                     collects it as usual), 'still-queued',
+    //                     'comfyui-unreachable' (/queue didn't answer; the job
+    //                     stays on the worker) or 'submit-failed' (it failed
+    //                     on its own before reaching ComfyUI)
+    // A cancel during submit() resolves once submit() knows which it was.
+    // On success the worker is released and emits 'failed' with 'cancelled'.
+    async cancel(jobId) {
+        if (this.currentJobId !== jobId) return { cancelled: false, how: 'not-on-worker' };
+        const promptId = this.currentPromptId;
+        if (!promptId) {
+            this._cancelRequested = jobId;
+            return new Promise(resolve => this._cancelWaiters.push(resolve));
+        }
+        let how;
+        try {
+            how = await this._withdraw(promptId);
+        } catch (e) {
+            console.warn(`${this.tag} cancel: ComfyUI unreachable (${e.message}) — job ${jobId.slice(0, 8)} left running`);
+            how = 'comfyui-unreachable';
+        }
+        if (how !== 'dequeued' && how !== 'interrupted') return { cancelled: false, how };
+        // It may have finished or failed while we were asking.
+        if (this.currentJobId !== jobId) return { cancelled: false, how: 'already-finished' };
+        this._resetCurrent();
+        this._setState('idle');
+        console.log(`${this.tag} job ${jobId.slice(0, 8)} cancelled (${how})`);
+        this.emit('failed', { jobId, promptId, errorReason: 'cancelled', errorPhase: 'executing' });
+        return { cancelled: true, how };
+    }
+
+    // Relaunch the ComfyUI behind this worker — the watchdog's way out of a
+    // node that ignores /interrupt. Only workers that own their ComfyUI can;
+    // the rest answer false and leave it alone.
+    async restartProcess() {
+        return false;
+    }
+
+    async shutdown() {
+        if (this.ws) this.ws.close();
+    }
+}
+
+module.exports = { ComfyApiWorker, CLIENT_ID_PREFIX };
@@ -4,11 +4,27 @@ const path = require('path');
 const EventEmitter = require('events');
 const axios = require('axios');
 
+const STDERR_TAIL_LINES = 20;
+const STOP_TIMEOUT_MS = 10000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
 // Owns the ComfyUI child process lifecycle. v2 design: spawn once, keep alive.
-// If ComfyUI exits, we emit 'exited' and let the LocalComfyUIWorker decide
-// whether to respawn (default: yes, with backoff).
+//
+// With `supervisor` options (comfy_ui.supervisor) it is also the process's
+// supervisor: when a ComfyUI we spawned exits without stop() having asked it
+// to, it is respawned after `backoffSec`, doubling per crash up to
+// `maxBackoffSec`, and is only reported up again once its API answers. After
+// `maxCrashes` crashes within `windowSec` it gives up and stays down until
+// someone starts it by hand. An external ComfyUI is never supervised.
+//
+// Events: 'exited' { code, signal, expected } on every exit ('expected' when
+// stop() caused it); 'restarting' { crashes, delayMs, code, signal };
+// 'restarted' { restarts }; 'gave-up' { at, crashes, reason }; 'output'
+// { stream: 'stdout'|'stderr', line } for every line ComfyUI prints (a tqdm
+// redraw ends in \r, so each progress update is a line of its own).
 class ComfyProcess extends EventEmitter {
-    constructor({ rootPath, pythonExecutable, host, bindHost, port, installationType, onMilestone }) {
+    constructor({ rootPath, pythonExecutable, host, bindHost, port, installationType, cudaVisibleDevices = '', previews = false, name = '', onMilestone, supervisor = null }) {
         super();
         this.rootPath = rootPath;
         this.pythonExecutable = pythonExecutable;
@@ -19,6 +35,11 @@ class ComfyProcess extends EventEmitter {
         this.bindHost = bindHost || host;
         this.port = port;
         this.installationType = installationType || 'portable';
+        // Pool workers pin their ComfyUI to one GPU; '' inherits the parent's.
+        this.cudaVisibleDevices = cudaVisibleDevices;
+        this.previews = previews;
+        // Output prefix; pool workers add their id so two ComfyUIs stay apart.
+        this.outTag = name ? `[ComfyUI ${name}]` : '[ComfyUI]';
         this.proc = null;
         // Boot-milestone callback (see LocalComfyUIWorker). Used here to
         // reprint the LAN URL banner the moment ComfyUI's comfyregistry
@@ -26,10 +47,37 @@ class ComfyProcess extends EventEmitter {
         // and the last big block of startup noise. Defaults to no-op.
         this.onMilestone = onMilestone || (() => {});
         this._registryMilestoneFired = false;
-        // Line buffer for stdout. Python flushes can split a single line
-        // across two 'data' events, so a regex against each chunk alone
+        // Line buffers for stdout/stderr. Python flushes can split a single
+        // line across two 'data' events, so a regex against each chunk alone
         // would miss matches that straddle the boundary.
         this._stdoutBuf = '';
+        // Supervision state. `stderrTail` keeps ComfyUI's last stderr lines —
+        // the traceback of a crash — for the give-up reason.
+        this.supervisor = supervisor?.enabled ? supervisor : null;
+        this.restarts = 0;
+        this.crashes = [];            // crash timestamps within the window
+        this.lastExit = null;         // { code, signal, at, expected }
+        this.gaveUp = null;           // { at, crashes, reason }
+        this.stderrTail = [];
+        this._stderrBuf = '';
+        this._stopRequested = new WeakSet();
+        this._restartTimer = null;
+        this._restarting = false;
+        // Bumped by every stop(), so a restart in progress can tell that it
+        // was called off while it awaited.
+        this._generation = 0;
+    }
+
+    supervisorStatus() {
+        const windowMs = (this.supervisor?.windowSec || 0) * 1000;
+        return {
+            enabled: !!this.supervisor,
+            restarts: this.restarts,
+            crashesInWindow: this.crashes.filter(t => Date.now() - t < windowMs).length,
+            restarting: !!this._restartTimer || this._restarting,
+            lastExit: this.lastExit,
+            gaveUp: this.gaveUp
+        };
     }
 
     validate() {
@@ -53,6 +101,13 @@ class ComfyProcess extends EventEmitter {
 
     async start() {
         this.validate();
+        // A start after giving up is someone's deliberate retry — the crash
+        // count starts over. (The supervisor's own restarts never get here
+        // once it gave up.)
+        if (this.gaveUp) {
+            this.gaveUp = null;
+            this.crashes = [];
+        }
         // If something is already responding on the port, assume an external
         // ComfyUI is running and don't try to spawn our own.
         if (await this.isApiResponsive()) {
@@ -78,6 +133,9 @@ class ComfyProcess extends EventEmitter {
             '--port', String(this.port),
             '--disable-auto-launch'
         ];
+        // --preview-method auto — stream latent previews (TAESD when its
+        //   decoders are installed, latent2rgb otherwise) for livePreviews.
+        if (this.previews) comfyArgs.push('--preview-method', 'auto');
         if (this.installationType === 'portable') {
             pyArgs.push('-s');
             comfyArgs.push('--windows-standalone-build');
@@ -108,30 +166,128 @@ class ComfyProcess extends EventEmitter {
                 env[pathKey] = after.join(path.delimiter);
             }
         }
-        console.log(`[ComfyProcess] Spawning: ${this.pythonExecutable} ${args.join(' ')}`);
-        this.proc = spawn(this.pythonExecutable, args, {
+        if (this.cudaVisibleDevices) env.CUDA_VISIBLE_DEVICES = this.cudaVisibleDevices;
+        const gpuTag = this.cudaVisibleDevices ? `CUDA_VISIBLE_DEVICES=${this.cudaVisibleDevices} ` : '';
+        console.log(`[ComfyProcess] Spawning: ${gpuTag}${this.pythonExecutable} ${args.join(' ')}`);
+        const proc = spawn(this.pythonExecutable, args, {
             cwd: this.rootPath,
             env
         });
-        this.proc.stdout.on('data', d => this._handleStdoutChunk(d));
-        this.proc.stderr.on('data', d => process.stderr.write(`[ComfyUI!] ${d}`));
-        this.proc.on('exit', (code, signal) => {
+        this.proc = proc;
+        this.stderrTail = [];
+        this._stdoutBuf = '';
+        this._stderrBuf = '';
+        proc.stdout.on('data', d => this._handleStdoutChunk(d));
+        proc.stderr.on('data', d => {
+            process.stderr.write(`${this.outTag.slice(0, -1)}!] ${d}`);
+            for (const line of this._splitLines('stderr', d)) {
+                this.emit('output', { stream: 'stderr', line });
+                this._keepStderr(line);
+            }
+        });
+        proc.on('exit', (code, signal) => {
             console.log(`[ComfyProcess] Exited code=${code} signal=${signal}`);
-            this.proc = null;
-            this.emit('exited', { code, signal });
+            if (this.proc === proc) this.proc = null;
+            const expected = this._stopRequested.has(proc);
+            this.lastExit = { code, signal, at: Date.now(), expected };
+            this.emit('exited', { code, signal, expected });
+            if (!expected) this._onCrash({ code, signal });
         });
         return { external: false };
     }
 
-    // Pipes ComfyUI's stdout through with the original `[ComfyUI]` prefix
-    // AND scans for the comfyregistry fetch terminal log line. On the
-    // first match per boot, fires onMilestone() so the LAN URL banner
-    // reprints right after the noisy registry block finishes — that's
-    // the moment workshop admins actually want the URLs visible.
+    // Complete lines of `chunk` on top of what's buffered for `stream`; the
+    // unterminated rest stays buffered. Guards against pathological input (a
+    // single line that never terminates) bloating memory: 64 KiB is far past
+    // any real log line, so truncate from the front and keep the tail.
+    _splitLines(stream, chunk) {
+        const key = stream === 'stderr' ? '_stderrBuf' : '_stdoutBuf';
+        const lines = (this[key] + chunk.toString('utf8')).split(/\r\n|\n|\r/);
+        this[key] = lines.pop();
+        if (this[key].length > 65536) this[key] = this[key].slice(-32768);
+        return lines;
+    }
+
+    // Last STDERR_TAIL_LINES non-empty stderr lines of the current process,
+    // progress bars aside.
+    _keepStderr(line) {
+        if (!line.trim() || /^\s*\d+%\|/.test(line)) return;
+        this.stderrTail.push(line);
+        if (this.stderrTail.length > STDERR_TAIL_LINES) this.stderrTail = this.stderrTail.slice(-STDERR_TAIL_LINES);
+    }
+
+    // An exit nobody asked for (or a restart that never came up): schedule a
+    // respawn with backoff, or give up when it keeps happening.
+    _onCrash({ code = null, signal = null, error = null } = {}) {
+        if (!this.supervisor) return;
+        const { maxCrashes, windowSec, backoffSec, maxBackoffSec } = this.supervisor;
+        const now = Date.now();
+        this.crashes = this.crashes.filter(t => now - t < windowSec * 1000).concat(now);
+        if (this.crashes.length >= maxCrashes) {
+            const tail = [...this.stderrTail, this._stderrBuf].filter(l => l.trim()).slice(-5).join('\n');
+            const reason = `ComfyUI crashed ${this.crashes.length} times in ${Math.round(windowSec / 60)} min — not restarting it again.`
+                + (error ? ` Last error: ${error}` : '')
+                + (tail ? `\nLast output:\n${tail}` : '');
+            this.gaveUp = { at: now, crashes: this.crashes.length, reason };
+            console.error(`[ComfyProcess] ${reason}`);
+            this.emit('gave-up', this.gaveUp);
+            return;
+        }
+        const delayMs = Math.round(Math.min(maxBackoffSec, backoffSec * 2 ** (this.crashes.length - 1)) * 1000);
+        console.warn(`[ComfyProcess] crash ${this.crashes.length}/${maxCrashes} in the last ${Math.round(windowSec / 60)} min — restarting in ${Math.round(delayMs / 100) / 10}s`);
+        this.emit('restarting', { crashes: this.crashes.length, delayMs, code, signal });
+        this._restartTimer = setTimeout(() => this._restart(), delayMs);
+    }
+
+    async _restart() {
+        this._restartTimer = null;
+        this._restarting = true;
+        const generation = this._generation;
+        // stop() ran while we awaited: whatever this restart spawned must go too.
+        const calledOff = async () => {
+            if (this._generation === generation) return false;
+            console.log('[ComfyProcess] restart called off by stop()');
+            if (this.proc) await this.stop();
+            return true;
+        };
+        try {
+            try {
+                await this.start();
+            } catch (e) {
+                if (await calledOff()) return;
+                console.error(`[ComfyProcess] restart failed: ${e.message}`);
+                return this._onCrash({ error: e.message });
+            }
+            if (await calledOff()) return;
+            try {
+                await this.waitForApi();
+            } catch (e) {
+                if (await calledOff()) return;
+                // Died while booting — its exit already counted as a crash.
+                if (!this.proc) return;
+                console.error(`[ComfyProcess] restarted ComfyUI never answered: ${e.message}`);
+                await this.stop();
+                return this._onCrash({ error: e.message });
+            }
+            if (await calledOff()) return;
+            this.restarts++;
+            console.log(`[ComfyProcess] ComfyUI is back (restart #${this.restarts})`);
+            this.emit('restarted', { restarts: this.restarts });
+        } finally {
+            this._restarting = false;
+        }
+    }
+
+    // Pipes ComfyUI's stdout through with the original `[ComfyUI]` prefix,
+    // emits it line by line as 'output', AND scans for the comfyregistry
+    // fetch terminal log line. On the first match per boot, fires
+    // onMilestone() so the LAN URL banner reprints right after the noisy
+    // registry block finishes — that's the moment workshop admins actually
+    // want the URLs visible.
     //
-    // Matching uses a line buffer because Python's stdout flush can split
-    // a single line across multiple 'data' chunks; regex-per-chunk would
-    // miss boundary-crossing matches.
+    // Matching goes line by line (see _splitLines) because Python's stdout
+    // flush can split a single line across multiple 'data' chunks;
+    // regex-per-chunk would miss boundary-crossing matches.
     //
     // Terminal patterns observed in this codebase / ComfyUI Manager:
     //   "Comfyregistry has been fetched"         (success)
@@ -139,44 +295,47 @@ class ComfyProcess extends EventEmitter {
     //   plus generic done/complete/failed variants for forward compat.
     _handleStdoutChunk(chunk) {
         // Pass-through write — preserves the existing operator UX.
-        process.stdout.write(`[ComfyUI] ${chunk}`);
-        if (this._registryMilestoneFired) return;
-        this._stdoutBuf += chunk.toString('utf8');
-        let idx;
-        while ((idx = this._stdoutBuf.indexOf('\n')) !== -1) {
-            const line = this._stdoutBuf.slice(0, idx);
-            this._stdoutBuf = this._stdoutBuf.slice(idx + 1);
-            if (/comfyregistry/i.test(line) && /(fetched|cannot|failed|done|complete|skip)/i.test(line)) {
+        process.stdout.write(`${this.outTag} ${chunk}`);
+        for (const line of this._splitLines('stdout', chunk)) {
+            this.emit('output', { stream: 'stdout', line });
+            if (!this._registryMilestoneFired && /comfyregistry/i.test(line) && /(fetched|cannot|failed|done|complete|skip)/i.test(line)) {
                 this._registryMilestoneFired = true;
                 this.onMilestone('ComfyUI registry fetch completed');
-                // Stop buffering — we found what we wanted, no need to
-                // hold partial lines or scan further.
-                this._stdoutBuf = '';
-                return;
             }
         }
-        // Guard against pathological input (a single line that never
-        // terminates) bloating memory. 64 KiB is far past any real log
-        // line; truncate from the front so we still match the tail.
-        if (this._stdoutBuf.length > 65536) {
-            this._stdoutBuf = this._stdoutBuf.slice(-32768);
-        }
     }
 
     async waitForApi(timeoutMs = 120000) {
         const start = Date.now();
+        const proc = this.proc;
         while (Date.now() - start < timeoutMs) {
             if (await this.isApiResponsive()) return;
-            await new Promise(r => setTimeout(r, 1500));
+            if (proc && this.proc !== proc) throw new Error('ComfyUI exited while starting');
+            await sleep(1500);
         }
         throw new Error(`Timeout waiting for ComfyUI API at ${this.host}:${this.port}`);
     }
 
+    // Stops the process on purpose — the supervisor leaves this exit alone
+    // and drops any restart it had pending or in progress. A ComfyUI that
+    // ignores SIGTERM for STOP_TIMEOUT_MS gets SIGKILL; this.proc is only
+    // cleared by its exit.
     async stop() {
-        if (this.proc) {
-            this.proc.kill();
-            await new Promise(r => setTimeout(r, 500));
-            this.proc = null;
+        this._generation++;
+        if (this._restartTimer) {
+            clearTimeout(this._restartTimer);
+            this._restartTimer = null;
+        }
+        const proc = this.proc;
+        if (proc) {
+            this._stopRequested.add(proc);
+            const exited = new Promise(r => proc.once('exit', () => r(true)));
+            proc.kill();
+            if (!await Promise.race([exited, sleep(STOP_TIMEOUT_MS)])) {
+                console.warn(`[ComfyProcess] ComfyUI still running ${STOP_TIMEOUT_MS / 1000}s after SIGTERM — killing it`);
+                proc.kill('SIGKILL');
+                await Promise.race([exited, sleep(STOP_TIMEOUT_MS)]);
+            }
         }
     }
 }
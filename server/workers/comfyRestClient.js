@@ -6,9 +6,11 @@ class ComfyRestClient {
         this.http = axios.create({ baseURL: this.base, timeout: 30000 });
     }
 
-    async ping() {
-        const r = await this.http.get('/system_stats');
-        return r.data;
+    // GET /system_stats — doubles as the liveness probe. `devices` carries
+    // each GPU's vram_total / vram_free in bytes.
+    async ping({ timeoutMs } = {}) {
+        const r = await this.http.get('/system_stats', timeoutMs ? { timeout: timeoutMs } : undefined);
+        return r.data; // { system: {...}, devices: [{ name, type, vram_total, vram_free, … }] }
     }
 
     async submitPrompt(promptData, clientId) {
@@ -21,8 +23,29 @@ class ComfyRestClient {
         return r.data; // { [promptId]: { outputs: { [nodeId]: {...} }, status: {...} } }
     }
 
-    async interrupt() {
-        await this.http.post('/interrupt');
+    async getQueue() {
+        const r = await this.http.get('/queue');
+        return r.data; // { queue_running: [[number, prompt_id, prompt, extra, outputs]], queue_pending: [...] }
+    }
+
+    // Every node class ComfyUI has loaded, with its input spec — combo
+    // inputs list their choices (model files for loaders). Several MB.
+    async getObjectInfo({ timeoutMs = 30000 } = {}) {
+        const r = await this.http.get('/object_info', { timeout: timeoutMs });
+        return r.data; // { [class_type]: { input: { required, optional }, output, … } }
+    }
+
+    // Withdraw prompts that haven't started yet. ComfyUI ignores ids that
+    // aren't pending (already running or finished), so check /queue after.
+    async deleteFromQueue(promptIds) {
+        await this.http.post('/queue', { delete: promptIds });
+    }
+
+    // Stop the running prompt. With `promptId`, ComfyUI builds that know the
+    // field only interrupt when that prompt is the one running; older ones
+    // ignore it, so callers check /queue first rather than rely on it.
+    async interrupt({ promptId } = {}) {
+        await this.http.post('/interrupt', promptId ? { prompt_id: promptId } : undefined);
     }
 
     async free({ unloadModels = true, freeMemory = true } = {}) {
@@ -35,6 +58,17 @@ class ComfyRestClient {
         }
     }
 
+    // Stream one output file from /view (the same URL ComfyUI's UI loads
+    // previews from). Resolves to a readable stream.
+    async view({ filename, subfolder = '', type = 'output' }, { timeoutMs = 300000 } = {}) {
+        const r = await this.http.get('/view', {
+            params: { filename, subfolder, type },
+            responseType: 'stream',
+            timeout: timeoutMs
+        });
+        return r.data;
+    }
+
     async uploadImage(buffer, filename, { subfolder = '', overwrite = '1' } = {}) {
         const FormData = require('form-data');
         const fd = new FormData();
@@ -1,8 +1,32 @@
 const EventEmitter = require('events');
 const WebSocket = require('ws');
 
+// ComfyUI's binary frames start with a big-endian u32 event type.
+const PREVIEW_IMAGE = 1;                  // u32 image type, then JPEG/PNG bytes
+const PREVIEW_IMAGE_WITH_METADATA = 4;    // u32 JSON length, JSON, then image bytes
+const IMAGE_MIME = { 1: 'image/jpeg', 2: 'image/png' };
+
+// Decodes a binary latent-preview frame into { mime, data, meta } (meta has
+// prompt_id / node_id when ComfyUI sent them), or null for other frames.
+function decodePreview(buf) {
+    if (buf.length < 8) return null;
+    const event = buf.readUInt32BE(0);
+    if (event === PREVIEW_IMAGE) {
+        return { mime: IMAGE_MIME[buf.readUInt32BE(4)] || 'image/jpeg', data: buf.subarray(8), meta: null };
+    }
+    if (event === PREVIEW_IMAGE_WITH_METADATA) {
+        const len = buf.readUInt32BE(4);
+        if (buf.length < 8 + len) return null;
+        let meta = null;
+        try { meta = JSON.parse(buf.subarray(8, 8 + len).toString('utf8')); } catch { return null; }
+        return { mime: meta.image_type || 'image/jpeg', data: buf.subarray(8 + len), meta };
+    }
+    return null;
+}
+
 // Auto-reconnecting WebSocket client for ComfyUI.
-// Emits parsed JSON messages as 'message' events and connection state as
+// Emits parsed JSON messages as 'message' events, decoded latent previews as
+// 'preview' events ({ mime, data: Buffer, meta }) and connection state as
 // 'open' / 'close' / 'error' events. Reconnects with exponential backoff.
 class ComfyWsClient extends EventEmitter {
     constructor({ host, port, clientId }) {
@@ -20,14 +44,22 @@ class ComfyWsClient extends EventEmitter {
         this.ws = ws;
         ws.on('open', () => {
             this.backoffMs = 1000;
+            // Ask for previews tagged with their prompt/node (newer ComfyUI;
+            // older builds ignore the message and send bare frames).
+            try { ws.send(JSON.stringify({ type: 'feature_flags', data: { supports_preview_metadata: true } })); } catch { /* ignore */ }
             this.emit('open');
         });
-        ws.on('message', (data) => {
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                const preview = decodePreview(Buffer.isBuffer(data) ? data : Buffer.from(data));
+                if (preview) this.emit('preview', preview);
+                return;
+            }
             try {
                 const msg = JSON.parse(data.toString());
                 this.emit('message', msg);
             } catch (e) {
-                // ComfyUI also sends binary preview frames; ignore.
+                // Not JSON — nothing we understand.
             }
         });
         ws.on('error', (err) => this.emit('error', err));
@@ -50,4 +82,4 @@ class ComfyWsClient extends EventEmitter {
     }
 }
 
-module.exports = { ComfyWsClient };
+module.exports = { ComfyWsClient, decodePreview };
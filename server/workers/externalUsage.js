@@ -0,0 +1,275 @@
+const EventEmitter = require('events');
+const { CLIENT_ID_PREFIX } = require('./comfyApiWorker');
+
+// ExternalUsage — prompts in a worker's ComfyUI that ComfyQ didn't queue.
+// With comfy_ui.lan_access on, people open ComfyUI's own web UI and run
+// workflows on the GPU directly; ComfyQ's jobs would sit behind them in
+// ComfyUI's queue with ETAs that no longer hold. Each worker's GET /queue is
+// read every POLL_MS, and right away when its WS reports queue activity that
+// isn't our prompt's ('queue-activity', see ComfyApiWorker). Any running or
+// pending prompt whose client_id isn't a ComfyQ one is external.
+//
+// What is found is used three ways:
+//   - the executor hands no job to a worker while its ComfyUI has external
+//     prompts (isBusy), so ComfyQ jobs wait in ComfyQ's queue, where they can
+//     still be cancelled or moved, instead of behind someone else's in ComfyUI
+//   - blocks() — "occupancy" per worker, [{ id, workerId, promptId, start,
+//     end, running }] — which RealtimeBus broadcasts for the Scheduler
+//     timeline and JobQueue.projectStarts() pushes ETAs back with
+//   - with comfy_ui.external.block set, direct use is turned away: external
+//     pending prompts are deleted from ComfyUI's queue and a running one is
+//     interrupted ('always', or 'class-hours' inside comfy_ui.external.classHours)
+//
+// How long an external prompt runs is unknown. A block lasts the median of
+// the last external runs seen (DEFAULT_PROMPT_MS before any), or what its
+// progress says when its WS events reach us, and stretches while it overruns.
+//
+// Emits 'change' after a poll that found or cleared external prompts, and
+// 'alert' { kind: 'external-blocked', workerId, message } when it turned
+// some away (at most once per ALERT_EVERY_MS per worker).
+
+const POLL_MS = 3000;
+const ACTIVITY_DEBOUNCE_MS = 250;
+const DEFAULT_PROMPT_MS = 60_000;
+// A running external prompt is assumed to need at least this much longer.
+const MIN_REMAINING_MS = 10_000;
+const DURATION_SAMPLES = 10;
+const ALERT_EVERY_MS = 5 * 60_000;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "mon-fri 09:00-12:30, sat 10:00-12:00" → [{ days: [1, 2, 3, 4, 5], from: 540,
+// to: 750 }, …] with minutes after midnight, server local time. Entries are
+// separated by commas or semicolons; without a day (range) one applies every
+// day. Throws on anything it can't read.
+function parseClassHours(text) {
+    const out = [];
+    for (const part of String(text || '').split(/[,;]/).map(s => s.trim()).filter(Boolean)) {
+        const m = part.toLowerCase().match(/^(?:([a-z]{3})(?:\s*-\s*([a-z]{3}))?\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!m) throw new Error(`Class hours: can't read "${part}" — use e.g. "mon-fri 09:00-12:30"`);
+        const [, d1, d2, h1, m1, h2, m2] = m;
+        const first = d1 ? DAYS.indexOf(d1) : 0;
+        const last = d2 ? DAYS.indexOf(d2) : (d1 ? first : 6);
+        if (first < 0 || last < 0) throw new Error(`Class hours: unknown day in "${part}" (use ${DAYS.join(', ')})`);
+        const from = Number(h1) * 60 + Number(m1);
+        const to = Number(h2) * 60 + Number(m2);
+        if (Number(m1) > 59 || Number(m2) > 59 || to > 24 * 60 || to <= from) {
+            throw new Error(`Class hours: "${part}" is not a time range within one day`);
+        }
+        const days = [];
+        for (let d = first; ; d = (d + 1) % 7) {
+            days.push(d);
+            if (d === last) break;
+        }
+        out.push({ days, from, to });
+    }
+    return out;
+}
+
+function inClassHours(windows, date = new Date()) {
+    const minute = date.getHours() * 60 + date.getMinutes();
+    return windows.some(w => w.days.includes(date.getDay()) && minute >= w.from && minute < w.to);
+}
+
+class ExternalUsage extends EventEmitter {
+    constructor({ workers, configManager, pollMs = POLL_MS }) {
+        super();
+        this.workers = workers;
+        this.configManager = configManager;
+        this.pollMs = pollMs;
+        this.timer = null;
+        // workerId → { prompts: Map(promptId → { promptId, running, startedAt,
+        // progress, turnedAway }) in ComfyUI's queue order, ownWaiting, at }.
+        // Workers whose /queue didn't answer have no entry (= not busy).
+        this._state = new Map();
+        // Observed run times of finished external prompts (ms), newest last.
+        this._durations = [];
+        this._debounce = new Map();
+        this._polling = new Set();
+        this._lastAlertAt = new Map();
+        this._hours = { text: null, windows: [] };
+    }
+
+    start() {
+        for (const w of this.workers) w.on('queue-activity', (a) => this._onActivity(w, a));
+        this.timer = setInterval(() => this.pollAll(), this.pollMs);
+        this.timer.unref?.();
+        this.pollAll();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        for (const t of this._debounce.values()) clearTimeout(t);
+        this._debounce.clear();
+    }
+
+    pollAll() {
+        return Promise.all(this.workers.map(w => this._poll(w)));
+    }
+
+    // Does this worker's ComfyUI have prompts ComfyQ didn't queue?
+    isBusy(workerId) {
+        return (this._state.get(workerId)?.prompts.size || 0) > 0;
+    }
+
+    // Is our `promptId` waiting in ComfyUI's queue behind an external prompt?
+    isWaiting(workerId, promptId) {
+        return !!promptId && this._state.get(workerId)?.ownWaiting === promptId;
+    }
+
+    // Typical run time of an external prompt.
+    typicalMs() {
+        if (this._durations.length === 0) return DEFAULT_PROMPT_MS;
+        const sorted = [...this._durations].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    // Occupancy, per worker in ComfyUI's queue order: the running prompt from
+    // when it was first seen running, the pending ones one after another.
+    blocks(now = Date.now()) {
+        const typical = this.typicalMs();
+        const out = [];
+        for (const [workerId, st] of this._state) {
+            let t = now;
+            for (const p of st.prompts.values()) {
+                let start = t;
+                let end = t + typical;
+                if (p.running) {
+                    start = p.startedAt;
+                    end = p.startedAt + typical;
+                    const pr = p.progress;
+                    if (pr && pr.max > 0 && pr.value > 0) end = p.startedAt + (pr.at - p.startedAt) * pr.max / pr.value;
+                    end = Math.max(end, now + MIN_REMAINING_MS);
+                }
+                out.push({ id: `ext-${p.promptId}`, workerId, promptId: p.promptId, start, end: Math.round(end), running: p.running });
+                t = end;
+            }
+        }
+        return out;
+    }
+
+    // Why direct use is being turned away right now ('always' /
+    // 'class hours'), or null. Read per poll so a changed setting applies live.
+    blockReason(now = new Date()) {
+        const ext = this.configManager.load().config.comfy_ui.external || {};
+        if (ext.block === 'always') return 'always';
+        if (ext.block !== 'class-hours') return null;
+        if (this._hours.text !== ext.classHours) {
+            this._hours.text = ext.classHours;
+            try {
+                this._hours.windows = parseClassHours(ext.classHours);
+            } catch (e) {
+                console.warn(`[External] ${e.message} — not blocking`);
+                this._hours.windows = [];
+            }
+        }
+        return inClassHours(this._hours.windows, now) ? 'class hours' : null;
+    }
+
+    // A WS message about someone else's prompt, or ComfyUI's queue changing.
+    // Progress of an external prompt sharpens its block; anything else is a
+    // cue to read /queue now rather than at the next poll.
+    _onActivity(w, { type, promptId, data }) {
+        const p = promptId ? this._state.get(w.id)?.prompts.get(promptId) : null;
+        if (p && type === 'progress') {
+            p.progress = { value: data.value, max: data.max, at: Date.now() };
+            return;
+        }
+        if (this._debounce.has(w.id)) return;
+        this._debounce.set(w.id, setTimeout(() => {
+            this._debounce.delete(w.id);
+            this._poll(w);
+        }, ACTIVITY_DEBOUNCE_MS));
+    }
+
+    _isOurs(promptId, clientId) {
+        if (clientId && String(clientId).startsWith(CLIENT_ID_PREFIX)) return true;
+        return this.workers.some(w => w.currentPromptId === promptId);
+    }
+
+    async _poll(w) {
+        if (this._polling.has(w.id)) return;
+        const state = w.getStatus().state;
+        if (state !== 'idle' && state !== 'busy') {
+            if (this._state.delete(w.id)) this.emit('change');
+            return;
+        }
+        this._polling.add(w.id);
+        try {
+            const q = await w.rest.getQueue();
+            await this._update(w, q, Date.now());
+        } catch (e) {
+            if (this._state.delete(w.id)) this.emit('change');
+        } finally {
+            this._polling.delete(w.id);
+        }
+    }
+
+    async _update(w, q, now) {
+        const prev = this._state.get(w.id)?.prompts || new Map();
+        const rows = [
+            ...(q?.queue_running || []).map(row => [row, true]),
+            ...[...(q?.queue_pending || [])].sort((a, b) => a[0] - b[0]).map(row => [row, false])
+        ];
+        const prompts = new Map();
+        let ownWaiting = null;
+        for (const [row, running] of rows) {
+            const promptId = row?.[1];
+            if (!promptId) continue;
+            if (this._isOurs(promptId, row?.[3]?.client_id)) {
+                if (!running && prompts.size > 0 && promptId === w.currentPromptId) ownWaiting = promptId;
+                continue;
+            }
+            const seen = prev.get(promptId);
+            prompts.set(promptId, {
+                promptId, running,
+                startedAt: running ? (seen?.startedAt ?? now) : null,
+                progress: seen?.progress || null,
+                turnedAway: !!seen?.turnedAway
+            });
+        }
+        // Finished external runs teach how long one takes.
+        for (const [id, p] of prev) {
+            if (prompts.has(id) || !p.startedAt || p.turnedAway) continue;
+            this._durations.push(now - p.startedAt);
+            if (this._durations.length > DURATION_SAMPLES) this._durations.shift();
+        }
+
+        const reason = prompts.size > 0 ? this.blockReason() : null;
+        if (reason) await this._turnAway(w, prompts, reason);
+        for (const [id, p] of prompts) if (p.turnedAway && !p.running) prompts.delete(id);
+
+        this._state.set(w.id, { prompts, ownWaiting, at: now });
+        if (prompts.size > 0 || prev.size > 0) this.emit('change');
+    }
+
+    // Delete external pending prompts and interrupt an external running one
+    // (just seen running on /queue — with its prompt_id, ComfyUI builds that
+    // know the field won't stop anything else).
+    async _turnAway(w, prompts, reason) {
+        const fresh = [...prompts.values()].filter(p => !p.turnedAway);
+        if (fresh.length === 0) return;
+        const pending = fresh.filter(p => !p.running).map(p => p.promptId);
+        const running = fresh.find(p => p.running);
+        const on = w.id && this.workers.length > 1 ? ` on ${w.label || w.id}` : '';
+        try {
+            if (pending.length > 0) await w.rest.deleteFromQueue(pending);
+            if (running) await w.rest.interrupt({ promptId: running.promptId });
+        } catch (e) {
+            console.warn(`[External] could not turn away direct ComfyUI use${on}: ${e.message}`);
+            return;
+        }
+        for (const p of fresh) p.turnedAway = true;
+        console.log(`[External] turned away ${fresh.length} prompt(s) queued directly in ComfyUI${on} — direct use is blocked (${reason})`);
+        const last = this._lastAlertAt.get(w.id) || 0;
+        if (Date.now() - last < ALERT_EVERY_MS) return;
+        this._lastAlertAt.set(w.id, Date.now());
+        this.emit('alert', {
+            kind: 'external-blocked', workerId: w.id,
+            message: `Someone ran a prompt directly in ComfyUI${on}; it was stopped because direct use is blocked ${reason === 'always' ? 'at all times' : 'during class hours'}.`
+        });
+    }
+}
+
+module.exports = { ExternalUsage, parseClassHours, inClassHours };
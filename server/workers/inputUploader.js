@@ -18,9 +18,27 @@ class InputUploader {
         return `comfyq__${jobId.slice(0, 8)}__${safe}`;
     }
 
-    // Copy one file. `source` may be an absolute path or a buffer.
-    copy({ jobId, paramKey, originalName, source }) {
-        const dest = path.join(this.inputDir, this.namespacedName(jobId, originalName));
+    // Batch-import inputs (Phase G). The comfyq_batch__ prefix is deliberately
+    // outside sweepStale's comfyq__ match: a large batch can take hours to
+    // drain and its files must still be there when the last item runs.
+    // sweepDrained removes them once it has.
+    batchName(batchId, item, originalName) {
+        const safe = originalName.replace(/[^a-zA-Z0-9._-]/g, '_');
+        return `comfyq_batch__${batchId.slice(0, 8)}__${item}__${safe}`;
+    }
+
+    // Pipeline hand-off: step N's output copied in as step N+1's input. Also
+    // outside sweepStale's match — the next step may wait behind a long queue.
+    // The pipeline runner removes them (cleanupPipeline) once that step is done.
+    pipelineName(runId, step, originalName) {
+        const safe = originalName.replace(/[^a-zA-Z0-9._-]/g, '_');
+        return `comfyq_pipe__${runId.slice(0, 8)}__${step}__${safe}`;
+    }
+
+    // Copy one file. `source` may be an absolute path or a buffer. `destName`
+    // overrides the per-job name (used for batch staging and pipeline hand-offs).
+    copy({ jobId, paramKey, originalName, source, destName = null }) {
+        const dest = path.join(this.inputDir, destName || this.namespacedName(jobId, originalName));
         if (Buffer.isBuffer(source)) {
             fs.writeFileSync(dest, source);
         } else if (typeof source === 'string') {
@@ -60,6 +78,38 @@ class InputUploader {
         return removed;
     }
 
+    // Remove batch copies whose batch has nothing left to run.
+    // `batchActive(id8)` is asked once per batch, with the short id the file
+    // names carry; a finished job's inputs are in its ingredients by then.
+    sweepDrained({ batchActive }) {
+        const active = new Map();
+        let removed = 0;
+        try {
+            for (const name of fs.readdirSync(this.inputDir)) {
+                const m = name.match(/^comfyq_batch__([0-9a-f]{8})__/);
+                if (!m) continue;
+                if (!active.has(m[1])) active.set(m[1], batchActive(m[1]));
+                if (active.get(m[1])) continue;
+                try { fs.unlinkSync(path.join(this.inputDir, name)); removed++; } catch { /* ignore */ }
+            }
+        } catch { /* dir may not exist yet */ }
+        if (removed) console.log(`[InputUploader] Removed ${removed} input file(s) of finished batches`);
+        return removed;
+    }
+
+    // Hand-off copies of a pipeline run: the one for `step`, or all of them.
+    cleanupPipeline(runId, step = null) {
+        const prefix = `comfyq_pipe__${runId.slice(0, 8)}__${step == null ? '' : `${step}__`}`;
+        let removed = 0;
+        try {
+            for (const name of fs.readdirSync(this.inputDir)) {
+                if (!name.startsWith(prefix)) continue;
+                try { fs.unlinkSync(path.join(this.inputDir, name)); removed++; } catch { /* ignore */ }
+            }
+        } catch { /* ignore */ }
+        return removed;
+    }
+
     // Forced cleanup for a specific job (used after job reaches a terminal
     // state — the executor calls this when it's safe to delete).
     cleanupJob(jobId) {
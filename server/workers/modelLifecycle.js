@@ -1,48 +1,95 @@
 // Decides when to call ComfyUI's /free between jobs to manage VRAM.
-// v2 policy: free models only when switching to a different workflow whose
-// estimated VRAM would push the running total above the configured budget.
-// Open question (per plan): whether back-to-back same-workflow jobs benefit
-// from /free. Default: do NOT free for same-workflow runs.
+// Before each job it reads the GPU's actual free/total VRAM from
+// /system_stats and frees models only when switching to a different workflow
+// that needs more than is free. A workflow's need is its peak usage measured
+// at calibration (runtime.json `peakVramGb`, see vramNeedGb() in
+// workflows/workflowRegistry.js), else meta.requirements.minVRAM.
+// Back-to-back runs of the same workflow never free — their models are the
+// ones resident. When /system_stats doesn't answer, the old static estimate
+// applies: previous + next need against the configured vramBudgetGb.
+
+const GB = 1024 ** 3;
+const STATS_TIMEOUT_MS = 5000;
+
+const roundGb = (bytes) => Math.round((bytes / GB) * 10) / 10;
+
+// { device, totalGb, freeGb } of the first CUDA device in a /system_stats
+// answer (else the first device); null when it lists none with VRAM figures.
+function vramOf(stats) {
+    const devices = stats?.devices || [];
+    const dev = devices.find(d => d?.type === 'cuda') || devices[0];
+    if (!dev || !(dev.vram_total > 0) || !(dev.vram_free >= 0)) return null;
+    return {
+        device: dev.name ? String(dev.name).replace(/^cuda:\d+\s+/i, '').trim() : null,
+        totalGb: roundGb(dev.vram_total),
+        freeGb: roundGb(dev.vram_free)
+    };
+}
 
 class ModelLifecycle {
     constructor({ rest, vramBudgetGb }) {
         this.rest = rest;
         this.budget = vramBudgetGb;
         this.lastWorkflowId = null;
-        this.lastMinVram = 0;
+        this.lastNeedGb = 0;
+        // Last /system_stats reading ({ device, totalGb, freeGb, at }) and the
+        // last beforeJob() decision, for the admin status / federation snapshot.
+        this.vram = null;
+        this.lastDecision = null;
     }
 
-    async beforeJob({ workflowId, minVRAM = 0 }) {
-        const sameWorkflow = workflowId === this.lastWorkflowId;
-        if (sameWorkflow) {
-            return { freed: false, reason: 'same-workflow' };
-        }
-        // First run is a no-op (nothing loaded yet).
-        if (this.lastWorkflowId == null) {
-            this.lastWorkflowId = workflowId;
-            this.lastMinVram = minVRAM;
-            return { freed: false, reason: 'first-run' };
-        }
-        // Heuristic: if either side claims a VRAM footprint and combined would
-        // exceed budget, free first. Conservative — better to over-free than OOM.
-        const wouldExceed = (this.lastMinVram + minVRAM) > this.budget;
-        if (wouldExceed) {
-            try {
-                await this.rest.free({ unloadModels: true, freeMemory: true });
-                this.lastWorkflowId = workflowId;
-                this.lastMinVram = minVRAM;
-                return { freed: true, reason: 'budget-exceeded' };
-            } catch (e) {
-                console.warn('[ModelLifecycle] /free failed:', e.message);
-                this.lastWorkflowId = workflowId;
-                this.lastMinVram = minVRAM;
-                return { freed: false, reason: 'free-failed' };
-            }
+    // Fresh VRAM reading, or null when ComfyUI doesn't report one.
+    async readVram() {
+        try {
+            const vram = vramOf(await this.rest.ping({ timeoutMs: STATS_TIMEOUT_MS }));
+            if (vram) this.vram = { ...vram, at: Date.now() };
+            return vram;
+        } catch {
+            return null;
         }
+    }
+
+    async beforeJob({ workflowId, needGb = 0 }) {
+        const vram = await this.readVram();
+        const decision = await this._decide(workflowId, needGb, vram);
         this.lastWorkflowId = workflowId;
-        this.lastMinVram = minVRAM;
+        this.lastNeedGb = needGb;
+        this.lastDecision = {
+            workflowId,
+            needGb: needGb || null,
+            freeGb: vram?.freeGb ?? null,
+            totalGb: vram?.totalGb ?? null,
+            ...decision,
+            at: Date.now()
+        };
+        return this.lastDecision;
+    }
+
+    async _decide(workflowId, needGb, vram) {
+        if (workflowId === this.lastWorkflowId) return { freed: false, reason: 'same-workflow' };
+        if (vram) {
+            if (!(needGb > 0)) return { freed: false, reason: 'need-unknown' };
+            if (vram.freeGb >= needGb) return { freed: false, reason: 'enough-free' };
+            return this._free('low-vram');
+        }
+        // No measurement — first run is a no-op (nothing loaded yet); after
+        // that, free if both sides together would exceed the budget.
+        // Conservative — better to over-free than OOM.
+        if (this.lastWorkflowId == null) return { freed: false, reason: 'first-run' };
+        if ((this.lastNeedGb + needGb) > this.budget) return this._free('budget-exceeded');
         return { freed: false, reason: 'within-budget' };
     }
+
+    async _free(reason) {
+        try {
+            await this.rest.free({ unloadModels: true, freeMemory: true });
+        } catch (e) {
+            console.warn('[ModelLifecycle] /free failed:', e.message);
+            return { freed: false, reason: 'free-failed' };
+        }
+        const after = await this.readVram();
+        return { freed: true, reason, freeAfterGb: after?.freeGb ?? null };
+    }
 }
 
-module.exports = { ModelLifecycle };
+module.exports = { ModelLifecycle, vramOf };
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { ComfyApiWorker } = require('./comfyApiWorker');
+const { InputUploader } = require('./inputUploader');
+const { resolveOutputPath } = require('../executor/outputCollector');
+const { MEDIA_TYPES } = require('../workflows/paramValidator');
+
+// RemoteComfyUIWorker — drives a ComfyUI running on another machine using
+// nothing but its HTTP/WS API, so a GPU-less laptop can schedule for a GPU
+// server. Uploads still land in the local input dir (ComfyQ's staging store,
+// as for a local worker); submit pushes each referenced file to the remote
+// through /upload/image, and collectOutputs pulls finished outputs down
+// through /view to the paths resolveOutputPath gives, so media serving,
+// ingredients and retention work unchanged. ComfyQ never launches or kills
+// the remote ComfyUI.
+//
+// Health: /system_stats is polled every HEALTH_MS. An idle worker that stops
+// answering goes 'down' (the executor skips it) and back to 'idle' once it
+// answers again; a busy one keeps its job — the executor's history poll
+// decides how that ends.
+
+const HEALTH_MS = 15000;
+const CONNECT_TIMEOUT_MS = 30000;
+
+// Where an output the remote reported may be written locally: inside
+// output_dir (or <root>/temp for previews), never elsewhere. The names come
+// from the remote's history, so an absolute path or a '..' segment is refused
+// before anything is joined.
+function safeOutputPath(o, comfyConfig) {
+    const parts = [o.subfolder || '', o.filename];
+    for (const p of parts) {
+        if (path.isAbsolute(p) || path.win32.isAbsolute(p) || p.split(/[\\/]/).includes('..')) return null;
+    }
+    const base = o.type === 'temp' ? path.resolve(comfyConfig.root_path, 'temp') : path.resolve(comfyConfig.output_dir);
+    const dest = resolveOutputPath(o, comfyConfig);
+    return dest.startsWith(base + path.sep) ? dest : null;
+}
+
+class RemoteComfyUIWorker extends ComfyApiWorker {
+    constructor({ comfyConfig, queueConfig, onMilestone, id = null, label = '', host, port, vramBudgetGb = null }) {
+        super({ comfyConfig, id, label, host, port, vramBudgetGb, onMilestone });
+        this.remote = true;
+        this.uploader = new InputUploader({
+            comfyInputDir: path.resolve(comfyConfig.root_path, 'input'),
+            retentionMinutes: queueConfig.inputRetentionMinutes
+        });
+        this.health = { ok: false, checkedAt: null, lastOkAt: null, latencyMs: null, error: null, device: null };
+        this._healthTimer = null;
+    }
+
+    getStatus() {
+        return { ...super.getStatus(), host: this.host, remote: true, health: this.health };
+    }
+
+    // One /system_stats round trip; updates `health` and the idle/down state.
+    async checkHealth() {
+        const t0 = Date.now();
+        try {
+            const stats = await this.rest.ping();
+            const dev = stats?.devices?.[0];
+            this.health = {
+                ok: true, checkedAt: t0, lastOkAt: t0, latencyMs: Date.now() - t0, error: null,
+                device: dev ? { name: dev.name, vramTotal: dev.vram_total, vramFree: dev.vram_free } : null
+            };
+        } catch (e) {
+            this.health = { ...this.health, ok: false, checkedAt: t0, latencyMs: null, error: e.code || e.message };
+        }
+        if (this._state === 'busy') return this.health;
+        if (this.health.ok && this._state !== 'idle') {
+            if (this._state === 'down') console.log(`${this.tag} ${this.host}:${this.port} is reachable again`);
+            this._setState('idle');
+        } else if (!this.health.ok && this._state === 'idle') {
+            console.warn(`${this.tag} ${this.host}:${this.port} unreachable: ${this.health.error}`);
+            this._setState('down', this.health.error);
+        }
+        return this.health;
+    }
+
+    // Resolves once the remote answers. The health poll keeps running either
+    // way, so a GPU server that is still booting joins the pool when it's up.
+    async start() {
+        console.log(`${this.tag} connecting to remote ComfyUI at ${this.host}:${this.port}…`);
+        this._healthTimer = setInterval(() => this.checkHealth(), HEALTH_MS);
+        this._healthTimer.unref?.();
+        this._connectWs();
+        const deadline = Date.now() + CONNECT_TIMEOUT_MS;
+        while (!(await this.checkHealth()).ok) {
+            if (Date.now() > deadline) {
+                this._setState('down', this.health.error);
+                throw new Error(`Remote ComfyUI at ${this.host}:${this.port} unreachable (${this.health.error}) — will keep retrying`);
+            }
+            await new Promise(r => setTimeout(r, 1500));
+        }
+        const dev = this.health.device;
+        console.log(`${this.tag} remote ComfyUI is responsive${dev ? ` — ${dev.name}` : ''} (${this.health.latencyMs} ms)`);
+        return { external: true, remote: true };
+    }
+
+    // Push every input file the job references from the local staging dir to
+    // the remote's input/. ComfyUI may rename on upload; values follow.
+    async _prepareInputs(jobId, { paramValues, exposedParameters, inputs }) {
+        const mediaKeys = new Set(exposedParameters.filter(p => MEDIA_TYPES.has(p.type)).map(p => p.key));
+        const names = new Set(inputs.map(f => f.comfyFilename).filter(Boolean));
+        for (const key of mediaKeys) {
+            if (typeof paramValues[key] === 'string' && paramValues[key]) names.add(paramValues[key]);
+        }
+        const renamed = new Map();
+        let bytes = 0;
+        for (const name of names) {
+            const buffer = await fs.promises.readFile(path.join(this.uploader.inputDir, name));
+            const r = await this.rest.uploadImage(buffer, name);
+            const remoteName = r?.name ? (r.subfolder ? `${r.subfolder}/${r.name}` : r.name) : name;
+            if (remoteName !== name) renamed.set(name, remoteName);
+            bytes += buffer.length;
+        }
+        if (names.size > 0) {
+            console.log(`${this.tag} job ${jobId.slice(0, 8)} uploaded ${names.size} input(s), ${(bytes / 1048576).toFixed(1)} MB`);
+        }
+        const map = (name) => renamed.get(name) ?? name;
+        return {
+            paramValues: Object.fromEntries(Object.entries(paramValues).map(([k, v]) => [k, mediaKeys.has(k) ? map(v) : v])),
+            inputs: inputs.map(f => ({ ...f, comfyFilename: map(f.comfyFilename) }))
+        };
+    }
+
+    // Download each file output to its local output path. Written to a .part
+    // file first so a dropped connection never leaves a truncated result.
+    async collectOutputs(outputs) {
+        let files = 0;
+        let bytes = 0;
+        for (const o of outputs) {
+            if (!o.filename) continue;
+            const dest = safeOutputPath(o, this.comfyConfig);
+            if (!dest) {
+                throw new Error(`refusing to download ${JSON.stringify(o.subfolder ? `${o.subfolder}/${o.filename}` : o.filename)}: outside the output folder`);
+            }
+            await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+            const part = `${dest}.part`;
+            try {
+                await pipeline(await this.rest.view(o), fs.createWriteStream(part));
+                await fs.promises.rename(part, dest);
+            } catch (e) {
+                await fs.promises.rm(part, { force: true });
+                throw new Error(`download of ${o.subfolder ? `${o.subfolder}/` : ''}${o.filename} failed: ${e.message}`);
+            }
+            files++;
+            bytes += (await fs.promises.stat(dest)).size;
+        }
+        if (files > 0) console.log(`${this.tag} downloaded ${files} output(s), ${(bytes / 1048576).toFixed(1)} MB`);
+        return outputs;
+    }
+
+    async shutdown() {
+        if (this._healthTimer) clearInterval(this._healthTimer);
+        this._healthTimer = null;
+        await super.shutdown();
+    }
+}
+
+module.exports = { RemoteComfyUIWorker };
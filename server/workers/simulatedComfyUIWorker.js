@@ -0,0 +1,72 @@
+const path = require('path');
+const { ComfyApiWorker } = require('./comfyApiWorker');
+const { InputUploader } = require('./inputUploader');
+const { FakeComfyUI } = require('../simulator/fakeComfyUI');
+
+// SimulatedComfyUIWorker — comfy_ui.backend = 'simulated'. Runs a FakeComfyUI
+// (server/simulator) in-process on the worker's port and drives it through the
+// same ComfyApiWorker plumbing as a real one, so everything past the Worker
+// interface — executor, realtime bus, outputs, retention — runs for real.
+// The fake shares ComfyUI's directory layout under root_path, so inputs and
+// outputs need no copying. Latency and failure injection come from
+// comfy_ui.simulator.
+class SimulatedComfyUIWorker extends ComfyApiWorker {
+    constructor({ comfyConfig, queueConfig, onMilestone, id = null, label = '', port = null, vramBudgetGb = null }) {
+        const apiPort = port ?? comfyConfig.api_port;
+        super({ comfyConfig, id, label, host: '127.0.0.1', port: apiPort, vramBudgetGb, onMilestone });
+        this.simulated = true;
+        this.sim = new FakeComfyUI({
+            port: apiPort,
+            rootDir: comfyConfig.root_path,
+            outputDir: comfyConfig.output_dir,
+            label: id || 'sim',
+            vramGb: this.vramBudgetGb ?? comfyConfig.vramBudgetGb,
+            // Previews follow livePreviews, like --preview-method for a real one.
+            options: { ...comfyConfig.simulator, previews: comfyConfig.simulator?.previews !== false && comfyConfig.livePreviews !== 'off' }
+        });
+        this.uploader = new InputUploader({
+            comfyInputDir: path.resolve(comfyConfig.root_path, 'input'),
+            retentionMinutes: queueConfig.inputRetentionMinutes
+        });
+    }
+
+    getStatus() {
+        return { ...super.getStatus(), simulated: true };
+    }
+
+    async start() {
+        try {
+            console.log(`${this.tag} starting simulated ComfyUI on ${this.host}:${this.port} (no GPU work is done)…`);
+            await this.sim.listen();
+            this._connectWs();
+            this._setState('idle');
+            return { external: false, simulated: true };
+        } catch (e) {
+            this._setState('down', e.message);
+            throw e;
+        }
+    }
+
+    // Restart the fake in place: whatever it was running (a [sim:hang] run,
+    // say) is dropped, as a killed ComfyUI would drop it.
+    async restartProcess() {
+        this._setState('starting');
+        console.warn(`${this.tag} restarting simulated ComfyUI…`);
+        try {
+            await this.sim.close();
+            await this.sim.listen();
+        } catch (e) {
+            this._setState('down', e.message);
+            throw e;
+        }
+        this._setState('idle');
+        return true;
+    }
+
+    async shutdown() {
+        await super.shutdown();
+        await this.sim.close();
+    }
+}
+
+module.exports = { SimulatedComfyUIWorker };
@@ -1,16 +1,23 @@
 const EventEmitter = require('events');
 
-// Abstract base for workflow execution backends. v2 ships with one
-// LocalComfyUIWorker; future RemoteComfyUIWorker implements the same contract.
+// Abstract base for workflow execution backends: LocalComfyUIWorker (ComfyUI
+// on this machine) and RemoteComfyUIWorker (ComfyUI on another machine, over
+// HTTP/WS only) implement the same contract.
 //
 // Events emitted:
 //   'submitted'        { jobId, promptId }
 //   'progress'         { jobId, promptId, stepsDone, stepsTotal }
-//   'node-executing'   { jobId, promptId, nodeId, nodeTitle }
+//   'node-executing'   { jobId, promptId, nodeId, nodeTitle, nodesDone, nodesTotal, doneNodeIds }
+//   'nodes-cached'     { jobId, promptId, nodeIds, nodesDone, nodesTotal, doneNodeIds }
+//   'preview'          { jobId, promptId, nodeId, mime, data: Buffer }  latent preview frame
 //   'output-ready'     { jobId, promptId, outputs: [{kind, filename, nodeId, mime, sizeBytes}] }
 //   'completed'        { jobId, promptId }
 //   'failed'           { jobId, promptId, errorReason, errorPhase }
 //   'status'           { state: 'idle'|'busy'|'starting'|'down', detail? }
+//   'process-alert'    { kind, message }  ComfyUI crashed / supervisor gave up (local workers)
+//   'log'              { stream, text, jobId }  a line ComfyUI printed (local workers)
+//   'queue-activity'   { type, promptId, data }  ComfyUI's queue changed or a WS message
+//                      about a prompt not ours (ComfyApiWorker; see ExternalUsage)
 class Worker extends EventEmitter {
     /**
      * Submit a job for execution.
@@ -20,11 +27,32 @@ class Worker extends EventEmitter {
      * @param {Array<{paramKey,nodeId,field,filename}>} opts.inputs
      * @param {string} opts.filenamePrefix
      * @param {object} opts.requirements  { minVRAM, models }
+     * @param {number} [opts.vramNeedGb]  VRAM the workflow needs (measured peak, else minVRAM)
      * @returns {Promise<{promptId:string}>}
      */
     async submit(jobId, apiWorkflow, opts) { throw new Error('not implemented'); }
 
-    /** Cancel an in-flight job. */
+    /**
+     * Re-adopt a prompt the backend is still running from before a server
+     * restart, so the worker reports busy and finalize()/cancel() apply to it.
+     * @param {string} jobId
+     * @param {string} promptId
+     */
+    attach(jobId, promptId) { throw new Error('not implemented'); }
+
+    /**
+     * Make a finished job's outputs readable at their local output path
+     * (resolveOutputPath) — a no-op when ComfyUI writes to this machine.
+     * @param {Array<{filename,subfolder,type}>} outputs
+     */
+    async collectOutputs(outputs) { return outputs; }
+
+    /**
+     * Cancel an in-flight job, leaving other prompts in the backend alone.
+     * @param {string} jobId
+     * @returns {Promise<{cancelled:boolean, how:string}>}  whether it took
+     *          (see ComfyApiWorker.cancel for the `how` values)
+     */
     async cancel(jobId) { throw new Error('not implemented'); }
 
     /** Returns the worker's current status. */
@@ -0,0 +1,131 @@
+const EventEmitter = require('events');
+const { LocalComfyUIWorker } = require('./localComfyUIWorker');
+const { RemoteComfyUIWorker } = require('./remoteComfyUIWorker');
+const { SimulatedComfyUIWorker } = require('./simulatedComfyUIWorker');
+
+// WorkerPool — the set of ComfyUI workers a student-mode server drives, one
+// per GPU (config.comfy_ui.workers; a single worker on api_port when that is
+// empty). Entries with a `host` are RemoteComfyUIWorkers on another machine;
+// with comfy_ui.backend 'simulated' the rest are SimulatedComfyUIWorkers
+// instead of local ComfyUIs. The JobExecutor dispatches to `workers` directly; everything else
+// that only needs "the backend" (status, the input uploader, emergency stop)
+// talks to the pool, which aggregates.
+//
+// Events: 'status' { id, state, detail } whenever any worker's state changes;
+// 'preview' — any worker's latent preview frame, with its `workerId`; 'log'
+// { stream, text, jobId, workerId } — a line some worker's ComfyUI printed.
+
+// Worker specs from config: [{ id, label, host, port, vramBudgetGb, cudaVisibleDevices }].
+// `host` is '' for a ComfyUI this machine runs.
+function workerSpecs(comfyConfig) {
+    const list = comfyConfig.workers || [];
+    if (list.length === 0) {
+        return [{ id: null, label: '', host: '', port: comfyConfig.api_port, vramBudgetGb: comfyConfig.vramBudgetGb, cudaVisibleDevices: '' }];
+    }
+    const ids = new Set();
+    const ports = new Set();
+    return list.map(w => {
+        const host = (w.host || '').trim();
+        const address = `${host || 'localhost'}:${w.api_port}`;
+        if (ids.has(w.id)) throw new Error(`comfy_ui.workers: duplicate id "${w.id}"`);
+        if (ports.has(address)) throw new Error(`comfy_ui.workers: ${address} is used twice`);
+        ids.add(w.id);
+        ports.add(address);
+        return {
+            id: w.id,
+            label: w.label || w.id,
+            host,
+            port: w.api_port,
+            vramBudgetGb: w.vramBudgetGb ?? comfyConfig.vramBudgetGb,
+            cudaVisibleDevices: w.cuda_visible_devices || ''
+        };
+    });
+}
+
+class WorkerPool extends EventEmitter {
+    constructor({ comfyConfig, queueConfig, onMilestone }) {
+        super();
+        const Local = comfyConfig.backend === 'simulated' ? SimulatedComfyUIWorker : LocalComfyUIWorker;
+        this.workers = workerSpecs(comfyConfig).map(({ host, ...spec }) => (host
+            ? new RemoteComfyUIWorker({ comfyConfig, queueConfig, onMilestone, host, ...spec })
+            : new Local({ comfyConfig, queueConfig, onMilestone, ...spec })));
+        for (const w of this.workers) {
+            w.on('status', ({ state, detail }) => this.emit('status', { id: w.id, state, detail }));
+            w.on('preview', (p) => this.emit('preview', { ...p, workerId: w.id }));
+            w.on('log', (l) => this.emit('log', { ...l, workerId: w.id }));
+        }
+    }
+
+    // The first worker. Calibration runs and the shared input uploader use it.
+    get primary() { return this.workers[0]; }
+    // All workers share ComfyUI's input dir, so any uploader will do.
+    get uploader() { return this.primary.uploader; }
+
+    get(id) {
+        return this.workers.find(w => w.id === id) || null;
+    }
+
+    // Starts every worker, one after another so two ComfyUIs don't load at
+    // once. A worker that fails to come up is left down (logged); the pool
+    // only fails when none started.
+    async start() {
+        const results = [];
+        for (const w of this.workers) {
+            try {
+                results.push({ id: w.id, ...(await w.start()) });
+            } catch (e) {
+                console.error(`${w.tag} failed to start: ${e.message}`);
+                results.push({ id: w.id, error: e.message });
+            }
+        }
+        const up = results.filter(r => !r.error);
+        if (up.length === 0) throw new Error(results.map(r => r.error).join('; '));
+        return {
+            external: up.every(r => r.external),
+            started: up.length,
+            total: this.workers.length
+        };
+    }
+
+    // Aggregate status in the single-worker shape: 'idle' while any worker can
+    // take a job, 'busy' when all live ones are busy, then 'starting' / 'down'.
+    // `detail` explains a 'starting' / 'down' pool from its workers' own
+    // details; `workers` has each worker's own status.
+    getStatus() {
+        const statuses = this.workers.map(w => w.getStatus());
+        const has = (s) => statuses.some(st => st.state === s);
+        const state = has('idle') ? 'idle' : has('busy') ? 'busy' : has('starting') ? 'starting' : 'down';
+        const details = statuses.filter(st => st.state === state && st.detail)
+            .map(st => statuses.length > 1 ? `${st.id}: ${st.detail}` : st.detail);
+        return {
+            state,
+            detail: state === 'starting' || state === 'down' ? details.join('\n') || null : null,
+            currentJobId: statuses.length === 1 ? statuses[0].currentJobId : null,
+            currentPromptId: statuses.length === 1 ? statuses[0].currentPromptId : null,
+            wsConnected: statuses.some(st => st.wsConnected),
+            workers: statuses
+        };
+    }
+
+    // Emergency stop helpers. Interrupt is best-effort; stopSpawned() kills
+    // only the ComfyUIs we launched (never a remote one) and returns how many.
+    async interruptAll() {
+        await Promise.all(this.workers.map(w => w.rest.interrupt().catch(() => {})));
+    }
+
+    async stopSpawned() {
+        let killed = 0;
+        for (const w of this.workers) {
+            if (!w.process?.proc) continue;
+            await w.process.stop();
+            killed++;
+        }
+        return killed;
+    }
+
+    async shutdown() {
+        await Promise.all(this.workers.map(w => w.shutdown()));
+    }
+}
+
+module.exports = { WorkerPool, workerSpecs };
@@ -0,0 +1,106 @@
+const { onStep, MEDIA_TYPES } = require('./paramValidator');
+
+// Materialized-graph validation against ComfyUI's GET /object_info, run by
+// ComfyApiWorker just before /prompt. ComfyUI rejects a prompt whose inputs
+// don't fit its node definitions (a sampler that isn't installed, a width off
+// the latent grid, a combo typo) with a node_errors blob; this catches the
+// same problems first and words them per exposed parameter, so the job's
+// failure reason reads "Sampler: …" instead of raw JSON. Nodes ComfyUI
+// doesn't know are left to /prompt (and the pre-flight check).
+
+const LIST_PREVIEW = 6;
+
+// A [nodeId, outputSlot] link to another node's output.
+const isLink = (v) => Array.isArray(v) && v.length === 2 && typeof v[0] === 'string' && Number.isInteger(v[1]);
+
+// An input spec → { kind: 'combo' | 'INT' | 'FLOAT' | 'BOOLEAN' | 'STRING' | null, options, opts }.
+// Combos come as [[...choices], opts] or, in newer ComfyUI, ['COMBO', { options }].
+function parseSpec(spec) {
+    if (!Array.isArray(spec)) return { kind: null };
+    const [type, opts = {}] = spec;
+    if (Array.isArray(type)) return { kind: 'combo', options: type, opts };
+    if (type === 'COMBO') return { kind: 'combo', options: opts.options || [], opts };
+    if (['INT', 'FLOAT', 'BOOLEAN', 'STRING'].includes(type)) return { kind: type, opts };
+    return { kind: null }; // a connection type (MODEL, LATENT, …)
+}
+
+const preview = (list) => list.length > LIST_PREVIEW
+    ? `${list.slice(0, LIST_PREVIEW).join(', ')}, … (${list.length} in all)`
+    : list.join(', ');
+
+// One widget value against its spec → reason or null.
+function checkValue(value, { kind, options, opts }) {
+    if (kind === 'combo') {
+        if (options.length === 0 || options.includes(value)) return null;
+        return `${JSON.stringify(value)} is not available in ComfyUI (choose from: ${preview(options)})`;
+    }
+    if (kind === 'INT' || kind === 'FLOAT') {
+        const n = typeof value === 'number' ? value : Number(value);
+        if (typeof value === 'boolean' || value === '' || !Number.isFinite(n)) return `must be a number (got ${JSON.stringify(value)})`;
+        if (kind === 'INT' && !Number.isInteger(n)) return `must be a whole number (got ${n})`;
+        if (opts.min != null && n < opts.min) return `must be at least ${opts.min} (got ${n})`;
+        if (opts.max != null && n > opts.max) return `must be at most ${opts.max} (got ${n})`;
+        if (kind === 'INT' && opts.step > 1 && !onStep(n, opts)) return `must be a multiple of ${opts.step} (got ${n})`;
+        return null;
+    }
+    return null;
+}
+
+// → [{ nodeId, field, reason }] for the graph's widget values. Fields in
+// `skip` ("nodeId.field") hold media just uploaded, which an object_info
+// fetched earlier can't list yet.
+function validateGraph(wf, objectInfo, { skip = new Set() } = {}) {
+    const problems = [];
+    for (const [nodeId, node] of Object.entries(wf || {})) {
+        const def = objectInfo?.[node?.class_type];
+        if (!def) continue;
+        const inputs = node.inputs || {};
+        for (const [group, required] of [[def.input?.required, true], [def.input?.optional, false]]) {
+            for (const [field, spec] of Object.entries(group || {})) {
+                if (skip.has(`${nodeId}.${field}`)) continue;
+                const value = inputs[field];
+                if (value === undefined) {
+                    if (required) problems.push({ nodeId, field, reason: 'is missing' });
+                    continue;
+                }
+                if (isLink(value)) continue;
+                const reason = checkValue(value, parseSpec(spec));
+                if (reason) problems.push({ nodeId, field, reason });
+            }
+        }
+    }
+    return problems;
+}
+
+// "nodeId.field" of every input that receives an uploaded file.
+function mediaFields(exposedParameters, inputs) {
+    const out = new Set((inputs || []).map(f => `${f.nodeId}.${f.field}`));
+    for (const p of exposedParameters || []) if (MEDIA_TYPES.has(p.type)) out.add(`${p.nodeId}.${p.field}`);
+    return out;
+}
+
+// Name a problem after the exposed parameter it belongs to, else the node.
+function describeProblem({ nodeId, field, reason }, wf, exposedParameters) {
+    const p = (exposedParameters || []).find(e => e.nodeId === nodeId && e.field === field);
+    if (p) return `${p.label || p.key}: ${reason}`;
+    const title = wf?.[nodeId]?._meta?.title || wf?.[nodeId]?.class_type || '';
+    return `node ${nodeId}${title ? ` (${title})` : ''} ${field}: ${reason}`;
+}
+
+// ComfyUI's /prompt node_errors ({ nodeId: { errors: [{ message, details,
+// extra_info: { input_name } }] } }) → the same per-parameter wording.
+function describeNodeErrors(nodeErrors, wf, exposedParameters) {
+    const out = [];
+    for (const [nodeId, entry] of Object.entries(nodeErrors || {})) {
+        for (const e of entry?.errors || []) {
+            const field = e.extra_info?.input_name;
+            const reason = [e.message, e.details].filter(Boolean).join(': ') || 'rejected';
+            out.push(field
+                ? describeProblem({ nodeId, field, reason }, wf, exposedParameters)
+                : `node ${nodeId}${entry.class_type ? ` (${entry.class_type})` : ''}: ${reason}`);
+        }
+    }
+    return out;
+}
+
+module.exports = { validateGraph, mediaFields, describeProblem, describeNodeErrors, parseSpec };
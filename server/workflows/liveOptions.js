@@ -0,0 +1,64 @@
+const { ComfyRestClient } = require('../workers/comfyRestClient');
+const { parseSpec } = require('./graphValidator');
+
+// Live select options. A parameter marked `liveOptions` (see ExposedParameter
+// in config/schemas.js) gets its choices from ComfyUI's GET /object_info —
+// the combo list of its node input — instead of the list frozen into
+// meta.json, so a model or LoRA installed mid-workshop shows up in the
+// booking form without editing the workflow. WorkflowRegistry applies them
+// to `effective.exposedParameters`, so the parameter_map, booking validation
+// and the executor all see the same list. The meta.json list is the fallback
+// while ComfyUI can't be asked.
+
+const LIVE_OPTIONS_TTL_MS = 60000;
+
+// Choices of `classType`.`field` in an object_info, or null when it isn't a
+// combo there.
+function comboOptions(objectInfo, classType, field) {
+    const input = objectInfo?.[classType]?.input;
+    const spec = input?.required?.[field] ?? input?.optional?.[field];
+    const parsed = parseSpec(spec);
+    return parsed.kind === 'combo' ? parsed.options.map(String) : null;
+}
+
+// One-off /object_info from the configured ComfyUI (admin mode has no
+// worker); null when it doesn't answer.
+async function fetchObjectInfo(comfyConfig, { timeoutMs = 10000 } = {}) {
+    if (comfyConfig?.backend === 'simulated') return null;
+    try {
+        const rest = new ComfyRestClient({ host: comfyConfig.api_host || '127.0.0.1', port: comfyConfig.api_port });
+        return await rest.getObjectInfo({ timeoutMs });
+    } catch {
+        return null;
+    }
+}
+
+// Cached object_info behind optionsFor(). Lookups are synchronous (they run
+// on every state broadcast) and answer from the last fetch; a stale cache is
+// refreshed in the background. `load({ refresh })` → object_info or null.
+class LiveOptions {
+    constructor({ load, ttlMs = LIVE_OPTIONS_TTL_MS }) {
+        this.load = load;
+        this.ttlMs = ttlMs;
+        this.info = null;
+        this.fetchedAt = 0;
+        this._loading = null;
+    }
+
+    optionsFor(classType, field) {
+        if (Date.now() - this.fetchedAt > this.ttlMs) this.refresh();
+        return comboOptions(this.info, classType, field);
+    }
+
+    refresh() {
+        if (this._loading) return this._loading;
+        this._loading = Promise.resolve()
+            .then(() => this.load({ refresh: this.fetchedAt > 0 }))
+            .then((info) => { if (info) this.info = info; })
+            .catch((e) => console.warn('[LiveOptions] /object_info refresh failed:', e.message))
+            .finally(() => { this.fetchedAt = Date.now(); this._loading = null; });
+        return this._loading;
+    }
+}
+
+module.exports = { LiveOptions, comboOptions, fetchObjectInfo, LIVE_OPTIONS_TTL_MS };
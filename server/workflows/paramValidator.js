@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// Booking-parameter validation. Every value a client sends is checked against
+// the workflow's enabled exposedParameters before a job is queued, so a bad
+// value is rejected at booking time with a per-field reason instead of
+// surfacing minutes later as a ComfyUI "/prompt rejected".
+
+const MEDIA_TYPES = new Set(['image', 'video', 'audio', 'mask']);
+
+// Thrown by book_job when validation fails. `fieldErrors` is { key: reason }
+// for the form the user submitted; pipelines add `stepErrors`
+// ({ stepIndex: { key: reason } }) for their later steps.
+class ParamValidationError extends Error {
+    constructor(fieldErrors, stepErrors = null) {
+        const all = [fieldErrors, ...Object.values(stepErrors || {})].flatMap(e => Object.entries(e));
+        const [key, reason] = all[0] || [];
+        super(all.length === 1 ? `"${key}" ${reason}` : `${all.length} parameters are invalid — see the form`);
+        this.fieldErrors = fieldErrors;
+        this.stepErrors = stepErrors;
+    }
+}
+
+// Whether `n` sits on the `step` grid counted from `min` (or 0), like an HTML
+// number input. Tolerates float noise (0.1 + 0.2).
+function onStep(n, { min, step }) {
+    if (!step || step <= 0) return true;
+    const k = (n - (min ?? 0)) / step;
+    return Math.abs(k - Math.round(k)) < 1e-6;
+}
+
+// One raw value → { value } or { error, reason }. `error` names the parameter
+// (batch rows, sweeps); `reason` is the same without it (inline form errors).
+function coerce(p, raw) {
+    const fail = (reason) => ({ error: `"${p.key}" ${reason}`, reason });
+    switch (p.type) {
+        case 'number': {
+            const n = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (String(raw).trim() === '' || !Number.isFinite(n)) return fail(`must be a number (got ${JSON.stringify(raw)})`);
+            if (p.min != null && n < p.min) return fail(`must be ≥ ${p.min} (got ${n})`);
+            if (p.max != null && n > p.max) return fail(`must be ≤ ${p.max} (got ${n})`);
+            if (!onStep(n, p)) return fail(`must be in steps of ${p.step}${p.min ? ` from ${p.min}` : ''} (got ${n})`);
+            return { value: n };
+        }
+        case 'checkbox': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const s = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(s)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(s)) return { value: false };
+            return fail(`must be true or false (got ${JSON.stringify(raw)})`);
+        }
+        case 'select': {
+            const s = String(raw);
+            if (p.options?.length && !p.options.includes(s)) {
+                return fail(`must be one of ${p.options.map(o => JSON.stringify(o)).join(', ')} (got ${JSON.stringify(s)})`);
+            }
+            return { value: s };
+        }
+        default:
+            if (raw !== null && typeof raw === 'object') return fail('must be text');
+            return { value: String(raw) };
+    }
+}
+
+// A media value is the input-dir filename /upload returned (or a pipeline /
+// batch staging name) — a bare comfyq_* name that must still be on disk.
+function checkUpload(raw, inputDir) {
+    if (typeof raw !== 'string' || !raw.startsWith('comfyq_') || path.basename(raw) !== raw) {
+        return 'is not an uploaded file — upload it again';
+    }
+    if (inputDir && !fs.existsSync(path.join(inputDir, raw))) {
+        return 'is no longer on the server — upload it again';
+    }
+    return null;
+}
+
+// Validate a booking's params against `exposed` (enabled parameters only).
+// Empty values (undefined / null / '') mean "use the workflow default" and are
+// dropped. Returns { values, errors } with values coerced to their types and
+// errors as { key: reason }. `allow` lists extra keys passed through as text
+// (the legacy `prompt` headline).
+function validateParams({ exposed, params, inputDir, allow = ['prompt'] }) {
+    const values = {};
+    const errors = {};
+    const byKey = new Map(exposed.map(p => [p.key, p]));
+    const given = params && typeof params === 'object' && !Array.isArray(params) ? params : {};
+
+    for (const [key, raw] of Object.entries(given)) {
+        if (byKey.has(key)) continue;
+        if (allow.includes(key) && (raw == null || typeof raw !== 'object')) {
+            if (raw != null && raw !== '') values[key] = String(raw);
+            continue;
+        }
+        errors[key] = 'is not a parameter of this workflow';
+    }
+
+    for (const p of exposed) {
+        const raw = given[p.key];
+        if (raw === undefined || raw === null || raw === '') {
+            if (p.required) errors[p.key] = MEDIA_TYPES.has(p.type) ? 'is required — add a file' : 'is required';
+            continue;
+        }
+        if (MEDIA_TYPES.has(p.type)) {
+            const reason = checkUpload(raw, inputDir);
+            if (reason) errors[p.key] = reason;
+            else values[p.key] = raw;
+            continue;
+        }
+        const r = coerce(p, raw);
+        if (r.error) errors[p.key] = r.reason;
+        else values[p.key] = r.value;
+    }
+    return { values, errors };
+}
+
+module.exports = { validateParams, coerce, onStep, ParamValidationError, MEDIA_TYPES };
@@ -0,0 +1,103 @@
+// PipelineRegistry — discovers pipeline bundles under <workflowsDir>/<id>/
+// (a folder holding <id>.pipeline.json, see PipelineMeta) and resolves each
+// step against the WorkflowRegistry on every read, so a pipeline turns
+// unavailable as soon as one of its workflows does.
+//
+// A resolved pipeline:
+//   { id, unavailable, reason, meta, estimatedDurationMs,
+//     steps: [{ index, workflowId, label, entry, input, params, exposed }] }
+// where `exposed` is what the student fills in for that step: the workflow's
+// enabled parameters minus the fed input and the pipeline's pinned `params`.
+//
+// Only the first step may take uploads — later steps get their media from the
+// step before, so a later step with a second, unfed media parameter makes the
+// pipeline unavailable.
+
+const fs = require('fs');
+const path = require('path');
+const { PipelineMeta } = require('../config/schemas');
+const { expectedDurationMs, isPipelineBundle } = require('./workflowRegistry');
+const { MEDIA_TYPES } = require('./paramValidator');
+
+// A 'mask' param is an image input with a painting widget.
+const KIND_OF_TYPE = { image: 'image', mask: 'image', video: 'video', audio: 'audio' };
+
+class PipelineRegistry {
+    constructor(workflowsDir, registry) {
+        this.dir = workflowsDir;
+        this.registry = registry;
+    }
+
+    ids() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir, { withFileTypes: true })
+            .filter(e => e.isDirectory() && isPipelineBundle(this.dir, e.name))
+            .map(e => e.name);
+    }
+
+    list() {
+        return this.ids().map(id => this.get(id));
+    }
+
+    get(id) {
+        const file = path.join(this.dir, id, `${id}.pipeline.json`);
+        const out = { id, unavailable: true, reason: null, meta: null, steps: [], estimatedDurationMs: null };
+        if (!fs.existsSync(file)) { out.reason = 'Pipeline not found'; return out; }
+        let raw;
+        try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); }
+        catch (e) { out.reason = `Invalid JSON in ${path.basename(file)}: ${e.message}`; return out; }
+        const parsed = PipelineMeta.safeParse(raw);
+        if (!parsed.success) {
+            out.reason = `Invalid pipeline.json: ${parsed.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ')}`;
+            return out;
+        }
+        const meta = parsed.data;
+        if (meta.id !== id) { out.reason = `pipeline.json id "${meta.id}" does not match folder "${id}"`; return out; }
+        out.meta = meta;
+
+        let total = 0;
+        for (const [index, step] of meta.steps.entries()) {
+            const n = index + 1;
+            const entry = this.registry.get(step.workflowId);
+            if (!entry || entry.unavailable) {
+                out.reason = `Step ${n}: workflow "${step.workflowId}" is unavailable${entry?.reason ? ` (${entry.reason})` : ''}`;
+                return out;
+            }
+            const enabled = entry.effective.exposedParameters.filter(p => p.enabled !== false);
+            const byKey = new Map(enabled.map(p => [p.key, p]));
+            if (index === 0 && step.input) { out.reason = 'Step 1 has nothing before it to take an input from'; return out; }
+            if (index > 0) {
+                if (!step.input) { out.reason = `Step ${n} needs an "input" (which parameter takes step ${index}'s output)`; return out; }
+                const p = byKey.get(step.input.param);
+                if (!p || !MEDIA_TYPES.has(p.type)) { out.reason = `Step ${n}: "${step.input.param}" is not a media parameter of ${step.workflowId}`; return out; }
+                if (KIND_OF_TYPE[p.type] !== step.input.fromKind) {
+                    out.reason = `Step ${n}: "${step.input.param}" takes ${KIND_OF_TYPE[p.type]}, not ${step.input.fromKind}`;
+                    return out;
+                }
+            }
+            for (const key of Object.keys(step.params)) {
+                if (!byKey.has(key)) { out.reason = `Step ${n}: pinned parameter "${key}" is not exposed by ${step.workflowId}`; return out; }
+            }
+            const exposed = enabled.filter(p => p.key !== step.input?.param && !(p.key in step.params));
+            if (index > 0) {
+                const extraMedia = exposed.find(p => MEDIA_TYPES.has(p.type));
+                if (extraMedia) { out.reason = `Step ${n}: "${extraMedia.key}" would need an upload — only step 1 can take uploads`; return out; }
+            }
+            total += expectedDurationMs(entry) || 0;
+            out.steps.push({
+                index,
+                workflowId: step.workflowId,
+                label: step.label || entry.summary.name,
+                entry,
+                input: step.input || null,
+                params: step.params,
+                exposed
+            });
+        }
+        out.unavailable = false;
+        out.estimatedDurationMs = total || null;
+        return out;
+    }
+}
+
+module.exports = { PipelineRegistry, KIND_OF_TYPE };
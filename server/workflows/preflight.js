@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { ComfyRestClient } = require('../workers/comfyRestClient');
+
+// Pre-flight readiness of a workflow on this machine, before it is activated:
+//
+//   nodes  — every class_type in the api.json is one ComfyUI has loaded
+//            (GET /object_info). Skipped while ComfyUI isn't reachable.
+//   models — every file in meta.requirements.models is on disk under
+//            <root_path>/models (in its type's folders, any subfolder) or is
+//            offered by a loader node in /object_info, which also covers
+//            extra_model_paths.yaml locations.
+//
+// A missing custom node or model otherwise surfaces only as a cryptic
+// failure on a student's first job. Checks the local ComfyUI (api_port) —
+// remote workers keep their own models. The simulated backend runs anything.
+
+// requirements.models type → ComfyUI model folders (folder_paths.py names,
+// new name first). 'other' searches the whole models dir.
+const MODEL_FOLDERS = {
+    unet: ['diffusion_models', 'unet'],
+    vae: ['vae'],
+    clip: ['text_encoders', 'clip'],
+    lora: ['loras'],
+    checkpoint: ['checkpoints']
+};
+const MAX_DEPTH = 4;
+
+// Relative paths ('/'-separated) of the files under `dir`.
+function listFiles(dir, depth = 0, prefix = '') {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); }
+    catch { return []; }
+    const out = [];
+    for (const e of entries) {
+        const rel = prefix ? `${prefix}/${e.name}` : e.name;
+        if (e.isDirectory() && depth < MAX_DEPTH) out.push(...listFiles(path.join(dir, e.name), depth + 1, rel));
+        else if (e.isFile()) out.push(rel);
+    }
+    return out;
+}
+
+// Model files ComfyUI offers in any combo input ("flux/x.safetensors" and
+// "flux\x.safetensors" alike), lowercased.
+function objectInfoFiles(objectInfo) {
+    const files = new Set();
+    for (const def of Object.values(objectInfo || {})) {
+        for (const group of [def?.input?.required, def?.input?.optional]) {
+            for (const spec of Object.values(group || {})) {
+                const choices = Array.isArray(spec) && Array.isArray(spec[0]) ? spec[0] : null;
+                for (const c of choices || []) {
+                    if (typeof c === 'string' && /\.\w+$/.test(c)) files.add(c.replace(/\\/g, '/').toLowerCase());
+                }
+            }
+        }
+    }
+    return files;
+}
+
+// A model is present when its path (or, failing that, its bare filename)
+// matches a listed file.
+function hasModel(file, listed) {
+    const want = String(file).replace(/\\/g, '/').toLowerCase();
+    const base = want.split('/').pop();
+    for (const f of listed) {
+        if (f === want || f.endsWith(`/${want}`) || f.split('/').pop() === base) return true;
+    }
+    return false;
+}
+
+// Fetch what a check needs once, so a whole library can be checked with one
+// /object_info. objectInfo is null when ComfyUI didn't answer.
+async function loadContext(comfyConfig) {
+    if (comfyConfig?.backend === 'simulated') return { simulated: true };
+    let objectInfo = null;
+    let comfyError = null;
+    try {
+        const rest = new ComfyRestClient({ host: comfyConfig.api_host || '127.0.0.1', port: comfyConfig.api_port });
+        objectInfo = await rest.getObjectInfo({ timeoutMs: 10000 });
+    } catch (e) {
+        comfyError = e.code === 'ECONNREFUSED' ? 'ComfyUI is not running' : e.message;
+    }
+    const modelsDir = comfyConfig?.root_path ? path.resolve(comfyConfig.root_path, 'models') : null;
+    return { objectInfo, comfyError, modelsDir, offered: objectInfoFiles(objectInfo), folderCache: new Map() };
+}
+
+function folderFiles(ctx, type) {
+    const key = MODEL_FOLDERS[type] ? type : '*';
+    if (!ctx.folderCache.has(key)) {
+        const files = !ctx.modelsDir ? []
+            : key === '*' ? listFiles(ctx.modelsDir)
+            : MODEL_FOLDERS[type].flatMap(f => listFiles(path.join(ctx.modelsDir, f)));
+        ctx.folderCache.set(key, files.map(f => f.toLowerCase()));
+    }
+    return ctx.folderCache.get(key);
+}
+
+// → { ready, checkedAt, simulated, comfyReachable, nodesChecked,
+//     missingNodes: [class_type], missingModels: [{ type, file }], note }
+function checkWorkflow(entry, ctx) {
+    const result = {
+        ready: true, checkedAt: Date.now(), simulated: !!ctx.simulated, comfyReachable: !!ctx.objectInfo,
+        nodesChecked: false, missingNodes: [], missingModels: [], note: null
+    };
+    if (ctx.simulated) {
+        result.note = 'Simulated backend — nothing to check';
+        return result;
+    }
+    if (ctx.objectInfo) {
+        result.nodesChecked = true;
+        const classTypes = new Set(Object.values(entry.apiWorkflow || {}).map(n => n?.class_type).filter(Boolean));
+        result.missingNodes = [...classTypes].filter(t => !ctx.objectInfo[t]).sort();
+    } else {
+        result.note = `Custom nodes not checked: ${ctx.comfyError || 'ComfyUI unreachable'}`;
+    }
+    for (const m of entry.meta?.requirements?.models || []) {
+        if (!m.file) continue;
+        if (hasModel(m.file, ctx.offered) || hasModel(m.file, folderFiles(ctx, m.type))) continue;
+        result.missingModels.push({ type: m.type, file: m.file });
+    }
+    result.ready = result.missingNodes.length === 0 && result.missingModels.length === 0;
+    return result;
+}
+
+// One-line summary of what's missing, for errors and logs.
+function describeProblems(result) {
+    const parts = [];
+    if (result.missingNodes.length) parts.push(`missing node type(s): ${result.missingNodes.join(', ')}`);
+    if (result.missingModels.length) parts.push(`missing model file(s): ${result.missingModels.map(m => m.file).join(', ')}`);
+    return parts.join('; ');
+}
+
+async function preflight(entry, comfyConfig) {
+    return checkWorkflow(entry, await loadContext(comfyConfig));
+}
+
+module.exports = { preflight, loadContext, checkWorkflow, describeProblems, MODEL_FOLDERS };
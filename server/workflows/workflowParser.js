@@ -3,6 +3,13 @@
 // as a candidate exposed parameter. No class_type whitelist — this lets new
 // node types (Flux2, LTX, depth preprocessors, audio loaders, custom LoRAs)
 // be configured without code changes.
+//
+// Given ComfyUI's /object_info, any input that is a combo there (checkpoint,
+// LoRA and VAE names, upscalers, custom-node enums) becomes a select with
+// ComfyUI's choices; model-file lists are marked liveOptions so they follow
+// what's installed. Without it, only sampler_name / scheduler get a list.
+
+const { comboOptions } = require('./liveOptions');
 
 const PROMPT_FIELD_HINTS = ['text', 'prompt', 'positive', 'negative', 'caption'];
 const SAMPLER_FIELD = 'sampler_name';
@@ -24,13 +31,13 @@ function isPrimitive(v) {
     return v === null || ['string', 'number', 'boolean'].includes(typeof v);
 }
 
-function inferType(field, value) {
+function inferType(field, value, combo = null) {
     const f = field.toLowerCase();
     if (f.includes('mask')) return 'mask';
     if (f.includes('image')) return 'image';
     if (f.includes('video')) return 'video';
     if (f.includes('audio')) return 'audio';
-    if (field === SAMPLER_FIELD || field === SCHEDULER_FIELD) return 'select';
+    if (combo || field === SAMPLER_FIELD || field === SCHEDULER_FIELD) return 'select';
     if (typeof value === 'boolean') return 'checkbox';
     if (typeof value === 'number') return 'number';
     if (typeof value === 'string') {
@@ -55,8 +62,13 @@ function makeKey(nodeType, field, nodeId) {
         .replace(/[^a-z0-9_]/g, '_');
 }
 
-// Returns { parameters: ExposedParameter[], nodeCount, primitiveCount }
-function parseWorkflow(apiWorkflow) {
+// A combo of files (as opposed to a fixed enum) — the kind that changes when
+// models are installed.
+const isFileList = (options) => options.some(o => /\.\w{2,12}$/.test(o));
+
+// Returns { parameters: ExposedParameter[], nodeCount, primitiveCount }.
+// Parameters backed by a combo carry `comboOptions` (ComfyUI's current list).
+function parseWorkflow(apiWorkflow, { objectInfo = null } = {}) {
     const parameters = [];
     let order = 0;
     let primitiveCount = 0;
@@ -70,7 +82,9 @@ function parseWorkflow(apiWorkflow) {
         for (const [field, value] of Object.entries(inputs)) {
             if (!isPrimitive(value)) continue;
             primitiveCount++;
-            const type = inferType(field, value);
+            const combo = comboOptions(objectInfo, nodeType, field);
+            const type = inferType(field, value, combo);
+            const live = type === 'select' && !!combo && isFileList(combo);
             parameters.push({
                 key: makeKey(nodeType, field, nodeId),
                 nodeId,
@@ -83,7 +97,9 @@ function parseWorkflow(apiWorkflow) {
                 nodeTitle,
                 classType: nodeType,
                 default: value,
-                options: COMMON_OPTIONS[field],
+                options: type === 'select' ? (combo || COMMON_OPTIONS[field]) : undefined,
+                ...(live ? { liveOptions: true } : {}),
+                ...(combo ? { comboOptions: combo } : {}),
                 required: ['image', 'video', 'audio', 'mask'].includes(type),
                 order: order++
             });
@@ -116,6 +132,7 @@ function toParameterMap(exposedParameters) {
             min: p.min,
             max: p.max,
             step: p.step,
+            maxInputEdge: p.maxInputEdge,
             disabledWhen: p.disabledWhen,
             required: p.required
         };
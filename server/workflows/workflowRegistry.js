@@ -7,7 +7,8 @@
 //
 // The registry caches results in-memory but invalidates a bundle when any of
 // its files' mtimes change. No Litegraph auto-conversion: invalid format is
-// surfaced as `unavailable: true` with a human-readable reason.
+// surfaced as `unavailable: true` with a human-readable reason. Folders holding
+// a <id>.pipeline.json are pipeline bundles (pipelineRegistry.js) and skipped.
 
 const fs = require('fs');
 const path = require('path');
@@ -19,6 +20,27 @@ class WorkflowRegistry {
         this.dir = workflowsDir;
         this.cache = new Map();   // id → entry
         this.mtimes = new Map();  // id → Map<file, mtimeMs>
+        this.liveOptions = null;  // LiveOptions (workflows/liveOptions.js), once wired
+    }
+
+    // Source of live select options; see _withLiveOptions.
+    useLiveOptions(liveOptions) {
+        this.liveOptions = liveOptions;
+    }
+
+    // The entry with its `liveOptions` parameters' options swapped for the
+    // node input's current choices in ComfyUI. The cached entry is left as
+    // read from disk; entries without live parameters pass through.
+    _withLiveOptions(entry) {
+        if (!this.liveOptions || !entry || entry.unavailable) return entry;
+        const params = entry.effective.exposedParameters;
+        if (!params.some(p => p.liveOptions)) return entry;
+        const exposedParameters = params.map(p => {
+            if (!p.liveOptions) return p;
+            const live = this.liveOptions.optionsFor(entry.apiWorkflow?.[p.nodeId]?.class_type, p.field);
+            return live?.length ? { ...p, options: live } : p;
+        });
+        return { ...entry, effective: { ...entry.effective, exposedParameters } };
     }
 
     _bundlePaths(id) {
@@ -166,6 +188,7 @@ class WorkflowRegistry {
                     coldDurationSec: runtime.coldDurationSec,
                     modelLoadSec: runtime.modelLoadSec,
                     gpu: runtime.gpu || null,
+                    peakVramGb: runtime.peakVramGb ?? null,
                     calibratedAt: runtime.calibratedAt || null
                 } : null,
                 presets: Object.keys(merged.presets || {}),
@@ -205,8 +228,9 @@ class WorkflowRegistry {
             fs.mkdirSync(this.dir, { recursive: true });
             return [];
         }
+        // Pipeline bundles share the folder; PipelineRegistry owns those.
         const entries = fs.readdirSync(this.dir, { withFileTypes: true })
-            .filter(e => e.isDirectory());
+            .filter(e => e.isDirectory() && !isPipelineBundle(this.dir, e.name));
         const seen = new Set();
         const results = [];
         for (const e of entries) {
@@ -227,12 +251,12 @@ class WorkflowRegistry {
             if (e.unavailable && !includeUnavailable) return false;
             if (e.summary?.hidden && !includeHidden) return false;
             return true;
-        });
+        }).map(e => this._withLiveOptions(e));
     }
 
     get(id) {
         if (!this.cache.has(id)) this._loadOne(id);
-        return this._loadOne(id);
+        return this._withLiveOptions(this._loadOne(id));
     }
 
     summaries(opts) {
@@ -259,4 +283,25 @@ class WorkflowRegistry {
     }
 }
 
-module.exports = { WorkflowRegistry };
+function isPipelineBundle(dir, id) {
+    return fs.existsSync(path.join(dir, id, `${id}.pipeline.json`));
+}
+
+// Expected run time of one job of this workflow, in ms — calibrated runtime
+// when available, else the meta.json estimate. Stored per job at booking and
+// refreshed at pickup so the timeline reflects each workflow's real length.
+function expectedDurationMs(entry) {
+    const sec = entry?.summary?.estimatedDurationSec ?? entry?.meta?.estimatedDurationSec;
+    return Number.isFinite(sec) && sec > 0 ? Math.round(sec * 1000) : null;
+}
+
+// VRAM one job of this workflow needs, in GB — the peak measured at
+// calibration when available, else meta.json's requirements.minVRAM (0 when
+// neither says). ModelLifecycle frees models when less than this is free.
+function vramNeedGb(entry) {
+    const peak = entry?.summary?.calibration?.peakVramGb;
+    if (Number.isFinite(peak) && peak > 0) return peak;
+    return entry?.meta?.requirements?.minVRAM || 0;
+}
+
+module.exports = { WorkflowRegistry, expectedDurationMs, vramNeedGb, isPipelineBundle };